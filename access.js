@@ -0,0 +1,116 @@
+// access.js
+// Roles and scoping for logged-in users (auth.js).
+//
+//   admin      – every tenant and agent; manages users, teams, rosters,
+//                schedules and the admin routes
+//   supervisor – reports, exports and PDFs within their scope, and the roster
+//   viewer     – on-screen reports within their scope
+//
+// A user's scope is stored with the user:
+//   tenants – tenant ids they may query; empty means every tenant
+//   teams   – team ids (teams.js) whose agents they may see
+//   agents  – extra extensions or user_ids they may see
+// With neither teams nor agents they see every agent of their tenants.
+// Admins are never scoped. The report routes apply the scope to the rows
+// themselves, so calling the API directly returns no more than the UI shows.
+// Without a user (AUTH=off) everything is allowed.
+
+import { listTeams } from './teams.js';
+import { defaultTenantId, getTenant, listTenants } from './tenants.js';
+
+export const ROLES = ['admin', 'supervisor', 'viewer'];
+
+/**
+ * The request is understood but the user may not make it (HTTP 403).
+ */
+export class ForbiddenError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ForbiddenError';
+  }
+}
+
+const isAdmin = user => !user || user.role === 'admin';
+
+/**
+ * Validate a user's role and scope.
+ * @param {{role?: string, tenants?: string[], teams?: string[], agents?: string[]}} input
+ * @returns {{role: string, tenants: string[], teams: string[], agents: string[]}}
+ * @throws {RangeError} for an unknown role or tenant, or a scope that is not a list
+ */
+export function normalizeAccess({ role = 'viewer', tenants = [], teams = [], agents = [] } = {}) {
+  if (!ROLES.includes(role)) throw new RangeError(`Invalid role: ${role} (expected ${ROLES.join(', ')})`);
+  const list = (value, name) => {
+    if (!Array.isArray(value)) throw new RangeError(`${name} must be a list`);
+    return [...new Set(value.map(v => String(v).trim()).filter(Boolean))];
+  };
+  const scope = { tenants: list(tenants, 'tenants'), teams: list(teams, 'teams'), agents: list(agents, 'agents') };
+  scope.tenants.forEach(id => getTenant(id));
+  return { role, ...scope };
+}
+
+/**
+ * Tenants a user may query, as listTenants() entries.
+ * @param {object} [user]
+ * @returns {object[]}
+ */
+export function tenantsFor(user) {
+  const all = listTenants();
+  return isAdmin(user) || !user.tenants?.length ? all : all.filter(t => user.tenants.includes(t.id));
+}
+
+/**
+ * The tenant a request is for: `account` when given, else the registry
+ * default, or the user's first tenant when the default is out of scope.
+ * @param {object} [user]
+ * @param {string} [account]
+ * @returns {object} - registry entry from getTenant()
+ * @throws {RangeError} for an unknown tenant
+ * @throws {ForbiddenError} when the user may not query it
+ */
+export function tenantFor(user, account) {
+  const allowed = tenantsFor(user).map(t => t.id);
+  if (!account && !allowed.includes(defaultTenantId()) && allowed.length) return getTenant(allowed[0]);
+  const tenant = getTenant(account);
+  if (!allowed.includes(tenant.id)) throw new ForbiddenError(`No access to tenant ${tenant.id}`);
+  return tenant;
+}
+
+/**
+ * Row filter for the agents a user may see in a tenant, matched like team
+ * members on extension or user_id (or a roster's `agent`).
+ * @param {object} [user]
+ * @param {string} tenantId
+ * @returns {((row: object) => boolean)|null} - null when the user sees every agent
+ */
+export function agentFilter(user, tenantId) {
+  if (isAdmin(user) || (!user.teams?.length && !user.agents?.length)) return null;
+  const members = new Set([
+    ...listTeams(tenantId).filter(team => user.teams.includes(team.id)).flatMap(team => team.members),
+    ...user.agents
+  ]);
+  return row => [row.extension, row.ext, row.user_id, row.agent].some(key => key != null && members.has(String(key)));
+}
+
+/**
+ * Teams of a tenant a user may pick from.
+ * @param {object} [user]
+ * @param {string} tenantId
+ * @returns {object[]}
+ */
+export function teamsFor(user, tenantId) {
+  const teams = listTeams(tenantId);
+  return isAdmin(user) || !user.teams?.length ? teams : teams.filter(team => user.teams.includes(team.id));
+}
+
+/**
+ * Express middleware that lets only the given roles through.
+ * @param {...string} roles
+ * @returns {import('express').RequestHandler}
+ */
+export function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user || roles.includes(req.user.role)) return next();
+    res.status(403).json({ error: `Requires role: ${roles.join(' or ')}` });
+  };
+}
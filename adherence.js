@@ -0,0 +1,183 @@
+// adherence.js
+// Schedule adherence: planned shifts (roster.js) against the login sessions
+// reconstructed from activity events (getAgentSessions in agentEvents.js).
+//
+// Per shift:
+//   missed       – no login at all during the shift
+//   late login   – first login more than the grace period after shift start
+//   early logoff – last logoff more than the grace period before shift end
+//   adherence    – logged-in time within the shift / (shift length − allowed
+//                  breaks), capped at 100%
+// Per agent, logged-in time outside every planned shift is unscheduled work.
+// Shifts that have not ended yet are listed but left out of the totals.
+
+import { formatTimestamp, zonedTimeToDate } from './timeZone.js';
+
+/**
+ * Start and end of a shift as unix seconds in the given zone.
+ * @param {{date: string, start: string, end: string}} shift
+ * @param {string} timeZone
+ * @returns {{start: number, end: number}}
+ */
+export function shiftBounds(shift, timeZone) {
+  const [year, month, day] = shift.date.split('-').map(Number);
+  const [startHour, startMinute] = shift.start.split(':').map(Number);
+  const [endHour, endMinute] = shift.end.split(':').map(Number);
+  // An end at or before the start runs overnight into the next day
+  const endDay = shift.end <= shift.start ? day + 1 : day;
+  return {
+    start: Math.floor(zonedTimeToDate({ year, month, day, hour: startHour, minute: startMinute }, timeZone).getTime() / 1000),
+    end: Math.floor(zonedTimeToDate({ year, month, day: endDay, hour: endHour, minute: endMinute }, timeZone).getTime() / 1000)
+  };
+}
+
+/**
+ * Seconds of [start, end] covered by the intervals.
+ * @param {{start: number, end: number}[]} intervals - non-overlapping
+ */
+function overlapSeconds(intervals, start, end) {
+  return intervals.reduce((sum, i) => sum + Math.max(0, Math.min(i.end, end) - Math.max(i.start, start)), 0);
+}
+
+/**
+ * Merge overlapping intervals so overlapping shifts are not counted twice.
+ * @param {{start: number, end: number}[]} intervals
+ * @returns {{start: number, end: number}[]}
+ */
+function mergeIntervals(intervals) {
+  const merged = [];
+  for (const i of [...intervals].sort((a, b) => a.start - b.start)) {
+    const last = merged[merged.length - 1];
+    if (last && i.start <= last.end) last.end = Math.max(last.end, i.end);
+    else merged.push({ ...i });
+  }
+  return merged;
+}
+
+/**
+ * Does a roster `agent` value refer to this agent (extension or name)?
+ */
+function matchesAgent(rosterAgent, agent) {
+  const wanted = rosterAgent.trim().toLowerCase();
+  return wanted === String(agent.ext ?? '').toLowerCase() || wanted === String(agent.username ?? '').toLowerCase();
+}
+
+/**
+ * Compare planned shifts with actual sessions.
+ * @param {object[]} shifts   - from listShifts()
+ * @param {object[]} agents   - from getAgentSessions()
+ * @param {object} opts
+ * @param {number} opts.rangeStart      - unix seconds; unscheduled work is counted from here
+ * @param {number} opts.rangeEnd        - unix seconds; … up to here
+ * @param {number} opts.sessionsFrom    - unix seconds the events were fetched from (start of
+ *                                        sessions whose login is before the download)
+ * @param {number} [opts.now]           - unix seconds; shifts ending later are in progress
+ * @param {number} [opts.graceSeconds]  - lateness / early leave tolerated (default 300)
+ * @param {string} opts.timeZone        - zone of the roster times and formatted output
+ * @returns {object[]} - one row per agent with totals and per-shift details
+ */
+export function computeAdherence(shifts, agents, { rangeStart, rangeEnd, sessionsFrom, now = Math.floor(Date.now() / 1000), graceSeconds = 300, timeZone }) {
+  const rows = new Map();
+
+  const rowFor = (key, agent) => {
+    if (!rows.has(key)) {
+      rows.set(key, {
+        agent: agent.username ?? agent.agent,
+        ext: agent.ext ?? '',
+        intervals: agent.intervals || [],
+        shiftWindows: [],
+        shifts: [],
+        scheduledShifts: 0,
+        missedShifts: 0,
+        lateLogins: 0,
+        earlyLogoffs: 0,
+        requiredSeconds: 0,
+        inShiftSeconds: 0,
+        unscheduledSeconds: 0
+      });
+    }
+    return rows.get(key);
+  };
+
+  const withIntervals = agents.map(agent => ({
+    ...agent,
+    intervals: agent.sessions.map(s => ({
+      start: s.loginTimestamp ?? sessionsFrom,
+      end: s.logoffTimestamp ?? Math.min(rangeEnd, now)
+    }))
+  }));
+
+  for (const shift of shifts) {
+    const agent = withIntervals.find(a => matchesAgent(shift.agent, a));
+    const row = agent ? rowFor(`${agent.user_id}_${agent.ext}`, agent) : rowFor(`roster:${shift.agent.toLowerCase()}`, { agent: shift.agent });
+    const { start, end } = shiftBounds(shift, timeZone);
+    row.shiftWindows.push({ start, end });
+
+    const detail = {
+      date: shift.date,
+      start: shift.start,
+      end: shift.end,
+      breakMinutes: shift.breakMinutes,
+      firstLogin: null,
+      lastLogoff: null,
+      lateSeconds: 0,
+      earlySeconds: 0,
+      inShiftSeconds: 0,
+      adherence: null,
+      status: 'ok'
+    };
+    row.shifts.push(detail);
+
+    if (start > now) {
+      detail.status = 'upcoming';
+      continue;
+    }
+    const touching = row.intervals.filter(i => i.start < end && i.end > start);
+    detail.inShiftSeconds = overlapSeconds(touching, start, end);
+    if (touching.length) {
+      const firstLogin = Math.min(...touching.map(i => i.start));
+      const lastLogoff = Math.max(...touching.map(i => i.end));
+      detail.firstLogin = formatTimestamp(firstLogin, timeZone);
+      detail.lastLogoff = formatTimestamp(lastLogoff, timeZone);
+      detail.lateSeconds = Math.max(0, firstLogin - start);
+    }
+    if (end > now) {
+      detail.status = 'in_progress';
+      continue;
+    }
+
+    const required = Math.max(0, end - start - shift.breakMinutes * 60);
+    row.scheduledShifts++;
+    row.requiredSeconds += required;
+    row.inShiftSeconds += Math.min(detail.inShiftSeconds, required);
+    detail.adherence = required ? Math.round(Math.min(1, detail.inShiftSeconds / required) * 1000) / 10 : 100;
+
+    if (!touching.length) {
+      detail.status = 'missed';
+      row.missedShifts++;
+      continue;
+    }
+    const lastLogoff = Math.max(...touching.map(i => i.end));
+    detail.earlySeconds = Math.max(0, end - lastLogoff);
+    const late = detail.lateSeconds > graceSeconds;
+    const early = detail.earlySeconds > graceSeconds;
+    if (late) row.lateLogins++;
+    if (early) row.earlyLogoffs++;
+    detail.status = late && early ? 'late_and_early' : late ? 'late' : early ? 'early' : 'ok';
+  }
+
+  // Agents who logged in without any planned shift still show up, with all
+  // of their time unscheduled
+  for (const agent of withIntervals) rowFor(`${agent.user_id}_${agent.ext}`, agent);
+
+  return [...rows.values()].map(({ intervals, shiftWindows, ...row }) => {
+    const inRange = intervals.map(i => ({ start: Math.max(i.start, rangeStart), end: Math.min(i.end, rangeEnd) })).filter(i => i.end > i.start);
+    const worked = inRange.reduce((sum, i) => sum + (i.end - i.start), 0);
+    const covered = inRange.reduce((sum, i) => sum + overlapSeconds(mergeIntervals(shiftWindows), i.start, i.end), 0);
+    return {
+      ...row,
+      unscheduledSeconds: worked - covered,
+      adherence: row.requiredSeconds ? Math.round((row.inShiftSeconds / row.requiredSeconds) * 1000) / 10 : null
+    };
+  }).sort((a, b) => String(a.agent).localeCompare(String(b.agent)));
+}
@@ -2,54 +2,52 @@
 // Fetch Agent Activity Events for a tenant
 //
 // Usage examples:
-//   node -r dotenv/config agentEvents.js mc_int 1753251240 1753258440
+//   node -r dotenv/config agentEvents.js mcint 1753251240 1753258440
 //
 // The script automatically handles pagination, retries (exp backoff),
 // and self-signed certificates (inherits httpsAgent from tokenService).
 
 import axios from 'axios';
-import { httpsAgent } from './tokenService.js';
+import ms from 'ms';
+import { getPortalToken, withAuthRetry, httpsAgent } from './tokenService.js';
 import { displayAgentEventsTable } from './agentStatus.js';
+import { formatIsoDate, formatTimestamp, resolveTimeZone } from './timeZone.js';
+import { getDiscoveredEndpoint, rememberEndpoint, resetDiscoveredEndpoints } from './endpointDiscovery.js';
+import { createLogger } from './logger.js';
+import { getTenant } from './tenants.js';
 
 const MAX_RETRIES = 3;
+const log = createLogger({ module: 'agentEvents' });
+
+// Candidate paths for the activity events API, most likely first
+const EVENTS_ENDPOINTS = [
+  '/api/v2/reports/callcenter/agents/activity/events',
+  '/api/v2/callcenter/agents/activity/events',
+  '/ucp/v2/callcenter/agents/activity/events',
+  '/api/v2/reports/callcenter/agents/events',
+  '/api/v2/callcenter/agents/events',
+  '/api/v2/agents/activity/events',
+  '/api/v2/agents/events',
+  '/api/callcenter/agents/activity/events',
+  '/api/callcenter/agents/events'
+];
 
 /**
- * Get token specifically for the UC events server with tenant subdomain
- * @returns {Promise<string>} access token
+ * Build the candidate base URLs for the events API: the tenant subdomain of
+ * the tenant's base URL first, then the base URL itself. Hosts that cannot
+ * carry a tenant subdomain (localhost, IP addresses – e.g. the mock PBX) only
+ * get the base URL.
+ * @param {object} tenant - registry entry from getTenant()
+ * @returns {string[]} - base URLs to probe, in order
  */
-async function getUCToken() {
-  const baseUrl = `https://ucdemo.voicemeetme.com:9443`;
-  
-  const candidates = [
-    { url: `${baseUrl}/api/v2/config/login/oauth`, body: { domain: process.env.TENANT, username: process.env.API_USERNAME, password: process.env.API_PASSWORD } },
-    { url: `${baseUrl}/api/v2/login`, body: { domain: process.env.TENANT, username: process.env.API_USERNAME, password: process.env.API_PASSWORD } },
-    { url: `${baseUrl}/api/login`, body: { domain: process.env.TENANT, username: process.env.API_USERNAME, password: process.env.API_PASSWORD } },
-  ];
-
-  for (const { url, body } of candidates) {
-    for (let attempt = 0, delay = 1000; attempt < MAX_RETRIES; attempt++, delay *= 2) {
-      try {
-        const { data } = await axios.post(url, body, {
-          timeout: 5000,
-          httpsAgent,
-          headers: { Accept: 'application/json' }
-        });
-
-        const access = data.accessToken || data.access_token;
-        if (!access) throw new Error('No access token in response');
-
-        console.log(` UC server login succeeded at ${url}`);
-        return access;
-      } catch (err) {
-        if (attempt === MAX_RETRIES - 1) {
-          console.warn(`Login failed at ${url}: ${err.response?.status || err.message}`);
-        } else {
-          await new Promise(r => setTimeout(r, delay));
-        }
-      }
-    }
+function getEventsBaseUrls(tenant) {
+  const base = new URL(tenant.baseUrl);
+  const origin = base.origin;
+  if (base.hostname === 'localhost' || /^[\d.]+$/.test(base.hostname) || base.hostname.includes(':')) {
+    return [origin];
   }
-  throw new Error('All UC server login attempts failed – check credentials/endpoints');
+  base.hostname = `${tenant.id}.${base.hostname}`;
+  return [base.origin, origin];
 }
 
 /**
@@ -58,25 +56,15 @@ async function getUCToken() {
  * @returns {object[]} - Array of first login events per user
  */
 function getFirstLoginPerUser(events) {
-  console.log(`\n🔍 FILTERING EVENTS FOR FIRST LOGIN:`);
-  console.log(`📊 Total events to process: ${events.length}`);
-  
   const userFirstLogins = new Map();
-  const allUsers = new Set();
   
   // Sort events by timestamp (earliest first)
   const sortedEvents = events
     .filter(event => event && event.Timestamp && event.username)
     .sort((a, b) => a.Timestamp - b.Timestamp);
   
-  console.log(`📊 Events after basic filtering: ${sortedEvents.length}`);
-  
-  // Debug: Show all unique users in the dataset
-  sortedEvents.forEach(event => {
-    allUsers.add(`${event.username} (${event.ext})`);
-  });
-  console.log(`👥 All users found in events:`, Array.from(allUsers));
-  
+  log.debug('filtering first login per user', { events: events.length, usable: sortedEvents.length });
+
   // Find first login event for each user
   for (const event of sortedEvents) {
     const userId = event.username || event.user_id;
@@ -90,38 +78,21 @@ function getFirstLoginPerUser(events) {
                         (event.enabled === true && event.state) ||
                         (event.enabled === true && event.event);
     
-    // Debug: Log first few events for each user
-    if (!userFirstLogins.has(userId)) {
-      console.log(`🔍 Checking first event for ${userId}:`, {
-        event: event.event,
-        state: event.state,
-        enabled: event.enabled,
-        timestamp: event.Timestamp,
-        isLoginEvent
-      });
-    }
-    
     if (isLoginEvent && !userFirstLogins.has(userId)) {
       userFirstLogins.set(userId, event);
-      console.log(`✅ Found first login for ${userId}: ${event.event} - ${event.state}`);
     }
   }
-  
-  const result = Array.from(userFirstLogins.values());
-  console.log(`🎯 Final result: ${result.length} first login events found`);
-  
-  return result;
+
+  return Array.from(userFirstLogins.values());
 }
 
 /**
  * Filter events to show timestamps where agent state is "available" OR "Logoff" AND enabled is true
  * @param {object[]} events - Array of all events
+ * @param {string} [timeZone] - IANA zone used for the formatted timestamps
  * @returns {object[]} - Array of enabled available/logoff state events with timestamps
  */
-function getAvailableStateTimestamps(events) {
-  console.log(`\n🔍 FILTERING FOR AVAILABLE & LOGOFF STATES (ENABLED ONLY):`);
-  console.log(`📊 Total events to filter: ${events.length}`);
-  
+function getAvailableStateTimestamps(events, timeZone = resolveTimeZone()) {
   // Filter for events where state is "available" OR "Logoff" AND enabled is true
   const targetEvents = events.filter(event => 
     event && 
@@ -130,31 +101,8 @@ function getAvailableStateTimestamps(events) {
     event.enabled === true
   );
   
-  console.log(`✅ Found ${targetEvents.length} events with state "available" or "Logoff" and enabled: true`);
-  
-  // Show breakdown by state type
-  const availableEvents = targetEvents.filter(event => event.state.toLowerCase() === 'available');
-  const logoffEvents = targetEvents.filter(event => event.state.toLowerCase() === 'logoff');
-  console.log(`   📊 Available events: ${availableEvents.length}`);
-  console.log(`   📊 Logoff events: ${logoffEvents.length}`);
-  
-  // Show how many were filtered out due to enabled: false or wrong state
-  const allAvailableEvents = events.filter(event => 
-    event && event.state && event.state.toLowerCase() === 'available'
-  );
-  const allLogoffEvents = events.filter(event => 
-    event && event.state && event.state.toLowerCase() === 'logoff'
-  );
-  const disabledAvailableEvents = allAvailableEvents.length - availableEvents.length;
-  const disabledLogoffEvents = allLogoffEvents.length - logoffEvents.length;
-  
-  if (disabledAvailableEvents > 0) {
-    console.log(`⚠️  Filtered out ${disabledAvailableEvents} "available" events with enabled: false`);
-  }
-  if (disabledLogoffEvents > 0) {
-    console.log(`⚠️  Filtered out ${disabledLogoffEvents} "Logoff" events with enabled: false`);
-  }
-  
+  log.debug('filtered enabled available/logoff events', { events: events.length, matched: targetEvents.length });
+
   // Extract and format the results
   const results = targetEvents.map(event => ({
     username: event.username,
@@ -163,49 +111,54 @@ function getAvailableStateTimestamps(events) {
     event: event.event,
     state: event.state,
     timestamp: event.Timestamp,
-    // Convert timestamp to IST for display
-    timestampIST: new Date(event.Timestamp * 1000).toLocaleString('en-IN', {
-      timeZone: 'Asia/Kolkata',
-      day: '2-digit',
-      month: '2-digit', 
-      year: 'numeric',
-      hour: '2-digit',
-      minute: '2-digit',
-      second: '2-digit'
-    }),
+    // Convert timestamp to the reporting zone for display
+    timestampLocal: formatTimestamp(event.Timestamp, timeZone),
     enabled: event.enabled
   }));
   
   // Sort results by timestamp for chronological order
   results.sort((a, b) => a.timestamp - b.timestamp);
   
-  // Log the results for debugging
-  if (results.length > 0) {
-    console.log(`\n📋 ENABLED AVAILABLE & LOGOFF STATE EVENTS FOUND:`);
-    results.forEach((event, index) => {
-      console.log(`${index + 1}. ${event.username} (${event.ext}) - State: ${event.state} - Timestamp: ${event.timestamp} (${event.timestampIST}) - Enabled: ${event.enabled}`);
-    });
-  } else {
-    console.log(`❌ No events found with state "available" or "Logoff" and enabled: true in the selected time range`);
-  }
-  
   return results;
 }
 
+/**
+ * Sessions that belong to a range: those whose login (or, for a session with
+ * no login, its logoff) falls inside it. A session is never split, so the
+ * logoff of an overnight shift counts towards the day it started.
+ * @param {object[]} sessions - from getAgentSessions()
+ * @param {{start: number, end: number}} range - unix timestamps
+ * @returns {object[]}
+ */
+function anchoredSessions(sessions, { start, end }) {
+  return sessions.filter(session => {
+    const anchor = session.loginTimestamp ?? session.logoffTimestamp;
+    return anchor >= start && anchor <= end;
+  });
+}
+
 /**
  * Extract first login and last logoff timestamps per agent for the given time range
  * @param {object[]} events - Array of all events
+ * @param {object} [opts]
+ * @param {string} [opts.timeZone] - IANA zone used for the formatted times
+ * @param {{start: number, end: number}} [opts.range] - report period (unix timestamps). When
+ *   given, times are shift-anchored: only sessions starting in the period count, including
+ *   their logoff after it, so `events` should reach a shift length past both ends.
  * @returns {object} - Object with agent data containing first login and last logoff timestamps
  */
-export function getAgentLoginLogoffTimes(events) {
-  console.log(`\n🔍 EXTRACTING FIRST LOGIN & LAST LOGOFF TIMES PER AGENT:`);
-  console.log(`📊 Total events to process: ${events.length}`);
+export function getAgentLoginLogoffTimes(events, { timeZone = resolveTimeZone(), range } = {}) {
   
   const agentData = new Map();
+  const sessionsByAgent = range
+    ? new Map(getAgentSessions(events, { timeZone }).map(a => [`${a.user_id}_${a.ext}`, anchoredSessions(a.sessions, range)]))
+    : null;
   
   // Process events to find login and logoff times per agent
   events.forEach(event => {
     if (!event || !event.user_id || !event.username || !event.ext) return;
+    // Events fetched around the period only serve to pair sessions
+    if (range && (event.Timestamp < range.start || event.Timestamp > range.end)) return;
     
     const agentKey = `${event.user_id}_${event.ext}`;
     
@@ -229,15 +182,7 @@ export function getAgentLoginLogoffTimes(events) {
     if (event.state && event.state.toLowerCase() === 'login' && event.enabled === true) {
       agent.loginEvents.push({
         timestamp: event.Timestamp,
-        timestampIST: new Date(event.Timestamp * 1000).toLocaleString('en-IN', {
-          timeZone: 'Asia/Kolkata',
-          day: '2-digit',
-          month: '2-digit',
-          year: 'numeric',
-          hour: '2-digit',
-          minute: '2-digit',
-          second: '2-digit'
-        })
+        timestampLocal: formatTimestamp(event.Timestamp, timeZone)
       });
     }
     
@@ -245,26 +190,26 @@ export function getAgentLoginLogoffTimes(events) {
     if (event.state && event.state.toLowerCase() === 'logoff' && event.enabled === true) {
       agent.logoffEvents.push({
         timestamp: event.Timestamp,
-        timestampIST: new Date(event.Timestamp * 1000).toLocaleString('en-IN', {
-          timeZone: 'Asia/Kolkata',
-          day: '2-digit',
-          month: '2-digit',
-          year: 'numeric',
-          hour: '2-digit',
-          minute: '2-digit',
-          second: '2-digit'
-        })
+        timestampLocal: formatTimestamp(event.Timestamp, timeZone)
       });
     }
   });
   
   // Process each agent to find first login and last logoff
   agentData.forEach((agent, agentKey) => {
+    if (sessionsByAgent) {
+      const sessions = sessionsByAgent.get(agentKey) || [];
+      agent.loginEvents = sessions.filter(s => s.loginTimestamp != null)
+        .map(s => ({ timestamp: s.loginTimestamp, timestampLocal: s.loginTime }));
+      agent.logoffEvents = sessions.filter(s => s.logoffTimestamp != null)
+        .map(s => ({ timestamp: s.logoffTimestamp, timestampLocal: s.logoffTime }));
+    }
+
     // Sort login events by timestamp (ascending) to get first login
     if (agent.loginEvents.length > 0) {
       agent.loginEvents.sort((a, b) => a.timestamp - b.timestamp);
       const firstLogin = agent.loginEvents[0];
-      agent.firstLoginTime = firstLogin.timestampIST;
+      agent.firstLoginTime = firstLogin.timestampLocal;
       agent.firstLoginTimestamp = firstLogin.timestamp;
     }
     
@@ -272,7 +217,7 @@ export function getAgentLoginLogoffTimes(events) {
     if (agent.logoffEvents.length > 0) {
       agent.logoffEvents.sort((a, b) => b.timestamp - a.timestamp);
       const lastLogoff = agent.logoffEvents[0];
-      agent.lastLogoffTime = lastLogoff.timestampIST;
+      agent.lastLogoffTime = lastLogoff.timestampLocal;
       agent.lastLogoffTimestamp = lastLogoff.timestamp;
     }
     
@@ -283,224 +228,424 @@ export function getAgentLoginLogoffTimes(events) {
   
   const results = Array.from(agentData.values());
   
-  // Log results for debugging
-  console.log(`\n📋 AGENT LOGIN/LOGOFF SUMMARY:`);
-  console.log(`👥 Total agents processed: ${results.length}`);
-  
-  results.forEach((agent, index) => {
-    console.log(`${index + 1}. ${agent.username} (${agent.ext}):`);
-    console.log(`   📅 First Login: ${agent.firstLoginTime || 'Not found'}`);
-    console.log(`   📅 Last Logoff: ${agent.lastLogoffTime || 'Not found'}`);
+  log.debug('extracted login/logoff times', { events: events.length, agents: results.length });
+
+  return results;
+}
+
+/**
+ * Reconstruct every login session per agent by pairing Login → Logoff events.
+ *
+ * Repeated Login events while a session is already open are treated as
+ * duplicates of that login. A Logoff without a preceding Login produces a
+ * session with no start (`missingLogin: true`). A Login that is never closed
+ * produces an open session (`open: true`) whose duration is counted up to
+ * `rangeEnd` (or now, when no range end is given).
+ *
+ * @param {object[]} events               - Array of all raw events
+ * @param {object}   [opts]
+ * @param {number}   [opts.rangeEnd]      - unix timestamp closing open sessions.
+ * @param {string}   [opts.timeZone]      - IANA zone used for the formatted times.
+ * @returns {object[]} - Per agent: sessions, sessionCount, totalLoggedInSeconds, hasOpenSession
+ */
+export function getAgentSessions(events, { rangeEnd, timeZone = resolveTimeZone() } = {}) {
+  const closeAt = rangeEnd ?? Math.floor(Date.now() / 1000);
+  const agentData = new Map();
+
+  // Group enabled Login/Logoff events per agent
+  events.forEach(event => {
+    if (!event || !event.user_id || !event.username || !event.ext) return;
+    if (event.enabled !== true || !event.state) return;
+
+    const state = event.state.toLowerCase();
+    if (state !== 'login' && state !== 'logoff') return;
+
+    const agentKey = `${event.user_id}_${event.ext}`;
+    if (!agentData.has(agentKey)) {
+      agentData.set(agentKey, {
+        user_id: event.user_id,
+        username: event.username,
+        ext: event.ext,
+        transitions: []
+      });
+    }
+    agentData.get(agentKey).transitions.push({ state, timestamp: event.Timestamp });
   });
-  
+
+  const results = [];
+
+  agentData.forEach(agent => {
+    const transitions = agent.transitions.sort((a, b) => a.timestamp - b.timestamp);
+    const sessions = [];
+    let open = null;
+
+    for (const { state, timestamp } of transitions) {
+      if (state === 'login') {
+        // Duplicate Login while a session is open keeps the original start
+        if (!open) open = { loginTimestamp: timestamp };
+        continue;
+      }
+
+      // Logoff
+      if (open) {
+        sessions.push({ loginTimestamp: open.loginTimestamp, logoffTimestamp: timestamp });
+        open = null;
+      } else if (sessions.length && sessions[sessions.length - 1].logoffTimestamp === timestamp) {
+        // Duplicate Logoff for the session just closed
+        continue;
+      } else {
+        sessions.push({ loginTimestamp: null, logoffTimestamp: timestamp, missingLogin: true });
+      }
+    }
+
+    if (open) {
+      sessions.push({ loginTimestamp: open.loginTimestamp, logoffTimestamp: null, open: true });
+    }
+
+    const formatted = sessions.map(session => {
+      const end = session.logoffTimestamp ?? closeAt;
+      const duration = session.loginTimestamp != null ? Math.max(0, end - session.loginTimestamp) : null;
+      return {
+        loginTimestamp: session.loginTimestamp,
+        loginTime: session.loginTimestamp != null ? formatTimestamp(session.loginTimestamp, timeZone) : null,
+        logoffTimestamp: session.logoffTimestamp,
+        logoffTime: session.logoffTimestamp != null ? formatTimestamp(session.logoffTimestamp, timeZone) : null,
+        duration,
+        open: Boolean(session.open),
+        missingLogin: Boolean(session.missingLogin)
+      };
+    });
+
+    results.push({
+      user_id: agent.user_id,
+      username: agent.username,
+      ext: agent.ext,
+      sessions: formatted,
+      sessionCount: formatted.length,
+      totalLoggedInSeconds: formatted.reduce((sum, s) => sum + (s.duration || 0), 0),
+      hasOpenSession: formatted.some(s => s.open)
+    });
+  });
+
+  log.debug('reconstructed sessions', {
+    events: events.length,
+    agents: results.length,
+    openSessions: results.filter(agent => agent.hasOpenSession).length
+  });
+
   return results;
 }
 
 /**
- * Fetch agent activity events, automatically traversing pages until completion.
- * @param {string} acct                         – tenant / account id.
+ * First login / last logoff per agent per business day. Each session is
+ * assigned whole to the business day its login falls in (see anchoredSessions),
+ * so with a cutoff before the end of the night shift, a 22:00–06:00 shift is
+ * one row.
+ * @param {object[]} events - Array of all raw events, reaching a shift length past the range
+ * @param {object} opts
+ * @param {{start: number, end: number}} opts.range - report period (unix timestamps)
+ * @param {number} [opts.dayCutoff] - business-day cutoff, minutes after midnight
+ * @param {number} [opts.rangeEnd]  - unix timestamp closing open sessions
+ * @param {string} [opts.timeZone]  - IANA zone of the business days and formatted times
+ * @returns {object[]} - one row per agent and day, ordered by day then agent
+ */
+export function getDailyLoginLogoff(events, { range, dayCutoff = 0, rangeEnd, timeZone = resolveTimeZone() }) {
+  const rows = [];
+
+  for (const agent of getAgentSessions(events, { rangeEnd, timeZone })) {
+    const days = new Map();
+    for (const session of anchoredSessions(agent.sessions, range)) {
+      const date = formatIsoDate((session.loginTimestamp ?? session.logoffTimestamp) * 1000, timeZone, dayCutoff);
+      if (!days.has(date)) days.set(date, []);
+      days.get(date).push(session);
+    }
+
+    days.forEach((sessions, date) => {
+      const logins = sessions.filter(s => s.loginTimestamp != null);
+      const logoffs = sessions.filter(s => s.logoffTimestamp != null);
+      const firstLogin = logins.length ? logins.reduce((a, b) => (b.loginTimestamp < a.loginTimestamp ? b : a)) : null;
+      const lastLogoff = logoffs.length ? logoffs.reduce((a, b) => (b.logoffTimestamp > a.logoffTimestamp ? b : a)) : null;
+      rows.push({
+        date,
+        user_id: agent.user_id,
+        username: agent.username,
+        ext: agent.ext,
+        firstLoginTime: firstLogin?.loginTime ?? null,
+        firstLoginTimestamp: firstLogin?.loginTimestamp ?? null,
+        lastLogoffTime: lastLogoff?.logoffTime ?? null,
+        lastLogoffTimestamp: lastLogoff?.logoffTimestamp ?? null,
+        sessionCount: sessions.length,
+        loggedInSeconds: sessions.reduce((sum, s) => sum + (s.duration || 0), 0),
+        hasOpenSession: sessions.some(s => s.open)
+      });
+    });
+  }
+
+  log.debug('grouped sessions by business day', { events: events.length, rows: rows.length, dayCutoff });
+
+  return rows.sort((a, b) => a.date.localeCompare(b.date) || (a.username || '').localeCompare(b.username || ''));
+}
+
+const FETCH_LIMIT_DEFAULTS = { window: 6 * 60 * 60, concurrency: 3, maxPages: 50, maxRecords: 500000 };
+const invalidLimits = new Set(); // `${name}=${value}` already warned about
+
+/**
+ * One fetch limit from the environment: at least 1, or the default (with a
+ * warning, once per value) when the value does not parse to a number.
+ * @param {string} name       - env var
+ * @param {number} fallback
+ * @param {(raw: string) => number} parse
+ * @returns {number}
+ */
+function readLimit(name, fallback, parse) {
+  const raw = process.env[name];
+  if (raw == null || raw.trim() === '') return fallback;
+  const value = parse(raw.trim());
+  if (Number.isFinite(value)) return Math.max(1, Math.floor(value));
+  if (!invalidLimits.has(`${name}=${raw}`)) {
+    invalidLimits.add(`${name}=${raw}`);
+    log.warn('invalid event fetch limit; using the default', { name, value: raw, default: fallback });
+  }
+  return fallback;
+}
+
+/**
+ * Limits for fetchAgentEvents, read at call time.
+ *   EVENTS_WINDOW       – ranges longer than this are fetched in windows (default 6h)
+ *   EVENTS_CONCURRENCY  – windows fetched at once (default 3)
+ *   EVENTS_MAX_PAGES    – pages followed per window (default 50)
+ *   EVENTS_MAX_RECORDS  – records kept per call (default 500000); no new
+ *                         page or window is fetched once this many arrived,
+ *                         and the event store returns no more than this
+ * @returns {{window: number, concurrency: number, maxPages: number, maxRecords: number}}
+ */
+export function eventFetchLimits() {
+  const integer = raw => (/^\d+$/.test(raw) ? Number(raw) : NaN);
+  return {
+    window: readLimit('EVENTS_WINDOW', FETCH_LIMIT_DEFAULTS.window, raw => ms(raw) / 1000),
+    concurrency: readLimit('EVENTS_CONCURRENCY', FETCH_LIMIT_DEFAULTS.concurrency, integer),
+    maxPages: readLimit('EVENTS_MAX_PAGES', FETCH_LIMIT_DEFAULTS.maxPages, integer),
+    maxRecords: readLimit('EVENTS_MAX_RECORDS', FETCH_LIMIT_DEFAULTS.maxRecords, integer)
+  };
+}
+
+/**
+ * Split [startDate, endDate] into windows of at most `size` seconds. Each
+ * window starts on the second the previous one ends, so an event on a
+ * boundary is fetched whether the upstream treats `endDate` as inclusive or
+ * not; the merge drops the copy fetched twice.
+ * @returns {number[][]} - [from, to] pairs
+ */
+function splitRange(startDate, endDate, size) {
+  if (endDate <= startDate) return [[startDate, endDate]];
+  const windows = [];
+  for (let from = startDate; ; from += size) {
+    const to = Math.min(from + size, endDate);
+    windows.push([from, to]);
+    if (to >= endDate) return windows;
+  }
+}
+
+/**
+ * Identity of an event, matching the event store's primary key. Windows
+ * share their boundary second (splitRange()), so merged results are
+ * de-duplicated on it.
+ */
+export function eventKey(e) {
+  return [e.user_id, e.ext, e.Timestamp, e.event, e.state, e.enabled].join('|');
+}
+
+/**
+ * Flag a result array as incomplete because a fetch limit was hit. The flag
+ * is a plain property, so callers that just iterate the rows are unaffected.
+ * @param {object[]} rows
+ * @param {boolean} truncated
+ * @returns {object[]} - the same array
+ */
+export function markTruncated(rows, truncated) {
+  if (truncated) rows.truncated = true;
+  return rows;
+}
+
+/**
+ * Fetch agent activity events. Long ranges are split into windows that are
+ * fetched a few at a time and each followed page by page; the merged events
+ * are de-duplicated. When a page or record limit cuts data off, the returned
+ * array has `truncated: true` instead of silently missing events.
+ * @param {string} acct                         – tenant id from the registry.
  * @param {object} opts                         – query options.
  * @param {number} opts.startDate               – unix timestamp start of range.
  * @param {number} opts.endDate                 – unix timestamp end of range.
  * @param {string} [opts.timeRange]             – time range in format like 1d, 1w, 1h, etc.
+ *                                                (sent as is, so the range is not windowed).
  * @param {number} [opts.pageSize]              – number of records per page.
- * @param {string} [opts.startKey]              – start key for pagination.
+ * @param {string} [opts.startKey]              – start key for pagination (not windowed either).
  * @param {boolean} [opts.filterResults=true]   – whether to filter results or return raw events.
- * @returns {Promise<object[]>}                 – concatenated rows.
+ * @param {string} [opts.timeZone]              – IANA zone for formatted times in filtered results
+ *                                                (defaults to the tenant's zone).
+ * @returns {Promise<object[]>}                 – events sorted by Timestamp.
  */
 export async function fetchAgentEvents(
   acct,
-  { startDate, endDate, timeRange, pageSize = 1000, startKey, filterResults = true }
+  { startDate, endDate, timeRange, pageSize = 1000, startKey, filterResults = true, timeZone }
 ) {
-  const token = await getUCToken(acct);
-  
+  // The UC events server authenticates against the tenant's login domain; the
+  // token is cached/refreshed by tokenService and renewed automatically on a 401.
+  const tenant = getTenant(acct);
+  await getPortalToken(tenant.id); // fail fast on bad credentials before probing endpoints
+  const limits = eventFetchLimits();
+
   const headers = {
-    'Authorization': `Bearer ${token}`,
     'Accept': 'application/json',
-    'X-Account-ID': process.env.ACCOUNT_ID_HEADER || acct,
+    'X-Account-ID': tenant.accountIdHeader,
     'X-User-Agent': 'portal'
   };
 
-  const params = {
-    startDate: String(startDate),
-    endDate: String(endDate)
+  // Perform one GET against a specific URL with retries (exp backoff); throws the last error
+  const requestPage = async (baseUrl, endpoint, params) => {
+    const fullUrl = `${baseUrl}${endpoint}`;
+    for (let i = 0, delay = 1000; i < MAX_RETRIES; i++, delay *= 2) {
+      try {
+        const res = await withAuthRetry(tenant.id, token => axios.get(fullUrl, {
+          params,
+          headers: { ...headers, Authorization: `Bearer ${token}` },
+          timeout: 30000,
+          httpsAgent
+        }));
+        log.debug('events page fetched', { url: fullUrl, status: res.status });
+        return res;
+      } catch (err) {
+        log.debug('events request failed', { url: fullUrl, attempt: i + 1, status: err.response?.status, error: err.message });
+        if (i === MAX_RETRIES - 1) throw err;
+        await new Promise(r => setTimeout(r, delay));
+      }
+    }
+  };
+
+  // Use the endpoint remembered for this tenant; probe every combination only
+  // when nothing is remembered or the remembered one stops working
+  const fetchPage = async params => {
+    const known = getDiscoveredEndpoint(acct);
+    if (known) {
+      try {
+        return await requestPage(known.baseUrl, known.endpoint, params);
+      } catch (err) {
+        log.warn('remembered events endpoint failed; re-discovering', {
+          tenant: acct,
+          url: `${known.baseUrl}${known.endpoint}`,
+          status: err.response?.status,
+          error: err.message
+        });
+        resetDiscoveredEndpoints(acct);
+      }
+    }
+
+    // Try both tenant subdomain and base server URLs
+    for (const baseUrl of getEventsBaseUrls(tenant)) {
+      for (const endpoint of EVENTS_ENDPOINTS) {
+        try {
+          const res = await requestPage(baseUrl, endpoint, params);
+          rememberEndpoint(acct, baseUrl, endpoint);
+          return res;
+        } catch {
+          // try the next combination
+        }
+      }
+    }
+    throw new Error('All endpoint paths failed - no working agent events API found on tenant server');
   };
 
-  // Add potential parameters that might be needed for all agents
-  if (timeRange) params.timeRange = timeRange;
-  if (pageSize) params.pageSize = pageSize;
-  if (startKey) params.startKey = startKey;
-  
-  console.log(`🔍 API Parameters being sent:`, JSON.stringify(params, null, 2));
+  // Records received so far across every window, against the record limit
+  let received = 0;
 
-  const allRecords = [];
-  let currentStartKey = startKey;
+  // Follow the pages of one window up to the page or record limit
+  const fetchWindow = async (from, to) => {
+    const params = { startDate: String(from), endDate: String(to) };
+    if (timeRange) params.timeRange = timeRange;
+    if (pageSize) params.pageSize = pageSize;
+    let currentStartKey = startKey;
+    const records = [];
 
-  // Try both tenant subdomain and base server URLs
-  const possibleBaseUrls = [
-    `https://${acct}.ucdemo.voicemeetme.com:9443`, // tenant subdomain
-    `https://ucdemo.voicemeetme.com:9443` // base server
-  ];
-  
-  // Try multiple possible endpoint paths
-  const possibleEndpoints = [
-    '/api/v2/reports/callcenter/agents/activity/events',
-    '/api/v2/callcenter/agents/activity/events', 
-    '/ucp/v2/callcenter/agents/activity/events',
-    '/api/v2/reports/callcenter/agents/events',
-    '/api/v2/callcenter/agents/events',
-    '/api/v2/agents/activity/events',
-    '/api/v2/agents/events',
-    '/api/callcenter/agents/activity/events',
-    '/api/callcenter/agents/events'
-  ];
-
-  let response;
-  let successfulEndpoint = null;
-  let successfulBaseUrl = null;
-
-  do {
-    if (currentStartKey) {
-      params.startKey = currentStartKey;
-    }
+    for (let page = 1; ; page++) {
+      if (currentStartKey) params.startKey = currentStartKey;
 
-    // Try each base URL and endpoint combination until we find one that works
-    for (const baseUrl of possibleBaseUrls) {
-      console.log(`\n🌐 Trying base URL: ${baseUrl}`);
-      
-      for (const endpoint of possibleEndpoints) {
-        console.log(`\n🔍 Trying endpoint: ${endpoint}`);
-        
-        for (let i = 0, delay = 1000; i < MAX_RETRIES; i++, delay *= 2) {
-          try {
-            const fullUrl = `${baseUrl}${endpoint}`;
-            console.log(`🔍 Attempting API call to: ${fullUrl}`);
-            console.log(`📋 Query params:`, params);
-            console.log(`🔑 Headers:`, headers);
-            
-            response = await axios.get(fullUrl, { params, headers, timeout: 30000, httpsAgent });
-            console.log(`✅ API call succeeded with status: ${response.status}`);
-            successfulEndpoint = endpoint;
-            successfulBaseUrl = baseUrl;
-            break;
-          } catch (err) {
-            console.error(`❌ Attempt ${i + 1} failed:`, {
-              status: err.response?.status,
-              statusText: err.response?.statusText,
-              url: err.config?.url,
-              method: err.config?.method,
-              responseData: err.response?.data
-            });
-            if (i === MAX_RETRIES - 1) {
-              console.log(`❌ All attempts failed for ${baseUrl}${endpoint}`);
-            } else {
-              await new Promise(r => setTimeout(r, delay));
-            }
-          }
-        }
-        
-        if (successfulEndpoint && successfulBaseUrl) {
-          console.log(`🎉 Found working combination: ${successfulBaseUrl}${successfulEndpoint}`);
-          break;
-        }
+      const response = await fetchPage(params);
+      const { data } = response;
+
+      if (Array.isArray(data)) {
+        records.push(...data);
+        received += data.length;
+        log.debug('events page received', { from, to, page, records: data.length, total: records.length });
+      } else {
+        log.warn('events response is not an array', { tenant: acct, type: typeof data });
       }
-      
-      if (successfulEndpoint && successfulBaseUrl) {
-        break;
+
+      // Check if there's more data (try multiple pagination indicators)
+      currentStartKey = response.headers['x-next-start-key'] ||
+                       response.headers['x-next-page-token'] ||
+                       response.data?.nextPageToken ||
+                       response.data?.pagination?.nextKey ||
+                       null;
+
+      // Done when there is no next page or we got less than pageSize records
+      if (!currentStartKey || (Array.isArray(data) && data.length < pageSize)) {
+        return { records, truncated: false };
+      }
+      if (page >= limits.maxPages) {
+        log.warn('events page limit reached', { tenant: acct, from, to, pages: page, maxPages: limits.maxPages });
+        return { records, truncated: true };
+      }
+      if (received >= limits.maxRecords) {
+        log.warn('events record limit reached', { tenant: acct, from, to, records: received, maxRecords: limits.maxRecords });
+        return { records, truncated: true };
       }
     }
-    
-    if (!successfulEndpoint || !successfulBaseUrl) {
-      throw new Error('All endpoint paths failed - no working agent events API found on tenant server');
-    }
+  };
 
-    const { data } = response;
-    
-    // Add comprehensive debugging
-    console.log(`\n🔍 DEBUGGING API RESPONSE:`);
-    console.log(`📊 Response status: ${response.status}`);
-    console.log(`📋 Response headers:`, JSON.stringify(response.headers, null, 2));
-    console.log(`📦 Raw response data type:`, typeof data);
-    console.log(`📦 Raw response data:`, JSON.stringify(data, null, 2));
-    
-    if (Array.isArray(data)) {
-      allRecords.push(...data);
-      console.log(`📊 Fetched ${data.length} records (total so far: ${allRecords.length})`);
-      
-      // Debug: Show unique agents in this batch
-      const agentsInBatch = new Set();
-      const eventTypesInBatch = new Set();
-      data.forEach(event => {
-        if (event && event.username) {
-          agentsInBatch.add(`${event.username} (${event.ext})`);
-        }
-        if (event && event.event) {
-          eventTypesInBatch.add(event.event);
-        }
-      });
-      console.log(`👥 Unique agents in this batch:`, Array.from(agentsInBatch));
-      console.log(`🎯 Event types in this batch:`, Array.from(eventTypesInBatch));
-      
-      // Debug: Show sample events for each unique agent
-      const samplesByAgent = new Map();
-      data.forEach(event => {
-        if (event && event.username && !samplesByAgent.has(event.username)) {
-          samplesByAgent.set(event.username, {
-            username: event.username,
-            ext: event.ext,
-            event: event.event,
-            state: event.state,
-            enabled: event.enabled,
-            timestamp: event.Timestamp
-          });
-        }
-      });
-      console.log(`📋 Sample event for each agent:`, Object.fromEntries(samplesByAgent));
-      
-      // Debug: Analyze event structure for timestamp fields
-      if (data.length > 0) {
-        console.log(`\n🔍 EVENT STRUCTURE ANALYSIS:`);
-        const firstEvent = data[0];
-        console.log(`📋 All fields in first event:`, Object.keys(firstEvent));
-        console.log(`📋 First event sample:`, JSON.stringify(firstEvent, null, 2));
-        
-        console.log(`\n⏰ TIMESTAMP FIELD ANALYSIS:`);
-        console.log(`timestamp:`, firstEvent.timestamp);
-        console.log(`time:`, firstEvent.time);
-        console.log(`created_at:`, firstEvent.created_at);
-        console.log(`event_time:`, firstEvent.event_time);
-        console.log(`date:`, firstEvent.date);
-        console.log(`created:`, firstEvent.created);
-        console.log(`updated:`, firstEvent.updated);
-        console.log(`event_date:`, firstEvent.event_date);
-      }
-    } else {
-      console.log(`❌ Data is not an array:`, data);
+  const windows = timeRange || startKey ? [[startDate, endDate]] : splitRange(startDate, endDate, limits.window);
+  log.debug('fetching agent events', { tenant: acct, startDate, endDate, timeRange, pageSize, windows: windows.length });
+
+  // The first window runs alone so endpoint discovery happens once, then the
+  // rest run with bounded concurrency. No window starts once the record limit
+  // is reached, so memory stays bounded by it (plus the pages in flight).
+  const results = new Array(windows.length);
+  results[0] = await fetchWindow(...windows[0]);
+  let next = 1;
+  const worker = async () => {
+    while (next < windows.length && received < limits.maxRecords) {
+      const index = next++;
+      results[index] = await fetchWindow(...windows[index]);
     }
+  };
+  await Promise.all(Array.from({ length: Math.min(limits.concurrency, windows.length - 1) }, worker));
+  const skipped = windows.length - next;
+  if (skipped) log.warn('events record limit reached; windows skipped', { tenant: acct, skipped, maxRecords: limits.maxRecords });
 
-    // Check if there's more data (try multiple pagination indicators)
-    currentStartKey = response.headers['x-next-start-key'] || 
-                     response.headers['x-next-page-token'] ||
-                     response.data?.nextPageToken ||
-                     response.data?.pagination?.nextKey ||
-                     null;
-    
-    // Break if no more pages or if we got less than pageSize records
-    // Also break if we've fetched a reasonable maximum to prevent infinite loops
-    if (!currentStartKey || 
-        (Array.isArray(data) && data.length < pageSize) ||
-        allRecords.length >= 10000) {
-      console.log(`🏁 Pagination complete. Total records: ${allRecords.length}`);
-      break;
+  const seen = new Set();
+  let allRecords = [];
+  for (const result of results.filter(Boolean)) {
+    for (const record of result.records) {
+      const key = eventKey(record);
+      if (seen.has(key)) continue;
+      seen.add(key);
+      allRecords.push(record);
     }
-    
-    console.log(`🔄 More pages available, continuing with startKey: ${currentStartKey}`);
-  } while (currentStartKey);
+  }
+  allRecords.sort((a, b) => (a.Timestamp ?? 0) - (b.Timestamp ?? 0));
+
+  let truncated = skipped > 0 || results.some(r => r?.truncated);
+  if (allRecords.length > limits.maxRecords) {
+    log.warn('events record limit reached', { tenant: acct, records: allRecords.length, maxRecords: limits.maxRecords });
+    allRecords = allRecords.slice(0, limits.maxRecords);
+    truncated = true;
+  }
+
+  log.info('agent events fetched', { tenant: acct, records: allRecords.length, windows: windows.length, truncated });
 
   if (filterResults) {
-    return getAvailableStateTimestamps(allRecords);
+    return markTruncated(getAvailableStateTimestamps(allRecords, resolveTimeZone(timeZone || tenant.timeZone)), truncated);
   } else {
-    return allRecords;
+    return markTruncated(allRecords, truncated);
   }
 }
 
@@ -1,20 +1,25 @@
 // agentStatus.js
 // Fetch Agents Status & Activity report for a tenant and output to
-// stdout (table) or write to a file (CSV or JSON).
+// stdout (table) or write to a file (CSV, JSON, NDJSON or XLSX, in the
+// dashboard's column layout – see reportExport.js).
 //
 // Usage examples:
-//   node -r dotenv/config agentStatus.js mc_int 2025-07-02T08:00:00Z 2025-07-02T12:00:00Z
-//   node -r dotenv/config agentStatus.js mc_int 2025-07-02T08:00:00Z 2025-07-02T12:00:00Z report.csv
+//   node -r dotenv/config agentStatus.js mcint 2025-07-02T08:00:00Z 2025-07-02T12:00:00Z
+//   node -r dotenv/config agentStatus.js mcint 2025-07-02T08:00:00Z 2025-07-02T12:00:00Z report.csv
 //
 // The script automatically handles pagination, retries (exp backoff),
 // and self-signed certificates (inherits httpsAgent from tokenService).
 
 import axios from 'axios';
-import fs from 'fs';
-import path from 'path';
-import { getPortalToken, httpsAgent } from './tokenService.js';
+import { withAuthRetry, httpsAgent } from './tokenService.js';
+import { formatTimestamp } from './timeZone.js';
+import { createLogger } from './logger.js';
+import { getTenant } from './tenants.js';
+import { computeKpis, summarizeAgents } from './public/agentKpis.js';
+import { secondsToHMS } from './public/reportColumns.js';
 
 const MAX_RETRIES = 3;
+const log = createLogger({ module: 'agentStatus' });
 
 /**
  * Convert an array of plain objects to a CSV string.
@@ -37,29 +42,13 @@ function toCsv(records, delimiter = ',') {
   return [header, ...rows].join('\n');
 }
 
-/**
- * Convert Unix timestamp to dd/mm/yyyy, hh:mm:ss format
- * @param {number} timestamp - Unix timestamp in seconds
- * @returns {string} - Formatted date string
- */
-function formatTimestamp(timestamp) {
-  const date = new Date(timestamp * 1000); // Convert to milliseconds
-  const day = String(date.getDate()).padStart(2, '0');
-  const month = String(date.getMonth() + 1).padStart(2, '0');
-  const year = date.getFullYear();
-  const hours = String(date.getHours()).padStart(2, '0');
-  const minutes = String(date.getMinutes()).padStart(2, '0');
-  const seconds = String(date.getSeconds()).padStart(2, '0');
-  
-  return `${day}/${month}/${year}, ${hours}:${minutes}:${seconds}`;
-}
-
 /**
  * Format agent events data into a properly aligned table
  * @param {object} responseData - The API response containing agent events
+ * @param {string} [timeZone] - IANA zone for the Timestamp column
  * @returns {string} - Formatted table string
  */
-function formatAgentEventsTable(responseData) {
+function formatAgentEventsTable(responseData, timeZone) {
   if (!responseData || !responseData.data || !Array.isArray(responseData.data)) {
     return 'No data available';
   }
@@ -99,7 +88,7 @@ function formatAgentEventsTable(responseData) {
 
   // Create data rows
   const dataRows = data.map(row => {
-    const formattedTimestamp = formatTimestamp(row.Timestamp);
+    const formattedTimestamp = formatTimestamp(row.Timestamp, timeZone);
     const enabledValue = String(row.enabled); // Convert boolean to string explicitly
     return `| ${pad(row.event, columnWidths.event)} | ${pad(enabledValue, columnWidths.enabled)} | ${pad(row.user_id, columnWidths.user_id)} | ${pad(row.ext, columnWidths.ext)} | ${pad(row.username, columnWidths.username)} | ${pad(row.state, columnWidths.state)} | ${pad(formattedTimestamp, columnWidths.timestamp)} |`;
   });
@@ -111,15 +100,17 @@ function formatAgentEventsTable(responseData) {
 /**
  * Display agent events data in a formatted table
  * @param {object} responseData - The API response containing agent events
+ * @param {string} [timeZone] - IANA zone for the Timestamp column
  */
-function displayAgentEventsTable(responseData) {
+function displayAgentEventsTable(responseData, timeZone) {
   console.log('\n=== Agent Events Report ===');
-  console.log(formatAgentEventsTable(responseData));
+  console.log(formatAgentEventsTable(responseData, timeZone));
   console.log(`\nTotal Events: ${responseData?.data?.length || 0}`);
 }
 
 /**
- * Format agent status data into a properly aligned table
+ * Format agent status data into a properly aligned table, with KPIs per agent
+ * and a totals/averages row at the bottom
  * @param {object} responseData - The API response containing agent status data
  * @returns {string} - Formatted table string
  */
@@ -128,50 +119,44 @@ function formatAgentStatusTable(responseData) {
     return 'No data available';
   }
 
-  const data = responseData.data;
-  
-  // Define column headers for agent status
-  const headers = {
-    extension: 'Ext',
-    name: 'Name',
-    total_calls: 'Calls',
-    answered_calls: 'Answered',
-    talked_time: 'Talk Time',
-    idle_time: 'Idle Time',
-    wrap_up_time: 'Wrap Time',
-    hold_time: 'Hold Time',
-    not_available_time: 'Not Avail'
-  };
-
-  // Calculate column widths based on content
-  const columnWidths = {
-    extension: Math.max(headers.extension.length, Math.max(...data.map(row => String(row.extension || '').length))),
-    name: Math.max(headers.name.length, Math.max(...data.map(row => String(row.name || '').length))),
-    total_calls: Math.max(headers.total_calls.length, Math.max(...data.map(row => String(row.total_calls || 0).length))),
-    answered_calls: Math.max(headers.answered_calls.length, Math.max(...data.map(row => String(row.answered_calls || 0).length))),
-    talked_time: Math.max(headers.talked_time.length, Math.max(...data.map(row => String(row.talked_time || 0).length))),
-    idle_time: Math.max(headers.idle_time.length, Math.max(...data.map(row => String(row.idle_time || 0).length))),
-    wrap_up_time: Math.max(headers.wrap_up_time.length, Math.max(...data.map(row => String(row.wrap_up_time || 0).length))),
-    hold_time: Math.max(headers.hold_time.length, Math.max(...data.map(row => String(row.hold_time || 0).length))),
-    not_available_time: Math.max(headers.not_available_time.length, Math.max(...data.map(row => String(row.not_available_time || 0).length)))
-  };
+  const data = responseData.data.map(row => ({ ...row, ...computeKpis(row) }));
+  const totals = summarizeAgents(data);
+  const percent = value => (value == null ? '-' : `${value.toFixed(1)}%`);
+  const duration = value => (value == null ? '-' : secondsToHMS(value));
+
+  // Column headers and cell formatters for agent status
+  const columns = [
+    { key: 'extension', header: 'Ext' },
+    { key: 'name', header: 'Name' },
+    { key: 'total_calls', header: 'Calls' },
+    { key: 'answered_calls', header: 'Answered' },
+    { key: 'talked_time', header: 'Talk Time' },
+    { key: 'idle_time', header: 'Idle Time' },
+    { key: 'wrap_up_time', header: 'Wrap Time' },
+    { key: 'hold_time', header: 'Hold Time' },
+    { key: 'not_available_time', header: 'Not Avail' },
+    { key: 'answer_rate', header: 'Answer %', format: percent },
+    { key: 'avg_handle_time', header: 'AHT', format: duration },
+    { key: 'avg_wrap_time', header: 'Avg Wrap', format: duration },
+    { key: 'occupancy', header: 'Occupancy', format: percent },
+    { key: 'utilization', header: 'Utilization', format: percent }
+  ];
+  const cell = (row, column) => (column.format ? column.format(row[column.key]) : String(row[column.key] ?? ''));
+
+  // Calculate column widths based on content, totals row included
+  const widths = columns.map(column => Math.max(column.header.length, ...[...data, totals].map(row => cell(row, column).length)));
 
   // Helper function to pad strings
   const pad = (str, width) => String(str || '').padEnd(width);
+  const line = cells => `| ${cells.map((value, i) => pad(value, widths[i])).join(' | ')} |`;
 
-  // Create table header
-  const headerRow = `| ${pad(headers.extension, columnWidths.extension)} | ${pad(headers.name, columnWidths.name)} | ${pad(headers.total_calls, columnWidths.total_calls)} | ${pad(headers.answered_calls, columnWidths.answered_calls)} | ${pad(headers.talked_time, columnWidths.talked_time)} | ${pad(headers.idle_time, columnWidths.idle_time)} | ${pad(headers.wrap_up_time, columnWidths.wrap_up_time)} | ${pad(headers.hold_time, columnWidths.hold_time)} | ${pad(headers.not_available_time, columnWidths.not_available_time)} |`;
-  
-  // Create separator row
-  const separatorRow = `|${'-'.repeat(columnWidths.extension + 2)}|${'-'.repeat(columnWidths.name + 2)}|${'-'.repeat(columnWidths.total_calls + 2)}|${'-'.repeat(columnWidths.answered_calls + 2)}|${'-'.repeat(columnWidths.talked_time + 2)}|${'-'.repeat(columnWidths.idle_time + 2)}|${'-'.repeat(columnWidths.wrap_up_time + 2)}|${'-'.repeat(columnWidths.hold_time + 2)}|${'-'.repeat(columnWidths.not_available_time + 2)}|`;
-
-  // Create data rows
-  const dataRows = data.map(row => {
-    return `| ${pad(row.extension, columnWidths.extension)} | ${pad(row.name, columnWidths.name)} | ${pad(row.total_calls, columnWidths.total_calls)} | ${pad(row.answered_calls, columnWidths.answered_calls)} | ${pad(row.talked_time, columnWidths.talked_time)} | ${pad(row.idle_time, columnWidths.idle_time)} | ${pad(row.wrap_up_time, columnWidths.wrap_up_time)} | ${pad(row.hold_time, columnWidths.hold_time)} | ${pad(row.not_available_time, columnWidths.not_available_time)} |`;
-  });
+  const headerRow = line(columns.map(column => column.header));
+  const separatorRow = `|${widths.map(width => '-'.repeat(width + 2)).join('|')}|`;
+  const dataRows = data.map(row => line(columns.map(column => cell(row, column))));
+  const totalsRow = line(columns.map(column => cell(totals, column)));
 
   // Combine all parts
-  return [headerRow, separatorRow, ...dataRows].join('\n');
+  return [headerRow, separatorRow, ...dataRows, separatorRow, totalsRow].join('\n');
 }
 
 /**
@@ -186,7 +171,7 @@ function displayAgentStatusTable(responseData) {
 
 /**
  * Fetch the report, automatically traversing pages until completion.
- * @param {string} acct                         – tenant / account id.
+ * @param {string} acct                         – tenant id from the registry.
  * @param {object} opts                         – query options.
  * @param {number} opts.startDate               – unix ms start of range.
  * @param {number} opts.endDate                 – unix ms end of range.
@@ -198,8 +183,9 @@ export async function fetchAgentStatus(
   acct,
   { startDate, endDate, name, extension } = {}
 ) {
+  const tenant = getTenant(acct);
   // Use env-configurable endpoint; fall back to the common REST path.
-  const url = `${process.env.BASE_URL}${process.env.AGENT_STATUS_ENDPOINT || '/api/v2/reports/callcenter/agents/stats'}`;
+  const url = `${tenant.baseUrl}${process.env.AGENT_STATUS_ENDPOINT || '/api/v2/reports/callcenter/agents/stats'}`;
   const records = [];
   let startKey;
 
@@ -214,23 +200,18 @@ export async function fetchAgentStatus(
           ...(startKey && { start_key: startKey })
         };
 
-        // Obtain JWT once and log the first 40 chars for debugging
-        const token = await getPortalToken(acct);
-        console.log('REQ', url, params, {
-          'X-Account-ID': process.env.ACCOUNT_ID_HEADER ?? acct,
-          'X-User-Agent': 'portal',
-          Authorization: `Bearer ${token ? token.slice(0,40) + '…' : 'undefined'}`
-        });
+        log.debug('fetching agent stats page', { tenant: acct, url, params });
 
-        const { data } = await axios.get(url, {
+        // Re-authenticates and retries this page only when the token is rejected (401)
+        const { data } = await withAuthRetry(tenant.id, token => axios.get(url, {
           params,
           headers: {
-            'X-Account-ID': process.env.ACCOUNT_ID_HEADER ?? acct,
+            'X-Account-ID': tenant.accountIdHeader,
             'X-User-Agent': 'portal',
             Authorization: `Bearer ${token}`
           },
           httpsAgent
-        });
+        }));
 
         let chunk;
         const ensureExt = r => ({
@@ -245,7 +226,7 @@ export async function fetchAgentStatus(
           // Preserve the key (extension) by merging it into each record
           chunk = Object.entries(data).map(([ext, info]) => ensureExt({ extension: ext, ...info }));
         } else {
-          console.error('Unexpected API payload; dumping full response:', JSON.stringify(data, null, 2));
+          log.error('unexpected agent stats payload', { tenant: acct, type: typeof data });
           throw new Error('Unrecognised API response format');
         }
         records.push(...chunk);
@@ -255,7 +236,7 @@ export async function fetchAgentStatus(
       break retry; // success
     } catch (err) {
       if (attempt === MAX_RETRIES - 1) throw err;
-      console.warn(`Request failed (${err.message}); retrying in ${delay}ms…`);
+      log.warn('agent stats request failed; retrying', { tenant: acct, status: err.response?.status, error: err.message, delayMs: delay });
       await new Promise(r => setTimeout(r, delay));
     }
   }
@@ -308,7 +289,7 @@ function testAgentEventsFormatting() {
 async function cli() {
   const [,, acct, startIso, endIso, outputFile] = process.argv;
   if (!acct || !startIso || !endIso) {
-    console.error(`Usage: node -r dotenv/config agentStatus.js <accountId> <startISO> <endISO> [outputFile.{csv|json}]`);
+    console.error(`Usage: node -r dotenv/config agentStatus.js <accountId> <startISO> <endISO> [outputFile.{csv|json|ndjson|xlsx}]`);
     process.exit(1);
   }
 
@@ -319,17 +300,13 @@ async function cli() {
     process.exit(1);
   }
 
-  const data = await fetchAgentStatus(acct, { startDate, endDate });
-
   if (outputFile) {
-    await fs.promises.mkdir(path.dirname(outputFile), { recursive: true });
-    if (outputFile.endsWith('.csv')) {
-      await fs.promises.writeFile(outputFile, toCsv(data));
-    } else {
-      await fs.promises.writeFile(outputFile, JSON.stringify(data, null, 2));
-    }
-    console.log(`Saved ${data.length} records to ${outputFile}`);
+    // Files go through the shared exporter so they match the dashboard downloads
+    const { writeReportFile } = await import('./reportExport.js');
+    const count = await writeReportFile('agents', acct, { startDate, endDate }, outputFile);
+    console.log(`Saved ${count} records to ${outputFile}`);
   } else {
+    const data = await fetchAgentStatus(acct, { startDate, endDate });
     // Display formatted table instead of console.table
     displayAgentStatusTable({ data });
   }
@@ -0,0 +1,140 @@
+// agentTimeline.js
+// Turn raw agent activity events into continuous state intervals per agent
+// (Login, available, each custom not-available state, Logoff) so the UI can
+// draw one Gantt row per agent.
+//
+// Usage examples:
+//   node -r dotenv/config agentTimeline.js mcint 1753251240 1753258440
+
+import { fetchAgentEvents } from './agentEvents.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger({ module: 'agentTimeline' });
+
+/**
+ * Classify a state name into the category used for colouring the timeline.
+ * @param {string} state - state name as reported by the PBX
+ * @returns {'login'|'available'|'logoff'|'not_available'}
+ */
+function categorize(state) {
+  const s = state.toLowerCase();
+  if (s === 'login') return 'login';
+  if (s === 'available') return 'available';
+  if (s === 'logoff') return 'logoff';
+  return 'not_available';
+}
+
+/**
+ * Build continuous state intervals per agent from raw (unfiltered) events.
+ *
+ * An enabled event switches the agent into its `state`. A disabled event for
+ * the not-available state the agent is currently in returns the agent to
+ * `available`. Back-to-back intervals with the same state are merged and every
+ * interval is clipped to the requested range.
+ *
+ * @param {object[]} events               - raw events from fetchAgentEvents(..., { filterResults: false })
+ * @param {object}   opts
+ * @param {number}   opts.rangeStart      - unix timestamp start of range.
+ * @param {number}   opts.rangeEnd        - unix timestamp end of range.
+ * @returns {object[]} - per agent: intervals and seconds spent per state
+ */
+export function getAgentStateIntervals(events, { rangeStart, rangeEnd }) {
+  const agentData = new Map();
+
+  events.forEach(event => {
+    if (!event || !event.user_id || !event.username || !event.ext) return;
+    if (!event.state || typeof event.Timestamp !== 'number') return;
+
+    const agentKey = `${event.user_id}_${event.ext}`;
+    if (!agentData.has(agentKey)) {
+      agentData.set(agentKey, {
+        user_id: event.user_id,
+        username: event.username,
+        ext: event.ext,
+        events: []
+      });
+    }
+    agentData.get(agentKey).events.push(event);
+  });
+
+  const results = [];
+
+  agentData.forEach(agent => {
+    const sorted = agent.events.sort((a, b) => a.Timestamp - b.Timestamp);
+    const intervals = [];
+    let current = null;
+
+    const switchTo = (state, timestamp) => {
+      if (current && current.state === state) return;
+      if (current) intervals.push({ ...current, end: timestamp });
+      current = { state, category: categorize(state), start: timestamp };
+    };
+
+    for (const event of sorted) {
+      if (event.enabled === true) {
+        switchTo(event.state, event.Timestamp);
+      } else if (
+        event.enabled === false &&
+        current &&
+        current.category === 'not_available' &&
+        current.state.toLowerCase() === event.state.toLowerCase()
+      ) {
+        switchTo('available', event.Timestamp);
+      }
+    }
+    if (current) intervals.push({ ...current, end: rangeEnd });
+
+    // Clip to range and drop empty intervals
+    const clipped = intervals
+      .map(i => ({ ...i, start: Math.max(i.start, rangeStart), end: Math.min(i.end, rangeEnd) }))
+      .filter(i => i.end > i.start)
+      .map(i => ({ ...i, duration: i.end - i.start }));
+
+    const totals = {};
+    clipped.forEach(i => {
+      totals[i.state] = (totals[i.state] || 0) + i.duration;
+    });
+
+    results.push({
+      user_id: agent.user_id,
+      username: agent.username,
+      ext: agent.ext,
+      intervals: clipped,
+      totals
+    });
+  });
+
+  log.debug('timeline built', { events: events.length, agents: results.length });
+  return results;
+}
+
+/**
+ * CLI interface for testing
+ */
+async function cli() {
+  const [, , acct, startDate, endDate] = process.argv;
+  if (!acct || !startDate || !endDate) {
+    console.error('Usage: node agentTimeline.js <account> <startDate> <endDate>');
+    process.exit(1);
+  }
+
+  const rangeStart = parseInt(startDate);
+  const rangeEnd = parseInt(endDate);
+  const events = await fetchAgentEvents(acct, { startDate: rangeStart, endDate: rangeEnd, filterResults: false });
+  const timeline = getAgentStateIntervals(events, { rangeStart, rangeEnd });
+
+  timeline.forEach(agent => {
+    console.log(`\n${agent.username} (${agent.ext})`);
+    agent.intervals.forEach(i => {
+      console.log(`  ${new Date(i.start * 1000).toISOString()} → ${new Date(i.end * 1000).toISOString()}  ${i.state} (${i.duration}s)`);
+    });
+  });
+}
+
+// Execute when run directly
+if (import.meta.url === process.argv[1] || import.meta.url === `file://${process.argv[1]}`) {
+  cli().catch(err => {
+    console.error(err.response?.data || err.stack || err.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,236 @@
+// apiKeys.js
+// API keys for scripts and BI tools that call the report routes without a
+// browser session. A request sends the key in the X-API-Key header; auth.js
+// then treats it as a supervisor limited to the key's scope (access.js), so
+// the JSON reports and their CSV / Excel / PDF exports all work.
+//
+// A key can only reach the report routes in ROUTE_SCOPES, never the admin,
+// user or configuration routes. Each key has:
+//   tenants   – tenant ids it may query; empty means every tenant
+//   routes    – ROUTE_SCOPES names it may call; empty means all of them
+//   expiresAt – ISO time after which it stops working, or null
+// Keys are stored in API_KEYS_FILE (default data/api-keys.json) by id with a
+// SHA-256 hash of the secret; the key itself (`uar_<id>.<secret>`) is shown
+// once, when it is created or rotated. Revoked keys stay in the file so the
+// list shows who had access. lastUsedAt is written at most once a minute.
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { normalizeAccess } from './access.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger({ module: 'apiKeys' });
+
+export const API_KEY_HEADER = 'X-API-Key';
+
+// Scope name -> route prefix it covers (the prefix and everything under it)
+export const ROUTE_SCOPES = {
+  agents: '/api/agents',
+  events: '/api/events',
+  sessions: '/api/sessions',
+  timeline: '/api/timeline',
+  adherence: '/api/adherence',
+  live: '/api/live'
+};
+
+const KEY_PATTERN = /^uar_([a-f0-9]{16})\.([A-Za-z0-9_-]{43})$/;
+const LAST_USED_WRITE_MS = 60 * 1000;
+
+let cache = null; // { file, mtimeMs, keys }
+
+function keysFile() {
+  return process.env.API_KEYS_FILE || path.join(process.cwd(), 'data', 'api-keys.json');
+}
+
+/**
+ * Current keys, re-read when the file's mtime changes.
+ * @returns {object} - { [id]: key }
+ */
+function loadKeys() {
+  const file = keysFile();
+  let stat = null;
+  try {
+    stat = fs.statSync(file);
+  } catch {
+    // No file yet: no keys
+  }
+  if (cache && cache.file === file && cache.mtimeMs === (stat?.mtimeMs ?? null)) return cache.keys;
+
+  let keys = {};
+  if (stat) {
+    try {
+      keys = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+      log.error('could not read API keys file; no key will work', { file, error: err.message });
+    }
+  }
+  cache = { file, mtimeMs: stat?.mtimeMs ?? null, keys };
+  return keys;
+}
+
+function saveKeys(keys) {
+  const file = keysFile();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(keys, null, 2), { mode: 0o600 });
+  fs.renameSync(tmp, file);
+  cache = { file, mtimeMs: fs.statSync(file).mtimeMs, keys };
+}
+
+const hashSecret = secret => crypto.createHash('sha256').update(secret).digest('base64');
+
+/**
+ * A new secret for key `id`.
+ * @param {string} id
+ * @returns {{key: string, secretHash: string}}
+ */
+function newSecret(id) {
+  const secret = crypto.randomBytes(32).toString('base64url');
+  return { key: `uar_${id}.${secret}`, secretHash: hashSecret(secret) };
+}
+
+/**
+ * Validate a key's name, scope and expiry.
+ * @param {object} input
+ * @returns {{name: string, tenants: string[], routes: string[], expiresAt: string|null}}
+ * @throws {RangeError} when a field is invalid
+ */
+function normalizeKey({ name, tenants = [], routes = [], expiresAt = null }) {
+  const label = String(name ?? '').trim();
+  if (!label) throw new RangeError('Key name is required');
+  if (!Array.isArray(routes)) throw new RangeError('routes must be a list');
+  const unknown = routes.filter(route => !Object.hasOwn(ROUTE_SCOPES, route));
+  if (unknown.length) throw new RangeError(`Unknown route scope: ${unknown.join(', ')} (expected ${Object.keys(ROUTE_SCOPES).join(', ')})`);
+
+  let expires = null;
+  if (expiresAt != null && expiresAt !== '') {
+    const time = Date.parse(expiresAt);
+    if (Number.isNaN(time)) throw new RangeError(`Invalid expiresAt: ${expiresAt}`);
+    if (time <= Date.now()) throw new RangeError('expiresAt must be in the future');
+    expires = new Date(time).toISOString();
+  }
+  return { name: label, tenants: normalizeAccess({ tenants }).tenants, routes: [...new Set(routes)], expiresAt: expires };
+}
+
+/**
+ * A key as shown to admins, without the secret hash.
+ * @param {object} key
+ * @returns {object}
+ */
+function publicKey({ secretHash, ...key }) {
+  const status = key.revokedAt ? 'revoked' : key.expiresAt && Date.parse(key.expiresAt) <= Date.now() ? 'expired' : 'active';
+  return { ...key, status };
+}
+
+/**
+ * Every key, newest first, without secret hashes.
+ * @returns {object[]}
+ */
+export function listApiKeys() {
+  return Object.values(loadKeys())
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map(publicKey);
+}
+
+/**
+ * One key without its secret hash, or null.
+ * @param {string} id
+ * @returns {object|null}
+ */
+export function getApiKey(id) {
+  const key = loadKeys()[id];
+  return key ? publicKey(key) : null;
+}
+
+/**
+ * Create a key.
+ * @param {{name: string, tenants?: string[], routes?: string[], expiresAt?: string}} input
+ * @param {string} [createdBy] - username of the admin
+ * @returns {object} - the key record plus `key`, the only time the secret is returned
+ * @throws {RangeError} when the name, scope or expiry is invalid
+ */
+export function createApiKey(input = {}, createdBy = null) {
+  const fields = normalizeKey(input);
+  const id = crypto.randomBytes(8).toString('hex');
+  const { key, secretHash } = newSecret(id);
+  const record = { id, ...fields, secretHash, createdBy, createdAt: new Date().toISOString(), lastUsedAt: null, rotatedAt: null, revokedAt: null };
+  saveKeys({ ...loadKeys(), [id]: record });
+  log.info('API key created', { id, name: fields.name, createdBy });
+  return { ...publicKey(record), key };
+}
+
+/**
+ * Revoke a key; it stays listed.
+ * @param {string} id
+ * @returns {object|null} - the revoked key, or null when it does not exist
+ */
+export function revokeApiKey(id) {
+  const keys = loadKeys();
+  if (!keys[id]) return null;
+  if (!keys[id].revokedAt) {
+    saveKeys({ ...keys, [id]: { ...keys[id], revokedAt: new Date().toISOString() } });
+    log.info('API key revoked', { id, name: keys[id].name });
+  }
+  return getApiKey(id);
+}
+
+/**
+ * Replace a key's secret, keeping its id, name and scope. The old secret
+ * stops working at once.
+ * @param {string} id
+ * @returns {object|null} - the key record plus the new `key`, or null when it does not exist
+ * @throws {RangeError} when the key is revoked
+ */
+export function rotateApiKey(id) {
+  const keys = loadKeys();
+  if (!keys[id]) return null;
+  if (keys[id].revokedAt) throw new RangeError(`API key ${id} is revoked`);
+  const { key, secretHash } = newSecret(id);
+  const record = { ...keys[id], secretHash, rotatedAt: new Date().toISOString() };
+  saveKeys({ ...keys, [id]: record });
+  log.info('API key rotated', { id, name: record.name });
+  return { ...publicKey(record), key };
+}
+
+/**
+ * Whether a key's route scope covers a request path.
+ * @param {object} key
+ * @param {string} requestPath
+ * @returns {boolean}
+ */
+function routeAllowed(key, requestPath) {
+  const names = key.routes.length ? key.routes : Object.keys(ROUTE_SCOPES);
+  return names.some(name => requestPath === ROUTE_SCOPES[name] || requestPath.startsWith(`${ROUTE_SCOPES[name]}/`));
+}
+
+/**
+ * Check an API key for a request and record its use.
+ * @param {string} value - the X-API-Key header
+ * @param {string} requestPath
+ * @returns {{user: object|null, forbidden?: boolean}} - user is null for an
+ *   unknown, revoked or expired key; forbidden is set when the key is valid
+ *   but its route scope does not cover the path
+ */
+export function apiKeyUser(value, requestPath) {
+  const [, id, secret] = KEY_PATTERN.exec(String(value).trim()) || [];
+  const key = id && loadKeys()[id];
+  const expected = key && Buffer.from(key.secretHash, 'base64');
+  const actual = key && crypto.createHash('sha256').update(secret).digest();
+  if (!key || !crypto.timingSafeEqual(actual, expected)) return { user: null };
+  if (key.revokedAt || (key.expiresAt && Date.parse(key.expiresAt) <= Date.now())) {
+    log.warn('revoked or expired API key used', { id, name: key.name });
+    return { user: null };
+  }
+  if (!routeAllowed(key, requestPath)) return { user: null, forbidden: true };
+
+  const now = new Date();
+  if (!key.lastUsedAt || now - Date.parse(key.lastUsedAt) >= LAST_USED_WRITE_MS) {
+    try {
+      saveKeys({ ...loadKeys(), [id]: { ...key, lastUsedAt: now.toISOString() } });
+    } catch (err) {
+      log.warn('could not record API key use', { id, error: err.message });
+    }
+  }
+  return { user: { username: `apikey:${key.name}`, role: 'supervisor', tenants: key.tenants, teams: [], agents: [], apiKey: id } };
+}
@@ -0,0 +1,283 @@
+// apiValidation.js
+// Checks /api requests, and the JSON responses, against the OpenAPI document
+// in openapi.js, and gives every error response one shape:
+//   { "error": "…", "code": "invalid_request", "requestId": "…", "details": [...] }
+// `details` lists the failed checks ({ in, name, message }) for invalid requests.
+//
+// Query and path parameters are converted to their declared types and
+// defaults are filled in, so after validateRequests() a route reads
+// `req.query.startDate` as a number and `req.query.refresh` as a boolean.
+// A start/end (or startDate/endDate) range must also end after it starts.
+// Responses that don't match are logged; OPENAPI_RESPONSES=strict turns them
+// into 500s (useful in development), =off skips the check.
+
+import Ajv from 'ajv';
+import { createLogger } from './logger.js';
+import { openApiDocument } from './openapi.js';
+
+const log = createLogger({ module: 'apiValidation' });
+
+const ERROR_CODES = {
+  400: 'invalid_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  413: 'payload_too_large',
+  415: 'unsupported_media_type',
+  429: 'too_many_requests',
+  500: 'internal_error'
+};
+const METHODS = ['get', 'post', 'put', 'delete'];
+// Query parameter pairs that bound a report range; the end must come after the start
+const RANGE_PARAMS = [['start', 'end', Date.parse], ['startDate', 'endDate', Number]];
+const DOCUMENT_ID = 'openapi.json';
+
+/**
+ * An Ajv instance that knows the document's component schemas.
+ * @param {object} options - Ajv options
+ * @returns {Ajv}
+ */
+function createAjv(options) {
+  const ajv = new Ajv({ allErrors: true, strict: false, ...options });
+  // Date.parse() is what the routes use, so accept what it accepts
+  ajv.addFormat('date-time', value => !Number.isNaN(Date.parse(value)));
+  ajv.addFormat('binary', true);
+  ajv.addSchema({ $id: DOCUMENT_ID, components: { schemas: openApiDocument.components.schemas } });
+  return ajv;
+}
+
+// Parameters arrive as strings and are converted; bodies and responses are checked as they are
+const paramAjv = createAjv({ coerceTypes: true, useDefaults: true });
+const bodyAjv = createAjv({});
+
+/**
+ * Follow a local `$ref` into the document (parameters and responses).
+ * @param {object} node
+ * @returns {object}
+ */
+function deref(node) {
+  if (!node?.$ref) return node;
+  return node.$ref.slice(2).split('/').reduce((value, key) => value[key], openApiDocument);
+}
+
+/**
+ * Compile a schema fragment, pointing its component refs at the registered document.
+ * @param {Ajv} ajv
+ * @param {object} schema
+ * @returns {Function}
+ */
+function compile(ajv, schema) {
+  return ajv.compile(JSON.parse(JSON.stringify(schema).replaceAll('"#/components/', `"${DOCUMENT_ID}#/components/`)));
+}
+
+/**
+ * Validator for the parameters of one location.
+ * @param {object[]} params
+ * @param {'query'|'path'} location
+ * @returns {Function|null}
+ */
+function compileParams(params, location) {
+  const own = params.filter(p => p.in === location);
+  if (!own.length) return null;
+  return compile(paramAjv, {
+    type: 'object',
+    properties: Object.fromEntries(own.map(p => [p.name, p.schema])),
+    required: own.filter(p => p.required).map(p => p.name)
+  });
+}
+
+/**
+ * Everything needed to check one operation.
+ * @param {string} method
+ * @param {string} template - e.g. /api/teams/{id}
+ * @param {object} item     - the path item
+ * @returns {object}
+ */
+function compileOperation(method, template, item) {
+  const op = item[method];
+  const pathNames = [];
+  const pattern = new RegExp(`^${template.replace(/\{(\w+)\}/g, (_, name) => {
+    pathNames.push(name);
+    return '([^/]+)';
+  })}$`);
+  const params = [...(item.parameters || []), ...(op.parameters || [])].map(deref);
+  const requestBody = deref(op.requestBody);
+  const bodySchema = requestBody?.content?.['application/json']?.schema;
+
+  const responses = {};
+  for (const [status, response] of Object.entries(op.responses || {})) {
+    const schema = deref(response).content?.['application/json']?.schema;
+    if (schema) responses[status] = compile(bodyAjv, schema);
+  }
+
+  return {
+    method: method.toUpperCase(),
+    template,
+    pattern,
+    pathNames,
+    path: compileParams(params, 'path'),
+    query: compileParams(params, 'query'),
+    body: bodySchema ? compile(bodyAjv, bodySchema) : null,
+    bodyRequired: Boolean(requestBody?.required),
+    bodyTypes: Object.keys(requestBody?.content || {}),
+    responses
+  };
+}
+
+const operations = Object.entries(openApiDocument.paths).flatMap(([template, item]) =>
+  METHODS.filter(method => item[method]).map(method => compileOperation(method, template, item))
+);
+
+/**
+ * The operation a request is for, with its raw path parameters.
+ * @param {string} method
+ * @param {string} requestPath
+ * @returns {{op: object, params: object}|null}
+ */
+function findOperation(method, requestPath) {
+  for (const op of operations) {
+    if (op.method !== method) continue;
+    const match = op.pattern.exec(requestPath);
+    if (match) return { op, params: Object.fromEntries(op.pathNames.map((name, i) => [name, decodeURIComponent(match[i + 1])])) };
+  }
+  return null;
+}
+
+/**
+ * Ajv errors as `details` entries.
+ * @param {object[]} ajvErrors
+ * @param {'path'|'query'|'body'} location
+ * @returns {{in: string, name?: string, message: string}[]}
+ */
+function describeErrors(ajvErrors, location) {
+  return ajvErrors.map(({ instancePath, keyword, params, message }) => {
+    const name = [instancePath.slice(1).replaceAll('/', '.'), params.missingProperty].filter(Boolean).join('.');
+    let text = message;
+    if (keyword === 'required') text = 'is required';
+    if (keyword === 'enum') text = `must be one of: ${params.allowedValues.join(', ')}`;
+    return { in: location, ...(name && { name }), message: text };
+  });
+}
+
+/**
+ * Run a validator; failures are appended to `details`.
+ * @returns {boolean}
+ */
+function check(validate, value, location, details) {
+  if (!validate || validate(value)) return true;
+  details.push(...describeErrors(validate.errors, location));
+  return false;
+}
+
+/**
+ * Check that each range in the (already converted) query ends after it
+ * starts; failures are appended to `details`.
+ * @param {object} query
+ * @param {object[]} details
+ */
+function checkRanges(query, details) {
+  for (const [startName, endName, toTime] of RANGE_PARAMS) {
+    if (query[startName] == null || query[endName] == null) continue;
+    if (toTime(query[endName]) <= toTime(query[startName])) {
+      details.push({ in: 'query', name: endName, message: `must be after ${startName}` });
+    }
+  }
+}
+
+/**
+ * Fill in `code` and `requestId` on an error body that lacks them.
+ * @param {import('express').Request} req
+ * @param {number} status
+ * @param {*} body
+ * @returns {*}
+ */
+function errorBody(req, status, body) {
+  if (!body || typeof body.error !== 'string' || body.code) return body;
+  return { ...body, code: ERROR_CODES[status] || (status >= 500 ? 'internal_error' : 'error'), requestId: req.id };
+}
+
+/**
+ * Express middleware that gives every JSON error response (status >= 400
+ * with an `error` message) a `code` and the `requestId`. Mount it before
+ * anything that can answer with an error, auth included.
+ * @returns {import('express').RequestHandler}
+ */
+export function structuredErrors() {
+  return (req, res, next) => {
+    const json = res.json.bind(res);
+    res.json = body => json(res.statusCode >= 400 ? errorBody(req, res.statusCode, body) : body);
+    next();
+  };
+}
+
+/**
+ * Express middleware that checks path and query parameters and JSON bodies
+ * of documented /api routes, answering 400 with `details` when they don't
+ * match, and checks JSON responses on the way out. Routes that aren't in the
+ * document pass through untouched.
+ * @param {{responses?: 'warn'|'strict'|'off'}} [opts]
+ * @returns {import('express').RequestHandler}
+ */
+export function validateRequests({ responses = (process.env.OPENAPI_RESPONSES || 'warn').toLowerCase() } = {}) {
+  return (req, res, next) => {
+    const found = findOperation(req.method, req.path);
+    if (!found) return next();
+    const { op, params } = found;
+
+    const details = [];
+    const query = { ...req.query };
+    check(op.path, params, 'path', details);
+    if (check(op.query, query, 'query', details)) checkRanges(query, details);
+    if (op.body && req.is('application/json')) {
+      check(op.body, req.body ?? null, 'body', details);
+    } else if (op.bodyRequired && !req.is(op.bodyTypes)) {
+      details.push({ in: 'body', message: `is required (${op.bodyTypes.join(' or ')})` });
+    }
+    if (details.length) {
+      const summary = details.map(d => `${d.in}${d.name ? `.${d.name}` : ''} ${d.message}`).join('; ');
+      return res.status(400).json({ error: `Invalid request: ${summary}`, details });
+    }
+    // Express re-parses req.query on every read; keep the converted copy
+    Object.defineProperty(req, 'query', { value: query, writable: true, configurable: true, enumerable: true });
+
+    if (responses !== 'off') {
+      const json = res.json.bind(res);
+      res.json = body => {
+        const sent = res.statusCode >= 400 ? errorBody(req, res.statusCode, body) : body;
+        const validate = op.responses[res.statusCode];
+        if (!validate || validate(JSON.parse(JSON.stringify(sent ?? null)))) return json(sent);
+        const problems = describeErrors(validate.errors, 'body').slice(0, 10);
+        log.warn('response does not match the API description', { method: req.method, route: op.template, status: res.statusCode, problems });
+        if (responses !== 'strict') return json(sent);
+        res.status(500);
+        return json(errorBody(req, 500, { error: 'Response does not match the API description', details: problems }));
+      };
+    }
+    next();
+  };
+}
+
+/**
+ * Express middleware answering 404 for /api routes that don't exist.
+ * @returns {import('express').RequestHandler}
+ */
+export function apiNotFound() {
+  return (req, res) => {
+    res.status(404).json({ error: `No such route: ${req.method} ${req.originalUrl.split('?')[0]}` });
+  };
+}
+
+/**
+ * Express error handler for errors thrown outside the routes' own handling,
+ * such as malformed JSON or an oversized body.
+ * @returns {import('express').ErrorRequestHandler}
+ */
+export function apiErrorHandler() {
+  return (err, req, res, next) => {
+    if (res.headersSent) return next(err);
+    const status = err.status || err.statusCode || 500;
+    if (status >= 500) log.error('request failed', { error: err });
+    res.status(status).json({ error: status < 500 && err.expose !== false ? err.message : 'Internal server error' });
+  };
+}
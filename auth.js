@@ -0,0 +1,400 @@
+// auth.js
+// Dashboard login: local users with scrypt-hashed passwords and cookie
+// sessions. Every /api route and the dashboard itself need a session (or, for
+// the report routes, an API key, see apiKeys.js); only the login page, its
+// assets and POST /api/login are public.
+//
+// Users live in USERS_FILE (default data/users.json), re-read when the file
+// changes so users added with the CLI work without a restart:
+//   { "<username>": { username, passwordHash, role, tenants, teams, agents, createdAt } }
+// Roles and the tenants / teams / agents scope are explained in access.js.
+// Sessions are kept in memory (a restart logs everyone out) and expire after
+// SESSION_TTL (default 12h). The cookie is HttpOnly and SameSite=Lax, and
+// Secure when PUBLIC_URL is https or COOKIE_SECURE=true. After
+// LOGIN_MAX_ATTEMPTS (default 5) wrong passwords for a user from one address,
+// logins are refused for 15 minutes.
+//
+// Create the first admin:
+//   node -r dotenv/config auth.js create-admin alice          (prompts for the password)
+//   ADMIN_PASSWORD=… node -r dotenv/config auth.js create-admin alice
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { promisify } from 'util';
+import ms from 'ms';
+import { normalizeAccess } from './access.js';
+import { API_KEY_HEADER, apiKeyUser } from './apiKeys.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger({ module: 'auth' });
+
+const scrypt = promisify(crypto.scrypt);
+
+export const SESSION_COOKIE = 'uar_session';
+const USERNAME_PATTERN = /^[A-Za-z0-9._@-]{1,64}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+const LOCKOUT_MS = 15 * 60 * 1000;
+
+// Reachable without a session: the login page and what it loads
+const PUBLIC_PATHS = ['/login.html', '/api/login', '/favicon.ico'];
+const PUBLIC_PREFIXES = ['/uploads/'];
+// Under /api but pages, so a missing session redirects to the login page
+const API_PAGES = ['/api/docs'];
+
+let cache = null; // { file, mtimeMs, users }
+const sessions = new Map(); // token -> { username, expiresAt }
+const failures = new Map(); // `${ip}|${username}` -> { count, lockedUntil }
+
+function usersFile() {
+  return process.env.USERS_FILE || path.join(process.cwd(), 'data', 'users.json');
+}
+
+/**
+ * Current users, re-read when the file's mtime changes.
+ * @returns {object} - { [username]: user }
+ */
+function loadUsers() {
+  const file = usersFile();
+  let stat = null;
+  try {
+    stat = fs.statSync(file);
+  } catch {
+    // No file yet: no users
+  }
+  if (cache && cache.file === file && cache.mtimeMs === (stat?.mtimeMs ?? null)) return cache.users;
+
+  let users = {};
+  if (stat) {
+    try {
+      users = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+      log.error('could not read users file; nobody can log in', { file, error: err.message });
+    }
+  }
+  cache = { file, mtimeMs: stat?.mtimeMs ?? null, users };
+  return users;
+}
+
+function saveUsers(users) {
+  const file = usersFile();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  // Password hashes only, but still nobody else's business
+  fs.writeFileSync(tmp, JSON.stringify(users, null, 2), { mode: 0o600 });
+  fs.renameSync(tmp, file);
+  cache = { file, mtimeMs: fs.statSync(file).mtimeMs, users };
+}
+
+/**
+ * Hash a password as `scrypt$N$r$p$salt$hash` (base64 salt and hash).
+ * @param {string} password
+ * @returns {Promise<string>}
+ */
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const { N, r, p } = SCRYPT_PARAMS;
+  const hash = await scrypt(password, salt, KEY_LENGTH, { N, r, p });
+  return ['scrypt', N, r, p, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+/**
+ * Check a password against a stored hash in constant time.
+ * @param {string} password
+ * @param {string} stored - from hashPassword()
+ * @returns {Promise<boolean>}
+ */
+export async function verifyPassword(password, stored) {
+  const [scheme, N, r, p, salt, hash] = String(stored).split('$');
+  if (scheme !== 'scrypt' || !hash) return false;
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, { N: Number(N), r: Number(r), p: Number(p) });
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+function checkPassword(password) {
+  if (String(password ?? '').length < MIN_PASSWORD_LENGTH) {
+    throw new RangeError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+}
+
+/**
+ * A user without the password hash, or null.
+ * @param {string} username
+ * @returns {{username: string, role: string, tenants: string[], teams: string[], agents: string[], createdAt: string}|null}
+ */
+export function getUser(username) {
+  const user = loadUsers()[username];
+  if (!user) return null;
+  const { passwordHash, ...rest } = user;
+  return { tenants: [], teams: [], agents: [], ...rest };
+}
+
+/**
+ * Every user, without password hashes.
+ * @returns {object[]}
+ */
+export function listUsers() {
+  return Object.keys(loadUsers()).sort().map(getUser);
+}
+
+/**
+ * Add a user.
+ * @param {string} username
+ * @param {string} password
+ * @param {{role?: string, tenants?: string[], teams?: string[], agents?: string[]}} [access] - see access.js
+ * @returns {Promise<object>} - the user without the password hash
+ * @throws {RangeError} for an invalid username, password, role or scope, or when the user exists
+ */
+export async function createUser(username, password, access = {}) {
+  if (!USERNAME_PATTERN.test(username ?? '')) throw new RangeError('Username must be 1–64 letters, digits, ., _, @ or -');
+  checkPassword(password);
+  const scope = normalizeAccess(access);
+  const users = loadUsers();
+  if (users[username]) throw new RangeError(`User ${username} already exists`);
+  const user = { username, passwordHash: await hashPassword(password), ...scope, createdAt: new Date().toISOString() };
+  saveUsers({ ...users, [username]: user });
+  log.info('user created', { username, role: scope.role });
+  return getUser(username);
+}
+
+/**
+ * Change a user's password, role or scope. Their sessions stay valid and
+ * pick up the new role and scope on the next request.
+ * @param {string} username
+ * @param {{password?: string, role?: string, tenants?: string[], teams?: string[], agents?: string[]}} changes
+ * @returns {Promise<object|null>} - null when the user does not exist
+ * @throws {RangeError} for an invalid password, role or scope, or when it would leave no admin
+ */
+export async function updateUser(username, { password, ...access } = {}) {
+  const users = loadUsers();
+  const existing = users[username];
+  if (!existing) return null;
+  const { role, tenants, teams, agents } = getUser(username);
+  const scope = normalizeAccess({ role, tenants, teams, agents, ...access });
+  if (existing.role === 'admin' && scope.role !== 'admin' && !Object.values(users).some(u => u.username !== username && u.role === 'admin')) {
+    throw new RangeError('Cannot remove the last admin');
+  }
+  const user = { ...existing, ...scope };
+  if (password !== undefined) {
+    checkPassword(password);
+    user.passwordHash = await hashPassword(password);
+  }
+  saveUsers({ ...loadUsers(), [username]: user });
+  log.info('user updated', { username, role: scope.role, passwordChanged: password !== undefined });
+  return getUser(username);
+}
+
+/**
+ * Remove a user and end their sessions.
+ * @param {string} username
+ * @returns {boolean} - false when the user does not exist
+ * @throws {RangeError} when it is the last admin
+ */
+export function deleteUser(username) {
+  const users = loadUsers();
+  if (!users[username]) return false;
+  if (users[username].role === 'admin' && !Object.values(users).some(u => u.username !== username && u.role === 'admin')) {
+    throw new RangeError('Cannot remove the last admin');
+  }
+  const { [username]: removed, ...rest } = users;
+  saveUsers(rest);
+  for (const [token, session] of sessions) {
+    if (session.username === username) sessions.delete(token);
+  }
+  log.info('user deleted', { username });
+  return true;
+}
+
+/**
+ * Check a login. Wrong passwords count towards a lockout per address and
+ * username.
+ * @param {string} username
+ * @param {string} password
+ * @param {string} ip
+ * @returns {Promise<object|null>} - the user, or null when the credentials are wrong
+ * @throws {Error} with `locked: true` while the lockout lasts
+ */
+export async function authenticate(username, password, ip) {
+  const key = `${ip}|${username}`;
+  const failure = failures.get(key);
+  if (failure?.lockedUntil > Date.now()) {
+    throw Object.assign(new Error('Too many failed logins; try again later'), { locked: true });
+  }
+
+  const user = loadUsers()[username];
+  // Hash even for unknown users so the response time does not reveal them
+  const ok = user
+    ? await verifyPassword(String(password ?? ''), user.passwordHash)
+    : (await hashPassword(String(password ?? '')), false);
+  if (ok) {
+    failures.delete(key);
+    return getUser(username);
+  }
+
+  const count = (failure?.count || 0) + 1;
+  const maxAttempts = Number(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+  failures.set(key, { count: count >= maxAttempts ? 0 : count, lockedUntil: count >= maxAttempts ? Date.now() + LOCKOUT_MS : 0 });
+  log.warn('failed login', { username, ip, locked: count >= maxAttempts });
+  return null;
+}
+
+/**
+ * Start a session for a user.
+ * @param {string} username
+ * @returns {{token: string, expiresAt: number}}
+ */
+export function createSession(username) {
+  for (const [token, session] of sessions) {
+    if (session.expiresAt <= Date.now()) sessions.delete(token);
+  }
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = Date.now() + ms(process.env.SESSION_TTL || '12h');
+  sessions.set(token, { username, expiresAt });
+  return { token, expiresAt };
+}
+
+/**
+ * The user a session token belongs to, or null when the session is unknown,
+ * expired or its user has been removed.
+ * @param {string} token
+ * @returns {object|null}
+ */
+export function getSessionUser(token) {
+  const session = token && sessions.get(token);
+  if (!session) return null;
+  const user = session.expiresAt > Date.now() ? getUser(session.username) : null;
+  if (!user) sessions.delete(token);
+  return user;
+}
+
+/**
+ * End a session.
+ * @param {string} token
+ */
+export function destroySession(token) {
+  if (token) sessions.delete(token);
+}
+
+/**
+ * Cookies of a request as an object.
+ * @param {import('express').Request} req
+ * @returns {object}
+ */
+function parseCookies(req) {
+  return Object.fromEntries((req.get('cookie') || '').split(';').map(part => {
+    const i = part.indexOf('=');
+    if (i < 0) return null;
+    try {
+      return [part.slice(0, i).trim(), decodeURIComponent(part.slice(i + 1).trim())];
+    } catch {
+      return null;
+    }
+  }).filter(Boolean));
+}
+
+/**
+ * The session token of a request, if any.
+ * @param {import('express').Request} req
+ * @returns {string|undefined}
+ */
+export function sessionToken(req) {
+  return parseCookies(req)[SESSION_COOKIE];
+}
+
+function cookieAttributes(maxAgeSeconds) {
+  const secure = process.env.COOKIE_SECURE
+    ? process.env.COOKIE_SECURE === 'true'
+    : (process.env.PUBLIC_URL || '').startsWith('https:');
+  return `Path=/; HttpOnly; SameSite=Lax; Max-Age=${maxAgeSeconds}${secure ? '; Secure' : ''}`;
+}
+
+/**
+ * Set the session cookie on a response.
+ * @param {import('express').Response} res
+ * @param {{token: string, expiresAt: number}} session
+ */
+export function setSessionCookie(res, { token, expiresAt }) {
+  res.append('Set-Cookie', `${SESSION_COOKIE}=${token}; ${cookieAttributes(Math.floor((expiresAt - Date.now()) / 1000))}`);
+}
+
+/**
+ * Expire the session cookie.
+ * @param {import('express').Response} res
+ */
+export function clearSessionCookie(res) {
+  res.append('Set-Cookie', `${SESSION_COOKIE}=; ${cookieAttributes(0)}`);
+}
+
+/**
+ * Express middleware that lets a request through only with a valid session
+ * or API key (setting `req.user`). Without one, API calls get 401 and pages
+ * redirect to the login page. A key outside its route scope gets 403.
+ * @returns {import('express').RequestHandler}
+ */
+export function requireSession() {
+  return (req, res, next) => {
+    const apiKey = req.get(API_KEY_HEADER);
+    if (apiKey) {
+      const { user, forbidden } = apiKeyUser(apiKey, req.path);
+      if (forbidden) return res.status(403).json({ error: 'API key not valid for this route' });
+      if (!user) return res.status(401).json({ error: 'Invalid, revoked or expired API key' });
+      req.user = user;
+      return next();
+    }
+    const user = getSessionUser(sessionToken(req));
+    if (user) {
+      req.user = user;
+      return next();
+    }
+    if (PUBLIC_PATHS.includes(req.path) || PUBLIC_PREFIXES.some(prefix => req.path.startsWith(prefix))) return next();
+    if ((req.path.startsWith('/api/') && !API_PAGES.includes(req.path)) || req.method !== 'GET' || !req.accepts('html')) {
+      return res.status(401).json({ error: 'Login required' });
+    }
+    res.redirect(`/login.html?next=${encodeURIComponent(req.originalUrl)}`);
+  };
+}
+
+/**
+ * Read a line from the terminal without echoing it.
+ * @param {string} question
+ * @returns {Promise<string>}
+ */
+function promptHidden(question) {
+  return new Promise(resolve => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: Boolean(process.stdin.isTTY) });
+    process.stdout.write(question);
+    rl._writeToOutput = () => {};
+    rl.question('', answer => {
+      rl.close();
+      process.stdout.write('\n');
+      resolve(answer);
+    });
+  });
+}
+
+async function cli() {
+  const [, , command, username] = process.argv;
+  if (command !== 'create-admin' || !username) {
+    console.error('Usage: node -r dotenv/config auth.js create-admin <username>   (password from ADMIN_PASSWORD or a prompt)');
+    process.exit(1);
+  }
+  const password = process.env.ADMIN_PASSWORD || await promptHidden(`Password for ${username}: `);
+  if (!process.env.ADMIN_PASSWORD && (await promptHidden('Repeat password: ')) !== password) {
+    console.error('Passwords do not match.');
+    process.exit(1);
+  }
+  await createUser(username, password, { role: 'admin' });
+  console.log(`Created admin user ${username} in ${usersFile()}`);
+}
+
+// Execute when run directly
+if (import.meta.url === process.argv[1] || import.meta.url === `file://${process.argv[1]}`) {
+  cli().catch(err => {
+    console.error(err.message);
+    process.exit(1);
+  });
+}
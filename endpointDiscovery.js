@@ -0,0 +1,77 @@
+// endpointDiscovery.js
+// Remember which base URL + path answered the agent activity events call for
+// each tenant, so the probing in fetchAgentEvents runs once per TTL instead of
+// once per page.
+//
+// TTL comes from EVENTS_ENDPOINT_TTL (ms format, default 6h). Entries are
+// forgotten early when a call to the remembered endpoint fails.
+
+import ms from 'ms';
+import { createLogger } from './logger.js';
+
+const log = createLogger({ module: 'endpointDiscovery' });
+
+const discovered = new Map(); // tenant -> { baseUrl, endpoint, discoveredAt, expiresAt, hits }
+
+/**
+ * Look up the remembered endpoint for a tenant.
+ * @param {string} tenant - tenant / account id
+ * @returns {{baseUrl: string, endpoint: string}|null} - null when unknown or expired
+ */
+export function getDiscoveredEndpoint(tenant) {
+  const entry = discovered.get(tenant);
+  if (!entry) return null;
+  if (entry.expiresAt <= Date.now()) {
+    discovered.delete(tenant);
+    return null;
+  }
+  entry.hits++;
+  return entry;
+}
+
+/**
+ * Remember the endpoint that just worked for a tenant.
+ * @param {string} tenant   - tenant / account id
+ * @param {string} baseUrl  - e.g. `https://mcint.ucdemo.voicemeetme.com:9443`
+ * @param {string} endpoint - path, e.g. `/api/v2/reports/callcenter/agents/activity/events`
+ */
+export function rememberEndpoint(tenant, baseUrl, endpoint) {
+  const now = Date.now();
+  discovered.set(tenant, {
+    baseUrl,
+    endpoint,
+    discoveredAt: now,
+    expiresAt: now + ms(process.env.EVENTS_ENDPOINT_TTL || '6h'),
+    hits: 0
+  });
+  log.info('remembered events endpoint', { tenant, url: `${baseUrl}${endpoint}` });
+}
+
+/**
+ * Forget what was discovered, for one tenant or for all of them.
+ * @param {string} [tenant] - tenant / account id; omit to reset everything
+ * @returns {number} - number of entries removed
+ */
+export function resetDiscoveredEndpoints(tenant) {
+  if (tenant) return discovered.delete(tenant) ? 1 : 0;
+  const count = discovered.size;
+  discovered.clear();
+  return count;
+}
+
+/**
+ * Snapshot of every remembered endpoint (for the admin route).
+ * @returns {object[]}
+ */
+export function listDiscoveredEndpoints() {
+  const now = Date.now();
+  return Array.from(discovered.entries())
+    .filter(([, entry]) => entry.expiresAt > now)
+    .map(([tenant, entry]) => ({
+      tenant,
+      url: `${entry.baseUrl}${entry.endpoint}`,
+      ...entry,
+      discoveredAt: new Date(entry.discoveredAt).toISOString(),
+      expiresAt: new Date(entry.expiresAt).toISOString()
+    }));
+}
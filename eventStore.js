@@ -0,0 +1,341 @@
+// eventStore.js
+// Local SQLite history of what the PBX returned, so reports over ranges that
+// were already downloaded are answered without going upstream again.
+//
+// - events:       raw activity events, one row per (tenant, agent, timestamp,
+//                 event, state, enabled) so re-downloads never duplicate them;
+//                 a re-download replaces the stored copy
+// - coverage:     merged [start, end] unix ranges whose events are fully stored
+// - agent_stats:  agent stats rows per exact requested range (they are
+//                 aggregates, so a range is only reused when it matches exactly)
+//
+// Only ranges older than EVENT_STORE_SETTLE (default 5m) count as covered, so
+// the most recent minutes are always fetched fresh. The database lives in
+// EVENT_STORE_FILE (default data/events.db); EVENT_STORE=off disables it.
+
+import Database from 'better-sqlite3';
+import fs from 'fs';
+import ms from 'ms';
+import path from 'path';
+import { eventFetchLimits, fetchAgentEvents, markTruncated } from './agentEvents.js';
+import { fetchAgentStatus } from './agentStatus.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger({ module: 'eventStore' });
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS events (
+    tenant   TEXT    NOT NULL,
+    user_id  TEXT    NOT NULL,
+    ext      TEXT    NOT NULL,
+    ts       INTEGER NOT NULL,
+    event    TEXT    NOT NULL,
+    state    TEXT    NOT NULL,
+    enabled  INTEGER NOT NULL,
+    username TEXT,
+    raw      TEXT    NOT NULL,
+    PRIMARY KEY (tenant, user_id, ext, ts, event, state, enabled)
+  );
+  CREATE INDEX IF NOT EXISTS events_by_time ON events (tenant, ts);
+
+  CREATE TABLE IF NOT EXISTS coverage (
+    tenant     TEXT    NOT NULL,
+    kind       TEXT    NOT NULL,
+    range_start INTEGER NOT NULL,
+    range_end   INTEGER NOT NULL,
+    PRIMARY KEY (tenant, kind, range_start)
+  );
+
+  CREATE TABLE IF NOT EXISTS stats_ranges (
+    tenant      TEXT    NOT NULL,
+    range_start INTEGER NOT NULL,
+    range_end   INTEGER NOT NULL,
+    fetched_at  INTEGER NOT NULL,
+    row_count   INTEGER NOT NULL,
+    PRIMARY KEY (tenant, range_start, range_end)
+  );
+
+  CREATE TABLE IF NOT EXISTS agent_stats (
+    tenant      TEXT    NOT NULL,
+    range_start INTEGER NOT NULL,
+    range_end   INTEGER NOT NULL,
+    extension   TEXT    NOT NULL,
+    raw         TEXT    NOT NULL,
+    PRIMARY KEY (tenant, range_start, range_end, extension)
+  );
+`;
+
+/**
+ * Unix timestamp up to which stored data is considered final.
+ * @returns {number}
+ */
+function settledUntil() {
+  return Math.floor((Date.now() - ms(process.env.EVENT_STORE_SETTLE || '5m')) / 1000);
+}
+
+export class EventStore {
+  /**
+   * @param {object} opts
+   * @param {string} opts.file - SQLite database path (`:memory:` works too)
+   */
+  constructor({ file }) {
+    if (file !== ':memory:') fs.mkdirSync(path.dirname(file), { recursive: true });
+    this.file = file;
+    this.db = new Database(file);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(SCHEMA);
+
+    this.insertEvent = this.db.prepare(`
+      INSERT INTO events (tenant, user_id, ext, ts, event, state, enabled, username, raw)
+      VALUES (@tenant, @user_id, @ext, @ts, @event, @state, @enabled, @username, @raw)
+      ON CONFLICT (tenant, user_id, ext, ts, event, state, enabled)
+      DO UPDATE SET username = excluded.username, raw = excluded.raw WHERE raw IS NOT excluded.raw
+    `);
+    this.insertStats = this.db.prepare(`
+      INSERT OR REPLACE INTO agent_stats (tenant, range_start, range_end, extension, raw)
+      VALUES (?, ?, ?, ?, ?)
+    `);
+  }
+
+  /**
+   * Save raw events; ones already stored are updated to the new copy.
+   * @param {string}   tenant - tenant id
+   * @param {object[]} events - raw events from fetchAgentEvents(..., { filterResults: false })
+   * @returns {number} - rows inserted or changed
+   */
+  saveEvents(tenant, events) {
+    const insertAll = this.db.transaction(list => {
+      let inserted = 0;
+      for (const event of list) {
+        if (!event || typeof event.Timestamp !== 'number') continue;
+        inserted += this.insertEvent.run({
+          tenant,
+          user_id: String(event.user_id ?? ''),
+          ext: String(event.ext ?? ''),
+          ts: event.Timestamp,
+          event: String(event.event ?? ''),
+          state: String(event.state ?? ''),
+          enabled: event.enabled ? 1 : 0,
+          username: event.username ?? null,
+          raw: JSON.stringify(event)
+        }).changes;
+      }
+      return inserted;
+    });
+    return insertAll(events);
+  }
+
+  /**
+   * Stored events in a range, oldest first (insertion order within a second),
+   * at most `limit` of them.
+   * @param {string} tenant
+   * @param {number} start - unix timestamp
+   * @param {number} end   - unix timestamp
+   * @param {{limit?: number}} [opts] - default EVENTS_MAX_RECORDS
+   * @returns {object[]} - with `truncated: true` when the range holds more
+   */
+  readEvents(tenant, start, end, { limit = eventFetchLimits().maxRecords } = {}) {
+    const rows = this.db
+      .prepare('SELECT raw FROM events WHERE tenant = ? AND ts BETWEEN ? AND ? ORDER BY ts, rowid LIMIT ?')
+      .all(tenant, start, end, limit + 1);
+    const truncated = rows.length > limit;
+    return markTruncated(rows.slice(0, limit).map(row => JSON.parse(row.raw)), truncated);
+  }
+
+  /**
+   * Record that everything in [start, end] is stored, merging with
+   * overlapping or adjacent ranges.
+   * @param {string} tenant
+   * @param {string} kind  - what was stored, e.g. `events`
+   * @param {number} start - unix timestamp
+   * @param {number} end   - unix timestamp
+   */
+  markCovered(tenant, kind, start, end) {
+    this.db.transaction(() => {
+      const overlapping = this.db.prepare(`
+        SELECT range_start, range_end FROM coverage
+        WHERE tenant = ? AND kind = ? AND range_start <= ? AND range_end >= ?
+      `).all(tenant, kind, end + 1, start - 1);
+
+      const mergedStart = Math.min(start, ...overlapping.map(r => r.range_start));
+      const mergedEnd = Math.max(end, ...overlapping.map(r => r.range_end));
+      this.db.prepare(`
+        DELETE FROM coverage WHERE tenant = ? AND kind = ? AND range_start <= ? AND range_end >= ?
+      `).run(tenant, kind, end + 1, start - 1);
+      this.db.prepare('INSERT INTO coverage (tenant, kind, range_start, range_end) VALUES (?, ?, ?, ?)')
+        .run(tenant, kind, mergedStart, mergedEnd);
+    })();
+  }
+
+  /**
+   * Parts of [start, end] that are not covered yet.
+   * @param {string} tenant
+   * @param {string} kind
+   * @param {number} start - unix timestamp
+   * @param {number} end   - unix timestamp
+   * @returns {Array<[number, number]>} - gaps, in order
+   */
+  missingRanges(tenant, kind, start, end) {
+    const covered = this.db.prepare(`
+      SELECT range_start, range_end FROM coverage
+      WHERE tenant = ? AND kind = ? AND range_start <= ? AND range_end >= ?
+      ORDER BY range_start
+    `).all(tenant, kind, end, start);
+
+    const gaps = [];
+    let cursor = start;
+    for (const { range_start: from, range_end: to } of covered) {
+      if (from > cursor) gaps.push([cursor, from - 1]);
+      cursor = Math.max(cursor, to + 1);
+      if (cursor > end) break;
+    }
+    if (cursor <= end) gaps.push([cursor, end]);
+    return gaps;
+  }
+
+  /**
+   * Save the agent stats rows returned for one exact range (replacing any
+   * earlier download of the same range).
+   * @param {string}   tenant
+   * @param {number}   start - unix ms, as passed to fetchAgentStatus
+   * @param {number}   end   - unix ms
+   * @param {object[]} rows
+   */
+  saveAgentStats(tenant, start, end, rows) {
+    this.db.transaction(() => {
+      this.db.prepare('DELETE FROM agent_stats WHERE tenant = ? AND range_start = ? AND range_end = ?')
+        .run(tenant, start, end);
+      rows.forEach((row, index) => {
+        this.insertStats.run(tenant, start, end, String(row.extension ?? index), JSON.stringify(row));
+      });
+      this.db.prepare(`
+        INSERT OR REPLACE INTO stats_ranges (tenant, range_start, range_end, fetched_at, row_count)
+        VALUES (?, ?, ?, ?, ?)
+      `).run(tenant, start, end, Date.now(), rows.length);
+    })();
+  }
+
+  /**
+   * Agent stats rows stored for exactly this range.
+   * @param {string} tenant
+   * @param {number} start - unix ms
+   * @param {number} end   - unix ms
+   * @returns {object[]|null} - null when the range was never stored
+   */
+  readAgentStats(tenant, start, end) {
+    const known = this.db.prepare('SELECT 1 FROM stats_ranges WHERE tenant = ? AND range_start = ? AND range_end = ?')
+      .get(tenant, start, end);
+    if (!known) return null;
+    return this.db
+      .prepare('SELECT raw FROM agent_stats WHERE tenant = ? AND range_start = ? AND range_end = ? ORDER BY rowid')
+      .all(tenant, start, end)
+      .map(row => JSON.parse(row.raw));
+  }
+
+  /**
+   * What is stored per tenant (for the admin route).
+   * @returns {object[]}
+   */
+  summary() {
+    const events = this.db.prepare(`
+      SELECT tenant, COUNT(*) AS events, MIN(ts) AS oldest, MAX(ts) AS newest FROM events GROUP BY tenant
+    `).all();
+    const coverage = this.db.prepare(`
+      SELECT tenant, kind, range_start AS start, range_end AS end FROM coverage ORDER BY tenant, kind, range_start
+    `).all();
+    const stats = this.db.prepare('SELECT tenant, COUNT(*) AS ranges FROM stats_ranges GROUP BY tenant').all();
+
+    const tenants = new Set([...events, ...coverage, ...stats].map(r => r.tenant));
+    return Array.from(tenants).map(tenant => ({
+      tenant,
+      ...(events.find(r => r.tenant === tenant) || { events: 0, oldest: null, newest: null }),
+      coverage: coverage.filter(r => r.tenant === tenant).map(({ kind, start, end }) => ({ kind, start, end })),
+      statsRanges: stats.find(r => r.tenant === tenant)?.ranges || 0
+    }));
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+let instance;
+
+/**
+ * Get the process-wide event store, created from env config on first use.
+ * @returns {EventStore|null} - null when EVENT_STORE=off
+ */
+export function getEventStore() {
+  if (instance !== undefined) return instance;
+  if ((process.env.EVENT_STORE || 'sqlite').toLowerCase() === 'off') {
+    instance = null;
+  } else {
+    instance = new EventStore({
+      file: process.env.EVENT_STORE_FILE || path.join(process.cwd(), 'data', 'events.db')
+    });
+    log.info('event store ready', { file: instance.file });
+  }
+  return instance;
+}
+
+/**
+ * Raw events for a range, downloading only the parts the store does not hold
+ * yet and answering the rest from the store (at most EVENTS_MAX_RECORDS).
+ * @param {string} tenantId
+ * @param {object} opts
+ * @param {number} opts.startDate      - unix timestamp start of range.
+ * @param {number} opts.endDate        - unix timestamp end of range.
+ * @param {string} [opts.timeRange]    - upstream time range; bypasses the store, whose
+ *                                       coverage is tracked by start/end only.
+ * @param {number} [opts.pageSize]     - upstream page size.
+ * @param {boolean} [opts.refresh]     - download the whole range again.
+ * @returns {Promise<object[]>} - with `truncated: true` when a fetch limit cut data off
+ */
+export async function loadAgentEvents(tenantId, { startDate, endDate, timeRange, pageSize, refresh = false }) {
+  const store = getEventStore();
+  if (!store || timeRange) {
+    return fetchAgentEvents(tenantId, { startDate, endDate, timeRange, pageSize, filterResults: false });
+  }
+
+  const gaps = refresh ? [[startDate, endDate]] : store.missingRanges(tenantId, 'events', startDate, endDate);
+  let truncated = false;
+  for (const [from, to] of gaps) {
+    const events = await fetchAgentEvents(tenantId, { startDate: from, endDate: to, pageSize, filterResults: false });
+    const inserted = store.saveEvents(tenantId, events || []);
+    // An incomplete download must not count as covered, or the gap would never be filled
+    const settled = Math.min(to, settledUntil());
+    if (events?.truncated) truncated = true;
+    else if (settled >= from) store.markCovered(tenantId, 'events', from, settled);
+    log.debug('stored events', { tenant: tenantId, from, to, received: events?.length || 0, inserted, truncated: !!events?.truncated });
+  }
+
+  log.info('events loaded', { tenant: tenantId, source: gaps.length ? 'upstream' : 'store', gaps: gaps.length, truncated });
+  const events = store.readEvents(tenantId, startDate, endDate);
+  return markTruncated(events, truncated || Boolean(events.truncated));
+}
+
+/**
+ * Agent stats rows for a range, from the store when this exact range was
+ * downloaded before and has settled.
+ * @param {string} tenantId
+ * @param {object} opts
+ * @param {number} opts.startDate  - unix ms start of range.
+ * @param {number} opts.endDate    - unix ms end of range.
+ * @param {boolean} [opts.refresh] - ignore stored rows.
+ * @returns {Promise<object[]>}
+ */
+export async function loadAgentStatus(tenantId, { startDate, endDate, refresh = false }) {
+  const store = getEventStore();
+  if (store && !refresh) {
+    const stored = store.readAgentStats(tenantId, startDate, endDate);
+    if (stored) {
+      log.info('agent stats loaded', { tenant: tenantId, source: 'store' });
+      return stored;
+    }
+  }
+
+  const rows = await fetchAgentStatus(tenantId, { startDate, endDate });
+  if (store && endDate <= settledUntil() * 1000) store.saveAgentStats(tenantId, startDate, endDate, rows);
+  log.info('agent stats loaded', { tenant: tenantId, source: 'upstream' });
+  return rows;
+}
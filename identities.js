@@ -0,0 +1,211 @@
+// identities.js
+// Agent identity per tenant, keyed on the PBX user_id, with the names and
+// extensions each user has had. The agent stats and the activity events
+// describe the same people in different ways (stats rows may lack a user_id,
+// events are keyed by user_id + extension), and names change and extensions
+// get reused, so joining them on "same extension or same name" merges the
+// wrong people or silently drops them.
+//
+// Every report records what it saw (user_id, extension, name, when) in
+// IDENTITIES_FILE (default data/identities.json):
+//   { "<tenantId>": { "<user_id>": { user_id, names: [h], extensions: [h] } } }
+//   h = { value, firstSeen, lastSeen } (unix seconds)
+// matchAgents() then ties each stats row to a user_id: directly when the row
+// has one, else through the extension or name history for the report period.
+// Rows that fit several users are ambiguous and events nobody claims are
+// unmatched; both are reported instead of merged.
+
+import fs from 'fs';
+import path from 'path';
+import { createLogger } from './logger.js';
+import { getTenant } from './tenants.js';
+
+const log = createLogger({ module: 'identities' });
+
+let state = null; // { [tenantId]: { [user_id]: identity } }
+
+function identitiesFile() {
+  return process.env.IDENTITIES_FILE || path.join(process.cwd(), 'data', 'identities.json');
+}
+
+function loadState() {
+  if (state) return state;
+  try {
+    state = JSON.parse(fs.readFileSync(identitiesFile(), 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') log.warn('could not read identities file; starting empty', { file: identitiesFile(), error: err.message });
+    state = {};
+  }
+  return state;
+}
+
+function saveState() {
+  const file = identitiesFile();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(state, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+/**
+ * Widen (or add) the history entry for `value`.
+ * @returns {boolean} - whether anything changed
+ */
+function observe(history, value, ts) {
+  const entry = history.find(h => h.value === value);
+  if (!entry) {
+    history.push({ value, firstSeen: ts, lastSeen: ts });
+    return true;
+  }
+  if (ts >= entry.firstSeen && ts <= entry.lastSeen) return false;
+  entry.firstSeen = Math.min(entry.firstSeen, ts);
+  entry.lastSeen = Math.max(entry.lastSeen, ts);
+  return true;
+}
+
+/**
+ * Add sightings to a tenant's identity history. Records without a user_id
+ * are ignored; they are what the history is used to resolve.
+ * @param {string} tenantId
+ * @param {{user_id: string, ext?: string, name?: string, ts: number}[]} sightings - ts in unix seconds
+ * @returns {number} - identities whose history changed
+ */
+export function recordIdentities(tenantId, sightings) {
+  const tenant = getTenant(tenantId);
+  const current = loadState();
+  const identities = current[tenant.id] || (current[tenant.id] = {});
+  const changed = new Set();
+  for (const { user_id: userId, ext, name, ts } of sightings) {
+    if (!userId || !Number.isFinite(ts)) continue;
+    const identity = identities[userId] || (identities[userId] = { user_id: userId, names: [], extensions: [] });
+    if (ext && observe(identity.extensions, String(ext), ts)) changed.add(userId);
+    if (name && observe(identity.names, String(name).trim(), ts)) changed.add(userId);
+  }
+  if (changed.size) {
+    saveState();
+    log.debug('identity history updated', { tenant: tenant.id, identities: changed.size });
+  }
+  return changed.size;
+}
+
+/**
+ * A tenant's identities with their name and extension history, most
+ * recently seen first.
+ * @param {string} tenantId
+ * @returns {{user_id: string, name: string, ext: string, names: object[], extensions: object[]}[]}
+ */
+export function listIdentities(tenantId) {
+  const tenant = getTenant(tenantId);
+  const byRecent = (a, b) => b.lastSeen - a.lastSeen;
+  return Object.values(loadState()[tenant.id] || {})
+    .map(identity => {
+      const names = [...identity.names].sort(byRecent);
+      const extensions = [...identity.extensions].sort(byRecent);
+      return { user_id: identity.user_id, name: names[0]?.value ?? '', ext: extensions[0]?.value ?? '', names, extensions };
+    })
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * user_ids whose `field` history holds `value`, preferring those that had it
+ * during the period so a reused extension resolves to its holder at the time.
+ * @param {object[]} identities
+ * @param {'extensions'|'names'} field
+ * @param {string} value
+ * @param {{start: number, end: number}} range - unix seconds
+ * @returns {string[]}
+ */
+function candidates(identities, field, value, { start, end }) {
+  const wanted = String(value).trim().toLowerCase();
+  const holders = identities
+    .map(identity => ({ identity, entries: identity[field].filter(h => h.value.toLowerCase() === wanted) }))
+    .filter(({ entries }) => entries.length);
+  const during = holders.filter(({ entries }) => entries.some(h => h.firstSeen <= end && h.lastSeen >= start));
+  return (during.length ? during : holders).map(({ identity }) => identity.user_id);
+}
+
+/**
+ * Resolve a record to one user_id.
+ * @param {string} tenantId
+ * @param {{user_id?: string, extension?: string, name?: string}} record
+ * @param {{start: number, end: number}} range - report period, unix seconds
+ * @returns {{match: 'user_id'|'extension'|'name'|'ambiguous'|'unmatched', user_id: string|null, candidates: string[]}}
+ */
+export function resolveIdentity(tenantId, { user_id: userId, extension, name }, range) {
+  if (userId) return { match: 'user_id', user_id: String(userId), candidates: [String(userId)] };
+  const identities = Object.values(loadState()[getTenant(tenantId).id] || {});
+  for (const [match, field, value] of [['extension', 'extensions', extension], ['name', 'names', name]]) {
+    if (value == null || value === '') continue;
+    const found = candidates(identities, field, value, range);
+    if (found.length === 1) return { match, user_id: found[0], candidates: found };
+    if (found.length > 1) return { match: 'ambiguous', user_id: null, candidates: found };
+  }
+  return { match: 'unmatched', user_id: null, candidates: [] };
+}
+
+/**
+ * Tie agent stats rows to their first login / last logoff. Login rows are
+ * per user_id and extension, so a user who changed extension during the
+ * period has several; they are combined.
+ * @param {string} tenantId
+ * @param {object[]} statusRows - from fetchAgentStatus()
+ * @param {object[]|null} loginRows - from getAgentLoginLogoffTimes(), or null
+ *   when the events could not be loaded (no row is then flagged for lacking them)
+ * @param {{start: number, end: number}} range - report period, unix seconds
+ * @returns {{matches: {match: string, user_id: string|null, login: object|null}[], issues: object[]}}
+ *   - matches parallel to statusRows; issues lists ambiguous and unmatched
+ *     records, and matched stats rows without any login events (`no_events`)
+ */
+export function matchAgents(tenantId, statusRows, loginRows, range) {
+  const eventsLoaded = loginRows != null;
+  loginRows ??= [];
+  recordIdentities(tenantId, [
+    ...statusRows.map(r => ({ user_id: r.user_id, ext: r.extension, name: r.name, ts: range.end })),
+    ...loginRows.map(r => ({ user_id: r.user_id, ext: r.ext, name: r.username, ts: r.firstLoginTimestamp ?? r.lastLogoffTimestamp ?? range.end }))
+  ]);
+
+  const loginsByUser = new Map();
+  for (const row of loginRows) {
+    const current = loginsByUser.get(row.user_id);
+    if (!current) {
+      loginsByUser.set(row.user_id, { ...row });
+      continue;
+    }
+    if (row.firstLoginTimestamp != null && (current.firstLoginTimestamp == null || row.firstLoginTimestamp < current.firstLoginTimestamp)) {
+      Object.assign(current, { firstLoginTime: row.firstLoginTime, firstLoginTimestamp: row.firstLoginTimestamp });
+    }
+    if (row.lastLogoffTimestamp != null && (current.lastLogoffTimestamp == null || row.lastLogoffTimestamp > current.lastLogoffTimestamp)) {
+      Object.assign(current, { lastLogoffTime: row.lastLogoffTime, lastLogoffTimestamp: row.lastLogoffTimestamp });
+    }
+  }
+
+  const resolved = statusRows.map(row => resolveIdentity(tenantId, row, range));
+  // Two stats rows resolving to the same user can't both be right
+  const claims = new Map();
+  resolved.forEach(r => r.user_id && claims.set(r.user_id, (claims.get(r.user_id) || 0) + 1));
+
+  const issues = [];
+  const matches = resolved.map((r, i) => {
+    const row = statusRows[i];
+    if (r.user_id && claims.get(r.user_id) > 1 && r.match !== 'user_id') {
+      r = { match: 'ambiguous', user_id: null, candidates: [r.user_id] };
+    }
+    if (r.match === 'ambiguous' || r.match === 'unmatched') {
+      issues.push({ source: 'status', issue: r.match, user_id: row.user_id ?? null, ext: row.extension ?? '', name: row.name ?? '', candidates: r.candidates });
+      return { match: r.match, user_id: null, login: null };
+    }
+    const login = loginsByUser.get(r.user_id) || null;
+    if (!login && eventsLoaded) {
+      issues.push({ source: 'status', issue: 'no_events', user_id: r.user_id, ext: row.extension ?? '', name: row.name ?? '', candidates: [r.user_id] });
+    }
+    return { match: r.match, user_id: r.user_id, login };
+  });
+
+  const claimed = new Set(matches.map(m => m.user_id).filter(Boolean));
+  for (const [userId, login] of loginsByUser) {
+    if (claimed.has(userId)) continue;
+    issues.push({ source: 'events', issue: 'unmatched', user_id: userId, ext: login.ext ?? '', name: login.username ?? '', candidates: [] });
+  }
+  if (issues.length) log.info('agents not matched between stats and events', { tenant: getTenant(tenantId).id, issues: issues.length });
+  return { matches, issues };
+}
@@ -0,0 +1,144 @@
+// liveStatus.js
+// Every agent's current state per tenant, for the Live tab. One poller per
+// tenant reads the recent activity events on an interval and works out each
+// agent's latest state with the timeline's rules (agentTimeline.js), however
+// many browsers are watching; subscribers get a snapshot, then the agents
+// whose state changed after each poll. A tenant is polled only while someone
+// is subscribed.
+//
+//   LIVE_POLL_INTERVAL – time between polls (default 15s)
+//   LIVE_LOOKBACK      – how far back the first poll reads (default 12h).
+//                        Agents with no event since then are not listed until
+//                        they do something; later polls read only what is new.
+
+import ms from 'ms';
+import { eventKey, fetchAgentEvents } from './agentEvents.js';
+import { getAgentStateIntervals } from './agentTimeline.js';
+import { createLogger, runWithRequestId } from './logger.js';
+import { getTenant } from './tenants.js';
+
+const log = createLogger({ module: 'liveStatus' });
+
+// Each poll re-reads this much before the previous one, for events that arrive late upstream
+const OVERLAP_SECONDS = 120;
+
+const pollers = new Map(); // tenantId -> poller
+
+function pollIntervalMs() {
+  return Math.max(1000, ms(process.env.LIVE_POLL_INTERVAL || '15s'));
+}
+
+function lookbackSeconds() {
+  return Math.floor(ms(process.env.LIVE_LOOKBACK || '12h') / 1000);
+}
+
+/**
+ * What subscribers see of one tenant.
+ * @param {object} poller
+ * @returns {{tenant: string, polledAt: number, error: string|null, agents: object[]}}
+ */
+function snapshot(poller) {
+  return { tenant: poller.tenantId, polledAt: poller.polledAt, error: poller.error, agents: [...poller.agents.values()] };
+}
+
+function emit(poller, event, data) {
+  for (const listener of poller.listeners) {
+    try {
+      listener(event, data);
+    } catch (err) {
+      log.warn('live listener failed', { tenant: poller.tenantId, error: err.message });
+    }
+  }
+}
+
+/**
+ * Fetch what is new, update the agents' states and tell subscribers.
+ * @param {object} poller
+ */
+async function poll(poller) {
+  if (poller.polling) return;
+  poller.polling = true;
+  const now = Math.floor(Date.now() / 1000);
+  const oldest = now - lookbackSeconds();
+  const from = poller.polledAt ? Math.max(oldest, poller.polledAt - OVERLAP_SECONDS) : oldest;
+  try {
+    const fresh = await fetchAgentEvents(poller.tenantId, { startDate: from, endDate: now, filterResults: false });
+    for (const event of fresh || []) poller.events.set(eventKey(event), event);
+    for (const [key, event] of poller.events) {
+      if (event.Timestamp < oldest) poller.events.delete(key);
+    }
+
+    // Agents whose events have all aged out keep their last known state
+    const changed = [];
+    for (const agent of getAgentStateIntervals([...poller.events.values()], { rangeStart: 0, rangeEnd: now })) {
+      const current = agent.intervals.at(-1);
+      if (!current) continue;
+      const key = `${agent.user_id}_${agent.ext}`;
+      const next = { key, user_id: agent.user_id, username: agent.username, ext: agent.ext, state: current.state, category: current.category, since: current.start };
+      const previous = poller.agents.get(key);
+      if (previous && previous.state === next.state && previous.since === next.since && previous.username === next.username) continue;
+      poller.agents.set(key, next);
+      changed.push(next);
+    }
+
+    const first = !poller.polledAt;
+    poller.polledAt = now;
+    poller.error = null;
+    if (first) emit(poller, 'snapshot', snapshot(poller));
+    else emit(poller, 'update', { tenant: poller.tenantId, polledAt: now, changed });
+    log.debug('live status polled', { tenant: poller.tenantId, events: fresh?.length || 0, agents: poller.agents.size, changed: changed.length });
+  } catch (err) {
+    // Subscribers keep the last known states and are told they may be stale
+    poller.error = err.message;
+    log.warn('live status poll failed', { tenant: poller.tenantId, error: err.message });
+    emit(poller, 'poll-failed', { tenant: poller.tenantId, polledAt: poller.polledAt, error: err.message });
+  } finally {
+    poller.polling = false;
+  }
+}
+
+/**
+ * Follow a tenant's live agent states. The listener gets
+ * `('snapshot', {tenant, polledAt, error, agents})` first (straight away when
+ * the tenant is already being polled), then `('update', {tenant, polledAt, changed})`
+ * after every poll and `('poll-failed', {tenant, polledAt, error})` when one fails.
+ * Agents are `{key, user_id, username, ext, state, category, since}` with
+ * `since` and `polledAt` in unix seconds.
+ * @param {string} tenantId
+ * @param {(event: string, data: object) => void} listener
+ * @returns {() => void} - unsubscribe; the last one stops the tenant's poller
+ * @throws {RangeError} for an unknown tenant
+ */
+export function subscribeLiveStatus(tenantId, listener) {
+  const tenant = getTenant(tenantId);
+  let poller = pollers.get(tenant.id);
+  if (!poller) {
+    poller = { tenantId: tenant.id, listeners: new Set(), events: new Map(), agents: new Map(), polledAt: null, error: null, polling: false, timer: null };
+    pollers.set(tenant.id, poller);
+    // Polls belong to no one request, so their log lines get their own id
+    runWithRequestId(`live-${tenant.id}`, () => {
+      poller.timer = setInterval(() => poll(poller), pollIntervalMs());
+      log.info('live status polling started', { tenant: tenant.id, intervalMs: pollIntervalMs() });
+      poll(poller);
+    });
+  } else if (poller.polledAt) {
+    listener('snapshot', snapshot(poller));
+  }
+  poller.listeners.add(listener);
+
+  return () => {
+    poller.listeners.delete(listener);
+    if (poller.listeners.size || pollers.get(tenant.id) !== poller) return;
+    clearInterval(poller.timer);
+    pollers.delete(tenant.id);
+    log.info('live status polling stopped', { tenant: tenant.id });
+  };
+}
+
+/**
+ * Tenants being polled and how many subscribers each has.
+ * @returns {{tenant: string, subscribers: number, agents: number, polledAt: number|null, error: string|null}[]}
+ */
+export function listLivePollers() {
+  return [...pollers.values()].map(p => ({ tenant: p.tenantId, subscribers: p.listeners.size, agents: p.agents.size, polledAt: p.polledAt, error: p.error }));
+}
@@ -0,0 +1,146 @@
+// logger.js
+// Structured, levelled JSON logger with secret redaction and a request ID that
+// follows each Express request down into the upstream calls it makes.
+//
+// Level is set with LOG_LEVEL (debug | info | warn | error | silent, default info).
+// Each line is one JSON object: { time, level, msg, requestId?, ...fields }.
+
+import { AsyncLocalStorage } from 'async_hooks';
+import crypto from 'crypto';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const REDACTED = '[REDACTED]';
+const MAX_DEPTH = 6;
+const MAX_STRING = 2000;
+const MAX_ARRAY = 20;
+// Incoming X-Request-ID values are echoed and logged, so only plain IDs are taken
+const REQUEST_ID = /^[A-Za-z0-9._:-]{1,64}$/;
+
+// Keys whose values are always hidden, wherever they appear
+const SECRET_KEY = /^(authorization|proxy-authorization|cookie|set-cookie|x-api-key|api[-_]?key|password|passwd|pass|secret|client[-_]?secret|token|access[-_]?token|refresh[-_]?token|accesstoken|refreshtoken|id[-_]?token)$/i;
+// Token-looking substrings inside free text (Bearer headers, JWTs)
+const SECRET_TEXT = [
+  [/Bearer\s+[A-Za-z0-9\-._~+/]+=*/gi, `Bearer ${REDACTED}`],
+  [/eyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*/g, REDACTED]
+];
+
+const context = new AsyncLocalStorage();
+
+/**
+ * Hide secrets in any value before it is logged. Long strings and arrays are
+ * truncated so a single log line can never dump a whole response body.
+ * @param {any} value
+ * @param {number} [depth]
+ * @returns {any} - a redacted copy
+ */
+export function redact(value, depth = 0) {
+  if (value == null) return value;
+  if (typeof value === 'string') {
+    const clean = SECRET_TEXT.reduce((str, [pattern, replacement]) => str.replace(pattern, replacement), value);
+    return clean.length > MAX_STRING ? `${clean.slice(0, MAX_STRING)}…(${clean.length} chars)` : clean;
+  }
+  if (typeof value !== 'object') return value;
+  if (depth >= MAX_DEPTH) return '[Object]';
+
+  if (value instanceof Error) {
+    return redact({
+      message: value.message,
+      status: value.response?.status,
+      url: value.config?.url,
+      stack: value.stack
+    }, depth + 1);
+  }
+  if (Array.isArray(value)) {
+    const items = value.slice(0, MAX_ARRAY).map(v => redact(v, depth + 1));
+    if (value.length > MAX_ARRAY) items.push(`…(${value.length} items)`);
+    return items;
+  }
+
+  const out = {};
+  for (const [key, v] of Object.entries(value)) {
+    out[key] = SECRET_KEY.test(key) ? REDACTED : redact(v, depth + 1);
+  }
+  return out;
+}
+
+/**
+ * Request ID of the Express request currently being handled, if any.
+ * @returns {string|undefined}
+ */
+export function getRequestId() {
+  return context.getStore()?.requestId;
+}
+
+/**
+ * Run `fn` with the given request ID attached to every log line it produces.
+ * @template T
+ * @param {string} requestId
+ * @param {() => T} fn
+ * @returns {T}
+ */
+export function runWithRequestId(requestId, fn) {
+  return context.run({ requestId }, fn);
+}
+
+function threshold() {
+  return LEVELS[(process.env.LOG_LEVEL || 'info').toLowerCase()] ?? LEVELS.info;
+}
+
+function write(level, bindings, msg, fields) {
+  if (LEVELS[level] < threshold()) return;
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg: redact(msg),
+    ...(getRequestId() && { requestId: getRequestId() }),
+    ...redact({ ...bindings, ...fields })
+  };
+  const line = JSON.stringify(entry);
+  if (LEVELS[level] >= LEVELS.warn) process.stderr.write(`${line}\n`);
+  else process.stdout.write(`${line}\n`);
+}
+
+/**
+ * Create a logger; `bindings` (e.g. `{ module: 'agentEvents' }`) are added to every line.
+ * @param {object} [bindings]
+ */
+export function createLogger(bindings = {}) {
+  return {
+    debug: (msg, fields) => write('debug', bindings, msg, fields),
+    info: (msg, fields) => write('info', bindings, msg, fields),
+    warn: (msg, fields) => write('warn', bindings, msg, fields),
+    error: (msg, fields) => write('error', bindings, msg, fields),
+    isDebugEnabled: () => threshold() <= LEVELS.debug,
+    child: extra => createLogger({ ...bindings, ...extra })
+  };
+}
+
+/**
+ * Express middleware: assign a request ID (honouring an incoming X-Request-ID
+ * of up to 64 letters, digits and `._:-`, replacing anything else), echo it in
+ * the response and log one line per completed request.
+ */
+export function requestLogger() {
+  const log = createLogger({ module: 'http' });
+  return (req, res, next) => {
+    const incoming = req.get('x-request-id');
+    const requestId = incoming && REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+    const started = process.hrtime.bigint();
+    req.id = requestId;
+    res.set('X-Request-ID', requestId);
+
+    runWithRequestId(requestId, () => {
+      res.on('finish', () => {
+        runWithRequestId(requestId, () => {
+          log.info('request completed', {
+            method: req.method,
+            path: req.path,
+            status: res.statusCode,
+            durationMs: Number(process.hrtime.bigint() - started) / 1e6
+          });
+        });
+      });
+      next();
+    });
+  };
+}
@@ -0,0 +1,231 @@
+// mockPbx.js
+// Local stand-in for the PBX portal so the report tool can be developed and
+// tested without network access or real credentials.
+//
+// Usage examples:
+//   node mockPbx.js                      # listens on http://localhost:9443
+//   MOCK_PBX_PORT=9500 node mockPbx.js
+//
+// Point a tenant at the mock with a registry entry (tenants.json, or the file
+// in TENANTS_FILE; tenants.example.json has this one), then query ?account=mock:
+//   { "id": "mock", "baseUrl": "http://localhost:9443",
+//     "credentials": { "usernameEnv": "MOCK_API_USERNAME", "passwordEnv": "MOCK_API_PASSWORD" } }
+//   MOCK_API_USERNAME=mock@example.com MOCK_API_PASSWORD=mock-password npm run dev
+// BASE_URL only applies without a registry file (the single env-var tenant).
+//
+// Implemented endpoints (all driven by JSON fixtures in fixtures/mock-pbx):
+//   POST /api/v2/config/login/oauth, /api/v2/login, /api/login   – portal login
+//   POST /portal/callcenter/reports/agents-status-activity        – legacy login
+//   POST /api/v2/config/login/refresh                             – refresh-token exchange
+//   GET  /api/v2/reports/callcenter/agents/stats                  – `next_start_key` paging
+//   GET  /api/v2/reports/callcenter/agents/activity/events        – `x-next-start-key` header paging
+//
+// Errors and slow responses are injected on demand through the control API
+// (`route` is login, refresh, stats, events or *):
+//   POST   /__mock/faults  { "route": "events", "status": 500, "delayMs": 0, "count": 2 }
+//   GET    /__mock/faults
+//   DELETE /__mock/faults
+// or at start-up with MOCK_PBX_FAULTS='[{"route":"stats","delayMs":8000}]'.
+// DELETE /__mock/tokens revokes every issued access token (refresh tokens stay valid).
+
+import express from 'express';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, 'fixtures', 'mock-pbx');
+
+const LOGIN_PATHS = ['/api/v2/config/login/oauth', '/api/v2/login', '/api/login'];
+const LEGACY_LOGIN_PATH = '/portal/callcenter/reports/agents-status-activity';
+const REFRESH_PATH = '/api/v2/config/login/refresh';
+const STATS_PATH = '/api/v2/reports/callcenter/agents/stats';
+const EVENTS_PATH = '/api/v2/reports/callcenter/agents/activity/events';
+
+/**
+ * Read a JSON fixture file.
+ * @param {string} fixturesDir - directory holding the fixtures
+ * @param {string} name        - file name
+ * @returns {any}
+ */
+function readFixture(fixturesDir, name) {
+  return JSON.parse(fs.readFileSync(path.join(fixturesDir, name), 'utf8'));
+}
+
+/**
+ * Resolve the fixture event timestamps. Events carry either an absolute
+ * `Timestamp` or an `offset` (seconds) from the fixture anchor, which is
+ * `now`, `today` (00:00 UTC) or a unix timestamp.
+ * @param {object} fixture - parsed activity-events.json
+ * @returns {object[]} - events sorted by Timestamp
+ */
+function resolveEvents(fixture) {
+  const nowSec = Math.floor(Date.now() / 1000);
+  let anchor = nowSec;
+  if (fixture.anchor === 'today') anchor = nowSec - (nowSec % 86400);
+  else if (typeof fixture.anchor === 'number') anchor = fixture.anchor;
+
+  return fixture.events
+    .map(({ offset, ...event }) => ({
+      ...event,
+      Timestamp: event.Timestamp ?? anchor + offset
+    }))
+    .sort((a, b) => a.Timestamp - b.Timestamp);
+}
+
+/**
+ * Map a request path to the fault route key used by the control API.
+ * @param {string} reqPath
+ * @returns {'login'|'refresh'|'stats'|'events'|null}
+ */
+function routeKey(reqPath) {
+  if (LOGIN_PATHS.includes(reqPath) || reqPath === LEGACY_LOGIN_PATH) return 'login';
+  if (reqPath === REFRESH_PATH) return 'refresh';
+  if (reqPath === STATS_PATH) return 'stats';
+  if (reqPath === EVENTS_PATH) return 'events';
+  return null;
+}
+
+/**
+ * Build the mock PBX Express app.
+ * @param {object} [opts]
+ * @param {string} [opts.fixturesDir]  – directory with login.json, agents-stats.json, activity-events.json.
+ * @param {object[]} [opts.faults]     – faults to install at start-up.
+ * @returns {import('express').Express & { faults: object[] }}
+ */
+export function createMockPbx({ fixturesDir = DEFAULT_FIXTURES_DIR, faults = [] } = {}) {
+  const app = express();
+  const tokens = new Map(); // access token -> expiresAt (ms)
+  const refreshTokens = new Set();
+  app.faults = [...faults];
+
+  app.use(express.json());
+
+  // Control API for fault injection
+  app.get('/__mock/faults', (req, res) => res.json({ data: app.faults }));
+  app.post('/__mock/faults', (req, res) => {
+    const { route = '*', status, delayMs = 0, count = null, body } = req.body || {};
+    const fault = { route, status, delayMs, count, body };
+    app.faults.push(fault);
+    res.status(201).json({ data: fault });
+  });
+  app.delete('/__mock/faults', (req, res) => {
+    app.faults.length = 0;
+    res.status(204).end();
+  });
+  app.delete('/__mock/tokens', (req, res) => {
+    tokens.clear();
+    res.status(204).end();
+  });
+
+  // Apply the first matching fault: delay first, then optionally fail
+  app.use(async (req, res, next) => {
+    const key = routeKey(req.path);
+    if (!key) return next();
+
+    const fault = app.faults.find(f => f.route === '*' || f.route === key);
+    if (!fault) return next();
+
+    if (fault.count != null && --fault.count <= 0) {
+      app.faults.splice(app.faults.indexOf(fault), 1);
+    }
+    if (fault.delayMs) await new Promise(r => setTimeout(r, fault.delayMs));
+    if (fault.status) {
+      return res.status(fault.status).json(fault.body ?? { error: `Injected ${fault.status} on ${key}` });
+    }
+    next();
+  });
+
+  const mintTokens = () => {
+    const { expiresIn = 3600 } = readFixture(fixturesDir, 'login.json');
+    const accessToken = `mock-access-${crypto.randomBytes(16).toString('hex')}`;
+    const refreshToken = `mock-refresh-${crypto.randomBytes(16).toString('hex')}`;
+    tokens.set(accessToken, Date.now() + expiresIn * 1000);
+    refreshTokens.add(refreshToken);
+    return { accessToken, refreshToken, expiresIn };
+  };
+
+  const issueToken = ({ username, password } = {}) => {
+    const { users = [] } = readFixture(fixturesDir, 'login.json');
+    const valid = users.length
+      ? users.some(u => u.username === username && u.password === password)
+      : Boolean(username && password);
+    return valid ? mintTokens() : null;
+  };
+
+  const requireToken = (req, res, next) => {
+    const token = (req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+    const expiresAt = tokens.get(token);
+    if (!expiresAt || expiresAt < Date.now()) {
+      return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+    next();
+  };
+
+  app.post(LOGIN_PATHS, (req, res) => {
+    const issued = issueToken(req.body);
+    if (!issued) return res.status(401).json({ error: 'Invalid credentials' });
+    res.json(issued);
+  });
+
+  app.post(LEGACY_LOGIN_PATH, (req, res) => {
+    const issued = issueToken(req.body);
+    if (!issued) return res.status(401).json({ error: 'Invalid credentials' });
+    res.json({ access_token: issued.accessToken, refresh_token: issued.refreshToken, expires_in: issued.expiresIn });
+  });
+
+  // Refresh tokens are single-use: each exchange rotates them
+  app.post(REFRESH_PATH, (req, res) => {
+    const refreshToken = req.body?.refreshToken || req.body?.refresh_token;
+    if (!refreshTokens.delete(refreshToken)) {
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
+    res.json(mintTokens());
+  });
+
+  app.get(STATS_PATH, requireToken, (req, res) => {
+    const { name, extension, start_key: startKey } = req.query;
+    const pageSize = Number(process.env.MOCK_PBX_STATS_PAGE_SIZE) || 2;
+
+    const rows = readFixture(fixturesDir, 'agents-stats.json')
+      .filter(r => !name || r.name === name)
+      .filter(r => !extension || String(r.extension) === String(extension));
+
+    const offset = startKey ? Number(startKey) : 0;
+    const page = rows.slice(offset, offset + pageSize);
+    const next = offset + pageSize < rows.length ? String(offset + pageSize) : undefined;
+    res.json({ data: page, ...(next && { next_start_key: next }) });
+  });
+
+  app.get(EVENTS_PATH, requireToken, (req, res) => {
+    const startDate = Number(req.query.startDate);
+    const endDate = Number(req.query.endDate);
+    if (Number.isNaN(startDate) || Number.isNaN(endDate)) {
+      return res.status(400).json({ error: 'startDate and endDate are required' });
+    }
+    const pageSize = Number(req.query.pageSize) || 1000;
+    const offset = req.query.startKey ? Number(req.query.startKey) : 0;
+
+    const events = resolveEvents(readFixture(fixturesDir, 'activity-events.json'))
+      .filter(e => e.Timestamp >= startDate && e.Timestamp <= endDate);
+
+    const page = events.slice(offset, offset + pageSize);
+    if (offset + pageSize < events.length) {
+      res.set('x-next-start-key', String(offset + pageSize));
+    }
+    res.json(page);
+  });
+
+  return app;
+}
+
+// Execute when run directly
+if (import.meta.url === process.argv[1] || import.meta.url === `file://${process.argv[1]}`) {
+  const port = Number(process.env.MOCK_PBX_PORT) || 9443;
+  const faults = process.env.MOCK_PBX_FAULTS ? JSON.parse(process.env.MOCK_PBX_FAULTS) : [];
+  const app = createMockPbx({ fixturesDir: process.env.MOCK_PBX_FIXTURES || DEFAULT_FIXTURES_DIR, faults });
+  app.listen(port, () => {
+    console.log(`Mock PBX running at http://localhost:${port}`);
+  });
+}
@@ -0,0 +1,703 @@
+// openapi.js
+// OpenAPI 3.1 description of every /api route. It is served at
+// /api/openapi.json (interactive docs at /api/docs) and is also what
+// apiValidation.js checks requests and responses against, so a route's
+// parameters are declared here once instead of being parsed by hand.
+//
+// Two date conventions are kept for compatibility: the agent status routes
+// take ISO `start` / `end`, everything built on the activity events takes
+// unix-second `startDate` / `endDate`. Unknown query parameters are ignored.
+
+import { ROLES } from './access.js';
+import { API_KEY_HEADER, ROUTE_SCOPES } from './apiKeys.js';
+import { SESSION_COOKIE } from './auth.js';
+import { EXPORT_FORMATS } from './reportExport.js';
+import { FORMATS as SCHEDULE_FORMATS, PERIODS, REPORTS as SCHEDULE_REPORTS } from './scheduler.js';
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const param = name => ({ $ref: `#/components/parameters/${name}` });
+const json = schema => ({ 'application/json': { schema } });
+const ok = (description, schema) => ({ description, content: json(schema) });
+const list = schema => ({ type: 'object', required: ['data'], properties: { data: { type: 'array', items: schema } } });
+const nullable = schema => (schema.$ref ? { anyOf: [schema, { type: 'null' }] } : { ...schema, type: [schema.type, 'null'] });
+const strings = { type: 'array', items: { type: 'string' } };
+const errors = (...statuses) => Object.fromEntries(statuses.map(status => [status, { $ref: `#/components/responses/${status}` }]));
+const pathId = (name, description) => ({ name, in: 'path', required: true, description, schema: { type: 'string' } });
+const body = (schema, required = true) => ({ required, content: json(schema) });
+
+// Every JSON report carries the zone it was rendered in and whether the upstream row cap was hit
+const report = (row, extra = {}) => ({
+  type: 'object',
+  required: ['truncated', 'data'],
+  properties: { timeZone: { type: 'string' }, truncated: { type: 'boolean' }, data: { type: 'array', items: row }, ...extra }
+});
+
+const statusRange = [param('account'), param('start'), param('end'), param('tz'), param('team')];
+const eventRange = [param('account'), param('startDate'), param('endDate'), param('tz')];
+const download = (description, type) => ({ description, content: { [type]: { schema: { type: 'string', format: 'binary' } } } });
+const exportResponse = {
+  description: 'The report as a file; X-Report-Truncated says whether the upstream row cap was hit',
+  content: {
+    'text/csv': { schema: { type: 'string' } },
+    'application/json': { schema: { type: 'array', items: { type: 'object' } } },
+    'application/x-ndjson': { schema: { type: 'string' } },
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': { schema: { type: 'string', format: 'binary' } }
+  }
+};
+
+const schemas = {
+  Error: {
+    type: 'object',
+    required: ['error', 'code'],
+    properties: {
+      error: { type: 'string', description: 'What went wrong, for people' },
+      code: { type: 'string', description: 'Stable error code, for programs', example: 'invalid_request' },
+      requestId: { type: 'string', description: 'Also sent as X-Request-ID and logged' },
+      details: {
+        type: 'array',
+        description: 'Failed checks, for invalid requests',
+        items: {
+          type: 'object',
+          required: ['in', 'message'],
+          properties: { in: { type: 'string', enum: ['path', 'query', 'body'] }, name: { type: 'string' }, message: { type: 'string' } }
+        }
+      }
+    }
+  },
+  Tenant: {
+    type: 'object',
+    required: ['id'],
+    properties: { id: { type: 'string' }, name: { type: 'string' }, timeZone: { type: 'string' }, dayCutoff: { type: 'string', example: '06:00' } }
+  },
+  AgentRow: {
+    type: 'object',
+    required: ['name', 'extension'],
+    properties: {
+      name: { type: 'string' },
+      extension: { type: 'string' },
+      user_id: nullable({ type: 'string' }),
+      identity_match: { type: 'string', enum: ['user_id', 'extension', 'name', 'ambiguous', 'unmatched'] },
+      total_calls: { type: 'number' },
+      answered_calls: { type: 'number' },
+      registered_time: { type: 'number', description: 'Seconds' },
+      not_available_time: { type: 'number', description: 'Seconds' },
+      not_available_detailed_report: { type: 'object', additionalProperties: { type: 'number' } },
+      occupancy: nullable({ type: 'number' }),
+      utilization: nullable({ type: 'number' }),
+      avg_handle_time: nullable({ type: 'number' }),
+      answer_rate: nullable({ type: 'number' }),
+      first_login_time: nullable({ type: 'string' }),
+      last_logoff_time: nullable({ type: 'string' }),
+      team_id: nullable({ type: 'string' }),
+      team_name: { type: 'string' }
+    }
+  },
+  IdentityIssue: {
+    type: 'object',
+    required: ['source', 'issue'],
+    properties: {
+      source: { type: 'string', enum: ['status', 'events'] },
+      issue: { type: 'string', enum: ['ambiguous', 'unmatched', 'no_events'] },
+      user_id: nullable({ type: 'string' }),
+      ext: { type: 'string' },
+      name: { type: 'string' },
+      candidates: strings
+    }
+  },
+  LoginRow: {
+    type: 'object',
+    required: ['username', 'ext'],
+    properties: {
+      user_id: nullable({ type: 'string' }),
+      username: { type: 'string' },
+      ext: { type: 'string' },
+      firstLoginTime: nullable({ type: 'string' }),
+      firstLoginTimestamp: nullable({ type: 'integer' }),
+      lastLogoffTime: nullable({ type: 'string' }),
+      lastLogoffTimestamp: nullable({ type: 'integer' }),
+      team_id: nullable({ type: 'string' }),
+      team_name: { type: 'string' }
+    }
+  },
+  DailyRow: {
+    allOf: [
+      ref('LoginRow'),
+      {
+        type: 'object',
+        required: ['date'],
+        properties: { date: { type: 'string', example: '2025-07-01' }, sessionCount: { type: 'integer' }, loggedInSeconds: { type: 'number' }, hasOpenSession: { type: 'boolean' } }
+      }
+    ]
+  },
+  SessionRow: {
+    type: 'object',
+    required: ['username', 'sessions'],
+    properties: {
+      user_id: nullable({ type: 'string' }),
+      username: { type: 'string' },
+      ext: { type: 'string' },
+      sessions: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            loginTimestamp: nullable({ type: 'integer' }),
+            logoffTimestamp: nullable({ type: 'integer' }),
+            duration: { type: 'number' },
+            open: { type: 'boolean' },
+            missingLogin: { type: 'boolean' }
+          }
+        }
+      },
+      sessionCount: { type: 'integer' },
+      totalLoggedInSeconds: { type: 'number' },
+      hasOpenSession: { type: 'boolean' }
+    }
+  },
+  LiveAgent: {
+    type: 'object',
+    required: ['key', 'username', 'ext', 'state', 'since'],
+    properties: {
+      key: { type: 'string', description: '`user_id_ext`, stable across updates' },
+      user_id: nullable({ type: 'string' }),
+      username: { type: 'string' },
+      ext: { type: 'string' },
+      state: { type: 'string' },
+      category: { type: 'string' },
+      since: { type: 'integer', description: 'Unix seconds the agent entered the state' }
+    }
+  },
+  TimelineAgent: {
+    type: 'object',
+    required: ['username', 'intervals'],
+    properties: {
+      user_id: nullable({ type: 'string' }),
+      username: { type: 'string' },
+      ext: { type: 'string' },
+      intervals: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['state', 'start', 'end'],
+          properties: { state: { type: 'string' }, category: { type: 'string' }, start: { type: 'integer' }, end: { type: 'integer' }, duration: { type: 'number' } }
+        }
+      },
+      totals: { type: 'object', additionalProperties: { type: 'number' } }
+    }
+  },
+  AdherenceRow: {
+    type: 'object',
+    required: ['agent', 'shifts'],
+    properties: {
+      agent: { type: 'string' },
+      ext: { type: 'string' },
+      shifts: { type: 'array', items: { type: 'object' } },
+      scheduledShifts: { type: 'integer' },
+      missedShifts: { type: 'integer' },
+      lateLogins: { type: 'integer' },
+      earlyLogoffs: { type: 'integer' },
+      adherence: nullable({ type: 'number', description: 'Percent of required time spent logged in' })
+    }
+  },
+  TeamGroup: {
+    type: 'object',
+    required: ['id', 'name', 'subtotal', 'count'],
+    properties: { id: nullable({ type: 'string' }), name: { type: 'string' }, subtotal: { type: 'object' }, count: { type: 'integer' } }
+  },
+  Shift: {
+    type: 'object',
+    required: ['agent', 'date', 'start', 'end'],
+    properties: { agent: { type: 'string' }, date: { type: 'string' }, start: { type: 'string', example: '09:00' }, end: { type: 'string', example: '17:30' }, breakMinutes: { type: 'number' } }
+  },
+  Team: {
+    type: 'object',
+    required: ['id', 'name', 'members'],
+    properties: { id: { type: 'string' }, name: { type: 'string' }, supervisor: nullable({ type: 'string' }), members: strings }
+  },
+  TeamInput: {
+    type: 'object',
+    properties: {
+      id: { type: 'string', description: 'Defaults to the name in lowercase' },
+      name: { type: 'string' },
+      supervisor: nullable({ type: 'string' }),
+      members: { ...strings, description: 'Extensions or user_ids' }
+    }
+  },
+  Identity: {
+    type: 'object',
+    required: ['user_id', 'names', 'extensions'],
+    properties: {
+      user_id: { type: 'string' },
+      name: { type: 'string' },
+      ext: { type: 'string' },
+      names: { type: 'array', items: ref('IdentityHistory') },
+      extensions: { type: 'array', items: ref('IdentityHistory') }
+    }
+  },
+  IdentityHistory: {
+    type: 'object',
+    required: ['value', 'firstSeen', 'lastSeen'],
+    properties: { value: { type: 'string' }, firstSeen: { type: 'integer' }, lastSeen: { type: 'integer' } }
+  },
+  User: {
+    type: 'object',
+    required: ['username', 'role'],
+    properties: {
+      username: { type: 'string' },
+      role: { type: 'string', enum: ROLES },
+      tenants: strings,
+      teams: strings,
+      agents: strings,
+      createdAt: { type: 'string', format: 'date-time' },
+      apiKey: { type: 'string', description: 'Set when the request was made with an API key' }
+    }
+  },
+  UserInput: {
+    type: 'object',
+    required: ['username', 'password'],
+    properties: {
+      username: { type: 'string' },
+      password: { type: 'string', minLength: 8 },
+      role: { type: 'string', enum: ROLES, default: 'viewer' },
+      tenants: strings,
+      teams: strings,
+      agents: strings
+    }
+  },
+  UserUpdate: {
+    type: 'object',
+    properties: { password: { type: 'string', minLength: 8 }, role: { type: 'string', enum: ROLES }, tenants: strings, teams: strings, agents: strings }
+  },
+  ApiKey: {
+    type: 'object',
+    required: ['id', 'name', 'status'],
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      tenants: strings,
+      routes: { type: 'array', items: { type: 'string', enum: Object.keys(ROUTE_SCOPES) } },
+      expiresAt: nullable({ type: 'string', format: 'date-time' }),
+      status: { type: 'string', enum: ['active', 'expired', 'revoked'] },
+      createdBy: nullable({ type: 'string' }),
+      createdAt: { type: 'string', format: 'date-time' },
+      lastUsedAt: nullable({ type: 'string', format: 'date-time' }),
+      rotatedAt: nullable({ type: 'string', format: 'date-time' }),
+      revokedAt: nullable({ type: 'string', format: 'date-time' })
+    }
+  },
+  ApiKeyWithSecret: {
+    allOf: [ref('ApiKey'), { type: 'object', required: ['key'], properties: { key: { type: 'string', description: 'Shown only once' } } }]
+  },
+  ApiKeyInput: {
+    type: 'object',
+    required: ['name'],
+    properties: {
+      name: { type: 'string' },
+      tenants: strings,
+      routes: { type: 'array', items: { type: 'string', enum: Object.keys(ROUTE_SCOPES) } },
+      expiresAt: nullable({ type: 'string', format: 'date-time' })
+    }
+  },
+  Schedule: {
+    type: 'object',
+    required: ['id', 'cron', 'report', 'tenant', 'period'],
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      cron: { type: 'string', example: '0 6 * * 1' },
+      report: { type: 'string', enum: SCHEDULE_REPORTS },
+      tenant: { type: 'string' },
+      period: { type: 'string', enum: PERIODS },
+      timeZone: nullable({ type: 'string' }),
+      formats: { type: 'array', items: { type: 'string', enum: SCHEDULE_FORMATS } },
+      retries: { type: 'integer' },
+      retryDelay: { type: 'string' },
+      enabled: { type: 'boolean' },
+      running: { type: 'boolean' },
+      nextRunAt: nullable({ type: 'string', format: 'date-time' }),
+      lastRun: nullable(ref('Run'))
+    }
+  },
+  ScheduleInput: {
+    type: 'object',
+    properties: {
+      name: { type: 'string' },
+      cron: { type: 'string' },
+      report: { type: 'string', enum: SCHEDULE_REPORTS },
+      tenant: { type: 'string' },
+      period: { type: 'string', enum: PERIODS },
+      timeZone: nullable({ type: 'string' }),
+      formats: { type: 'array', items: { type: 'string', enum: SCHEDULE_FORMATS } },
+      retries: { type: 'integer', minimum: 0, maximum: 10 },
+      retryDelay: { type: 'string', example: '1m' },
+      enabled: { type: 'boolean' }
+    }
+  },
+  Run: {
+    type: 'object',
+    required: ['id', 'jobId', 'status'],
+    properties: {
+      id: { type: 'string' },
+      jobId: { type: 'string' },
+      trigger: { type: 'string' },
+      status: { type: 'string' },
+      attempts: { type: 'integer' },
+      startedAt: { type: 'string', format: 'date-time' },
+      finishedAt: nullable({ type: 'string', format: 'date-time' }),
+      rows: { type: 'integer' },
+      files: strings
+    }
+  }
+};
+
+const parameters = {
+  account: { name: 'account', in: 'query', description: 'Tenant id; the default tenant (or the user\'s first) when omitted', schema: { type: 'string' } },
+  tz: { name: 'tz', in: 'query', description: 'IANA zone to report in; the tenant\'s zone when omitted', schema: { type: 'string', example: 'Asia/Kolkata' } },
+  team: { name: 'team', in: 'query', description: 'Keep only this team\'s agents', schema: { type: 'string' } },
+  groupBy: { name: 'groupBy', in: 'query', description: 'Add per-team groups with subtotals', schema: { type: 'string', enum: ['team'] } },
+  refresh: { name: 'refresh', in: 'query', description: 'Re-download the range instead of answering from the event store', schema: { type: 'boolean', default: false } },
+  start: { name: 'start', in: 'query', required: true, description: 'Range start, ISO 8601', schema: { type: 'string', format: 'date-time' } },
+  end: { name: 'end', in: 'query', required: true, description: 'Range end, ISO 8601', schema: { type: 'string', format: 'date-time' } },
+  startDate: { name: 'startDate', in: 'query', required: true, description: 'Range start, unix seconds', schema: { type: 'integer', minimum: 0 } },
+  endDate: { name: 'endDate', in: 'query', required: true, description: 'Range end, unix seconds', schema: { type: 'integer', minimum: 0 } },
+  pageSize: { name: 'pageSize', in: 'query', description: 'Upstream page size', schema: { type: 'integer', minimum: 1 } },
+  format: { name: 'format', in: 'query', description: 'File format', schema: { type: 'string', enum: EXPORT_FORMATS, default: 'csv' } },
+  rosterFrom: { name: 'from', in: 'query', description: 'First date, YYYY-MM-DD', schema: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$' } },
+  rosterTo: { name: 'to', in: 'query', description: 'Last date, YYYY-MM-DD', schema: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$' } }
+};
+
+const responses = {
+  400: { description: 'Invalid request: bad parameters or body, unknown tenant or team', content: json(ref('Error')) },
+  401: { description: 'No session or API key, or a bad one', content: json(ref('Error')) },
+  403: { description: 'The role, tenant / team scope or API key scope does not allow it', content: json(ref('Error')) },
+  404: { description: 'Not found', content: json(ref('Error')) },
+  409: { description: 'Conflict with the current state', content: json(ref('Error')) },
+  429: { description: 'Too many failed logins', content: json(ref('Error')) },
+  500: { description: 'Server or upstream PBX error', content: json(ref('Error')) }
+};
+
+const paths = {
+  '/api/login': {
+    post: {
+      tags: ['Login'],
+      summary: 'Log in and receive the session cookie',
+      security: [],
+      requestBody: body({
+        type: 'object',
+        required: ['username', 'password'],
+        properties: { username: { type: 'string' }, password: { type: 'string' } }
+      }),
+      responses: { 200: ok('The user', ref('User')), ...errors(400, 401, 429, 500) }
+    }
+  },
+  '/api/logout': {
+    post: { tags: ['Login'], summary: 'End the session', responses: { 204: { description: 'Logged out' }, ...errors(401) } }
+  },
+  '/api/me': {
+    get: { tags: ['Login'], summary: 'The logged-in user (null with AUTH=off)', responses: { 200: ok('The user', nullable(ref('User'))), ...errors(401) } }
+  },
+  '/api/timezones': {
+    get: {
+      tags: ['Settings'],
+      summary: 'Zone picker options and the server default',
+      responses: { 200: ok('Zones', { type: 'object', required: ['default', 'data'], properties: { default: { type: 'string' }, data: strings } }), ...errors(401) }
+    }
+  },
+  '/api/tenants': {
+    get: {
+      tags: ['Settings'],
+      summary: 'Tenants the user may query, and the default',
+      responses: {
+        200: ok('Tenants', { type: 'object', required: ['data'], properties: { default: nullable({ type: 'string' }), data: { type: 'array', items: ref('Tenant') } } }),
+        ...errors(401, 500)
+      }
+    }
+  },
+  '/api/agents': {
+    get: {
+      tags: ['Reports'],
+      summary: 'Agent status report with KPIs, login times and totals',
+      parameters: [...statusRange, param('groupBy'), param('refresh')],
+      responses: {
+        200: ok('Agent rows', report(ref('AgentRow'), {
+          totals: { type: 'object' },
+          identityIssues: { type: 'array', items: ref('IdentityIssue') },
+          groups: { type: 'array', items: ref('TeamGroup') }
+        })),
+        ...errors(400, 401, 403, 500)
+      }
+    }
+  },
+  '/api/agents/xlsx': {
+    get: {
+      tags: ['Exports'],
+      summary: 'Agent status report as an Excel workbook',
+      parameters: statusRange,
+      responses: { 200: download('Workbook', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'), ...errors(400, 401, 403, 500) }
+    }
+  },
+  '/api/agents/pdf': {
+    get: {
+      tags: ['Exports'],
+      summary: 'Agent status report as a branded PDF',
+      parameters: statusRange,
+      responses: { 200: download('PDF', 'application/pdf'), ...errors(400, 401, 403, 500) }
+    }
+  },
+  '/api/agents/export': {
+    get: {
+      tags: ['Exports'],
+      summary: 'Agent status report as CSV, JSON, NDJSON or Excel',
+      parameters: [param('format'), ...statusRange, param('groupBy')],
+      responses: { 200: exportResponse, ...errors(400, 401, 403, 500) }
+    }
+  },
+  '/api/events': {
+    get: {
+      tags: ['Reports'],
+      summary: 'First login and last logoff per agent',
+      parameters: [
+        ...eventRange, param('team'), param('groupBy'), param('refresh'), param('pageSize'),
+        { name: 'timeRange', in: 'query', description: 'Upstream time range such as 1d; bypasses the event store', schema: { type: 'string' } }
+      ],
+      responses: { 200: ok('Login rows', report(ref('LoginRow'), { groups: { type: 'array', items: ref('TeamGroup') } })), ...errors(400, 401, 403, 500) }
+    }
+  },
+  '/api/events/daily': {
+    get: {
+      tags: ['Reports'],
+      summary: 'First login and last logoff per agent per business day',
+      parameters: [...eventRange, param('team'), param('refresh')],
+      responses: { 200: ok('Daily rows', report(ref('DailyRow'), { dayCutoff: { type: 'string' } })), ...errors(400, 401, 403, 500) }
+    }
+  },
+  '/api/events/pdf': {
+    get: {
+      tags: ['Exports'],
+      summary: 'Login / logoff report as a branded PDF',
+      parameters: [...eventRange, param('team')],
+      responses: { 200: download('PDF', 'application/pdf'), ...errors(400, 401, 403, 500) }
+    }
+  },
+  '/api/events/export': {
+    get: {
+      tags: ['Exports'],
+      summary: 'Login / logoff report as CSV, JSON, NDJSON or Excel',
+      parameters: [
+        param('format'), ...eventRange, param('team'), param('groupBy'),
+        { name: 'byDay', in: 'query', description: 'One row per agent per business day; not with groupBy', schema: { type: 'boolean', default: false } }
+      ],
+      responses: { 200: exportResponse, ...errors(400, 401, 403, 500) }
+    }
+  },
+  '/api/sessions': {
+    get: {
+      tags: ['Reports'],
+      summary: 'Every login paired with its logoff',
+      parameters: [...eventRange, param('pageSize')],
+      responses: { 200: ok('Session rows', report(ref('SessionRow'))), ...errors(400, 401, 403, 500) }
+    }
+  },
+  '/api/adherence': {
+    get: {
+      tags: ['Reports'],
+      summary: 'Roster against actual logins',
+      parameters: [...eventRange, { name: 'grace', in: 'query', description: 'Minutes of lateness allowed', schema: { type: 'number', minimum: 0, default: 5 } }],
+      responses: { 200: ok('Adherence rows', report(ref('AdherenceRow'))), ...errors(400, 401, 403, 500) }
+    }
+  },
+  '/api/timeline': {
+    get: {
+      tags: ['Reports'],
+      summary: 'State intervals per agent, as unix timestamps',
+      parameters: [param('account'), param('startDate'), param('endDate'), param('pageSize')],
+      responses: {
+        200: ok('Agents with intervals', {
+          type: 'object',
+          required: ['rangeStart', 'rangeEnd', 'truncated', 'data'],
+          properties: { rangeStart: { type: 'integer' }, rangeEnd: { type: 'integer' }, truncated: { type: 'boolean' }, data: { type: 'array', items: ref('TimelineAgent') } }
+        }),
+        ...errors(400, 401, 403, 500)
+      }
+    }
+  },
+  '/api/live': {
+    get: {
+      tags: ['Reports'],
+      summary: 'Every agent\'s current state, streamed as server-sent events',
+      description: 'A `snapshot` event ({ tenant, polledAt, error, agents: LiveAgent[] }) comes first, then an `update` event ' +
+        '({ tenant, polledAt, changed: LiveAgent[] }) after every poll of the PBX and `poll-failed` ({ tenant, polledAt, error }) ' +
+        'when a poll fails. Everyone watching a tenant shares one poller.',
+      parameters: [param('account')],
+      responses: { 200: { description: 'The event stream', content: { 'text/event-stream': { schema: { type: 'string' } } } }, ...errors(400, 401, 403) }
+    }
+  },
+  '/api/roster': {
+    get: {
+      tags: ['Roster'],
+      summary: 'Planned shifts',
+      parameters: [param('account'), param('rosterFrom'), param('rosterTo')],
+      responses: { 200: ok('Shifts', list(ref('Shift'))), ...errors(400, 401, 403) }
+    },
+    put: {
+      tags: ['Roster'],
+      summary: 'Upload shifts; replaces the roster for the dates uploaded',
+      parameters: [param('account')],
+      requestBody: {
+        required: true,
+        content: {
+          'text/csv': { schema: { type: 'string', example: 'agent,date,shift_start,shift_end,breaks\n1007,2025-07-01,09:00,17:30,30' } },
+          'application/json': {
+            schema: { oneOf: [{ type: 'array', items: { type: 'object' } }, { type: 'object', required: ['shifts'], properties: { shifts: { type: 'array', items: { type: 'object' } } } }] }
+          }
+        }
+      },
+      responses: {
+        200: ok('Saved', { type: 'object', required: ['saved', 'dates'], properties: { saved: { type: 'integer' }, dates: strings } }),
+        ...errors(400, 401, 403)
+      }
+    },
+    delete: {
+      tags: ['Roster'],
+      summary: 'Remove shifts',
+      parameters: [param('account'), param('rosterFrom'), param('rosterTo')],
+      responses: { 200: ok('Removed', { type: 'object', required: ['removed'], properties: { removed: { type: 'integer' } } }), ...errors(400, 401, 403) }
+    }
+  },
+  '/api/teams': {
+    get: { tags: ['Teams'], summary: 'The tenant\'s teams the user may see', parameters: [param('account')], responses: { 200: ok('Teams', list(ref('Team'))), ...errors(400, 401, 403) } },
+    post: {
+      tags: ['Teams'],
+      summary: 'Create a team',
+      parameters: [param('account')],
+      requestBody: body(ref('TeamInput')),
+      responses: { 201: ok('The team', ref('Team')), ...errors(400, 401, 403) }
+    }
+  },
+  '/api/teams/{id}': {
+    parameters: [pathId('id', 'Team id'), param('account')],
+    get: { tags: ['Teams'], summary: 'One team', responses: { 200: ok('The team', ref('Team')), ...errors(400, 401, 403, 404) } },
+    put: {
+      tags: ['Teams'],
+      summary: 'Change the name, supervisor or members',
+      requestBody: body(ref('TeamInput')),
+      responses: { 200: ok('The team', ref('Team')), ...errors(400, 401, 403, 404) }
+    },
+    delete: { tags: ['Teams'], summary: 'Remove a team', responses: { 204: { description: 'Removed' }, ...errors(400, 401, 403, 404) } }
+  },
+  '/api/identities': {
+    get: {
+      tags: ['Teams'],
+      summary: 'Known agents by user_id with their name and extension history',
+      parameters: [param('account')],
+      responses: { 200: ok('Identities', list(ref('Identity'))), ...errors(400, 401, 403) }
+    }
+  },
+  '/api/users': {
+    get: { tags: ['Users'], summary: 'Dashboard users', responses: { 200: ok('Users', list(ref('User'))), ...errors(401, 403) } },
+    post: { tags: ['Users'], summary: 'Add a user', requestBody: body(ref('UserInput')), responses: { 201: ok('The user', ref('User')), ...errors(400, 401, 403) } }
+  },
+  '/api/users/{username}': {
+    parameters: [pathId('username', 'Login name')],
+    get: { tags: ['Users'], summary: 'One user', responses: { 200: ok('The user', ref('User')), ...errors(401, 403, 404) } },
+    put: {
+      tags: ['Users'],
+      summary: 'Change the password, role or scope',
+      requestBody: body(ref('UserUpdate')),
+      responses: { 200: ok('The user', ref('User')), ...errors(400, 401, 403, 404) }
+    },
+    delete: { tags: ['Users'], summary: 'Remove the user and end their sessions', responses: { 204: { description: 'Removed' }, ...errors(400, 401, 403, 404) } }
+  },
+  '/api/keys': {
+    get: { tags: ['API keys'], summary: 'API keys (never the secrets)', responses: { 200: ok('Keys', list(ref('ApiKey'))), ...errors(401, 403) } },
+    post: {
+      tags: ['API keys'],
+      summary: 'Create a key; the response holds the only copy of the secret',
+      requestBody: body(ref('ApiKeyInput')),
+      responses: { 201: ok('The key with its secret', ref('ApiKeyWithSecret')), ...errors(400, 401, 403) }
+    }
+  },
+  '/api/keys/{id}': {
+    parameters: [pathId('id', 'Key id')],
+    get: { tags: ['API keys'], summary: 'One key', responses: { 200: ok('The key', ref('ApiKey')), ...errors(401, 403, 404) } },
+    delete: { tags: ['API keys'], summary: 'Revoke a key (it stays listed)', responses: { 200: ok('The revoked key', ref('ApiKey')), ...errors(401, 403, 404) } }
+  },
+  '/api/keys/{id}/rotate': {
+    parameters: [pathId('id', 'Key id')],
+    post: {
+      tags: ['API keys'],
+      summary: 'New secret for the same key; the old one stops working',
+      responses: { 200: ok('The key with its new secret', ref('ApiKeyWithSecret')), ...errors(400, 401, 403, 404) }
+    }
+  },
+  '/api/admin/endpoints': {
+    get: { tags: ['Admin'], summary: 'Events endpoint remembered per tenant', responses: { 200: ok('Endpoints', list({ type: 'object' })), ...errors(401, 403) } },
+    delete: {
+      tags: ['Admin'],
+      summary: 'Forget one tenant\'s endpoint, or all without account',
+      parameters: [param('account')],
+      responses: { 200: ok('Removed', { type: 'object', required: ['removed'], properties: { removed: { type: 'integer' } } }), ...errors(401, 403) }
+    }
+  },
+  '/api/admin/store': {
+    get: {
+      tags: ['Admin'],
+      summary: 'What the local event store holds per tenant',
+      responses: { 200: ok('Store summary', { type: 'object', required: ['enabled', 'data'], properties: { enabled: { type: 'boolean' }, data: { type: 'array', items: { type: 'object' } } } }), ...errors(401, 403) }
+    }
+  },
+  '/api/admin/live': {
+    get: { tags: ['Admin'], summary: 'Tenants being polled for the Live tab', responses: { 200: ok('Pollers', list({ type: 'object' })), ...errors(401, 403) } }
+  },
+  '/api/schedules': {
+    get: { tags: ['Schedules'], summary: 'Report jobs with their next run and latest run', responses: { 200: ok('Jobs', list(ref('Schedule'))), ...errors(401, 403) } },
+    post: {
+      tags: ['Schedules'],
+      summary: 'Create a job',
+      requestBody: body({ allOf: [ref('ScheduleInput'), { type: 'object', required: ['cron', 'report', 'tenant', 'period'] }] }),
+      responses: { 201: ok('The job', ref('Schedule')), ...errors(400, 401, 403) }
+    }
+  },
+  '/api/schedules/{id}': {
+    parameters: [pathId('id', 'Job id')],
+    get: { tags: ['Schedules'], summary: 'One job', responses: { 200: ok('The job', ref('Schedule')), ...errors(401, 403, 404) } },
+    put: {
+      tags: ['Schedules'],
+      summary: 'Change any of the job\'s fields',
+      requestBody: body(ref('ScheduleInput')),
+      responses: { 200: ok('The job', ref('Schedule')), ...errors(400, 401, 403, 404) }
+    },
+    delete: { tags: ['Schedules'], summary: 'Remove the job and its run history', responses: { 204: { description: 'Removed' }, ...errors(401, 403, 404) } }
+  },
+  '/api/schedules/{id}/runs': {
+    parameters: [pathId('id', 'Job id')],
+    get: { tags: ['Schedules'], summary: 'Run history, newest first', responses: { 200: ok('Runs', list(ref('Run'))), ...errors(401, 403, 404) } }
+  },
+  '/api/schedules/{id}/run': {
+    parameters: [pathId('id', 'Job id')],
+    post: { tags: ['Schedules'], summary: 'Run the job now', responses: { 202: ok('The started run', ref('Run')), ...errors(400, 401, 403, 404, 409) } }
+  }
+};
+
+export const openApiDocument = {
+  openapi: '3.1.0',
+  info: {
+    title: 'Agent reports API',
+    version: '1.0.0',
+    description: 'Agent status, login / logoff, session, adherence and timeline reports per tenant. '
+      + 'Errors are `{ error, code, requestId, details? }`.'
+  },
+  servers: [{ url: '/' }],
+  security: [{ session: [] }, { apiKey: [] }],
+  tags: ['Login', 'Settings', 'Reports', 'Exports', 'Roster', 'Teams', 'Users', 'API keys', 'Schedules', 'Admin'].map(name => ({ name })),
+  paths,
+  components: {
+    securitySchemes: {
+      session: { type: 'apiKey', in: 'cookie', name: SESSION_COOKIE, description: 'Set by POST /api/login' },
+      apiKey: { type: 'apiKey', in: 'header', name: API_KEY_HEADER, description: 'Report and export routes only' }
+    },
+    parameters,
+    responses,
+    schemas
+  }
+};
@@ -0,0 +1,283 @@
+// pdfExport.js
+// Branded PDF versions of the agent status and login/logoff reports: tenant
+// logo, report period, time zone, a totals/averages row and "Page x of y"
+// footers.
+//
+// Usage examples:
+//   node -r dotenv/config pdfExport.js agents mcint 2025-07-02T00:00:00Z 2025-07-02T23:59:59Z agents.pdf
+//   node -r dotenv/config pdfExport.js events mcint 2025-07-02T00:00:00Z 2025-07-02T23:59:59Z logins.pdf Europe/London
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import PDFDocument from 'pdfkit';
+import { createLogger } from './logger.js';
+import { summarizeAgents } from './public/agentKpis.js';
+import { buildReport } from './reports.js';
+import { getTenant } from './tenants.js';
+import { formatTimestamp, resolveTimeZone } from './timeZone.js';
+
+const log = createLogger({ module: 'pdfExport' });
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+// pdfkit only embeds PNG and JPEG, so the webp header logo can't be used here
+const DEFAULT_LOGO = path.join(__dirname, 'public', 'uploads', 'MultyLogo.png');
+
+const MARGIN = 36;
+const ROW_HEIGHT = 18;
+const BRAND_COLOUR = '#3273dc';
+
+/**
+ * Seconds as H:MM:SS; hours keep counting past a day so totals stay readable.
+ * @param {number|string} seconds
+ * @returns {string}
+ */
+function formatDuration(seconds) {
+  if (seconds == null || seconds === '') return '';
+  const total = Number(seconds);
+  if (!Number.isFinite(total)) return '';
+  const h = Math.floor(total / 3600);
+  const m = String(Math.floor((total % 3600) / 60)).padStart(2, '0');
+  const s = String(Math.floor(total % 60)).padStart(2, '0');
+  return `${h}:${m}:${s}`;
+}
+
+/**
+ * Logo to print for a tenant: its registry logo when pdfkit can embed it,
+ * else the default brand logo.
+ * @param {object} tenant
+ * @returns {string|null}
+ */
+function logoFor(tenant) {
+  const candidate = tenant.logo ? path.resolve(__dirname, tenant.logo) : DEFAULT_LOGO;
+  if (/\.(png|jpe?g)$/i.test(candidate) && fs.existsSync(candidate)) return candidate;
+  log.warn('tenant logo missing or not PNG/JPEG; using default', { tenant: tenant.id, logo: tenant.logo });
+  return fs.existsSync(DEFAULT_LOGO) ? DEFAULT_LOGO : null;
+}
+
+/**
+ * Title block: logo, report title, tenant, period and time zone, plus a
+ * warning when the rows are truncated.
+ * @returns {number} - y position below the header
+ */
+function drawHeader(doc, { title, tenant, timeZone, startDate, endDate, truncated }) {
+  const logo = logoFor(tenant);
+  if (logo) doc.image(logo, MARGIN, MARGIN, { fit: [54, 54] });
+
+  const x = MARGIN + (logo ? 66 : 0);
+  doc.fillColor('#000').font('Helvetica-Bold').fontSize(16).text(title, x, MARGIN + 4);
+  doc.font('Helvetica').fontSize(9).fillColor('#444')
+    .text(`Tenant: ${tenant.name}`, x, MARGIN + 26)
+    .text(
+      `Period: ${formatTimestamp(startDate / 1000, timeZone)} – ${formatTimestamp(endDate / 1000, timeZone)}   ` +
+      `Time zone: ${timeZone}   Generated: ${formatTimestamp(Date.now() / 1000, timeZone)}`,
+      x, MARGIN + 39
+    );
+  if (truncated) {
+    doc.font('Helvetica-Bold').fillColor('#cc0f35')
+      .text('Incomplete: a fetch limit was reached, so some events may be missing.', x, MARGIN + 51);
+  }
+  return MARGIN + 66;
+}
+
+/**
+ * Draw a table, starting new pages (with the header row repeated) as needed.
+ * @param {PDFDocument} doc
+ * @param {{header: string, width: number, align?: string, value: (row: object) => string}[]} columns
+ * @param {object[]} rows
+ * @param {string[]} [totals] - cells of a bold totals row
+ * @param {number} y          - where the table starts
+ */
+function drawTable(doc, columns, rows, totals, y) {
+  const width = columns.reduce((acc, c) => acc + c.width, 0);
+  const bottom = doc.page.height - MARGIN - 20;
+
+  const drawRow = (cells, top, { bold = false, fill = null, colour = '#000' } = {}) => {
+    if (fill) doc.rect(MARGIN, top, width, ROW_HEIGHT).fill(fill);
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8).fillColor(colour);
+    let x = MARGIN;
+    columns.forEach((c, i) => {
+      doc.text(cells[i] ?? '', x + 4, top + 5, { width: c.width - 8, align: c.align || 'left', lineBreak: false, ellipsis: true });
+      x += c.width;
+    });
+  };
+  const drawHeaderRow = top => drawRow(columns.map(c => c.header), top, { bold: true, fill: BRAND_COLOUR, colour: '#fff' });
+
+  drawHeaderRow(y);
+  y += ROW_HEIGHT;
+  rows.forEach((row, index) => {
+    if (y + ROW_HEIGHT > bottom) {
+      doc.addPage();
+      y = MARGIN;
+      drawHeaderRow(y);
+      y += ROW_HEIGHT;
+    }
+    drawRow(columns.map(c => c.value(row)), y, { fill: index % 2 ? '#f5f5f5' : null });
+    y += ROW_HEIGHT;
+  });
+
+  if (totals) {
+    if (y + ROW_HEIGHT > bottom) {
+      doc.addPage();
+      y = MARGIN;
+    }
+    doc.moveTo(MARGIN, y).lineTo(MARGIN + width, y).lineWidth(1).strokeColor('#333').stroke();
+    drawRow(totals, y, { bold: true });
+  }
+  if (!rows.length) {
+    doc.font('Helvetica-Oblique').fontSize(9).fillColor('#666').text('No records for this period.', MARGIN, y + 6);
+  }
+}
+
+/**
+ * "Page x of y" on every page; needs a document created with bufferPages.
+ */
+function drawPageNumbers(doc) {
+  const { start, count } = doc.bufferedPageRange();
+  for (let i = start; i < start + count; i++) {
+    doc.switchToPage(i);
+    // Writing inside the bottom margin would otherwise add a page
+    const bottomMargin = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+    doc.font('Helvetica').fontSize(8).fillColor('#666')
+      .text(`Page ${i + 1} of ${count}`, MARGIN, doc.page.height - MARGIN, {
+        width: doc.page.width - MARGIN * 2,
+        align: 'right',
+        lineBreak: false
+      });
+    doc.page.margins.bottom = bottomMargin;
+  }
+}
+
+function createDocument(title) {
+  return new PDFDocument({ size: 'A4', layout: 'landscape', margin: MARGIN, bufferPages: true, info: { Title: title } });
+}
+
+/**
+ * PDF of the agent status report. Call `doc.pipe(...)` before or after; the
+ * document is already ended.
+ * @param {object[]} rows - from buildAgentReport()
+ * @param {object} meta
+ * @param {object} meta.tenant    - registry entry from getTenant()
+ * @param {string} meta.timeZone
+ * @param {number} meta.startDate - unix ms
+ * @param {number} meta.endDate   - unix ms
+ * @returns {PDFDocument}
+ */
+export function buildAgentPdf(rows, meta) {
+  const title = 'Agent Status Report';
+  const doc = createDocument(title);
+  const y = drawHeader(doc, { title, ...meta, truncated: rows.truncated });
+
+  const duration = (header, key) => ({ header, width: 50, align: 'right', value: r => formatDuration(r[key]) });
+  const percent = (header, key) => ({ header, width: 40, align: 'right', value: r => (r[key] == null ? '' : `${r[key].toFixed(1)}%`) });
+  const columns = [
+    { header: 'Name', width: 116, value: r => r.name ?? '' },
+    { header: 'Ext', width: 34, value: r => String(r.extension ?? '') },
+    { header: 'Calls', width: 32, align: 'right', value: r => String(r.total_calls ?? '') },
+    { header: 'Answered', width: 44, align: 'right', value: r => String(r.answered_calls ?? '') },
+    percent('Ans. %', 'answer_rate'),
+    duration('Login Time', 'registered_time'),
+    duration('Not Avail.', 'not_available_time'),
+    duration('Wrap Up', 'wrap_up_time'),
+    duration('Hold', 'hold_time'),
+    { ...duration('AHT', 'avg_handle_time'), width: 44 },
+    percent('Occ.', 'occupancy'),
+    percent('Util.', 'utilization'),
+    { header: 'First Login', width: 90, value: r => r.first_login_time || '' },
+    { header: 'Last LogOff', width: 90, value: r => r.last_logoff_time || '' }
+  ];
+  // Summed stats with KPIs recomputed from the sums
+  const summary = summarizeAgents(rows);
+  const totals = [summary.name, ...columns.slice(1).map(c => c.value({ ...summary, first_login_time: '', last_logoff_time: '' }))];
+
+  drawTable(doc, columns, rows, rows.length ? totals : null, y);
+  drawPageNumbers(doc);
+  doc.end();
+  return doc;
+}
+
+/**
+ * PDF of the login/logoff report.
+ * @param {object[]} rows - from buildLoginLogoffReport()
+ * @param {object} meta   - as for buildAgentPdf()
+ * @returns {PDFDocument}
+ */
+export function buildLoginLogoffPdf(rows, meta) {
+  const title = 'Agent Login / LogOff Report';
+  const doc = createDocument(title);
+  const y = drawHeader(doc, { title, ...meta, truncated: rows.truncated });
+
+  const sorted = [...rows].sort((a, b) => (a.username || '').localeCompare(b.username || ''));
+  const columns = [
+    { header: 'Agent Name', width: 220, value: r => r.username ?? '' },
+    { header: 'Extension', width: 100, value: r => String(r.ext ?? '') },
+    { header: 'First Login Time', width: 200, value: r => r.firstLoginTime || '' },
+    { header: 'Last LogOff Time', width: 200, value: r => r.lastLogoffTime || '' }
+  ];
+  const totals = [
+    `Total: ${rows.length} agents`,
+    '',
+    `${rows.filter(r => r.firstLoginTime).length} logged in`,
+    `${rows.filter(r => r.lastLogoffTime).length} logged off`
+  ];
+
+  drawTable(doc, columns, sorted, rows.length ? totals : null, y);
+  drawPageNumbers(doc);
+  doc.end();
+  return doc;
+}
+
+const PDF_BUILDERS = { agents: buildAgentPdf, events: buildLoginLogoffPdf };
+
+/**
+ * Build a report and render it as a PDF.
+ * @param {'agents'|'events'} report
+ * @param {string} tenantId
+ * @param {object} opts
+ * @param {number} opts.startDate - unix ms
+ * @param {number} opts.endDate   - unix ms
+ * @param {string} opts.timeZone
+ * @param {string} [opts.team]    - keep only this team's agents
+ * @param {Function} [opts.allow] - keep only rows this returns true for
+ * @returns {Promise<PDFDocument>}
+ * @throws {RangeError} for a report without a PDF layout
+ */
+export async function generateReportPdf(report, tenantId, { startDate, endDate, timeZone, team, allow }) {
+  const build = PDF_BUILDERS[report];
+  if (!build) throw new RangeError(`Unknown report: ${report} (expected agents or events)`);
+  const tenant = getTenant(tenantId);
+  const rows = await buildReport(report, tenant.id, { startDate, endDate, timeZone, team, allow });
+  return build(rows, { tenant, timeZone, startDate, endDate });
+}
+
+async function cli() {
+  const [, , report, acct, startIso, endIso, outputFile, tz] = process.argv;
+  if (!report || !acct || !startIso || !endIso || !outputFile) {
+    console.error('Usage: node -r dotenv/config pdfExport.js <agents|events> <account> <startISO> <endISO> <output.pdf> [timeZone]');
+    process.exit(1);
+  }
+
+  const startDate = Date.parse(startIso);
+  const endDate = Date.parse(endIso);
+  if (Number.isNaN(startDate) || Number.isNaN(endDate)) {
+    console.error('Invalid ISO date/time strings.');
+    process.exit(1);
+  }
+
+  const timeZone = resolveTimeZone(tz || getTenant(acct).timeZone);
+  const doc = await generateReportPdf(report, acct, { startDate, endDate, timeZone });
+  await fs.promises.mkdir(path.dirname(path.resolve(outputFile)), { recursive: true });
+  await new Promise((resolve, reject) => {
+    doc.pipe(fs.createWriteStream(outputFile)).on('finish', resolve).on('error', reject);
+  });
+  console.log(`Saved ${report} report to ${outputFile}`);
+}
+
+// Execute when run directly
+if (import.meta.url === process.argv[1] || import.meta.url === `file://${process.argv[1]}`) {
+  cli().catch(err => {
+    console.error(err.response?.data || err.stack || err.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,65 @@
+// agentKpis.js
+// Contact-centre KPIs derived from the agent stats (fetchAgentStatus), shared
+// by the server (API, exports, CLI) and the dashboard like reportColumns.js.
+//
+//   handle time      – talked + hold + wrap up
+//   occupancy        – handle time / (handle time + idle), in %
+//   utilization      – handle time / login time, in %
+//   avg handle time  – handle time / answered calls, in seconds
+//   answer rate      – answered calls / total calls, in %
+//   avg wrap / call  – wrap up time / answered calls, in seconds
+// A KPI whose denominator is zero is null rather than 0 or 100%.
+
+/** Row fields added by computeKpis(). */
+export const KPI_FIELDS = ['occupancy', 'utilization', 'avg_handle_time', 'answer_rate', 'avg_wrap_time'];
+
+// Stats that add up across agents for the totals row
+const SUMMED_FIELDS = [
+  'total_calls', 'answered_calls', 'talked_time', 'idle_time', 'wrap_up_time',
+  'hold_time', 'on_call_time', 'registered_time', 'not_available_time'
+];
+
+const percent = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 10 : null);
+const perCall = (seconds, calls) => (calls > 0 ? Math.round(seconds / calls) : null);
+
+/**
+ * KPIs of one agent's stats (or of summed stats).
+ * @param {object} stats - agent stats row
+ * @returns {{occupancy: number|null, utilization: number|null, avg_handle_time: number|null,
+ *   answer_rate: number|null, avg_wrap_time: number|null}}
+ */
+export function computeKpis(stats) {
+  const n = key => Number(stats[key]) || 0;
+  const handle = n('talked_time') + n('hold_time') + n('wrap_up_time');
+  return {
+    occupancy: percent(handle, handle + n('idle_time')),
+    utilization: percent(handle, n('registered_time')),
+    avg_handle_time: perCall(handle, n('answered_calls')),
+    answer_rate: percent(n('answered_calls'), n('total_calls')),
+    avg_wrap_time: perCall(n('wrap_up_time'), n('answered_calls'))
+  };
+}
+
+/**
+ * Footer row for a set of agents: stats summed, custom states merged and
+ * KPIs recomputed from the sums, so they are weighted by each agent's
+ * traffic rather than averaged agent by agent.
+ * @param {object[]} rows - agent status rows
+ * @returns {object}
+ */
+export function summarizeAgents(rows) {
+  const totals = Object.fromEntries(SUMMED_FIELDS.map(key => [key, rows.reduce((sum, r) => sum + (Number(r[key]) || 0), 0)]));
+  const states = {};
+  for (const row of rows) {
+    for (const [state, seconds] of Object.entries(row.not_available_detailed_report || {})) {
+      states[state] = (states[state] || 0) + (Number(seconds) || 0);
+    }
+  }
+  return {
+    name: `Total (${rows.length} agent${rows.length === 1 ? '' : 's'})`,
+    extension: '',
+    ...totals,
+    not_available_detailed_report: states,
+    ...computeKpis(totals)
+  };
+}
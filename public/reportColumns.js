@@ -0,0 +1,126 @@
+// reportColumns.js
+// Column definitions shared by the dashboard tables and every export (API,
+// CLI, scheduler), so a report has the same columns and values wherever it
+// is downloaded. Plain ES module with no dependencies: the browser loads it
+// from /reportColumns.js and the server imports it from public/.
+//
+// Column types:
+//   text     – value as is
+//   number   – count, as is
+//   percent  – 0–100, shown with one decimal and a % sign
+//   duration – seconds, shown as hh:mm:ss (with a day prefix past 24h)
+//   states   – { state: seconds } breakdown, shown as "state: hh:mm:ss; …"
+// A column with a `timestamp` key holds a time formatted in the report's zone;
+// the unix seconds behind it are in that field of the row.
+
+/** Agent status report (GET /api/agents). */
+export const AGENT_COLUMNS = [
+  { key: 'name', label: 'Name', type: 'text' },
+  { key: 'extension', label: 'Extension', type: 'text' },
+  { key: 'registered_time', label: 'Login Time', type: 'duration' },
+  { key: 'first_login_time', label: 'First Login Time', type: 'text', timestamp: 'first_login_timestamp' },
+  { key: 'last_logoff_time', label: 'Last LogOff Time', type: 'text', timestamp: 'last_logoff_timestamp' },
+  { key: 'not_available_time', label: 'Not Available Time', type: 'duration' },
+  { key: 'wrap_up_time', label: 'Wrap Up Time', type: 'duration' },
+  { key: 'hold_time', label: 'Hold Time', type: 'duration' },
+  { key: 'total_calls', label: 'Calls', type: 'number' },
+  { key: 'answered_calls', label: 'Answered', type: 'number' },
+  { key: 'answer_rate', label: 'Answer Rate', type: 'percent' },
+  { key: 'avg_handle_time', label: 'Avg Handle Time', type: 'duration' },
+  { key: 'avg_wrap_time', label: 'Avg Wrap / Call', type: 'duration' },
+  { key: 'occupancy', label: 'Occupancy', type: 'percent' },
+  { key: 'utilization', label: 'Utilization', type: 'percent' },
+  { key: 'not_available_detailed_report', label: 'Custom States', type: 'states' }
+];
+
+/** Login/logoff report (GET /api/events). */
+export const EVENT_COLUMNS = [
+  { key: 'username', label: 'Agent Name', type: 'text' },
+  { key: 'ext', label: 'Extension', type: 'text' },
+  { key: 'firstLoginTime', label: 'First Login Time', type: 'text', timestamp: 'firstLoginTimestamp' },
+  { key: 'lastLogoffTime', label: 'Last LogOff Time', type: 'text', timestamp: 'lastLogoffTimestamp' }
+];
+
+/** Login/logoff per business day (GET /api/events/daily). */
+export const DAILY_EVENT_COLUMNS = [
+  { key: 'date', label: 'Business Day', type: 'text' },
+  ...EVENT_COLUMNS,
+  { key: 'sessionCount', label: 'Sessions', type: 'number' },
+  { key: 'loggedInSeconds', label: 'Logged In', type: 'duration' }
+];
+
+/**
+ * Seconds as hh:mm:ss, prefixed with the number of days past 24 hours.
+ * @param {number|string} sec
+ * @returns {string}
+ */
+export function secondsToHMS(sec) {
+  const total = parseInt(sec, 10);
+  if (Number.isNaN(total)) return '';
+  const days = Math.floor(total / 86400);
+  const rem = total % 86400;
+  const h = Math.floor(rem / 3600).toString().padStart(2, '0');
+  const m = Math.floor((rem % 3600) / 60).toString().padStart(2, '0');
+  const s = (rem % 60).toString().padStart(2, '0');
+  return days ? `${days} day${days > 1 ? 's' : ''} ${h}:${m}:${s}` : `${h}:${m}:${s}`;
+}
+
+/**
+ * Display text of one cell.
+ * @param {*} value
+ * @param {{type: string}} column
+ * @param {string} [stateSeparator] - between custom states ('; ' in files, '<br>' in HTML)
+ * @returns {string}
+ */
+export function formatColumnValue(value, column, stateSeparator = '; ') {
+  if (value == null) return '';
+  switch (column.type) {
+    case 'duration':
+      return secondsToHMS(value);
+    case 'percent':
+      return `${Number(value).toFixed(1)}%`;
+    case 'states':
+      return typeof value === 'object'
+        ? Object.entries(value).map(([state, sec]) => `${state}: ${secondsToHMS(sec)}`).join(stateSeparator)
+        : String(value);
+    default:
+      return String(value);
+  }
+}
+
+/**
+ * Value of one cell for JSON files: numbers for counts, percentages (0–100)
+ * and durations (seconds), the breakdown as an object, null when empty.
+ * @param {*} value
+ * @param {{type: string}} column
+ * @returns {*}
+ */
+export function rawColumnValue(value, column) {
+  if (value == null || value === '') return null;
+  switch (column.type) {
+    case 'number':
+    case 'percent':
+    case 'duration': {
+      const number = Number(value);
+      return Number.isFinite(number) ? number : null;
+    }
+    case 'states':
+      return typeof value === 'object' ? value : null;
+    default:
+      return value;
+  }
+}
+
+/**
+ * Rows as plain records of typed values keyed by column key, for JSON and
+ * NDJSON files; time columns are followed by their unix timestamp.
+ * @param {object[]} rows
+ * @param {object[]} columns - AGENT_COLUMNS, EVENT_COLUMNS or DAILY_EVENT_COLUMNS
+ * @returns {object[]}
+ */
+export function toExportRecords(rows, columns) {
+  return rows.map(row => Object.fromEntries(columns.flatMap(c => {
+    const value = rawColumnValue(row[c.key], c);
+    return c.timestamp ? [[c.key, value], [c.timestamp, row[c.timestamp] ?? null]] : [[c.key, value]];
+  })));
+}
@@ -1,37 +1,73 @@
 // script.js
 
 /* global axios */
+import { AGENT_COLUMNS, DAILY_EVENT_COLUMNS, EVENT_COLUMNS, formatColumnValue, secondsToHMS } from './reportColumns.js';
+import { summarizeAgents } from './agentKpis.js';
+
 const form = document.getElementById('filterForm');
 const eventsForm = document.getElementById('eventsForm');
+const sessionsForm = document.getElementById('sessionsForm');
+const timelineForm = document.getElementById('timelineForm');
+const rosterForm = document.getElementById('rosterForm');
+const adherenceForm = document.getElementById('adherenceForm');
 const errorBox = document.getElementById('error');
 const eventsErrorBox = document.getElementById('eventsError');
+const sessionsErrorBox = document.getElementById('sessionsError');
+const timelineErrorBox = document.getElementById('timelineError');
+const truncatedBox = document.getElementById('truncated');
+const identityIssuesBox = document.getElementById('identityIssues');
+const eventsTruncatedBox = document.getElementById('eventsTruncated');
+const sessionsTruncatedBox = document.getElementById('sessionsTruncated');
+const timelineTruncatedBox = document.getElementById('timelineTruncated');
+const adherenceErrorBox = document.getElementById('adherenceError');
+const adherenceTruncatedBox = document.getElementById('adherenceTruncated');
+const adherenceResponse = document.getElementById('adherenceResponse');
+const rosterMessage = document.getElementById('rosterMessage');
 const table = document.getElementById('reportTable');
 const eventsResponse = document.getElementById('eventsResponse');
+const sessionsResponse = document.getElementById('sessionsResponse');
+const timelineChart = document.getElementById('timelineChart');
+const timelineLegend = document.getElementById('timelineLegend');
+const timelineDetail = document.getElementById('timelineDetail');
 const csvBtn = document.getElementById('csvBtn');
 const htmlBtn = document.getElementById('htmlBtn');
+const xlsxBtn = document.getElementById('xlsxBtn');
+const pdfBtn = document.getElementById('pdfBtn');
+const eventsCsvBtn = document.getElementById('eventsCsvBtn');
+const eventsPdfBtn = document.getElementById('eventsPdfBtn');
+const timeZoneSelect = document.getElementById('timeZone');
+const tenantSelect = document.getElementById('tenant');
+const currentUserLabel = document.getElementById('currentUser');
+const logoutBtn = document.getElementById('logoutBtn');
+const teamSelect = document.getElementById('team');
+const liveUpdated = document.getElementById('liveUpdated');
+const liveErrorBox = document.getElementById('liveError');
+const liveAgentsBody = document.getElementById('liveAgents');
 let lastRecords = [];
+// Query behind lastRecords, reused by the server-side exports
+let lastAgentsParams = null;
+let lastEventsParams = null;
+// Zone every date is entered and displayed in; replaced by the tenant default once loaded
+let reportTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+// Tenant every report is run against, and the registry entries for the picker
+let currentTenant = '';
+let tenants = [];
+
+// An expired session sends every API call back to the login page
+axios.interceptors.response.use(undefined, err => {
+  if (err.response?.status === 401) {
+    window.location.href = `/login.html?next=${encodeURIComponent(window.location.pathname)}`;
+  }
+  return Promise.reject(err);
+});
 
 // Set default datetime values on page load
-document.addEventListener('DOMContentLoaded', function() {
-  // Set default time range (last 2 hours)
-  const now = new Date();
-  const twoHoursAgo = new Date(now.getTime() - (2 * 60 * 60 * 1000));
-  
-  // Format for datetime-local input (YYYY-MM-DDTHH:MM)
-  const formatForInput = (date) => {
-    const year = date.getFullYear();
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    const day = String(date.getDate()).padStart(2, '0');
-    const hours = String(date.getHours()).padStart(2, '0');
-    const minutes = String(date.getMinutes()).padStart(2, '0');
-    return `${year}-${month}-${day}T${hours}:${minutes}`;
-  };
-  
-  // Set default values for both forms
-  document.getElementById('start').value = formatForInput(twoHoursAgo);
-  document.getElementById('end').value = formatForInput(now);
-  document.getElementById('eventsStart').value = formatForInput(twoHoursAgo);
-  document.getElementById('eventsEnd').value = formatForInput(now);
+document.addEventListener('DOMContentLoaded', async function() {
+  await loadCurrentUser();
+  await loadTimeZones();
+  await loadTenants();
+  await loadTeams();
+  setDefaultRanges();
 
   // Tab switching functionality
   const tabLinks = document.querySelectorAll('.tabs li');
@@ -48,10 +84,158 @@ document.addEventListener('DOMContentLoaded', function() {
       // Add active class to clicked tab and corresponding content
       this.classList.add('is-active');
       document.getElementById(targetTab + '-tab').classList.add('is-active');
+
+      // The live stream only runs while its tab is open
+      if (targetTab === 'live') startLive();
+      else stopLive();
     });
   });
 });
 
+// Show who is logged in and hide what their role may not use (the server enforces it too)
+async function loadCurrentUser() {
+  try {
+    const { data } = await axios.get('/api/me');
+    currentUserLabel.textContent = data ? `Signed in as ${data.username} (${data.role})` : '';
+    logoutBtn.classList.toggle('is-hidden', !data);
+    const role = data?.role ?? 'admin';
+    for (const btn of [csvBtn, htmlBtn, xlsxBtn, pdfBtn, eventsCsvBtn, eventsPdfBtn]) {
+      btn.classList.toggle('is-hidden', role === 'viewer');
+    }
+    rosterForm.classList.toggle('is-hidden', role !== 'admin');
+  } catch (err) {
+    console.error('Could not load the current user:', err);
+  }
+}
+
+logoutBtn.addEventListener('click', async () => {
+  await axios.post('/api/logout').catch(err => console.error('Logout failed:', err));
+  window.location.href = '/login.html';
+});
+
+// Fill the zone picker and select the tenant default
+async function loadTimeZones() {
+  try {
+    const { data } = await axios.get('/api/timezones');
+    reportTimeZone = data.default || reportTimeZone;
+    timeZoneSelect.innerHTML = data.data
+      .map(zone => `<option value="${zone}"${zone === reportTimeZone ? ' selected' : ''}>${zone}</option>`)
+      .join('');
+  } catch (err) {
+    console.error('Could not load time zones:', err);
+    timeZoneSelect.innerHTML = `<option value="${reportTimeZone}" selected>${reportTimeZone}</option>`;
+  }
+}
+
+timeZoneSelect.addEventListener('change', () => {
+  reportTimeZone = timeZoneSelect.value;
+});
+
+// Fill the tenant picker and switch to the default tenant's zone
+async function loadTenants() {
+  try {
+    const { data } = await axios.get('/api/tenants');
+    tenants = data.data || [];
+    currentTenant = data.default || tenants[0]?.id || '';
+    tenantSelect.innerHTML = tenants
+      .map(t => `<option value="${t.id}"${t.id === currentTenant ? ' selected' : ''}>${t.name}</option>`)
+      .join('');
+    applyTenantTimeZone();
+  } catch (err) {
+    console.error('Could not load tenants:', err);
+    tenantSelect.innerHTML = '<option value="" selected>Default tenant</option>';
+  }
+}
+
+// Report in the selected tenant's zone unless the zone picker can't show it
+function applyTenantTimeZone() {
+  const tenant = tenants.find(t => t.id === currentTenant);
+  if (!tenant?.timeZone) return;
+  if (![...timeZoneSelect.options].some(o => o.value === tenant.timeZone)) {
+    timeZoneSelect.add(new Option(tenant.timeZone, tenant.timeZone));
+  }
+  timeZoneSelect.value = tenant.timeZone;
+  reportTimeZone = tenant.timeZone;
+}
+
+tenantSelect.addEventListener('change', () => {
+  currentTenant = tenantSelect.value;
+  applyTenantTimeZone();
+  setDefaultRanges();
+  loadTeams();
+  if (liveSource) startLive();
+});
+
+// Fill the team picker with the selected tenant's teams
+async function loadTeams() {
+  teamSelect.innerHTML = '<option value="" selected>All teams</option>';
+  try {
+    const { data } = await axios.get('/api/teams', { params: { account: currentTenant } });
+    (data.data || []).forEach(team => teamSelect.add(new Option(team.name, team.id)));
+  } catch (err) {
+    console.error('Could not load teams:', err);
+  }
+}
+
+// Team filter and grouping query params; empty ones are left out
+function teamParams(groupBox) {
+  return {
+    ...(teamSelect.value && { team: teamSelect.value }),
+    ...(groupBox?.checked && { groupBy: 'team' })
+  };
+}
+
+// Set default time range (last 2 hours) as wall-clock time in the report zone
+function setDefaultRanges() {
+  const now = new Date();
+  const twoHoursAgo = new Date(now.getTime() - (2 * 60 * 60 * 1000));
+  ['', 'events', 'sessions', 'timeline', 'adherence'].forEach(prefix => {
+    const startId = prefix ? `${prefix}Start` : 'start';
+    const endId = prefix ? `${prefix}End` : 'end';
+    document.getElementById(startId).value = formatForInput(twoHoursAgo);
+    document.getElementById(endId).value = formatForInput(now);
+  });
+  // Adherence is about whole shifts, so start from midnight today
+  document.getElementById('adherenceStart').value = `${formatForInput(now).slice(0, 10)}T00:00`;
+}
+
+// Split a date into wall-clock parts in the report zone
+function zonedParts(date, timeZone = reportTimeZone) {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+  return Object.fromEntries(parts.map(p => [p.type, p.value]));
+}
+
+// Format for datetime-local input (YYYY-MM-DDTHH:MM) in the report zone
+function formatForInput(date) {
+  const p = zonedParts(date);
+  return `${p.year}-${p.month}-${p.day}T${p.hour}:${p.minute}`;
+}
+
+// Interpret a datetime-local value as wall-clock time in the report zone
+function zonedInputToDate(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})/.exec(value || '');
+  if (!match) return new Date(NaN);
+  const [, y, mo, d, h, mi] = match.map(Number);
+  const asUtc = Date.UTC(y, mo - 1, d, h, mi);
+  const offsetAt = ms => {
+    const p = zonedParts(new Date(ms));
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - ms;
+  };
+  // Second pass corrects the offset when the guess falls across a DST change
+  let result = asUtc - offsetAt(asUtc);
+  result = asUtc - offsetAt(result);
+  return new Date(result);
+}
+
 function showError(msg) {
   errorBox.textContent = msg;
   errorBox.classList.remove('is-hidden');
@@ -60,6 +244,31 @@ function showError(msg) {
 function clearError() {
   errorBox.classList.add('is-hidden');
   errorBox.textContent = '';
+  setTruncatedWarning(truncatedBox, false);
+  showIdentityIssues([]);
+}
+
+// The server flags reports whose event download hit a fetch limit
+function setTruncatedWarning(box, truncated) {
+  box.textContent = truncated
+    ? 'This report is incomplete: the range holds more events than could be fetched. Try a shorter range.'
+    : '';
+  box.classList.toggle('is-hidden', !truncated);
+}
+
+// Agents the stats and the events could not be tied together for
+function showIdentityIssues(issues) {
+  identityIssuesBox.classList.toggle('is-hidden', !issues.length);
+  if (!issues.length) return;
+  const describe = issue => {
+    const who = escapeHtml(`${issue.name || 'Unknown'}${issue.ext ? ` (${issue.ext})` : ''}`);
+    if (issue.issue === 'ambiguous') return `${who}: matches ${issue.candidates.length} agents, login times left blank`;
+    if (issue.issue === 'no_events') return `${who}: has stats but no logins in the activity events`;
+    return issue.source === 'events'
+      ? `${who}: logged in but has no stats row`
+      : `${who}: no matching agent in the activity events`;
+  };
+  identityIssuesBox.innerHTML = `<strong>Unmatched agents</strong><ul>${issues.map(i => `<li>${describe(i)}</li>`).join('')}</ul>`;
 }
 
 function showEventsError(msg) {
@@ -70,6 +279,40 @@ function showEventsError(msg) {
 function clearEventsError() {
   eventsErrorBox.classList.add('is-hidden');
   eventsErrorBox.textContent = '';
+  setTruncatedWarning(eventsTruncatedBox, false);
+}
+
+function showSessionsError(msg) {
+  sessionsErrorBox.textContent = msg;
+  sessionsErrorBox.classList.remove('is-hidden');
+}
+
+function clearSessionsError() {
+  sessionsErrorBox.classList.add('is-hidden');
+  sessionsErrorBox.textContent = '';
+  setTruncatedWarning(sessionsTruncatedBox, false);
+}
+
+function showAdherenceError(msg) {
+  adherenceErrorBox.textContent = msg;
+  adherenceErrorBox.classList.remove('is-hidden');
+}
+
+function clearAdherenceError() {
+  adherenceErrorBox.classList.add('is-hidden');
+  adherenceErrorBox.textContent = '';
+  setTruncatedWarning(adherenceTruncatedBox, false);
+}
+
+function showTimelineError(msg) {
+  timelineErrorBox.textContent = msg;
+  timelineErrorBox.classList.remove('is-hidden');
+}
+
+function clearTimelineError() {
+  timelineErrorBox.classList.add('is-hidden');
+  timelineErrorBox.textContent = '';
+  setTruncatedWarning(timelineTruncatedBox, false);
 }
 
 // Agent Status Form Handler (existing functionality)
@@ -78,21 +321,25 @@ form.addEventListener('submit', async (e) => {
   clearError();
   table.innerHTML = '<thead><tr><th>Loading…</th></tr></thead>';
 
-  const account = document.getElementById('account').value.trim();
+  const account = currentTenant;
   const start = document.getElementById('start').value;
   const end = document.getElementById('end').value;
 
   try {
-    const { data } = await axios.get('/api/agents', {
-      params: {
-        account,
-        start: new Date(start).toISOString(),
-        end: new Date(end).toISOString(),
-      },
-    });
+    const params = {
+      account,
+      start: zonedInputToDate(start).toISOString(),
+      end: zonedInputToDate(end).toISOString(),
+      tz: reportTimeZone,
+      ...teamParams(document.getElementById('groupByTeam'))
+    };
+    const { data } = await axios.get('/api/agents', { params });
+    lastAgentsParams = params;
     lastRecords = data.data || [];
-    renderTable(lastRecords);
-    csvBtn.disabled = htmlBtn.disabled = !lastRecords.length;
+    setTruncatedWarning(truncatedBox, data.truncated);
+    showIdentityIssues(data.identityIssues || []);
+    renderTable(lastRecords, data.groups);
+    csvBtn.disabled = htmlBtn.disabled = xlsxBtn.disabled = pdfBtn.disabled = !lastRecords.length;
   } catch (err) {
     console.error(err);
     showError(err.response?.data?.error || err.message);
@@ -107,7 +354,7 @@ eventsForm.addEventListener('submit', async (e) => {
   eventsResponse.style.display = 'block';
   eventsResponse.textContent = 'Loading events...';
 
-  const account = document.getElementById('eventsAccount').value.trim();
+  const account = currentTenant;
   const start = document.getElementById('eventsStart').value;
   const end = document.getElementById('eventsEnd').value;
 
@@ -119,9 +366,9 @@ eventsForm.addEventListener('submit', async (e) => {
   }
 
   // Convert datetime-local to Unix timestamps
-  // datetime-local input gives us local time (IST), JavaScript Date handles timezone correctly
-  const startDate = new Date(start);
-  const endDate = new Date(end);
+  // datetime-local input is wall-clock time in the selected report zone
+  const startDate = zonedInputToDate(start);
+  const endDate = zonedInputToDate(end);
   
   // Validate dates
   if (isNaN(startDate.getTime()) || isNaN(endDate.getTime())) {
@@ -136,7 +383,7 @@ eventsForm.addEventListener('submit', async (e) => {
     return;
   }
 
-  // Convert to Unix timestamps (JavaScript automatically handles local timezone to UTC conversion)
+  // Convert to Unix timestamps (UTC)
   const startTimestamp = Math.floor(startDate.getTime() / 1000);
   const endTimestamp = Math.floor(endDate.getTime() / 1000);
 
@@ -146,17 +393,42 @@ eventsForm.addEventListener('submit', async (e) => {
     startDate: startDate.toISOString(), 
     endDate: endDate.toISOString(),
     originalStart: start,
-    originalEnd: end
+    originalEnd: end,
+    timeZone: reportTimeZone
   });
 
   const params = {
     account,
     startDate: startTimestamp,
-    endDate: endTimestamp
+    endDate: endTimestamp,
+    tz: reportTimeZone
   };
+  const byDay = document.getElementById('eventsByDay').checked;
+  // The daily breakdown filters by team but has no team subtotals
+  Object.assign(params, teamParams(byDay ? null : document.getElementById('eventsGroupByTeam')));
+
+  eventsCsvBtn.disabled = eventsPdfBtn.disabled = true;
+  if (byDay) {
+    try {
+      const { data } = await axios.get('/api/events/daily', { params });
+      lastEventsParams = { ...params, byDay: 'true' };
+      setTruncatedWarning(eventsTruncatedBox, data.truncated);
+      // The PDF layout only covers the whole-period report
+      eventsCsvBtn.disabled = !(data.data || []).length;
+      renderDailyEventsTable(data.data || [], data.timeZone || reportTimeZone, data.dayCutoff);
+    } catch (err) {
+      console.error('Daily events API Error:', err);
+      showEventsError(err.response?.data?.error || err.message);
+      eventsResponse.style.display = 'none';
+    }
+    return;
+  }
 
   try {
     const { data } = await axios.get('/api/events', { params });
+    lastEventsParams = params;
+    setTruncatedWarning(eventsTruncatedBox, data.truncated);
+    eventsCsvBtn.disabled = eventsPdfBtn.disabled = !(data.data || []).length;
     
     // Debug: Log the complete API response structure
     console.log('=== FULL API RESPONSE DEBUG ===');
@@ -189,32 +461,118 @@ eventsForm.addEventListener('submit', async (e) => {
   }
 });
 
-function renderTable(records) {
-  // Desired order & labels mapping
-  const cols = [
-    { key: 'name', label: 'Name' },
-    { key: 'extension', label: 'Extension' },
-    { key: 'registered_time', label: 'Login Time' },
-    { key: 'first_login_time', label: 'First Login Time' },
-    { key: 'last_logoff_time', label: 'Last LogOff Time' },
-    { key: 'not_available_time', label: 'Not Available Time' },
-    { key: 'wrap_up_time', label: 'Wrap Up Time' },
-    { key: 'hold_time', label: 'Hold Time' },
-    { key: 'not_available_detailed_report', label: 'Custom States' },
-  ];
+// Agent Sessions Form Handler
+sessionsForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  clearSessionsError();
+  sessionsResponse.style.display = 'block';
+  sessionsResponse.textContent = 'Loading sessions...';
+
+  const account = currentTenant;
+  const startDate = zonedInputToDate(document.getElementById('sessionsStart').value);
+  const endDate = zonedInputToDate(document.getElementById('sessionsEnd').value);
+
+  if (isNaN(startDate.getTime()) || isNaN(endDate.getTime())) {
+    showSessionsError('Please select valid start and end dates');
+    sessionsResponse.style.display = 'none';
+    return;
+  }
+
+  if (startDate >= endDate) {
+    showSessionsError('Start date must be before end date');
+    sessionsResponse.style.display = 'none';
+    return;
+  }
+
+  try {
+    const { data } = await axios.get('/api/sessions', {
+      params: {
+        account,
+        startDate: Math.floor(startDate.getTime() / 1000),
+        endDate: Math.floor(endDate.getTime() / 1000),
+        tz: reportTimeZone
+      }
+    });
+    setTruncatedWarning(sessionsTruncatedBox, data.truncated);
+    renderSessionsTable(data.data || [], data.timeZone || reportTimeZone);
+  } catch (err) {
+    console.error('Sessions API Error:', err);
+    showSessionsError(err.response?.data?.error || err.message);
+    sessionsResponse.style.display = 'none';
+  }
+});
+
+// State Timeline Form Handler
+timelineForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  clearTimelineError();
+  timelineDetail.classList.add('is-hidden');
+  timelineLegend.innerHTML = '';
+  timelineChart.textContent = 'Loading timeline...';
+
+  const account = currentTenant;
+  const startDate = zonedInputToDate(document.getElementById('timelineStart').value);
+  const endDate = zonedInputToDate(document.getElementById('timelineEnd').value);
+
+  if (isNaN(startDate.getTime()) || isNaN(endDate.getTime())) {
+    showTimelineError('Please select valid start and end dates');
+    timelineChart.textContent = '';
+    return;
+  }
+
+  if (startDate >= endDate) {
+    showTimelineError('Start date must be before end date');
+    timelineChart.textContent = '';
+    return;
+  }
+
+  try {
+    const { data } = await axios.get('/api/timeline', {
+      params: {
+        account,
+        startDate: Math.floor(startDate.getTime() / 1000),
+        endDate: Math.floor(endDate.getTime() / 1000),
+        tz: reportTimeZone
+      }
+    });
+    setTruncatedWarning(timelineTruncatedBox, data.truncated);
+    renderTimeline(data);
+  } catch (err) {
+    console.error('Timeline API Error:', err);
+    showTimelineError(err.response?.data?.error || err.message);
+    timelineChart.textContent = '';
+  }
+});
+
+function renderTable(records, groups = null) {
+  // Same columns as the server-side exports
+  const cols = AGENT_COLUMNS;
 
   if (!records.length) {
     table.innerHTML = '<thead><tr><th>No records</th></tr></thead>';
     return;
   }
   const thead = `<thead><tr>${cols.map(c=>`<th>${c.label}</th>`).join('')}</tr></thead>`;
-  const tbodyRows = records.map(rec => {
-    return `<tr>${cols.map(c => formatCell(rec[c.key], c.key)).join('')}</tr>`;
-  });
-  table.innerHTML = `${thead}<tbody>${tbodyRows.join('')}</tbody>`;
+  // Escaped text, custom states one per line
+  const cell = (value, c) => escapeHtml(formatColumnValue(value, c, '\n')).replaceAll('\n', '<br>');
+  const renderRow = rec => `<tr>${cols.map(c => `<td>${cell(rec[c.key], c)}</td>`).join('')}</tr>`;
+  // Grouped: a heading row per team, its agents, then the team's subtotal
+  const tbodyRows = groups
+    ? groups.flatMap(group => [
+      `<tr class="has-background-light"><th colspan="${cols.length}">${escapeHtml(group.name)}</th></tr>`,
+      ...records.filter(rec => rec.team_id === group.id).map(renderRow),
+      `<tr class="has-text-weight-bold">${cols.map(c => `<td>${cell(group.subtotal[c.key], c)}</td>`).join('')}</tr>`
+    ])
+    : records.map(renderRow);
+  // Sums of the raw stats; KPIs recomputed from the sums (weighted averages)
+  const totals = summarizeAgents(records);
+  const tfoot = `<tfoot><tr>${cols.map(c => `<th>${cell(totals[c.key], c)}</th>`).join('')}</tr></tfoot>`;
+  table.innerHTML = `${thead}<tbody>${tbodyRows.join('')}</tbody>${tfoot}`;
   lastRecords = records;
   csvBtn.disabled = false;
   htmlBtn.disabled = false;
+  xlsxBtn.disabled = false;
+  pdfBtn.disabled = false;
 }
 
 function renderEventsTable(data) {
@@ -236,7 +594,7 @@ function renderEventsTable(data) {
     eventsResponse.innerHTML = `
       <div class="notification is-info">
         <strong>Response Structure:</strong>
-        <pre style="background: #f5f5f5; padding: 10px; margin-top: 10px; border-radius: 4px; overflow-x: auto;">${JSON.stringify(data, null, 2)}</pre>
+        <pre style="background: #f5f5f5; padding: 10px; margin-top: 10px; border-radius: 4px; overflow-x: auto;">${escapeHtml(JSON.stringify(data, null, 2))}</pre>
       </div>
     `;
     return;
@@ -248,7 +606,7 @@ function renderEventsTable(data) {
   }
 
   // Create table with only the 4 requested columns
-  const tableHeaders = ['Agent Name', 'Extension', 'First Login Time', 'Last LogOff Time'];
+  const tableHeaders = EVENT_COLUMNS.map(c => c.label);
   
   let tableHTML = `
     <div class="notification is-success">
@@ -271,7 +629,7 @@ function renderEventsTable(data) {
   const sortedEvents = events.sort((a, b) => (a.username || '').localeCompare(b.username || ''));
   
   // Add each agent's login/logoff data as a separate row
-  sortedEvents.forEach(agent => {
+  const addRow = agent => {
     if (!agent || typeof agent !== 'object') return;
     
     const username = agent.username || 'N/A';
@@ -281,20 +639,38 @@ function renderEventsTable(data) {
     
     tableHTML += `
       <tr>
-        <td><strong>${username}</strong></td>
-        <td><span class="tag is-info">${ext}</span></td>
+        <td><strong>${escapeHtml(username)}</strong></td>
+        <td><span class="tag is-info">${escapeHtml(ext)}</span></td>
         <td>${firstLoginTime ? `<span class="tag is-success">${firstLoginTime}</span>` : '<span class="tag is-light">No Login</span>'}</td>
         <td>${lastLogoffTime ? `<span class="tag is-warning">${lastLogoffTime}</span>` : '<span class="tag is-light">No Logoff</span>'}</td>
       </tr>
     `;
-  });
+  };
+
+  if (Array.isArray(data.groups)) {
+    // Grouped by team: each team's agents, then its earliest login and latest logoff
+    data.groups.forEach(group => {
+      tableHTML += `<tr class="has-background-light"><th colspan="${tableHeaders.length}">${escapeHtml(group.name)}</th></tr>`;
+      sortedEvents.filter(agent => agent.team_id === group.id).forEach(addRow);
+      tableHTML += `
+      <tr class="has-text-weight-bold">
+        <td>${escapeHtml(group.subtotal.username)}</td>
+        <td></td>
+        <td>${group.subtotal.firstLoginTime || ''}</td>
+        <td>${group.subtotal.lastLogoffTime || ''}</td>
+      </tr>
+    `;
+    });
+  } else {
+    sortedEvents.forEach(addRow);
+  }
   
   tableHTML += `
         </tbody>
       </table>
     </div>
     <div class="notification is-info is-light">
-      <strong>Note:</strong> Times are displayed in IST (Indian Standard Time). Empty cells indicate no login/logoff events found for that agent in the selected time range.
+      <strong>Note:</strong> Times are displayed in ${data.timeZone || reportTimeZone}. Empty cells indicate no login/logoff events found for that agent in the selected time range.
     </div>
   `;
   
@@ -302,56 +678,401 @@ function renderEventsTable(data) {
   eventsResponse.style.display = 'block';
 }
 
-// Helper function to format timestamps consistently
-function formatTimestamp(timestamp) {
-  const date = new Date(timestamp * 1000);
-  const day = String(date.getDate()).padStart(2, '0');
-  const month = String(date.getMonth() + 1).padStart(2, '0');
-  const year = date.getFullYear();
-  const hours = String(date.getHours()).padStart(2, '0');
-  const minutes = String(date.getMinutes()).padStart(2, '0');
-  const seconds = String(date.getSeconds()).padStart(2, '0');
-  return `${day}/${month}/${year}, ${hours}:${minutes}:${seconds}`;
+function renderDailyEventsTable(rows, timeZone, dayCutoff) {
+  if (!rows.length) {
+    eventsResponse.innerHTML = '<div class="notification is-warning">No agent login/logoff data found for the specified time range</div>';
+    return;
+  }
+
+  const bodyRows = rows.map((row, index) => {
+    const newDay = index === 0 || rows[index - 1].date !== row.date;
+    return `
+      <tr class="${row.hasOpenSession ? 'session-open' : ''}">
+        <td>${newDay ? `<strong>${row.date}</strong>` : ''}</td>
+        <td><strong>${escapeHtml(row.username || 'N/A')}</strong></td>
+        <td><span class="tag is-info">${escapeHtml(row.ext || 'N/A')}</span></td>
+        <td>${row.firstLoginTime ? `<span class="tag is-success">${row.firstLoginTime}</span>` : '<span class="tag is-light">No Login</span>'}</td>
+        <td>${row.lastLogoffTime ? `<span class="tag is-warning">${row.lastLogoffTime}</span>` : `<span class="tag is-light">${row.hasOpenSession ? 'Still logged in' : 'No Logoff'}</span>`}</td>
+        <td>${row.sessionCount}</td>
+        <td>${secondsToHMS(row.loggedInSeconds)}</td>
+      </tr>
+    `;
+  }).join('');
+
+  eventsResponse.innerHTML = `
+    <div class="notification is-success">
+      <strong>Agent Login/LogOff by Business Day</strong> - ${new Set(rows.map(r => r.date)).size} day(s), ${rows.length} agent-day(s)
+    </div>
+    <div class="table-container">
+      <table class="table is-hoverable is-fullwidth">
+        <thead>
+          <tr>${DAILY_EVENT_COLUMNS.map(c => `<th>${c.label}</th>`).join('')}</tr>
+        </thead>
+        <tbody>${bodyRows}</tbody>
+      </table>
+    </div>
+    <div class="notification is-info is-light">
+      <strong>Note:</strong> Times are displayed in ${timeZone}. Business days start at ${dayCutoff || '00:00'}; a session that runs past midnight is counted on the day it started.
+    </div>
+  `;
+  eventsResponse.style.display = 'block';
 }
 
-// Helper function to format timestamps to IST timezone
-function formatTimestampToIST(timestamp) {
-  if (!timestamp || timestamp === 0) {
-    return 'N/A';
+function renderSessionsTable(agents, timeZone) {
+  if (!agents.length) {
+    sessionsResponse.innerHTML = '<div class="notification is-warning">No login sessions found for the specified time range</div>';
+    return;
   }
-  
-  // Debug: Log timestamp conversion details
-  console.log(` Converting timestamp: ${timestamp}`);
-  
-  // Convert Unix timestamp to JavaScript Date object
-  const date = new Date(timestamp * 1000);
-  console.log(` UTC Date: ${date.toISOString()}`);
-  console.log(` IST Date (built-in): ${date.toLocaleString("en-IN", {timeZone: "Asia/Kolkata"})}`);
-  
-  // Use JavaScript's built-in timezone conversion for IST
-  const options = {
-    timeZone: "Asia/Kolkata",
-    year: 'numeric',
-    month: '2-digit',
-    day: '2-digit',
-    hour: '2-digit',
-    minute: '2-digit',
-    second: '2-digit',
-    hour12: false
-  };
-  
-  const istString = date.toLocaleString("en-GB", options);
-  console.log(` Formatted IST: ${istString}`);
-  
-  // Parse the formatted string to get individual components
-  const [datePart, timePart] = istString.split(', ');
-  const [day, month, year] = datePart.split('/');
-  const [hours, minutes, seconds] = timePart.split(':');
-  
-  const result = `${day}/${month}/${year}, ${hours}:${minutes}:${seconds}`;
-  console.log(` Final result: ${result}`);
-  
-  return result;
+
+  const tableHeaders = ['Agent Name', 'Extension', 'Session', 'Login', 'LogOff', 'Duration'];
+  const sortedAgents = [...agents].sort((a, b) => (a.username || '').localeCompare(b.username || ''));
+
+  let tableHTML = `
+    <div class="notification is-info is-light">
+      <strong>Summary:</strong> ${agents.length} agent(s), ${agents.reduce((n, a) => n + a.sessionCount, 0)} session(s) in the selected time range
+    </div>
+    <div class="table-container">
+      <table class="table is-hoverable is-fullwidth">
+        <thead>
+          <tr>
+            ${tableHeaders.map(header => `<th>${header}</th>`).join('')}
+          </tr>
+        </thead>
+        <tbody>
+  `;
+
+  sortedAgents.forEach(agent => {
+    agent.sessions.forEach((session, index) => {
+      tableHTML += `
+        <tr class="${session.open ? 'session-open' : ''}">
+          <td>${index === 0 ? `<strong>${escapeHtml(agent.username)}</strong>` : ''}</td>
+          <td>${index === 0 ? `<span class="tag is-info">${escapeHtml(agent.ext)}</span>` : ''}</td>
+          <td>${index + 1}</td>
+          <td>${session.loginTime ? `<span class="tag is-success">${session.loginTime}</span>` : '<span class="tag is-light">No Login</span>'}</td>
+          <td>${session.logoffTime ? `<span class="tag is-warning">${session.logoffTime}</span>` : '<span class="tag is-danger is-light">Open</span>'}</td>
+          <td>${session.duration != null ? secondsToHMS(session.duration) : '—'}</td>
+        </tr>
+      `;
+    });
+    tableHTML += `
+      <tr>
+        <td colspan="5" class="has-text-right"><strong>Total logged in${agent.hasOpenSession ? ' (incl. open session)' : ''}</strong></td>
+        <td><strong>${secondsToHMS(agent.totalLoggedInSeconds)}</strong></td>
+      </tr>
+    `;
+  });
+
+  tableHTML += `
+        </tbody>
+      </table>
+    </div>
+    <div class="notification is-info is-light">
+      <strong>Note:</strong> Times are displayed in ${timeZone}. Open sessions are counted up to the end of the selected range.
+    </div>
+  `;
+
+  sessionsResponse.innerHTML = tableHTML;
+  sessionsResponse.style.display = 'block';
+}
+
+// Roster upload: the file is sent as is, CSV or JSON by its extension
+rosterForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const file = document.getElementById('rosterFile').files[0];
+  if (!file) return;
+  rosterMessage.className = 'notification is-hidden';
+
+  try {
+    const isCsv = /\.csv$/i.test(file.name) || file.type === 'text/csv';
+    const { data } = await axios.put('/api/roster', await file.text(), {
+      params: { account: currentTenant },
+      headers: { 'Content-Type': isCsv ? 'text/csv' : 'application/json' }
+    });
+    rosterMessage.textContent = `Saved ${data.saved} shift(s) for ${data.dates.length} day(s): ${data.dates[0]} – ${data.dates[data.dates.length - 1]}`;
+    rosterMessage.className = 'notification is-success is-light';
+  } catch (err) {
+    console.error('Roster upload error:', err);
+    rosterMessage.textContent = err.response?.data?.error || err.message;
+    rosterMessage.className = 'notification is-danger';
+  }
+});
+
+// Schedule Adherence Form Handler
+adherenceForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  clearAdherenceError();
+  adherenceResponse.style.display = 'block';
+  adherenceResponse.textContent = 'Loading adherence...';
+
+  const startDate = zonedInputToDate(document.getElementById('adherenceStart').value);
+  const endDate = zonedInputToDate(document.getElementById('adherenceEnd').value);
+
+  if (isNaN(startDate.getTime()) || isNaN(endDate.getTime())) {
+    showAdherenceError('Please select valid start and end dates');
+    adherenceResponse.style.display = 'none';
+    return;
+  }
+
+  if (startDate >= endDate) {
+    showAdherenceError('Start date must be before end date');
+    adherenceResponse.style.display = 'none';
+    return;
+  }
+
+  try {
+    const { data } = await axios.get('/api/adherence', {
+      params: {
+        account: currentTenant,
+        startDate: Math.floor(startDate.getTime() / 1000),
+        endDate: Math.floor(endDate.getTime() / 1000),
+        tz: reportTimeZone,
+        grace: document.getElementById('adherenceGrace').value || 0
+      }
+    });
+    setTruncatedWarning(adherenceTruncatedBox, data.truncated);
+    renderAdherenceTable(data.data || [], data.timeZone || reportTimeZone);
+  } catch (err) {
+    console.error('Adherence API Error:', err);
+    showAdherenceError(err.response?.data?.error || err.message);
+    adherenceResponse.style.display = 'none';
+  }
+});
+
+const adherenceStatusTags = {
+  ok: '<span class="tag is-success">On time</span>',
+  late: '<span class="tag is-warning">Late login</span>',
+  early: '<span class="tag is-warning">Early logoff</span>',
+  late_and_early: '<span class="tag is-warning">Late & early</span>',
+  missed: '<span class="tag is-danger">Missed</span>',
+  in_progress: '<span class="tag is-info is-light">In progress</span>',
+  upcoming: '<span class="tag is-light">Upcoming</span>'
+};
+
+function renderAdherenceTable(agents, timeZone) {
+  if (!agents.length) {
+    adherenceResponse.innerHTML = '<div class="notification is-warning">No planned shifts or logins found for the specified time range</div>';
+    return;
+  }
+
+  const summaryHeaders = ['Agent Name', 'Extension', 'Shifts', 'Missed', 'Late Logins', 'Early Logoffs', 'Scheduled', 'Worked In Shift', 'Unscheduled', 'Adherence'];
+  const shiftHeaders = ['Agent Name', 'Date', 'Shift', 'Breaks', 'First Login', 'Last LogOff', 'Late', 'Early', 'Adherence', 'Status'];
+  const percent = value => (value == null ? '—' : `${value}%`);
+
+  const summaryRows = agents.map(agent => `
+    <tr>
+      <td><strong>${escapeHtml(agent.agent)}</strong></td>
+      <td>${agent.ext ? `<span class="tag is-info">${escapeHtml(agent.ext)}</span>` : ''}</td>
+      <td>${agent.scheduledShifts}</td>
+      <td>${agent.missedShifts}</td>
+      <td>${agent.lateLogins}</td>
+      <td>${agent.earlyLogoffs}</td>
+      <td>${secondsToHMS(agent.requiredSeconds)}</td>
+      <td>${secondsToHMS(agent.inShiftSeconds)}</td>
+      <td>${secondsToHMS(agent.unscheduledSeconds)}</td>
+      <td><strong>${percent(agent.adherence)}</strong></td>
+    </tr>
+  `).join('');
+
+  const shiftRows = agents.flatMap(agent => agent.shifts.map((shift, index) => `
+    <tr class="${shift.status === 'in_progress' ? 'session-open' : ''}">
+      <td>${index === 0 ? `<strong>${escapeHtml(agent.agent)}</strong>` : ''}</td>
+      <td>${escapeHtml(shift.date)}</td>
+      <td>${escapeHtml(shift.start)} – ${escapeHtml(shift.end)}</td>
+      <td>${escapeHtml(shift.breakMinutes)} min</td>
+      <td>${shift.firstLogin || '—'}</td>
+      <td>${shift.lastLogoff || '—'}</td>
+      <td>${shift.lateSeconds ? secondsToHMS(shift.lateSeconds) : '—'}</td>
+      <td>${shift.earlySeconds ? secondsToHMS(shift.earlySeconds) : '—'}</td>
+      <td>${percent(shift.adherence)}</td>
+      <td>${adherenceStatusTags[shift.status] || escapeHtml(shift.status)}</td>
+    </tr>
+  `)).join('');
+
+  adherenceResponse.innerHTML = `
+    <div class="table-container">
+      <table class="table is-striped is-hoverable is-fullwidth">
+        <thead><tr>${summaryHeaders.map(header => `<th>${header}</th>`).join('')}</tr></thead>
+        <tbody>${summaryRows}</tbody>
+      </table>
+    </div>
+    <h3 class="title is-6 mt-4">Shifts</h3>
+    <div class="table-container">
+      <table class="table is-hoverable is-fullwidth">
+        <thead><tr>${shiftHeaders.map(header => `<th>${header}</th>`).join('')}</tr></thead>
+        <tbody>${shiftRows || `<tr><td colspan="${shiftHeaders.length}">No planned shifts in this range</td></tr>`}</tbody>
+      </table>
+    </div>
+    <div class="notification is-info is-light">
+      <strong>Note:</strong> Shift times and logins are in ${timeZone}. Adherence is time logged in during the shift over the shift length minus allowed breaks; shifts that have not ended yet are not counted.
+    </div>
+  `;
+  adherenceResponse.style.display = 'block';
+}
+
+// Fixed colours for the built-in states; custom not-available states get one from the palette
+const stateColours = { Login: '#1976d2', available: '#48c78e', Logoff: '#b5b5b5' };
+const customStatePalette = ['#EF6F53', '#ffb70f', '#9c27b0', '#e91e63', '#795548', '#00bcd4', '#ff5722', '#607d8b'];
+
+function colourForState(state, assigned) {
+  if (stateColours[state]) return stateColours[state];
+  if (!assigned.has(state)) {
+    assigned.set(state, customStatePalette[assigned.size % customStatePalette.length]);
+  }
+  return assigned.get(state);
+}
+
+function renderTimeline({ rangeStart, rangeEnd, data: agents = [] }) {
+  if (!agents.length || rangeEnd <= rangeStart) {
+    timelineChart.innerHTML = '<div class="notification is-warning">No state changes found for the specified time range</div>';
+    return;
+  }
+
+  const span = rangeEnd - rangeStart;
+  const pct = ts => ((ts - rangeStart) / span) * 100;
+  const assigned = new Map();
+  const sortedAgents = [...agents].sort((a, b) => (a.username || '').localeCompare(b.username || ''));
+
+  // Axis with five evenly spaced ticks
+  const ticks = Array.from({ length: 5 }, (_, i) => rangeStart + Math.round((span * i) / 4));
+  let html = `
+    <div class="timeline-axis">
+      <div class="timeline-label"></div>
+      <div class="timeline-track">
+        ${ticks.map(ts => `<span class="timeline-tick" style="left:${pct(ts)}%">${formatTimestamp(ts).split(', ')[1].slice(0, 5)}</span>`).join('')}
+      </div>
+    </div>
+  `;
+
+  sortedAgents.forEach((agent, agentIndex) => {
+    const bars = agent.intervals.map((interval, intervalIndex) => {
+      const colour = colourForState(interval.state, assigned);
+      const title = `${interval.state}: ${formatTimestamp(interval.start)} – ${formatTimestamp(interval.end)} (${secondsToHMS(interval.duration)})`;
+      return `<div class="timeline-bar" data-agent="${agentIndex}" data-interval="${intervalIndex}" title="${escapeHtml(title)}"
+        style="left:${pct(interval.start)}%;width:${pct(interval.end) - pct(interval.start)}%;background:${colour}"></div>`;
+    });
+    html += `
+      <div class="timeline-row">
+        <div class="timeline-label">${escapeHtml(agent.username)} (${escapeHtml(agent.ext)})</div>
+        <div class="timeline-track">${bars.join('')}</div>
+      </div>
+    `;
+  });
+
+  timelineChart.innerHTML = html;
+
+  const legendStates = ['Login', 'available', ...assigned.keys(), 'Logoff'];
+  timelineLegend.innerHTML = legendStates
+    .map(state => `<span><i style="background:${colourForState(state, assigned)}"></i>${escapeHtml(state)}</span>`)
+    .join('');
+
+  // Clicking a bar shows the interval plus the agent's per-state totals
+  timelineChart.querySelectorAll('.timeline-bar').forEach(bar => {
+    bar.addEventListener('click', () => {
+      const agent = sortedAgents[bar.dataset.agent];
+      const interval = agent.intervals[bar.dataset.interval];
+      const totals = Object.entries(agent.totals)
+        .map(([state, sec]) => `${escapeHtml(state)}: ${secondsToHMS(sec)}`)
+        .join(' · ');
+      timelineDetail.innerHTML = `
+        <strong>${escapeHtml(agent.username)} (${escapeHtml(agent.ext)})</strong> — ${escapeHtml(interval.state)}
+        from ${formatTimestamp(interval.start)} to ${formatTimestamp(interval.end)} (${secondsToHMS(interval.duration)})
+        <br><small>Totals in range: ${totals}</small>
+      `;
+      timelineDetail.classList.remove('is-hidden');
+    });
+  });
+}
+
+// Live tab: every agent's current state, pushed by the server over /api/live
+let liveSource = null;
+let liveTimer = null;
+const liveAgents = new Map();
+const liveColours = new Map();
+// Server clock minus ours in ms, so durations don't drift with a skewed PC clock
+let liveClockOffset = 0;
+
+function startLive() {
+  stopLive();
+  liveUpdated.textContent = 'Connecting…';
+  liveErrorBox.classList.add('is-hidden');
+  liveSource = new EventSource(`/api/live?account=${encodeURIComponent(currentTenant)}`);
+
+  liveSource.addEventListener('snapshot', e => {
+    const data = JSON.parse(e.data);
+    liveAgents.clear();
+    data.agents.forEach(agent => liveAgents.set(agent.key, agent));
+    liveUpdate(data);
+  });
+  liveSource.addEventListener('update', e => {
+    const data = JSON.parse(e.data);
+    data.changed.forEach(agent => liveAgents.set(agent.key, agent));
+    liveUpdate(data);
+  });
+  liveSource.addEventListener('poll-failed', e => {
+    const { error } = JSON.parse(e.data);
+    liveErrorBox.textContent = `Could not reach the phone system (${error}); showing the last known states.`;
+    liveErrorBox.classList.remove('is-hidden');
+  });
+  // EventSource reconnects by itself; it gives up only when the server refuses the stream
+  liveSource.addEventListener('error', () => {
+    if (liveSource?.readyState === EventSource.CLOSED) {
+      liveUpdated.textContent = 'Live updates stopped. Reopen the tab to try again.';
+    } else {
+      liveUpdated.textContent = 'Connection lost, reconnecting…';
+    }
+  });
+
+  liveTimer = setInterval(renderLive, 1000);
+}
+
+function stopLive() {
+  liveSource?.close();
+  liveSource = null;
+  clearInterval(liveTimer);
+  liveTimer = null;
+}
+
+function liveUpdate({ polledAt, error }) {
+  if (polledAt) {
+    liveClockOffset = polledAt * 1000 - Date.now();
+    liveUpdated.textContent = `Last updated ${formatTimestamp(polledAt)}`;
+  }
+  liveErrorBox.textContent = error ? `Could not reach the phone system (${error}); showing the last known states.` : '';
+  liveErrorBox.classList.toggle('is-hidden', !error);
+  renderLive();
+}
+
+function renderLive() {
+  if (!liveAgents.size) {
+    liveAgentsBody.innerHTML = '<tr><td colspan="5">No agent activity yet</td></tr>';
+    return;
+  }
+  const now = Math.floor((Date.now() + liveClockOffset) / 1000);
+  liveAgentsBody.innerHTML = [...liveAgents.values()]
+    .sort((a, b) => (a.username || '').localeCompare(b.username || ''))
+    .map(agent => `
+      <tr>
+        <td>${escapeHtml(agent.username)}</td>
+        <td>${escapeHtml(agent.ext)}</td>
+        <td><span class="tag" style="background:${colourForState(agent.state, liveColours)};color:#fff">${escapeHtml(agent.state)}</span></td>
+        <td>${formatTimestamp(agent.since)}</td>
+        <td>${secondsToHMS(Math.max(0, now - agent.since))}</td>
+      </tr>
+    `)
+    .join('');
+}
+
+// Text from the server as HTML; agent names and states come from the phone
+// system and must never be taken as markup
+function escapeHtml(value) {
+  const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+  return String(value ?? '').replace(/[&<>"']/g, c => entities[c]);
+}
+
+// Helper function to format timestamps consistently in the report zone
+function formatTimestamp(timestamp) {
+  const p = zonedParts(new Date(timestamp * 1000));
+  return `${p.day}/${p.month}/${p.year}, ${p.hour}:${p.minute}:${p.second}`;
 }
 
 // Helper function to format boolean values with tags
@@ -365,19 +1086,6 @@ function formatBoolean(value) {
   }
 }
 
-const timeKeys = new Set(['registered_time','not_available_time','wrap_up_time','hold_time','on_call_time']);
-
-function formatCell(val, key) {
-  if (val == null) return '<td></td>';
-  if (typeof val === 'object') {
-    return `<td>${Object.entries(val).map(([k,v])=>`${k}: ${secondsToHMS(v)}`).join('<br>')}</td>`;
-  }
-  if (timeKeys.has(key)) {
-    return `<td>${secondsToHMS(val)}</td>`;
-  }
-  return `<td>${val}</td>`;
-}
-
 function formatHeaderName(header) {
   return header.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
 }
@@ -388,14 +1096,7 @@ function formatEventCell(value, key) {
   }
   
   if (key === 'timestamp') {
-    const date = new Date(value * 1000);
-    const day = String(date.getDate()).padStart(2, '0');
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    const year = date.getFullYear();
-    const hours = String(date.getHours()).padStart(2, '0');
-    const minutes = String(date.getMinutes()).padStart(2, '0');
-    const seconds = String(date.getSeconds()).padStart(2, '0');
-    return `${day}/${month}/${year}, ${hours}:${minutes}:${seconds}`;
+    return formatTimestamp(value);
   }
   
   if (key === 'enabled') {
@@ -411,21 +1112,31 @@ function formatEventCell(value, key) {
   return String(value);
 }
 
+// CSV comes from the export endpoint so it matches the API and CLI downloads exactly
 csvBtn.addEventListener('click', () => {
-  if (!lastRecords.length) return;
-  const rows = lastRecords.map(r => (
-    [ 'name','extension','registered_time','not_available_time','wrap_up_time','hold_time',
-      'not_available_detailed_report'].map(k => {
-        const v = r[k];
-        if (timeKeys.has(k)) return secondsToHMS(v);
-        if (k === 'not_available_detailed_report' && typeof v === 'object') {
-          return Object.entries(v).map(([t,sec])=>`${t}:${secondsToHMS(sec)}`).join('; ');
-        }
-        return v ?? '';
-      })
-  ).join(','));
-  const csv = ['Name,Extension,Login Time,Not Available Time,Wrap Up Time,Hold Time,Custom States', ...rows].join('\n');
-  downloadBlob(csv, 'agents.csv', 'text/csv');
+  if (!lastAgentsParams) return;
+  window.location.href = `/api/agents/export?${new URLSearchParams({ ...lastAgentsParams, format: 'csv' })}`;
+});
+
+eventsCsvBtn.addEventListener('click', () => {
+  if (!lastEventsParams) return;
+  window.location.href = `/api/events/export?${new URLSearchParams({ ...lastEventsParams, format: 'csv' })}`;
+});
+
+// The workbook is built server-side so durations stay real Excel time values
+xlsxBtn.addEventListener('click', () => {
+  if (!lastAgentsParams) return;
+  window.location.href = `/api/agents/export?${new URLSearchParams({ ...lastAgentsParams, format: 'xlsx' })}`;
+});
+
+pdfBtn.addEventListener('click', () => {
+  if (!lastAgentsParams) return;
+  window.location.href = `/api/agents/pdf?${new URLSearchParams(lastAgentsParams)}`;
+});
+
+eventsPdfBtn.addEventListener('click', () => {
+  if (!lastEventsParams) return;
+  window.location.href = `/api/events/pdf?${new URLSearchParams(lastEventsParams)}`;
 });
 
 htmlBtn.addEventListener('click', () => {
@@ -443,13 +1154,3 @@ function downloadBlob(content, filename, type) {
   a.click();
   URL.revokeObjectURL(url);
 }
-
-function secondsToHMS(sec) {
-  const total = parseInt(sec, 10);
-  const days = Math.floor(total / 86400);
-  const rem = total % 86400;
-  const h = Math.floor(rem / 3600).toString().padStart(2, '0');
-  const m = Math.floor((rem % 3600) / 60).toString().padStart(2, '0');
-  const s = (rem % 60).toString().padStart(2, '0');
-  return days ? `${days} day${days > 1 ? 's' : ''} ${h}:${m}:${s}` : `${h}:${m}:${s}`;
-}
\ No newline at end of file
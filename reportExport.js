@@ -0,0 +1,171 @@
+// reportExport.js
+// File exports of the agent status and login/logoff reports (whole period or
+// per business day) in CSV, JSON, NDJSON or XLSX. Every format uses the column layout in
+// public/reportColumns.js, the same one the dashboard table renders, so the
+// API, CLI and scheduled downloads all match what is on screen. CSV holds the
+// displayed text and ends, for agent status, with the same totals/averages
+// row as the table. JSON and NDJSON stay one record per agent with typed
+// values (numbers, seconds, unix timestamps) for BI tools. Agent status XLSX
+// is the workbook in xlsxExport.js, the same as /api/agents/xlsx; the other
+// reports get a single sheet. Grouped by team, files get a Team column and
+// CSV / XLSX a subtotal row after each team.
+//
+// Usage examples:
+//   node -r dotenv/config reportExport.js agents mcint 2025-07-02T00:00:00Z 2025-07-02T23:59:59Z agents.csv
+//   node -r dotenv/config reportExport.js events mcint 2025-07-02T00:00:00Z 2025-07-02T23:59:59Z logins.ndjson Europe/London
+//   node -r dotenv/config reportExport.js daily mcint 2025-07-01T00:00:00Z 2025-07-07T23:59:59Z week.xlsx
+
+import fs from 'fs';
+import path from 'path';
+import { toCsv } from './agentStatus.js';
+import { buildReport, groupReport } from './reports.js';
+import { getTenant } from './tenants.js';
+import { resolveTimeZone } from './timeZone.js';
+import { buildAgentWorkbook, buildTableWorkbook } from './xlsxExport.js';
+import { summarizeAgents } from './public/agentKpis.js';
+import { AGENT_COLUMNS, DAILY_EVENT_COLUMNS, EVENT_COLUMNS, formatColumnValue, toExportRecords } from './public/reportColumns.js';
+
+export const EXPORT_FORMATS = ['csv', 'json', 'ndjson', 'xlsx'];
+
+const REPORT_COLUMNS = { agents: AGENT_COLUMNS, events: EVENT_COLUMNS, daily: DAILY_EVENT_COLUMNS };
+const TEAM_COLUMN = { key: 'team_name', label: 'Team', type: 'text' };
+const REPORT_TITLES = { agents: 'Agent Status', events: 'Agent Login-Logoff', daily: 'Login-Logoff by Day' };
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+  ndjson: 'application/x-ndjson; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+/**
+ * Columns of a report.
+ * @param {'agents'|'events'|'daily'} report
+ * @returns {object[]}
+ * @throws {RangeError} for an unknown report
+ */
+export function reportColumns(report) {
+  const columns = REPORT_COLUMNS[report];
+  if (!columns) throw new RangeError(`Unknown report: ${report} (expected agents, events or daily)`);
+  return columns;
+}
+
+/**
+ * Footer row of a report, or null when it has none.
+ * @param {'agents'|'events'|'daily'} report
+ * @param {object[]} rows
+ * @returns {object|null}
+ */
+export function reportSummary(report, rows) {
+  return report === 'agents' && rows.length ? summarizeAgents(rows) : null;
+}
+
+/**
+ * CSV with the column labels as header; the header is written even when
+ * there are no rows so consumers always see the layout.
+ * @param {object[]} rows
+ * @param {object[]} columns
+ * @param {object} [summary] - footer row, from reportSummary()
+ * @returns {string}
+ */
+export function formatCsv(rows, columns, summary = null) {
+  const records = (summary ? [...rows, summary] : rows)
+    .map(row => Object.fromEntries(columns.map(c => [c.label, formatColumnValue(row[c.key], c)])));
+  return toCsv(records) || columns.map(c => c.label).join(',');
+}
+
+/**
+ * Render report rows in an export format.
+ * @param {'agents'|'events'|'daily'} report
+ * @param {object[]} rows - from buildReport()
+ * @param {'csv'|'json'|'ndjson'|'xlsx'} format
+ * @param {object} opts
+ * @param {string} opts.tenant    - tenant id
+ * @param {string} opts.timeZone  - IANA zone the report is in
+ * @param {number} opts.startDate - unix ms
+ * @param {number} opts.endDate   - unix ms
+ * @param {'team'} [opts.groupBy] - add a Team column and per-team subtotals
+ * @returns {Promise<{body: string|Buffer, contentType: string}>}
+ * @throws {RangeError} for an unknown report or format
+ */
+export async function renderExport(report, rows, format, { tenant, timeZone, startDate, endDate, groupBy }) {
+  let columns = reportColumns(report);
+  let tableRows = rows;
+  let summary = reportSummary(report, rows);
+  if (groupBy === 'team') {
+    columns = [TEAM_COLUMN, ...columns];
+    tableRows = groupReport(report, rows).flatMap(group => [...group.rows, group.subtotal]);
+    if (summary) summary = { ...summary, team_name: 'All teams' };
+  }
+
+  let body;
+  switch (format) {
+    case 'csv':
+      body = formatCsv(tableRows, columns, summary);
+      break;
+    case 'json':
+      body = JSON.stringify(toExportRecords(rows, columns), null, 2);
+      break;
+    case 'ndjson':
+      body = toExportRecords(rows, columns).map(record => `${JSON.stringify(record)}\n`).join('');
+      break;
+    case 'xlsx': {
+      const workbook = report === 'agents'
+        ? buildAgentWorkbook(rows, { tenant, timeZone, startDate, endDate, groups: groupBy === 'team' ? groupReport(report, rows) : null })
+        : buildTableWorkbook(tableRows, columns, { title: REPORT_TITLES[report], summary });
+      body = Buffer.from(await workbook.xlsx.writeBuffer());
+      break;
+    }
+    default:
+      throw new RangeError(`Unknown format: ${format} (expected ${EXPORT_FORMATS.join(', ')})`);
+  }
+  return { body, contentType: CONTENT_TYPES[format] };
+}
+
+/**
+ * Build a report and write it to a file; the format comes from the extension.
+ * @param {'agents'|'events'|'daily'} report
+ * @param {string} tenantId
+ * @param {{startDate: number, endDate: number, timeZone?: string}} range - unix ms; zone defaults to the tenant's
+ * @param {string} outputFile - .csv, .json, .ndjson or .xlsx
+ * @returns {Promise<number>} - number of records written
+ */
+export async function writeReportFile(report, tenantId, { startDate, endDate, timeZone }, outputFile) {
+  const format = path.extname(outputFile).slice(1).toLowerCase();
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new RangeError(`Unknown format: ${format} (expected ${EXPORT_FORMATS.join(', ')})`);
+  }
+  const tenant = getTenant(tenantId);
+  const zone = resolveTimeZone(timeZone || tenant.timeZone);
+  const rows = await buildReport(report, tenant.id, { startDate, endDate, timeZone: zone });
+  const { body } = await renderExport(report, rows, format, { tenant: tenant.id, timeZone: zone, startDate, endDate });
+  await fs.promises.mkdir(path.dirname(path.resolve(outputFile)), { recursive: true });
+  await fs.promises.writeFile(outputFile, body);
+  return rows.length;
+}
+
+async function cli() {
+  const [, , report, acct, startIso, endIso, outputFile, tz] = process.argv;
+  if (!report || !acct || !startIso || !endIso || !outputFile) {
+    console.error('Usage: node -r dotenv/config reportExport.js <agents|events|daily> <account> <startISO> <endISO> <output.csv|json|ndjson|xlsx> [timeZone]');
+    process.exit(1);
+  }
+
+  const startDate = Date.parse(startIso);
+  const endDate = Date.parse(endIso);
+  if (Number.isNaN(startDate) || Number.isNaN(endDate)) {
+    console.error('Invalid ISO date/time strings.');
+    process.exit(1);
+  }
+
+  const count = await writeReportFile(report, acct, { startDate, endDate, timeZone: tz }, outputFile);
+  console.log(`Saved ${count} records to ${outputFile}`);
+}
+
+// Execute when run directly
+if (import.meta.url === process.argv[1] || import.meta.url === `file://${process.argv[1]}`) {
+  cli().catch(err => {
+    console.error(err.response?.data || err.stack || err.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,301 @@
+// reports.js
+// Report builders shared by the API routes, the scheduler and the exporters.
+// Each builder takes a tenant id plus a range and returns the rows the
+// dashboard shows for that report. When the event download hit a fetch limit
+// the rows carry `truncated: true` (see markTruncated in agentEvents.js).
+//
+// First login / last logoff are shift-anchored: a session belongs to the
+// period its login falls in, and events are loaded MAX_SHIFT_LENGTH (default
+// 12h) either side of the period so its logoff is found even after the end.
+//
+// Agent status rows are tied to their login data by user_id through the
+// identity history (identities.js); records that cannot be tied to exactly
+// one agent, or that have no login events, are listed in `identityIssues` on
+// the rows instead of merged.
+//
+// Agent rows carry their team (`team_id`, `team_name`, see teams.js) and can
+// be limited to one team; groupReport() adds per-team subtotals. Builders
+// also take `allow`, the caller's row filter from agentFilter() in
+// access.js, so a scoped user never gets other agents' rows.
+
+import ms from 'ms';
+import { getAgentLoginLogoffTimes, getAgentSessions, getDailyLoginLogoff, markTruncated } from './agentEvents.js';
+import { computeAdherence, shiftBounds } from './adherence.js';
+import { computeKpis, summarizeAgents } from './public/agentKpis.js';
+import { loadAgentEvents, loadAgentStatus } from './eventStore.js';
+import { matchAgents } from './identities.js';
+import { createLogger } from './logger.js';
+import { listShifts } from './roster.js';
+import { applyTeams, groupByTeam } from './teams.js';
+import { getTenant } from './tenants.js';
+import { formatIsoDate, parseDayCutoff } from './timeZone.js';
+
+const log = createLogger({ module: 'reports' });
+
+/**
+ * Tag rows with their team, then keep only the requested team's rows and
+ * the ones the caller may see.
+ * @param {string} tenantId
+ * @param {object[]} rows
+ * @param {{team?: string, allow?: (row: object) => boolean}} scope
+ * @returns {object[]}
+ */
+function scopeRows(tenantId, rows, { team, allow }) {
+  const tagged = applyTeams(tenantId, rows, team);
+  return allow ? tagged.filter(allow) : tagged;
+}
+
+/**
+ * Range to load events for so sessions crossing the period edges pair up:
+ * a shift length either side, never past now.
+ * @param {number} startDate - unix timestamp
+ * @param {number} endDate   - unix timestamp
+ * @returns {{startDate: number, endDate: number}}
+ */
+function sessionFetchRange(startDate, endDate) {
+  const margin = Math.max(0, Math.floor(ms(process.env.MAX_SHIFT_LENGTH || '12h') / 1000));
+  const now = Math.floor(Date.now() / 1000);
+  return { startDate: startDate - margin, endDate: Math.max(endDate, Math.min(endDate + margin, now)) };
+}
+
+/**
+ * Agent status rows enriched with KPIs (public/agentKpis.js) and first
+ * login / last logoff times. Each row gets the `user_id` it was matched to
+ * and how (`identity_match`: user_id, extension, name, ambiguous or
+ * unmatched); the array's `identityIssues` lists the ambiguous and unmatched
+ * stats rows, the matched ones without login events and the logged-in agents
+ * with no stats row.
+ * Login data is best effort: the stats are still returned when the events
+ * call fails.
+ * @param {string} tenantId
+ * @param {object} opts
+ * @param {number} opts.startDate  - unix ms start of range.
+ * @param {number} opts.endDate    - unix ms end of range.
+ * @param {string} opts.timeZone   - IANA zone for the formatted times.
+ * @param {string} [opts.team]     - keep only this team's agents.
+ * @param {Function} [opts.allow]  - keep only rows this returns true for.
+ * @param {boolean} [opts.refresh] - bypass the event store.
+ * @returns {Promise<object[]>}
+ */
+export async function buildAgentReport(tenantId, { startDate, endDate, timeZone, team, allow, refresh = false }) {
+  const statusData = await loadAgentStatus(tenantId, { startDate, endDate, refresh });
+
+  let loginLogoffData = null;
+  let truncated = false;
+  const range = { start: Math.floor(startDate / 1000), end: Math.floor(endDate / 1000) };
+  try {
+    // Fetch all raw events (not filtered) to get login/logoff times
+    const allEventsData = await loadAgentEvents(tenantId, { ...sessionFetchRange(range.start, range.end), refresh });
+    loginLogoffData = getAgentLoginLogoffTimes(allEventsData || [], { timeZone, range });
+    truncated = !!allEventsData?.truncated;
+  } catch (eventsErr) {
+    log.warn('could not fetch agent events for login/logoff data', { tenant: tenantId, error: eventsErr.message });
+  }
+
+  // Merge status data with login/logoff data of the same user
+  const { matches, issues } = matchAgents(tenantId, statusData, loginLogoffData, range);
+  const rows = statusData.map((agent, i) => {
+    const loginLogoffInfo = matches[i].login;
+
+    return {
+      ...agent,
+      user_id: matches[i].user_id ?? agent.user_id ?? null,
+      identity_match: matches[i].match,
+      ...computeKpis(agent),
+      first_login_time: loginLogoffInfo?.firstLoginTime || '',
+      last_logoff_time: loginLogoffInfo?.lastLogoffTime || '',
+      first_login_timestamp: loginLogoffInfo?.firstLoginTimestamp ?? null,
+      last_logoff_timestamp: loginLogoffInfo?.lastLogoffTimestamp ?? null
+    };
+  });
+  const report = markTruncated(scopeRows(tenantId, rows, { team, allow }), truncated);
+  report.identityIssues = scopeRows(tenantId, issues, { team, allow });
+  return report;
+}
+
+/**
+ * First login / last logoff per agent. With an upstream `timeRange` the
+ * events are taken as they come, without shift anchoring.
+ * @param {string} tenantId
+ * @param {object} opts
+ * @param {number} opts.startDate   - unix timestamp start of range.
+ * @param {number} opts.endDate     - unix timestamp end of range.
+ * @param {string} opts.timeZone    - IANA zone for the formatted times.
+ * @param {string} [opts.timeRange] - upstream time range.
+ * @param {number} [opts.pageSize]  - upstream page size.
+ * @param {string} [opts.team]      - keep only this team's agents.
+ * @param {Function} [opts.allow]   - keep only rows this returns true for.
+ * @param {boolean} [opts.refresh]  - bypass the event store.
+ * @returns {Promise<object[]>}
+ */
+export async function buildLoginLogoffReport(tenantId, { startDate, endDate, timeZone, timeRange, pageSize, team, allow, refresh = false }) {
+  if (timeRange) {
+    const allEventsData = await loadAgentEvents(tenantId, { startDate, endDate, timeRange, pageSize, refresh });
+    const rows = getAgentLoginLogoffTimes(allEventsData || [], { timeZone });
+    return markTruncated(scopeRows(tenantId, rows, { team, allow }), !!allEventsData?.truncated);
+  }
+  const allEventsData = await loadAgentEvents(tenantId, { ...sessionFetchRange(startDate, endDate), pageSize, refresh });
+  const rows = getAgentLoginLogoffTimes(allEventsData || [], { timeZone, range: { start: startDate, end: endDate } });
+  return markTruncated(scopeRows(tenantId, rows, { team, allow }), !!allEventsData?.truncated);
+}
+
+/**
+ * First login / last logoff per agent per business day, for multi-day
+ * ranges. Days start at the cutoff, so with a 06:00 cutoff (or later) a
+ * 22:00–06:00 night shift is reported on the day it started.
+ * @param {string} tenantId
+ * @param {object} opts
+ * @param {number} opts.startDate    - unix timestamp start of range.
+ * @param {number} opts.endDate      - unix timestamp end of range.
+ * @param {string} opts.timeZone     - IANA zone of the business days and formatted times.
+ * @param {string} [opts.dayCutoff]  - "HH:MM"; defaults to the tenant's.
+ * @param {string} [opts.team]       - keep only this team's agents.
+ * @param {Function} [opts.allow]    - keep only rows this returns true for.
+ * @param {boolean} [opts.refresh]   - bypass the event store.
+ * @returns {Promise<object[]>}
+ * @throws {RangeError} for an invalid cutoff
+ */
+export async function buildDailyLoginLogoffReport(tenantId, { startDate, endDate, timeZone, dayCutoff, team, allow, refresh = false }) {
+  const cutoff = parseDayCutoff(dayCutoff ?? getTenant(tenantId).dayCutoff);
+  const fetchRange = sessionFetchRange(startDate, endDate);
+  const allEventsData = await loadAgentEvents(tenantId, { ...fetchRange, refresh });
+  const rows = getDailyLoginLogoff(allEventsData || [], {
+    range: { start: startDate, end: endDate },
+    dayCutoff: cutoff,
+    rangeEnd: fetchRange.endDate,
+    timeZone
+  });
+  return markTruncated(scopeRows(tenantId, rows, { team, allow }), !!allEventsData?.truncated);
+}
+
+/**
+ * Every login session per agent; open sessions are counted up to the range
+ * end (or now, for ranges reaching into the future).
+ * @param {string} tenantId
+ * @param {object} opts
+ * @param {number} opts.startDate  - unix timestamp start of range.
+ * @param {number} opts.endDate    - unix timestamp end of range.
+ * @param {string} opts.timeZone   - IANA zone for the formatted times.
+ * @param {number} [opts.pageSize] - upstream page size.
+ * @param {Function} [opts.allow]  - keep only rows this returns true for.
+ * @returns {Promise<object[]>}
+ */
+export async function buildSessionsReport(tenantId, { startDate, endDate, timeZone, pageSize, allow }) {
+  const allEventsData = await loadAgentEvents(tenantId, { startDate, endDate, pageSize });
+  const sessions = getAgentSessions(allEventsData || [], {
+    rangeEnd: Math.min(endDate, Math.floor(Date.now() / 1000)),
+    timeZone
+  });
+  return markTruncated(allow ? sessions.filter(allow) : sessions, !!allEventsData?.truncated);
+}
+
+/**
+ * Planned shifts (roster.js) against actual logins: late logins, early
+ * logoffs, missed shifts, unscheduled work and adherence per agent.
+ * Shifts are picked by their date in `timeZone`; sessions are read from a
+ * little before the first shift so logins just ahead of it are seen.
+ * @param {string} tenantId
+ * @param {object} opts
+ * @param {number} opts.startDate       - unix timestamp start of range.
+ * @param {number} opts.endDate         - unix timestamp end of range.
+ * @param {string} opts.timeZone        - IANA zone of the roster and formatted times.
+ * @param {number} [opts.graceSeconds]  - lateness / early leave tolerated.
+ * @param {Function} [opts.allow]       - keep only rows this returns true for.
+ * @returns {Promise<object[]>}
+ */
+export async function buildAdherenceReport(tenantId, { startDate, endDate, timeZone, graceSeconds, allow }) {
+  const shifts = listShifts(tenantId, {
+    from: formatIsoDate(startDate * 1000, timeZone),
+    to: formatIsoDate(endDate * 1000, timeZone)
+  });
+  const now = Math.floor(Date.now() / 1000);
+  const bounds = shifts.map(shift => shiftBounds(shift, timeZone));
+  const from = Math.min(startDate, ...bounds.map(b => b.start)) - 6 * 3600;
+  const to = Math.min(now, Math.max(endDate, ...bounds.map(b => b.end)));
+
+  const allEventsData = await loadAgentEvents(tenantId, { startDate: from, endDate: to });
+  const agents = getAgentSessions(allEventsData || [], { rangeEnd: to, timeZone });
+  const rows = computeAdherence(shifts, agents, {
+    rangeStart: startDate,
+    rangeEnd: Math.min(endDate, now),
+    sessionsFrom: from,
+    now,
+    graceSeconds,
+    timeZone
+  });
+  log.debug('adherence computed', { tenant: tenantId, shifts: shifts.length, agents: rows.length });
+  return markTruncated(allow ? rows.filter(allow) : rows, !!allEventsData?.truncated);
+}
+
+/**
+ * Build a report by name over a range in unix ms – the entry point for the
+ * exporters, which all take ranges the same way.
+ * @param {'agents'|'events'|'daily'} report
+ * @param {string} tenantId
+ * @param {object} opts
+ * @param {number} opts.startDate - unix ms start of range.
+ * @param {number} opts.endDate   - unix ms end of range.
+ * @param {string} opts.timeZone  - IANA zone for the formatted times.
+ * @param {string} [opts.team]    - keep only this team's agents.
+ * @param {Function} [opts.allow] - keep only rows this returns true for.
+ * @returns {Promise<object[]>}
+ * @throws {RangeError} for an unknown report
+ */
+export async function buildReport(report, tenantId, { startDate, endDate, timeZone, team, allow }) {
+  switch (report) {
+    case 'agents':
+      return buildAgentReport(tenantId, { startDate, endDate, timeZone, team, allow });
+    case 'events':
+      return buildLoginLogoffReport(tenantId, {
+        startDate: Math.floor(startDate / 1000),
+        endDate: Math.floor(endDate / 1000),
+        timeZone,
+        team,
+        allow
+      });
+    case 'daily':
+      return buildDailyLoginLogoffReport(tenantId, {
+        startDate: Math.floor(startDate / 1000),
+        endDate: Math.floor(endDate / 1000),
+        timeZone,
+        team,
+        allow
+      });
+    default:
+      throw new RangeError(`Unknown report: ${report} (expected agents, events or daily)`);
+  }
+}
+
+/**
+ * Subtotal row of login/logoff rows: how many agents logged in, the earliest
+ * first login and the latest last logoff.
+ * @param {object[]} rows - from buildLoginLogoffReport()
+ * @returns {object}
+ */
+export function summarizeLogins(rows) {
+  const pick = (key, better) => rows.filter(r => r[`${key}Timestamp`] != null)
+    .reduce((best, r) => (!best || better(r[`${key}Timestamp`], best[`${key}Timestamp`]) ? r : best), null);
+  const first = pick('firstLogin', (a, b) => a < b);
+  const last = pick('lastLogoff', (a, b) => a > b);
+  return {
+    username: `Total (${rows.length} agent${rows.length === 1 ? '' : 's'})`,
+    ext: '',
+    firstLoginTime: first?.firstLoginTime ?? '',
+    firstLoginTimestamp: first?.firstLoginTimestamp ?? null,
+    lastLogoffTime: last?.lastLogoffTime ?? '',
+    lastLogoffTimestamp: last?.lastLogoffTimestamp ?? null
+  };
+}
+
+/**
+ * Report rows grouped by team with a subtotal per team.
+ * @param {'agents'|'events'} report
+ * @param {object[]} rows - from buildReport()
+ * @returns {{id: string|null, name: string, rows: object[], subtotal: object}[]}
+ * @throws {RangeError} for a report that has no team subtotals
+ */
+export function groupReport(report, rows) {
+  if (report === 'agents') return groupByTeam(rows, summarizeAgents);
+  if (report === 'events') return groupByTeam(rows, summarizeLogins);
+  throw new RangeError(`Report ${report} cannot be grouped by team`);
+}
@@ -0,0 +1,222 @@
+// roster.js
+// Planned shifts per tenant, uploaded as CSV or JSON and compared with the
+// actual logins by the adherence report (adherence.js).
+//
+// A shift looks like:
+//   { agent: '1007', date: '2025-07-02', start: '09:00', end: '17:30', breakMinutes: 60 }
+// `agent` is an extension or agent name; `start` / `end` are wall-clock times
+// in the tenant's zone and a shift whose end is not after its start runs
+// overnight into the next day. Uploading shifts replaces the tenant's roster
+// for every date the upload contains. Rosters persist in ROSTER_FILE
+// (default data/roster.json).
+
+import fs from 'fs';
+import path from 'path';
+import { createLogger } from './logger.js';
+import { getTenant } from './tenants.js';
+
+const log = createLogger({ module: 'roster' });
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+
+// Accepted spellings of each field, in CSV headers and JSON keys
+const FIELD_ALIASES = {
+  agent: ['agent', 'extension', 'ext', 'name'],
+  date: ['date', 'day'],
+  start: ['shift_start', 'start', 'shiftstart'],
+  end: ['shift_end', 'end', 'shiftend'],
+  breaks: ['breaks', 'break', 'allowed_breaks', 'break_minutes', 'breakminutes']
+};
+
+let state = null; // { [tenantId]: shift[] }
+
+function rosterFile() {
+  return process.env.ROSTER_FILE || path.join(process.cwd(), 'data', 'roster.json');
+}
+
+function loadState() {
+  if (state) return state;
+  try {
+    state = JSON.parse(fs.readFileSync(rosterFile(), 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') log.warn('could not read roster file; starting empty', { file: rosterFile(), error: err.message });
+    state = {};
+  }
+  return state;
+}
+
+function saveState() {
+  const file = rosterFile();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(state, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+/**
+ * Split CSV text into rows of cells (RFC 4180 quoting).
+ * @param {string} text
+ * @returns {string[][]}
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(c => c.trim() !== ''));
+}
+
+/**
+ * Allowed break time as minutes: a number of minutes or H:MM.
+ * @param {number|string} value
+ * @returns {number|null} - null when the value is not a duration
+ */
+function parseBreakMinutes(value) {
+  if (value == null || value === '') return 0;
+  if (typeof value === 'number') return value >= 0 ? value : null;
+  const text = String(value).trim();
+  const hm = /^(\d+):([0-5]\d)$/.exec(text);
+  if (hm) return Number(hm[1]) * 60 + Number(hm[2]);
+  return /^\d+(\.\d+)?$/.test(text) ? Number(text) : null;
+}
+
+function pickField(record, field) {
+  const key = Object.keys(record).find(k => FIELD_ALIASES[field].includes(k.trim().toLowerCase()));
+  return key === undefined ? undefined : record[key];
+}
+
+/**
+ * Validate one roster entry.
+ * @param {object} record - raw CSV row / JSON object
+ * @param {string} where  - position, for error messages
+ * @returns {object}
+ * @throws {RangeError} when a field is missing or invalid
+ */
+function normalizeShift(record, where) {
+  const agent = String(pickField(record, 'agent') ?? '').trim();
+  const date = String(pickField(record, 'date') ?? '').trim();
+  const start = String(pickField(record, 'start') ?? '').trim();
+  const end = String(pickField(record, 'end') ?? '').trim();
+  const breakMinutes = parseBreakMinutes(pickField(record, 'breaks'));
+
+  if (!agent) throw new RangeError(`${where}: agent is required`);
+  if (!DATE_PATTERN.test(date) || Number.isNaN(Date.parse(`${date}T00:00:00Z`))) {
+    throw new RangeError(`${where}: invalid date ${date || '(empty)'} (expected YYYY-MM-DD)`);
+  }
+  if (!TIME_PATTERN.test(start)) throw new RangeError(`${where}: invalid shift start ${start || '(empty)'} (expected HH:MM)`);
+  if (!TIME_PATTERN.test(end)) throw new RangeError(`${where}: invalid shift end ${end || '(empty)'} (expected HH:MM)`);
+  if (breakMinutes == null) throw new RangeError(`${where}: invalid breaks (expected minutes or H:MM)`);
+
+  const pad = t => t.padStart(5, '0');
+  return { agent, date, start: pad(start), end: pad(end), breakMinutes };
+}
+
+/**
+ * Parse an uploaded roster.
+ * @param {string|object|object[]} content - CSV text, JSON text, or parsed JSON
+ *                                           (an array or `{ shifts: [...] }`)
+ * @returns {object[]} - normalised shifts
+ * @throws {RangeError} when the upload is malformed
+ */
+export function parseRoster(content) {
+  let records;
+  let label;
+  if (typeof content === 'string' && !/^\s*[[{]/.test(content)) {
+    const [header, ...rows] = parseCsv(content);
+    if (!header) throw new RangeError('Roster is empty');
+    records = rows.map(cells => Object.fromEntries(header.map((name, i) => [name, cells[i]?.trim()])));
+    label = i => `line ${i + 2}`;
+  } else {
+    let parsed = content;
+    if (typeof content === 'string') {
+      try {
+        parsed = JSON.parse(content);
+      } catch (err) {
+        throw new RangeError(`Roster is not valid JSON: ${err.message}`);
+      }
+    }
+    records = Array.isArray(parsed) ? parsed : parsed?.shifts;
+    if (!Array.isArray(records)) throw new RangeError('Roster JSON must be an array of shifts or { "shifts": [...] }');
+    label = i => `shift ${i + 1}`;
+  }
+  if (!records.length) throw new RangeError('Roster has no shifts');
+  return records.map((record, i) => normalizeShift(record || {}, label(i)));
+}
+
+/**
+ * Replace a tenant's shifts for every date present in `shifts`.
+ * @param {string} tenantId
+ * @param {object[]} shifts - from parseRoster()
+ * @returns {{saved: number, dates: string[]}}
+ */
+export function saveRoster(tenantId, shifts) {
+  const tenant = getTenant(tenantId);
+  const current = loadState();
+  const dates = [...new Set(shifts.map(s => s.date))].sort();
+  const kept = (current[tenant.id] || []).filter(s => !dates.includes(s.date));
+  current[tenant.id] = [...kept, ...shifts].sort((a, b) => a.date.localeCompare(b.date) || a.start.localeCompare(b.start));
+  saveState();
+  log.info('roster saved', { tenant: tenant.id, shifts: shifts.length, dates: dates.length });
+  return { saved: shifts.length, dates };
+}
+
+/**
+ * A tenant's shifts between two dates (inclusive); all shifts when omitted.
+ * @param {string} tenantId
+ * @param {{from?: string, to?: string}} [range] - YYYY-MM-DD
+ * @returns {object[]}
+ */
+export function listShifts(tenantId, { from, to } = {}) {
+  const tenant = getTenant(tenantId);
+  return (loadState()[tenant.id] || []).filter(s => (!from || s.date >= from) && (!to || s.date <= to));
+}
+
+/**
+ * Remove a tenant's shifts between two dates (inclusive); all when omitted.
+ * @param {string} tenantId
+ * @param {{from?: string, to?: string}} [range] - YYYY-MM-DD
+ * @returns {number} - shifts removed
+ */
+export function deleteShifts(tenantId, { from, to } = {}) {
+  const tenant = getTenant(tenantId);
+  const current = loadState();
+  const before = (current[tenant.id] || []).length;
+  current[tenant.id] = (current[tenant.id] || []).filter(s => (from && s.date < from) || (to && s.date > to));
+  const removed = before - current[tenant.id].length;
+  if (removed) {
+    saveState();
+    log.info('roster shifts deleted', { tenant: tenant.id, removed });
+  }
+  return removed;
+}
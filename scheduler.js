@@ -0,0 +1,582 @@
+// scheduler.js
+// Built-in report scheduler: runs report jobs on cron-like schedules and
+// writes CSV / JSON files into REPORTS_DIR (default reports/).
+//
+// A job looks like:
+//   { name: 'Daily agents', cron: '0 0 * * *', report: 'agents',
+//     tenant: 'mcint', period: 'yesterday', formats: ['csv', 'json'],
+//     retries: 2, retryDelay: '1m' }
+// Schedules are evaluated once a minute in the job's time zone (the tenant's
+// unless the job sets `timeZone`); report days start at the tenant's
+// `dayCutoff`. Jobs and their run history persist in
+// SCHEDULES_FILE (default data/schedules.json). SCHEDULER=off stops jobs from
+// running on their own; they can still be run through the API.
+
+import crypto from 'crypto';
+import fs from 'fs';
+import ms from 'ms';
+import path from 'path';
+import { toCsv } from './agentStatus.js';
+import { formatCsv, reportSummary } from './reportExport.js';
+import { AGENT_COLUMNS, DAILY_EVENT_COLUMNS, EVENT_COLUMNS } from './public/reportColumns.js';
+import { createLogger, runWithRequestId } from './logger.js';
+import { buildAgentReport, buildDailyLoginLogoffReport, buildLoginLogoffReport, buildSessionsReport } from './reports.js';
+import { getTenant } from './tenants.js';
+import { businessDay, businessDayStart, formatIsoDate, isValidTimeZone, parseDayCutoff, zonedParts, zonedTimeToDate } from './timeZone.js';
+
+const log = createLogger({ module: 'scheduler' });
+
+export const REPORTS = ['agents', 'events', 'daily', 'sessions'];
+export const FORMATS = ['csv', 'json'];
+export const PERIODS = ['today', 'yesterday', 'last7days', 'lastWeek', 'lastMonth'];
+const MAX_RUNS_PER_JOB = 50;
+
+const CRON_ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+};
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+let state = null;        // { jobs: object[], runs: object[] }
+let timer = null;
+const running = new Set(); // job ids with a run in progress
+
+function parseCronField(field, { name, min, max }, expression) {
+  const values = new Set();
+  for (const part of field.split(',')) {
+    const match = part.match(/^(\*|\d+)(?:-(\d+))?(?:\/(\d+))?$/);
+    if (!match) throw new RangeError(`Invalid ${name} "${part}" in cron expression "${expression}"`);
+    const [, from, to, step] = match;
+    const lo = from === '*' ? min : Number(from);
+    const hi = from === '*' || (step && to === undefined) ? max : to !== undefined ? Number(to) : lo;
+    const inc = step ? Number(step) : 1;
+    if (lo < min || hi > max || lo > hi || inc < 1) {
+      throw new RangeError(`Invalid ${name} "${part}" in cron expression "${expression}"`);
+    }
+    for (let v = lo; v <= hi; v += inc) values.add(v);
+  }
+  return values;
+}
+
+/**
+ * Parse a 5-field cron expression (minute hour day-of-month month day-of-week)
+ * or one of @hourly, @daily, @midnight, @weekly, @monthly. Fields accept `*`,
+ * numbers, ranges (`1-5`), lists (`1,15`) and steps (`*\/15`, `0-30/10`).
+ * @param {string} expression
+ * @returns {object} - parsed schedule for cronMatches() / nextCronRun()
+ * @throws {RangeError} when the expression is invalid
+ */
+export function parseCron(expression) {
+  if (typeof expression !== 'string' || !expression.trim()) throw new RangeError('Missing cron expression');
+  const source = CRON_ALIASES[expression.trim()] || expression.trim();
+  const fields = source.split(/\s+/);
+  if (fields.length !== 5) throw new RangeError(`Invalid cron expression "${expression}": expected 5 fields`);
+
+  const [minute, hour, day, month, weekday] = fields.map((field, i) => parseCronField(field, CRON_FIELDS[i], expression));
+  if (weekday.has(7)) weekday.add(0); // 7 is Sunday too
+  return { minute, hour, day, month, weekday, dayRestricted: fields[2] !== '*', weekdayRestricted: fields[4] !== '*' };
+}
+
+function cronMatchesDay(cron, { month, day, weekday }) {
+  if (!cron.month.has(month)) return false;
+  // Standard cron: when both day fields are restricted, either one may match
+  if (cron.dayRestricted && cron.weekdayRestricted) return cron.day.has(day) || cron.weekday.has(weekday);
+  return cron.day.has(day) && cron.weekday.has(weekday);
+}
+
+/**
+ * Whether a parsed schedule fires at the given wall-clock minute.
+ * @param {object} cron  - from parseCron()
+ * @param {object} parts - from zonedParts()
+ * @returns {boolean}
+ */
+export function cronMatches(cron, parts) {
+  return cron.minute.has(parts.minute) && cron.hour.has(parts.hour) && cronMatchesDay(cron, parts);
+}
+
+/**
+ * Next time a schedule fires after `from`, looking up to a year ahead.
+ * @param {object} cron     - from parseCron()
+ * @param {string} timeZone - IANA zone the schedule is evaluated in
+ * @param {Date}   [from]
+ * @returns {Date|null}
+ */
+export function nextCronRun(cron, timeZone, from = new Date()) {
+  const today = zonedParts(from, timeZone);
+  const hours = [...cron.hour].sort((a, b) => a - b);
+  const minutes = [...cron.minute].sort((a, b) => a - b);
+
+  for (let offset = 0; offset <= 366; offset++) {
+    const date = new Date(Date.UTC(today.year, today.month - 1, today.day + offset));
+    const day = { month: date.getUTCMonth() + 1, day: date.getUTCDate(), weekday: date.getUTCDay() };
+    if (!cronMatchesDay(cron, day)) continue;
+
+    for (const hour of hours) {
+      for (const minute of minutes) {
+        const at = zonedTimeToDate({ year: date.getUTCFullYear(), month: day.month, day: day.day, hour, minute }, timeZone);
+        if (at > from) return at;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Range a job reports on, relative to when it runs, in the job's zone.
+ * Whole-day periods run from the business-day cutoff to one second before
+ * the next (00:00–23:59:59 with the default midnight cutoff); before the
+ * cutoff, "today" is still the previous business day.
+ * @param {string} period   - one of today, yesterday, last7days, lastWeek (Mon–Sun), lastMonth
+ * @param {string} timeZone - IANA zone
+ * @param {Date}   [now]
+ * @param {number} [dayCutoff] - minutes after midnight, from parseDayCutoff()
+ * @returns {{startDate: number, endDate: number}} - unix ms
+ */
+export function reportPeriod(period, timeZone, now = new Date(), dayCutoff = 0) {
+  const { year, month, day } = businessDay(now, timeZone, dayCutoff);
+  const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+  const dayStart = (m, d) => businessDayStart({ year, month: m, day: d }, timeZone, dayCutoff).getTime();
+  const monday = day - ((weekday + 6) % 7);
+
+  switch (period) {
+    case 'today': return { startDate: dayStart(month, day), endDate: now.getTime() };
+    case 'yesterday': return { startDate: dayStart(month, day - 1), endDate: dayStart(month, day) - 1000 };
+    case 'last7days': return { startDate: dayStart(month, day - 7), endDate: dayStart(month, day) - 1000 };
+    case 'lastWeek': return { startDate: dayStart(month, monday - 7), endDate: dayStart(month, monday) - 1000 };
+    case 'lastMonth': return { startDate: dayStart(month - 1, 1), endDate: dayStart(month, 1) - 1000 };
+    default: throw new RangeError(`Unknown period: ${period} (expected ${PERIODS.join(', ')})`);
+  }
+}
+
+function schedulesFile() {
+  return process.env.SCHEDULES_FILE || path.join(process.cwd(), 'data', 'schedules.json');
+}
+
+function reportsDir() {
+  return process.env.REPORTS_DIR || path.join(process.cwd(), 'reports');
+}
+
+function loadState() {
+  if (state) return state;
+  try {
+    const raw = JSON.parse(fs.readFileSync(schedulesFile(), 'utf8'));
+    state = { jobs: raw.jobs || [], runs: raw.runs || [] };
+    // A hand-edited "false" would otherwise count as enabled; run only what is clearly on
+    for (const job of state.jobs) {
+      if (job.enabled == null || typeof job.enabled === 'boolean') continue;
+      log.warn('schedule has a non-boolean enabled; disabling it', { jobId: job.id, enabled: job.enabled });
+      job.enabled = false;
+    }
+  } catch (err) {
+    if (err.code !== 'ENOENT') log.warn('could not read schedules file; starting empty', { file: schedulesFile(), error: err.message });
+    state = { jobs: [], runs: [] };
+  }
+  // Runs interrupted by a restart never finished
+  for (const run of state.runs) {
+    if (run.status === 'running') Object.assign(run, { status: 'failed', error: 'Interrupted by server restart' });
+  }
+  return state;
+}
+
+function saveState() {
+  const file = schedulesFile();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(state, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+/**
+ * Validate a job definition, filling defaults from `existing` (for updates).
+ * @param {object} input
+ * @param {object} [existing]
+ * @returns {object}
+ * @throws {RangeError} when a field is invalid
+ */
+function normalizeJob(input = {}, existing = {}) {
+  const job = { ...existing, ...input };
+
+  parseCron(job.cron);
+  if (!REPORTS.includes(job.report)) throw new RangeError(`Unknown report: ${job.report} (expected ${REPORTS.join(', ')})`);
+  if (!PERIODS.includes(job.period)) throw new RangeError(`Unknown period: ${job.period} (expected ${PERIODS.join(', ')})`);
+  const tenant = getTenant(job.tenant);
+  if (job.timeZone && !isValidTimeZone(job.timeZone)) throw new RangeError(`Invalid time zone: ${job.timeZone}`);
+
+  const formats = job.formats ?? FORMATS;
+  if (!Array.isArray(formats) || !formats.length || formats.some(f => !FORMATS.includes(f))) {
+    throw new RangeError(`formats must be a non-empty list of ${FORMATS.join(', ')}`);
+  }
+  const retries = job.retries ?? 2;
+  if (!Number.isInteger(retries) || retries < 0 || retries > 10) throw new RangeError('retries must be an integer from 0 to 10');
+  const retryDelay = job.retryDelay ?? '1m';
+  if (typeof ms(String(retryDelay)) !== 'number') throw new RangeError(`Invalid retryDelay: ${retryDelay}`);
+  const enabled = job.enabled ?? true;
+  if (typeof enabled !== 'boolean') throw new RangeError('enabled must be true or false');
+
+  return {
+    id: existing.id || crypto.randomUUID(),
+    name: job.name || `${job.report} ${job.period} (${tenant.id})`,
+    cron: job.cron.trim(),
+    report: job.report,
+    tenant: tenant.id,
+    period: job.period,
+    timeZone: job.timeZone || null,
+    formats: [...new Set(formats)],
+    retries,
+    retryDelay: String(retryDelay),
+    enabled,
+    createdAt: existing.createdAt || new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  };
+}
+
+function jobTimeZone(job) {
+  return job.timeZone || getTenant(job.tenant).timeZone;
+}
+
+function describeJob(job) {
+  let nextRunAt = null;
+  if (job.enabled) {
+    try {
+      nextRunAt = nextCronRun(parseCron(job.cron), jobTimeZone(job))?.toISOString() ?? null;
+    } catch {
+      // Tenant removed from the registry since the job was saved
+    }
+  }
+  const lastRun = loadState().runs.filter(r => r.jobId === job.id).at(-1) || null;
+  return { ...job, running: running.has(job.id), nextRunAt, lastRun };
+}
+
+/**
+ * Every job, with its next run time and latest run.
+ * @returns {object[]}
+ */
+export function listSchedules() {
+  return loadState().jobs.map(describeJob);
+}
+
+/**
+ * @param {string} id
+ * @returns {object|null}
+ */
+export function getSchedule(id) {
+  const job = loadState().jobs.find(j => j.id === id);
+  return job ? describeJob(job) : null;
+}
+
+/**
+ * @param {object} input - job definition
+ * @returns {object} - the stored job
+ * @throws {RangeError} when the definition is invalid
+ */
+export function createSchedule(input) {
+  const job = normalizeJob(input);
+  loadState().jobs.push(job);
+  saveState();
+  log.info('schedule created', { jobId: job.id, name: job.name, cron: job.cron });
+  return describeJob(job);
+}
+
+/**
+ * @param {string} id
+ * @param {object} input - fields to change
+ * @returns {object|null} - null when the job does not exist
+ * @throws {RangeError} when the result is invalid
+ */
+export function updateSchedule(id, input) {
+  const { jobs } = loadState();
+  const index = jobs.findIndex(j => j.id === id);
+  if (index === -1) return null;
+  const { id: _id, createdAt, updatedAt, ...changes } = input || {};
+  jobs[index] = normalizeJob(changes, jobs[index]);
+  saveState();
+  log.info('schedule updated', { jobId: id });
+  return describeJob(jobs[index]);
+}
+
+/**
+ * Delete a job and its run history (generated files are kept).
+ * @param {string} id
+ * @returns {boolean} - false when the job does not exist
+ */
+export function deleteSchedule(id) {
+  const current = loadState();
+  const before = current.jobs.length;
+  current.jobs = current.jobs.filter(j => j.id !== id);
+  if (current.jobs.length === before) return false;
+  current.runs = current.runs.filter(r => r.jobId !== id);
+  saveState();
+  log.info('schedule deleted', { jobId: id });
+  return true;
+}
+
+/**
+ * Run history of a job, newest first.
+ * @param {string} id
+ * @returns {object[]|null} - null when the job does not exist
+ */
+export function listRuns(id) {
+  const current = loadState();
+  if (!current.jobs.some(j => j.id === id)) return null;
+  return current.runs.filter(r => r.jobId === id).reverse();
+}
+
+/**
+ * Flatten nested objects (e.g. custom state breakdowns) into `parent.child`
+ * columns so every CSV row has the same header.
+ * @param {object[]} rows
+ * @returns {object[]}
+ */
+function flattenRows(rows) {
+  const flatten = (obj, prefix = '', out = {}) => {
+    for (const [key, value] of Object.entries(obj)) {
+      const name = prefix ? `${prefix}.${key}` : key;
+      if (value && typeof value === 'object' && !Array.isArray(value)) flatten(value, name, out);
+      else out[name] = Array.isArray(value) ? JSON.stringify(value) : value;
+    }
+    return out;
+  };
+  const flat = rows.map(row => flatten(row));
+  const columns = [...new Set(flat.flatMap(row => Object.keys(row)))];
+  return flat.map(row => Object.fromEntries(columns.map(c => [c, row[c] ?? ''])));
+}
+
+/**
+ * Build the job's report for a period. Agents and events CSVs use the
+ * dashboard's column layout; sessions have one line per session.
+ * @returns {Promise<{rows: object[], csv: string}>}
+ */
+async function generateReport(job, { startDate, endDate }, timeZone) {
+  switch (job.report) {
+    case 'agents': {
+      const rows = await buildAgentReport(job.tenant, { startDate, endDate, timeZone });
+      return { rows, csv: formatCsv(rows, AGENT_COLUMNS, reportSummary('agents', rows)) };
+    }
+    case 'events': {
+      const rows = await buildLoginLogoffReport(job.tenant, {
+        startDate: Math.floor(startDate / 1000),
+        endDate: Math.floor(endDate / 1000),
+        timeZone
+      });
+      return { rows, csv: formatCsv(rows, EVENT_COLUMNS) };
+    }
+    case 'daily': {
+      const rows = await buildDailyLoginLogoffReport(job.tenant, {
+        startDate: Math.floor(startDate / 1000),
+        endDate: Math.floor(endDate / 1000),
+        timeZone
+      });
+      return { rows, csv: formatCsv(rows, DAILY_EVENT_COLUMNS) };
+    }
+    case 'sessions': {
+      const rows = await buildSessionsReport(job.tenant, {
+        startDate: Math.floor(startDate / 1000),
+        endDate: Math.floor(endDate / 1000),
+        timeZone
+      });
+      // One CSV line per session
+      const csvRows = rows.flatMap(({ sessions, ...agent }) => sessions.map(session => ({ ...agent, ...session })));
+      return { rows, csv: toCsv(flattenRows(csvRows)) };
+    }
+    default:
+      throw new RangeError(`Unknown report: ${job.report}`);
+  }
+}
+
+/**
+ * Write the report files for a run.
+ * @returns {Promise<string[]>} - paths relative to REPORTS_DIR
+ */
+async function writeReportFiles(job, run, { rows, csv }) {
+  const cutoff = parseDayCutoff(run.dayCutoff);
+  const from = formatIsoDate(run.period.startDate, run.timeZone, cutoff);
+  const to = formatIsoDate(run.period.endDate, run.timeZone, cutoff);
+  const base = path.join(job.tenant, `${job.report}_${from}${from === to ? '' : `_to_${to}`}`);
+  await fs.promises.mkdir(path.join(reportsDir(), job.tenant), { recursive: true });
+
+  const files = [];
+  if (job.formats.includes('json')) {
+    const document = {
+      job: { id: job.id, name: job.name },
+      tenant: job.tenant,
+      report: job.report,
+      timeZone: run.timeZone,
+      period: {
+        start: new Date(run.period.startDate).toISOString(),
+        end: new Date(run.period.endDate).toISOString()
+      },
+      generatedAt: new Date().toISOString(),
+      truncated: Boolean(rows.truncated),
+      data: rows
+    };
+    await fs.promises.writeFile(path.join(reportsDir(), `${base}.json`), JSON.stringify(document, null, 2));
+    files.push(`${base}.json`);
+  }
+  if (job.formats.includes('csv')) {
+    await fs.promises.writeFile(path.join(reportsDir(), `${base}.csv`), csv);
+    files.push(`${base}.csv`);
+  }
+  return files;
+}
+
+/**
+ * Record a new run of a job and mark the job as running.
+ * @param {object} job
+ * @param {'schedule'|'manual'} trigger
+ * @returns {object} - the run record
+ */
+function createRun(job, trigger) {
+  const timeZone = jobTimeZone(job);
+  const { dayCutoff } = getTenant(job.tenant);
+  const run = {
+    id: crypto.randomUUID(),
+    jobId: job.id,
+    trigger,
+    status: 'running',
+    timeZone,
+    dayCutoff,
+    period: reportPeriod(job.period, timeZone, new Date(), parseDayCutoff(dayCutoff)),
+    attempts: 0,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    rows: 0,
+    files: [],
+    error: null
+  };
+  loadState().runs.push(run);
+  running.add(job.id);
+  saveRunState(run);
+  return run;
+}
+
+/**
+ * Persist run bookkeeping. A failed write (full disk, permissions) is logged
+ * rather than thrown: the run goes on and the next save writes it again.
+ * @param {object} run
+ */
+function saveRunState(run) {
+  try {
+    saveState();
+  } catch (err) {
+    log.error('could not save schedule state', { jobId: run.jobId, runId: run.id, error: err });
+  }
+}
+
+/**
+ * Produce a run's report, retrying failures `job.retries` times. Resolves
+ * once the run finishes (successfully or not); never rejects.
+ * @param {object} job
+ * @param {object} run - from createRun()
+ * @returns {Promise<object>} - the finished run record
+ */
+function executeRun(job, run) {
+  return runWithRequestId(`schedule-${run.id}`, async () => {
+    try {
+      for (;;) {
+        run.attempts++;
+        try {
+          const report = await generateReport(job, run.period, run.timeZone);
+          run.files = await writeReportFiles(job, run, report);
+          run.rows = report.rows.length;
+          run.truncated = Boolean(report.rows.truncated);
+          run.status = 'success';
+          run.error = null;
+          log.info('scheduled report written', { jobId: job.id, runId: run.id, rows: run.rows, truncated: run.truncated, files: run.files });
+          break;
+        } catch (err) {
+          run.error = err.message;
+          if (run.attempts > job.retries) {
+            run.status = 'failed';
+            log.error('scheduled report failed', { jobId: job.id, runId: run.id, attempts: run.attempts, error: err });
+            break;
+          }
+          log.warn('scheduled report failed; retrying', { jobId: job.id, runId: run.id, attempt: run.attempts, error: err.message });
+          saveRunState(run);
+          await new Promise(r => setTimeout(r, ms(job.retryDelay)));
+        }
+      }
+    } finally {
+      // Whatever happened above, the job must not stay marked as running
+      run.finishedAt = new Date().toISOString();
+      running.delete(job.id);
+      // Keep only the latest runs of each job
+      const current = loadState();
+      const ofJob = current.runs.filter(r => r.jobId === job.id);
+      if (ofJob.length > MAX_RUNS_PER_JOB) {
+        const drop = new Set(ofJob.slice(0, ofJob.length - MAX_RUNS_PER_JOB));
+        current.runs = current.runs.filter(r => !drop.has(r));
+      }
+      saveRunState(run);
+    }
+    return run;
+  });
+}
+
+/**
+ * Start a job immediately (from the API). The run continues in the background.
+ * @param {string} id
+ * @returns {object|null} - the new run record, or null when the job does not exist
+ * @throws {Error} when the job is already running
+ */
+export function runScheduleNow(id) {
+  const job = loadState().jobs.find(j => j.id === id);
+  if (!job) return null;
+  if (running.has(job.id)) throw new Error(`Schedule ${job.id} is already running`);
+  const run = createRun(job, 'manual');
+  executeRun(job, run);
+  return run;
+}
+
+function tick() {
+  const now = new Date();
+  for (const job of loadState().jobs) {
+    if (!job.enabled) continue;
+    try {
+      if (!cronMatches(parseCron(job.cron), zonedParts(now, jobTimeZone(job)))) continue;
+      if (running.has(job.id)) {
+        log.warn('previous run still in progress; skipping', { jobId: job.id });
+        continue;
+      }
+      executeRun(job, createRun(job, 'schedule'));
+    } catch (err) {
+      log.warn('skipping schedule that can no longer be evaluated', { jobId: job.id, error: err.message });
+    }
+  }
+}
+
+function scheduleTick() {
+  // Fire just after each minute boundary so no minute is skipped or repeated
+  const delay = 60_000 - (Date.now() % 60_000) + 500;
+  timer = setTimeout(() => {
+    tick();
+    scheduleTick();
+  }, delay);
+  timer.unref();
+}
+
+/**
+ * Load the jobs and start evaluating their schedules every minute.
+ */
+export function startScheduler() {
+  if (timer) return;
+  const { jobs } = loadState();
+  scheduleTick();
+  log.info('scheduler started', { jobs: jobs.length, reportsDir: reportsDir() });
+}
+
+/**
+ * Stop evaluating schedules (runs already in progress finish).
+ */
+export function stopScheduler() {
+  clearTimeout(timer);
+  timer = null;
+}
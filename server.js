@@ -4,11 +4,36 @@ import express from 'express';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
-import { fetchAgentStatus } from './agentStatus.js';
-import { fetchAgentEvents, getAgentLoginLogoffTimes } from './agentEvents.js';
+import { getAgentStateIntervals } from './agentTimeline.js';
+import { resolveTimeZone, defaultTimeZone, listTimeZones, formatIsoDate } from './timeZone.js';
+import { listDiscoveredEndpoints, resetDiscoveredEndpoints } from './endpointDiscovery.js';
+import { createLogger, requestLogger } from './logger.js';
+import { openApiDocument } from './openapi.js';
+import { apiErrorHandler, apiNotFound, structuredErrors, validateRequests } from './apiValidation.js';
+import {
+  authenticate, createSession, destroySession, sessionToken, setSessionCookie, clearSessionCookie, requireSession,
+  listUsers, getUser, createUser, updateUser, deleteUser
+} from './auth.js';
+import { defaultTenantId } from './tenants.js';
+import { getEventStore, loadAgentEvents } from './eventStore.js';
+import { buildAgentReport, buildLoginLogoffReport, buildDailyLoginLogoffReport, buildSessionsReport, buildAdherenceReport, buildReport, groupReport } from './reports.js';
+import { getTeam, createTeam, updateTeam, deleteTeam } from './teams.js';
+import { listIdentities } from './identities.js';
+import { ForbiddenError, agentFilter, requireRole, teamsFor, tenantFor, tenantsFor } from './access.js';
+import { listApiKeys, getApiKey, createApiKey, revokeApiKey, rotateApiKey } from './apiKeys.js';
+import { listLivePollers, subscribeLiveStatus } from './liveStatus.js';
+import { parseRoster, saveRoster, listShifts, deleteShifts } from './roster.js';
+import { generateReportPdf } from './pdfExport.js';
+import { renderExport } from './reportExport.js';
+import { summarizeAgents } from './public/agentKpis.js';
+import {
+  startScheduler, listSchedules, getSchedule, createSchedule, updateSchedule, deleteSchedule, listRuns, runScheduleNow
+} from './scheduler.js';
 
 dotenv.config();
 
+const log = createLogger({ module: 'server' });
+
 const app = express();
 const PORT = process.env.PORT || 5556;
 const HOST = process.env.HOST || '0.0.0.0'; // 0.0.0.0 ensures the server binds to all network interfaces
@@ -18,97 +43,732 @@ const PUBLIC_URL = process.env.PUBLIC_URL || `http://localhost:${PORT}`;
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+app.use(requestLogger());
+app.use(structuredErrors());
+app.use(express.json({ limit: '2mb' })); // rosters can be a few hundred KB
+// Everything below, the dashboard included, needs a login (see auth.js)
+if ((process.env.AUTH || 'on').toLowerCase() === 'off') {
+  log.warn('AUTH=off: the dashboard and API are open to anyone who can reach them');
+} else {
+  app.use(requireSession());
+}
 app.use(express.static(path.join(__dirname, 'public')));
+// Parameters and bodies are checked against openapi.js before any route sees them
+app.use(validateRequests());
+
+// GET /api/openapi.json – the API description
+app.get('/api/openapi.json', (req, res) => {
+  res.json(openApiDocument);
+});
+
+// GET /api/docs – interactive API docs
+app.get('/api/docs', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'api-docs.html'));
+});
+
+// POST /api/login – { "username": "alice", "password": "…" }; sets the session cookie
+app.post('/api/login', async (req, res) => {
+  const { username, password } = req.body;
+  try {
+    const user = await authenticate(username, password, req.ip);
+    if (!user) return res.status(401).json({ error: 'Invalid username or password' });
+    setSessionCookie(res, createSession(user.username));
+    log.info('user logged in', { username: user.username });
+    res.json(user);
+  } catch (err) {
+    if (err.locked) return res.status(429).json({ error: err.message });
+    log.error('login failed', { error: err });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/logout – end the session
+app.post('/api/logout', (req, res) => {
+  destroySession(sessionToken(req));
+  clearSessionCookie(res);
+  res.status(204).end();
+});
+
+// GET /api/me – the logged-in user
+app.get('/api/me', (req, res) => {
+  res.json(req.user || null);
+});
+
+// Roles (access.js): viewers see reports on screen, supervisors can also
+// download them and read rosters, and only admins change configuration
+const canDownload = requireRole('admin', 'supervisor');
+const adminOnly = requireRole('admin');
+app.use(['/api/admin', '/api/schedules', '/api/users', '/api/identities', '/api/keys'], adminOnly);
 
-// GET /api/agents?account=mcint&start=ISO&end=ISO
+/**
+ * Resolve the tenant a request is for and the zone to report in, which
+ * defaults to the tenant's own zone, plus the optional team filter and
+ * grouping, and the rows the logged-in user may see (access.js).
+ * @param {object} [user]    - req.user
+ * @param {string} [account] - tenant id; the default tenant when omitted
+ * @param {string} [tz]      - requested IANA zone
+ * @param {{team?: string, groupBy?: string}} [opts] - team id to keep; 'team' for per-team subtotals
+ * @returns {{tenant: object, timeZone: string, team?: string, groupBy?: string, allow: Function|null}}
+ * @throws {RangeError} for an unknown tenant or team, an invalid zone or grouping
+ * @throws {ForbiddenError} for a tenant or team outside the user's scope
+ */
+function resolveReportScope(user, account, tz, { team, groupBy } = {}) {
+  const tenant = tenantFor(user, account);
+  const timeZone = resolveTimeZone(tz || tenant.timeZone);
+  if (team && !getTeam(tenant.id, team)) throw new RangeError(`Unknown team: ${team}`);
+  if (team && !teamsFor(user, tenant.id).some(t => t.id === team)) throw new ForbiddenError(`No access to team ${team}`);
+  if (groupBy && groupBy !== 'team') throw new RangeError(`Invalid groupBy: ${groupBy} (expected team)`);
+  return { tenant, timeZone, team: team || undefined, groupBy: groupBy || undefined, allow: agentFilter(user, tenant.id) };
+}
+
+/**
+ * Team groups for a JSON report response, without the rows themselves
+ * (each row already carries its team_id).
+ * @param {'agents'|'events'} report
+ * @param {object[]} rows
+ * @returns {{id: string|null, name: string, count: number, subtotal: object}[]}
+ */
+function teamGroups(report, rows) {
+  return groupReport(report, rows).map(({ rows: groupRows, ...group }) => ({ ...group, count: groupRows.length }));
+}
+
+// GET /api/timezones – zone picker options and the server default
+app.get('/api/timezones', (req, res) => {
+  res.json({ default: defaultTimeZone(), data: listTimeZones() });
+});
+
+// GET /api/tenants – tenant picker options (no credentials) the user may query, and the default tenant
+app.get('/api/tenants', (req, res) => {
+  try {
+    const tenants = tenantsFor(req.user);
+    const fallback = tenants.some(t => t.id === defaultTenantId()) ? defaultTenantId() : tenants[0]?.id ?? null;
+    res.json({ default: fallback, data: tenants });
+  } catch (err) {
+    log.error('could not load tenant registry', { error: err });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/agents?account=mcint&start=ISO&end=ISO&tz=Asia/Kolkata[&team=support][&groupBy=team][&refresh=true]
+// Answered from the event store when the range was downloaded before; refresh=true re-downloads it.
 app.get('/api/agents', async (req, res) => {
-  const { account, start, end } = req.query;
-  if (!account || !start || !end) {
-    return res.status(400).json({ error: 'Missing account, start or end query params' });
+  const { account, start, end, tz, refresh } = req.query;
+  const startDate = Date.parse(start);
+  const endDate = Date.parse(end);
+  let tenant, timeZone, team, groupBy, allow;
+  try {
+    ({ tenant, timeZone, team, groupBy, allow } = resolveReportScope(req.user, account, tz, req.query));
+  } catch (scopeErr) {
+    return sendInputError(res, scopeErr);
   }
+  try {
+    const data = await buildAgentReport(tenant.id, { startDate, endDate, timeZone, team, allow, refresh });
+    res.json({
+      timeZone,
+      truncated: Boolean(data.truncated),
+      data,
+      totals: summarizeAgents(data),
+      identityIssues: data.identityIssues || [],
+      ...(groupBy && { groups: teamGroups('agents', data) })
+    });
+  } catch (err) {
+    log.error('request failed', { error: err, upstream: err.response?.data });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/agents/xlsx?account=mcint&start=ISO&end=ISO&tz=Asia/Kolkata[&team=support] – same report as an Excel workbook
+// (the same file as /api/agents/export?format=xlsx)
+app.get('/api/agents/xlsx', canDownload, async (req, res) => {
+  const { account, start, end, tz } = req.query;
   const startDate = Date.parse(start);
   const endDate = Date.parse(end);
-  if (Number.isNaN(startDate) || Number.isNaN(endDate)) {
-    return res.status(400).json({ error: 'Invalid date format' });
-  }
-  try {
-    // Fetch agent status data
-    const statusData = await fetchAgentStatus(account, { startDate, endDate });
-    
-    // Fetch agent events data to get login/logoff times
-    const startTimestamp = Math.floor(startDate / 1000);
-    const endTimestamp = Math.floor(endDate / 1000);
-    
-    let loginLogoffData = [];
-    try {
-      // Fetch all raw events (not filtered) by setting filterResults to false
-      const allEventsData = await fetchAgentEvents(account, { 
-        startDate: startTimestamp, 
-        endDate: endTimestamp,
-        filterResults: false
-      });
-      
-      // Extract login/logoff times per agent
-      loginLogoffData = getAgentLoginLogoffTimes(allEventsData || []);
-    } catch (eventsErr) {
-      console.warn('Could not fetch agent events for login/logoff data:', eventsErr.message);
-      loginLogoffData = [];
-    }
-    
-    // Merge status data with login/logoff data
-    const enrichedData = statusData.map(agent => {
-      // Find matching login/logoff data by extension
-      const loginLogoffInfo = loginLogoffData.find(ll => 
-        ll.ext === agent.extension || ll.username === agent.name
-      );
-      
-      return {
-        ...agent,
-        first_login_time: loginLogoffInfo?.firstLoginTime || '',
-        last_logoff_time: loginLogoffInfo?.lastLogoffTime || ''
-      };
+  let tenant, timeZone, team, allow;
+  try {
+    ({ tenant, timeZone, team, allow } = resolveReportScope(req.user, account, tz, { team: req.query.team }));
+  } catch (scopeErr) {
+    return sendInputError(res, scopeErr);
+  }
+  await sendReportExport(res, 'agents', tenant, { startDate, endDate, timeZone, team, allow }, 'xlsx');
+});
+
+/**
+ * Stream a report PDF as a download.
+ * @param {import('express').Response} res
+ * @param {'agents'|'events'} report
+ * @param {object} tenant
+ * @param {{startDate: number, endDate: number, timeZone: string, team?: string, allow?: Function}} range - unix ms
+ */
+async function sendReportPdf(res, report, tenant, { startDate, endDate, timeZone, team, allow }) {
+  try {
+    const doc = await generateReportPdf(report, tenant.id, { startDate, endDate, timeZone, team, allow });
+    const filename = `${report}_${tenant.id}_${formatIsoDate(startDate, timeZone)}.pdf`;
+
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    // Once streaming has started the status is sent; a failure can only cut the download short
+    doc.on('error', err => {
+      log.error('request failed', { error: err });
+      if (!res.headersSent) res.status(500).json({ error: err.message });
+      else res.destroy(err);
+    });
+    res.on('error', err => {
+      log.warn('PDF download interrupted', { error: err.message });
+      doc.unpipe(res);
     });
-    
-    res.json({ data: enrichedData });
+    doc.pipe(res);
   } catch (err) {
-    console.error(err.response?.data || err.stack || err.message);
+    log.error('request failed', { error: err, upstream: err.response?.data });
     res.status(500).json({ error: err.message });
   }
+}
+
+// GET /api/agents/pdf?account=mcint&start=ISO&end=ISO&tz=Asia/Kolkata[&team=support] – branded PDF of the status report
+app.get('/api/agents/pdf', canDownload, async (req, res) => {
+  const { account, start, end, tz } = req.query;
+  const startDate = Date.parse(start);
+  const endDate = Date.parse(end);
+  let tenant, timeZone, team, allow;
+  try {
+    ({ tenant, timeZone, team, allow } = resolveReportScope(req.user, account, tz, { team: req.query.team }));
+  } catch (scopeErr) {
+    return sendInputError(res, scopeErr);
+  }
+  await sendReportPdf(res, 'agents', tenant, { startDate, endDate, timeZone, team, allow });
 });
 
-// GET /api/events?account=mcint&startDate=1753251240&endDate=1753258440
-app.get('/api/events', async (req, res) => {
-  const { account = 'mcint', startDate, endDate, timeRange, pageSize } = req.query;
-  if (!startDate || !endDate) {
-    return res.status(400).json({ error: 'Missing startDate or endDate query params' });
+/**
+ * Send a report as a file download in one of the shared export formats.
+ * @param {import('express').Response} res
+ * @param {'agents'|'events'} report
+ * @param {object} tenant
+ * @param {{startDate: number, endDate: number, timeZone: string, team?: string, allow?: Function}} range - unix ms
+ * @param {string} format    - csv, json, ndjson or xlsx
+ * @param {string} [groupBy] - 'team' for per-team subtotal rows
+ */
+async function sendReportExport(res, report, tenant, { startDate, endDate, timeZone, team, allow }, format, groupBy) {
+  try {
+    const rows = await buildReport(report, tenant.id, { startDate, endDate, timeZone, team, allow });
+    const { body, contentType } = await renderExport(report, rows, format, { tenant: tenant.id, timeZone, startDate, endDate, groupBy });
+    const filename = `${report}_${tenant.id}_${formatIsoDate(startDate, timeZone)}.${format}`;
+
+    res.set('Content-Type', contentType);
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    // Files have no room for the flag the JSON routes return
+    res.set('X-Report-Truncated', String(Boolean(rows.truncated)));
+    if (rows.identityIssues) res.set('X-Identity-Issues', String(rows.identityIssues.length));
+    res.send(body);
+  } catch (err) {
+    log.error('request failed', { error: err, upstream: err.response?.data });
+    res.status(500).json({ error: err.message });
   }
-  
-  const start = parseInt(startDate);
-  const end = parseInt(endDate);
-  if (Number.isNaN(start) || Number.isNaN(end)) {
-    return res.status(400).json({ error: 'Invalid timestamp format for startDate or endDate' });
+}
+
+// GET /api/agents/export?format=csv|json|ndjson|xlsx&account=mcint&start=ISO&end=ISO&tz=Asia/Kolkata[&team=support][&groupBy=team]
+// Same columns as the dashboard table, e.g. for BI tools pulling files with curl.
+app.get('/api/agents/export', canDownload, async (req, res) => {
+  const { account, start, end, tz, format } = req.query;
+  const startDate = Date.parse(start);
+  const endDate = Date.parse(end);
+  let tenant, timeZone, team, groupBy, allow;
+  try {
+    ({ tenant, timeZone, team, groupBy, allow } = resolveReportScope(req.user, account, tz, req.query));
+  } catch (scopeErr) {
+    return sendInputError(res, scopeErr);
+  }
+  await sendReportExport(res, 'agents', tenant, { startDate, endDate, timeZone, team, allow }, format, groupBy);
+});
+
+// GET /api/events?account=mcint&startDate=1753251240&endDate=1753258440&tz=Asia/Kolkata[&team=support][&groupBy=team][&refresh=true]
+app.get('/api/events', async (req, res) => {
+  const { account, startDate: start, endDate: end, timeRange, pageSize, tz, refresh } = req.query;
+  let tenant, timeZone, team, groupBy, allow;
+  try {
+    ({ tenant, timeZone, team, groupBy, allow } = resolveReportScope(req.user, account, tz, req.query));
+  } catch (scopeErr) {
+    return sendInputError(res, scopeErr);
   }
   
   try {
-    // Fetch all raw events (not filtered) to get login/logoff data
-    const allEventsData = await fetchAgentEvents(account, { 
-      startDate: start, 
+    const loginLogoffData = await buildLoginLogoffReport(tenant.id, {
+      startDate: start,
       endDate: end,
+      timeZone,
       timeRange,
-      pageSize: pageSize ? parseInt(pageSize) : undefined,
-      filterResults: false
+      pageSize,
+      team,
+      allow,
+      refresh
+    });
+
+    res.json({
+      timeZone,
+      truncated: Boolean(loginLogoffData.truncated),
+      data: loginLogoffData,
+      ...(groupBy && { groups: teamGroups('events', loginLogoffData) })
+    });
+  } catch (err) {
+    log.error('request failed', { error: err, upstream: err.response?.data });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/events/daily?account=mcint&startDate=1751328000&endDate=1751932799&tz=Asia/Kolkata[&team=support]
+// First login / last logoff per agent per business day (days start at the tenant's dayCutoff)
+app.get('/api/events/daily', async (req, res) => {
+  const { account, startDate: start, endDate: end, tz, refresh } = req.query;
+  let tenant, timeZone, team, allow;
+  try {
+    ({ tenant, timeZone, team, allow } = resolveReportScope(req.user, account, tz, { team: req.query.team }));
+  } catch (scopeErr) {
+    return sendInputError(res, scopeErr);
+  }
+
+  try {
+    const rows = await buildDailyLoginLogoffReport(tenant.id, {
+      startDate: start,
+      endDate: end,
+      timeZone,
+      team,
+      allow,
+      refresh
+    });
+    res.json({ timeZone, dayCutoff: tenant.dayCutoff, truncated: Boolean(rows.truncated), data: rows });
+  } catch (err) {
+    log.error('request failed', { error: err, upstream: err.response?.data });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/events/pdf?account=mcint&startDate=1753251240&endDate=1753258440&tz=Asia/Kolkata[&team=support] – branded PDF of the login/logoff report
+app.get('/api/events/pdf', canDownload, async (req, res) => {
+  const { account, startDate: start, endDate: end, tz } = req.query;
+  let tenant, timeZone, team, allow;
+  try {
+    ({ tenant, timeZone, team, allow } = resolveReportScope(req.user, account, tz, { team: req.query.team }));
+  } catch (scopeErr) {
+    return sendInputError(res, scopeErr);
+  }
+  await sendReportPdf(res, 'events', tenant, { startDate: start * 1000, endDate: end * 1000, timeZone, team, allow });
+});
+
+// GET /api/events/export?format=csv|json|ndjson|xlsx&account=mcint&startDate=1753251240&endDate=1753258440&tz=Asia/Kolkata
+//   [&byDay=true][&team=support][&groupBy=team] – byDay and groupBy cannot be combined
+app.get('/api/events/export', canDownload, async (req, res) => {
+  const { account, startDate: start, endDate: end, tz, byDay, format } = req.query;
+  let tenant, timeZone, team, groupBy, allow;
+  try {
+    ({ tenant, timeZone, team, groupBy, allow } = resolveReportScope(req.user, account, tz, req.query));
+  } catch (scopeErr) {
+    return sendInputError(res, scopeErr);
+  }
+  if (byDay && groupBy) {
+    return res.status(400).json({ error: 'groupBy is not supported with byDay' });
+  }
+  const report = byDay ? 'daily' : 'events';
+  await sendReportExport(res, report, tenant, { startDate: start * 1000, endDate: end * 1000, timeZone, team, allow }, format, groupBy);
+});
+
+// GET /api/sessions?account=mcint&startDate=1753251240&endDate=1753258440&tz=Asia/Kolkata
+app.get('/api/sessions', async (req, res) => {
+  const { account, startDate: start, endDate: end, pageSize, tz } = req.query;
+  let tenant, timeZone, allow;
+  try {
+    ({ tenant, timeZone, allow } = resolveReportScope(req.user, account, tz));
+  } catch (scopeErr) {
+    return sendInputError(res, scopeErr);
+  }
+
+  try {
+    // Pair every Login with its Logoff; open sessions are counted up to the range end
+    const sessionData = await buildSessionsReport(tenant.id, {
+      startDate: start,
+      endDate: end,
+      timeZone,
+      pageSize,
+      allow
     });
-    
-    // Extract login/logoff times per agent
-    const loginLogoffData = getAgentLoginLogoffTimes(allEventsData || []);
-    
-    res.json({ data: loginLogoffData });
+
+    res.json({ timeZone, truncated: Boolean(sessionData.truncated), data: sessionData });
   } catch (err) {
-    console.error(err.response?.data || err.stack || err.message);
+    log.error('request failed', { error: err, upstream: err.response?.data });
     res.status(500).json({ error: err.message });
   }
 });
 
-app.listen(PORT, HOST, () => {
-  console.log(`Web app running at ${PUBLIC_URL}`);
-});
\ No newline at end of file
+// Invalid input (RangeError: bad job definition, roster or tenant) is the caller's fault, as is
+// asking for a tenant outside the user's scope (ForbiddenError); anything else is ours
+function sendInputError(res, err) {
+  if (err instanceof RangeError) return res.status(400).json({ error: err.message });
+  if (err instanceof ForbiddenError) return res.status(403).json({ error: err.message });
+  log.error('request failed', { error: err });
+  res.status(500).json({ error: err.message });
+}
+
+// GET /api/roster?account=mcint[&from=2025-07-01&to=2025-07-31] – planned shifts
+app.get('/api/roster', canDownload, (req, res) => {
+  const { account, from, to } = req.query;
+  try {
+    const tenant = tenantFor(req.user, account);
+    const allow = agentFilter(req.user, tenant.id);
+    const shifts = listShifts(tenant.id, { from, to });
+    res.json({ data: allow ? shifts.filter(allow) : shifts });
+  } catch (err) {
+    sendInputError(res, err);
+  }
+});
+
+// PUT /api/roster?account=mcint – upload shifts as CSV (Content-Type: text/csv) or JSON.
+// CSV columns: agent,date,shift_start,shift_end,breaks. Replaces the roster for the dates uploaded.
+app.put('/api/roster', adminOnly, express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }), (req, res) => {
+  try {
+    const tenant = tenantFor(req.user, req.query.account);
+    const shifts = parseRoster(req.body);
+    res.json(saveRoster(tenant.id, shifts));
+  } catch (err) {
+    sendInputError(res, err);
+  }
+});
+
+// DELETE /api/roster?account=mcint[&from=2025-07-01&to=2025-07-31]
+app.delete('/api/roster', adminOnly, (req, res) => {
+  const { account, from, to } = req.query;
+  try {
+    const tenant = tenantFor(req.user, account);
+    res.json({ removed: deleteShifts(tenant.id, { from, to }) });
+  } catch (err) {
+    sendInputError(res, err);
+  }
+});
+
+// GET /api/teams?account=mcint – the tenant's teams (a scoped user's own teams only)
+app.get('/api/teams', (req, res) => {
+  try {
+    res.json({ data: teamsFor(req.user, tenantFor(req.user, req.query.account).id) });
+  } catch (err) {
+    sendInputError(res, err);
+  }
+});
+
+// POST /api/teams?account=mcint – create a team, e.g.
+// { "name": "Support", "supervisor": "Ayesha Khan", "members": ["1007", "1008"] }
+app.post('/api/teams', adminOnly, (req, res) => {
+  try {
+    const tenant = tenantFor(req.user, req.query.account);
+    res.status(201).json(createTeam(tenant.id, req.body));
+  } catch (err) {
+    sendInputError(res, err);
+  }
+});
+
+// GET /api/teams/:id?account=mcint
+app.get('/api/teams/:id', (req, res) => {
+  try {
+    const tenant = tenantFor(req.user, req.query.account);
+    const team = teamsFor(req.user, tenant.id).find(t => t.id === req.params.id);
+    if (!team) return res.status(404).json({ error: 'Team not found' });
+    res.json(team);
+  } catch (err) {
+    sendInputError(res, err);
+  }
+});
+
+// PUT /api/teams/:id?account=mcint – change the name, supervisor or members
+app.put('/api/teams/:id', adminOnly, (req, res) => {
+  try {
+    const tenant = tenantFor(req.user, req.query.account);
+    const team = updateTeam(tenant.id, req.params.id, req.body);
+    if (!team) return res.status(404).json({ error: 'Team not found' });
+    res.json(team);
+  } catch (err) {
+    sendInputError(res, err);
+  }
+});
+
+// DELETE /api/teams/:id?account=mcint
+app.delete('/api/teams/:id', adminOnly, (req, res) => {
+  try {
+    const tenant = tenantFor(req.user, req.query.account);
+    if (!deleteTeam(tenant.id, req.params.id)) return res.status(404).json({ error: 'Team not found' });
+    res.status(204).end();
+  } catch (err) {
+    sendInputError(res, err);
+  }
+});
+
+// GET /api/identities?account=mcint – known agents by user_id with their name and extension history
+app.get('/api/identities', (req, res) => {
+  try {
+    res.json({ data: listIdentities(req.query.account) });
+  } catch (err) {
+    sendInputError(res, err);
+  }
+});
+
+// GET /api/users – dashboard users with their role and scope (admins only, like all /api/users routes)
+app.get('/api/users', (req, res) => {
+  res.json({ data: listUsers() });
+});
+
+// POST /api/users – add a user, e.g.
+// { "username": "sam", "password": "…", "role": "supervisor", "tenants": ["mcint"], "teams": ["support"] }
+app.post('/api/users', async (req, res) => {
+  const { username, password, ...access } = req.body || {};
+  try {
+    res.status(201).json(await createUser(username, password, access));
+  } catch (err) {
+    sendInputError(res, err);
+  }
+});
+
+// GET /api/users/:username
+app.get('/api/users/:username', (req, res) => {
+  const user = getUser(req.params.username);
+  if (!user) return res.status(404).json({ error: 'User not found' });
+  res.json(user);
+});
+
+// PUT /api/users/:username – change the password, role, tenants, teams or agents
+app.put('/api/users/:username', async (req, res) => {
+  try {
+    const user = await updateUser(req.params.username, req.body || {});
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    res.json(user);
+  } catch (err) {
+    sendInputError(res, err);
+  }
+});
+
+// DELETE /api/users/:username – remove the user and end their sessions
+app.delete('/api/users/:username', (req, res) => {
+  try {
+    if (!deleteUser(req.params.username)) return res.status(404).json({ error: 'User not found' });
+    res.status(204).end();
+  } catch (err) {
+    sendInputError(res, err);
+  }
+});
+
+// GET /api/keys – API keys with their scope, expiry and last use (never the secrets)
+app.get('/api/keys', (req, res) => {
+  res.json({ data: listApiKeys() });
+});
+
+// POST /api/keys – { "name": "bi-pipeline", "tenants": ["mcint"], "routes": ["agents", "events"], "expiresAt": "2027-01-01" }
+// The response's `key` is the only copy of the secret.
+app.post('/api/keys', (req, res) => {
+  try {
+    res.status(201).json(createApiKey(req.body || {}, req.user?.username ?? null));
+  } catch (err) {
+    sendInputError(res, err);
+  }
+});
+
+// GET /api/keys/:id
+app.get('/api/keys/:id', (req, res) => {
+  const key = getApiKey(req.params.id);
+  if (!key) return res.status(404).json({ error: 'API key not found' });
+  res.json(key);
+});
+
+// POST /api/keys/:id/rotate – new secret, same id and scope; the old secret stops working
+app.post('/api/keys/:id/rotate', (req, res) => {
+  try {
+    const key = rotateApiKey(req.params.id);
+    if (!key) return res.status(404).json({ error: 'API key not found' });
+    res.json(key);
+  } catch (err) {
+    sendInputError(res, err);
+  }
+});
+
+// DELETE /api/keys/:id – revoke the key (it stays listed)
+app.delete('/api/keys/:id', (req, res) => {
+  const key = revokeApiKey(req.params.id);
+  if (!key) return res.status(404).json({ error: 'API key not found' });
+  res.json(key);
+});
+
+// GET /api/adherence?account=mcint&startDate=1753228800&endDate=1753315199&tz=Asia/Kolkata[&grace=5]
+// Roster vs. actual logins; grace is in minutes.
+app.get('/api/adherence', async (req, res) => {
+  const { account, startDate: start, endDate: end, tz, grace } = req.query;
+  let tenant, timeZone, allow;
+  try {
+    ({ tenant, timeZone, allow } = resolveReportScope(req.user, account, tz));
+  } catch (scopeErr) {
+    return sendInputError(res, scopeErr);
+  }
+
+  try {
+    const data = await buildAdherenceReport(tenant.id, {
+      startDate: start,
+      endDate: end,
+      timeZone,
+      graceSeconds: grace * 60,
+      allow
+    });
+    res.json({ timeZone, truncated: Boolean(data.truncated), data });
+  } catch (err) {
+    log.error('request failed', { error: err, upstream: err.response?.data });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/timeline?account=mcint&startDate=1753251240&endDate=1753258440
+// Intervals are raw unix timestamps; the client formats them in the selected zone.
+app.get('/api/timeline', async (req, res) => {
+  const { account, startDate: start, endDate: end, pageSize } = req.query;
+  let tenant;
+  try {
+    tenant = tenantFor(req.user, account);
+  } catch (tenantErr) {
+    return sendInputError(res, tenantErr);
+  }
+  const allow = agentFilter(req.user, tenant.id);
+
+  try {
+    const allEventsData = await loadAgentEvents(tenant.id, {
+      startDate: start,
+      endDate: end,
+      pageSize
+    });
+
+    // Intervals still open are drawn up to now when the range reaches into the future
+    const rangeEnd = Math.min(end, Math.floor(Date.now() / 1000));
+    const agents = getAgentStateIntervals(allEventsData || [], { rangeStart: start, rangeEnd });
+    const timeline = allow ? agents.filter(allow) : agents;
+
+    res.json({ rangeStart: start, rangeEnd, truncated: Boolean(allEventsData?.truncated), data: timeline });
+  } catch (err) {
+    log.error('request failed', { error: err, upstream: err.response?.data });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/live?account=mcint – every agent's current state as server-sent events:
+// `snapshot` first, then `update` with the agents that changed after each poll.
+// All viewers of a tenant share one poller (liveStatus.js).
+app.get('/api/live', (req, res) => {
+  let tenant;
+  try {
+    tenant = tenantFor(req.user, req.query.account);
+  } catch (tenantErr) {
+    return sendInputError(res, tenantErr);
+  }
+  const allow = agentFilter(req.user, tenant.id);
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // keep nginx from buffering the stream
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => {
+    if (allow && data.agents) data = { ...data, agents: data.agents.filter(allow) };
+    if (allow && data.changed) data = { ...data, changed: data.changed.filter(allow) };
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  const unsubscribe = subscribeLiveStatus(tenant.id, send);
+  // A comment line now and then stops proxies from closing an idle stream
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 30 * 1000);
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    unsubscribe();
+  });
+});
+
+// GET /api/admin/endpoints – events endpoint remembered per tenant
+app.get('/api/admin/endpoints', (req, res) => {
+  res.json({ data: listDiscoveredEndpoints() });
+});
+
+// DELETE /api/admin/endpoints?account=mcint – forget one tenant (or all when no account)
+app.delete('/api/admin/endpoints', (req, res) => {
+  const removed = resetDiscoveredEndpoints(req.query.account);
+  res.json({ removed });
+});
+
+// GET /api/admin/store – what the local event store holds per tenant
+app.get('/api/admin/store', (req, res) => {
+  const store = getEventStore();
+  res.json({ enabled: Boolean(store), data: store ? store.summary() : [] });
+});
+
+// GET /api/admin/live – tenants being polled for the Live tab
+app.get('/api/admin/live', (req, res) => {
+  res.json({ data: listLivePollers() });
+});
+
+// GET /api/schedules – report jobs with their next run time and latest run
+app.get('/api/schedules', (req, res) => {
+  res.json({ data: listSchedules() });
+});
+
+// POST /api/schedules – create a job, e.g.
+// { "cron": "0 0 * * *", "report": "agents", "tenant": "mcint", "period": "yesterday" }
+app.post('/api/schedules', (req, res) => {
+  try {
+    res.status(201).json(createSchedule(req.body));
+  } catch (err) {
+    sendInputError(res, err);
+  }
+});
+
+// GET /api/schedules/:id
+app.get('/api/schedules/:id', (req, res) => {
+  const job = getSchedule(req.params.id);
+  if (!job) return res.status(404).json({ error: 'Schedule not found' });
+  res.json(job);
+});
+
+// PUT /api/schedules/:id – change any of the job's fields
+app.put('/api/schedules/:id', (req, res) => {
+  try {
+    const job = updateSchedule(req.params.id, req.body);
+    if (!job) return res.status(404).json({ error: 'Schedule not found' });
+    res.json(job);
+  } catch (err) {
+    sendInputError(res, err);
+  }
+});
+
+// DELETE /api/schedules/:id – remove the job and its run history (files are kept)
+app.delete('/api/schedules/:id', (req, res) => {
+  if (!deleteSchedule(req.params.id)) return res.status(404).json({ error: 'Schedule not found' });
+  res.status(204).end();
+});
+
+// GET /api/schedules/:id/runs – run history, newest first
+app.get('/api/schedules/:id/runs', (req, res) => {
+  const runs = listRuns(req.params.id);
+  if (!runs) return res.status(404).json({ error: 'Schedule not found' });
+  res.json({ data: runs });
+});
+
+// POST /api/schedules/:id/run – run the job now; poll /runs for the result
+app.post('/api/schedules/:id/run', (req, res) => {
+  try {
+    const run = runScheduleNow(req.params.id);
+    if (!run) return res.status(404).json({ error: 'Schedule not found' });
+    res.status(202).json(run);
+  } catch (err) {
+    if (err instanceof RangeError) return res.status(400).json({ error: err.message });
+    res.status(409).json({ error: err.message });
+  }
+});
+
+app.use('/api', apiNotFound());
+app.use(apiErrorHandler());
+
+export { app };
+
+// Execute when run directly; tests mount the app on a port of their own
+if (import.meta.url === process.argv[1] || import.meta.url === `file://${process.argv[1]}`) {
+  app.listen(PORT, HOST, () => {
+    log.info('web app running', { url: PUBLIC_URL });
+    if ((process.env.SCHEDULER || 'on').toLowerCase() !== 'off') startScheduler();
+  });
+}
\ No newline at end of file
@@ -0,0 +1,196 @@
+// teams.js
+// Teams per tenant: named groups of agents that reports can be filtered and
+// grouped by, so a supervisor sees only their own people with team subtotals.
+//
+// Kept in TEAMS_FILE (default data/teams.json, see teams.example.json):
+//   { "<tenantId>": [ { id, name, supervisor, members: ["1007", "<user_id>", …] } ] }
+// A member is an extension or a user_id; an agent belongs to at most one team
+// per tenant. The file can be edited by hand (it is re-read when it changes)
+// or through the /api/teams routes.
+
+import fs from 'fs';
+import path from 'path';
+import { createLogger } from './logger.js';
+import { getTenant } from './tenants.js';
+
+const log = createLogger({ module: 'teams' });
+
+const ID_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+
+let cache = null; // { file, mtimeMs, state }
+
+function teamsFile() {
+  return process.env.TEAMS_FILE || path.join(process.cwd(), 'data', 'teams.json');
+}
+
+/**
+ * Current mapping, re-read when the file's mtime changes.
+ * @returns {object} - { [tenantId]: team[] }
+ */
+function loadState() {
+  const file = teamsFile();
+  let stat = null;
+  try {
+    stat = fs.statSync(file);
+  } catch {
+    // No file yet: no teams
+  }
+  if (cache && cache.file === file && cache.mtimeMs === (stat?.mtimeMs ?? null)) return cache.state;
+
+  let state = {};
+  if (stat) {
+    try {
+      state = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+      log.warn('could not read teams file; using no teams', { file, error: err.message });
+    }
+  }
+  cache = { file, mtimeMs: stat?.mtimeMs ?? null, state };
+  return state;
+}
+
+function saveState(state) {
+  const file = teamsFile();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(state, null, 2));
+  fs.renameSync(tmp, file);
+  cache = { file, mtimeMs: fs.statSync(file).mtimeMs, state };
+}
+
+/**
+ * Validate a team definition.
+ * @param {object} input
+ * @param {object[]} others - the tenant's other teams, for uniqueness checks
+ * @returns {object}
+ * @throws {RangeError} when a field is invalid or a member is already in another team
+ */
+function normalizeTeam(input, others) {
+  const name = String(input.name ?? '').trim();
+  if (!name) throw new RangeError('Team name is required');
+  const id = String(input.id ?? name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, ''));
+  if (!ID_PATTERN.test(id)) throw new RangeError(`Invalid team id: ${id} (lowercase letters, digits, - and _)`);
+  if (others.some(t => t.id === id)) throw new RangeError(`Team ${id} already exists`);
+
+  if (!Array.isArray(input.members ?? [])) throw new RangeError('members must be a list of extensions or user ids');
+  const members = [...new Set((input.members ?? []).map(m => String(m).trim()).filter(Boolean))];
+  for (const member of members) {
+    const owner = others.find(t => t.members.includes(member));
+    if (owner) throw new RangeError(`Agent ${member} is already in team ${owner.id}`);
+  }
+
+  return { id, name, supervisor: input.supervisor ? String(input.supervisor).trim() : null, members };
+}
+
+/**
+ * A tenant's teams.
+ * @param {string} tenantId
+ * @returns {object[]}
+ */
+export function listTeams(tenantId) {
+  const tenant = getTenant(tenantId);
+  return loadState()[tenant.id] || [];
+}
+
+/**
+ * One team, or null when it does not exist.
+ * @param {string} tenantId
+ * @param {string} id
+ * @returns {object|null}
+ */
+export function getTeam(tenantId, id) {
+  return listTeams(tenantId).find(t => t.id === id) || null;
+}
+
+/**
+ * Add a team.
+ * @param {string} tenantId
+ * @param {{id?: string, name: string, supervisor?: string, members?: string[]}} input
+ * @returns {object}
+ * @throws {RangeError} when the definition is invalid
+ */
+export function createTeam(tenantId, input = {}) {
+  const tenant = getTenant(tenantId);
+  const state = loadState();
+  const teams = state[tenant.id] || [];
+  const team = normalizeTeam(input, teams);
+  saveState({ ...state, [tenant.id]: [...teams, team] });
+  log.info('team created', { tenant: tenant.id, team: team.id, members: team.members.length });
+  return team;
+}
+
+/**
+ * Change a team's name, supervisor or members; the id stays.
+ * @param {string} tenantId
+ * @param {string} id
+ * @param {object} input
+ * @returns {object|null} - null when the team does not exist
+ * @throws {RangeError} when the definition is invalid
+ */
+export function updateTeam(tenantId, id, input = {}) {
+  const tenant = getTenant(tenantId);
+  const state = loadState();
+  const teams = state[tenant.id] || [];
+  const existing = teams.find(t => t.id === id);
+  if (!existing) return null;
+  const others = teams.filter(t => t !== existing);
+  const team = normalizeTeam({ ...existing, ...input, id }, others);
+  saveState({ ...state, [tenant.id]: teams.map(t => (t === existing ? team : t)) });
+  log.info('team updated', { tenant: tenant.id, team: id, members: team.members.length });
+  return team;
+}
+
+/**
+ * Remove a team.
+ * @param {string} tenantId
+ * @param {string} id
+ * @returns {boolean} - false when the team does not exist
+ */
+export function deleteTeam(tenantId, id) {
+  const tenant = getTenant(tenantId);
+  const state = loadState();
+  const teams = state[tenant.id] || [];
+  if (!teams.some(t => t.id === id)) return false;
+  saveState({ ...state, [tenant.id]: teams.filter(t => t.id !== id) });
+  log.info('team deleted', { tenant: tenant.id, team: id });
+  return true;
+}
+
+/**
+ * Tag report rows with their team and optionally keep one team only.
+ * Rows are matched on extension (`extension` or `ext`) or `user_id`.
+ * @param {string} tenantId
+ * @param {object[]} rows
+ * @param {string} [teamId] - keep only this team's rows
+ * @returns {object[]} - rows with `team_id` / `team_name` (null / '' when unassigned)
+ * @throws {RangeError} for an unknown team
+ */
+export function applyTeams(tenantId, rows, teamId) {
+  const teams = listTeams(tenantId);
+  if (teamId && !teams.some(t => t.id === teamId)) throw new RangeError(`Unknown team: ${teamId}`);
+
+  const byMember = new Map(teams.flatMap(team => team.members.map(member => [member, team])));
+  const tagged = rows.map(row => {
+    const team = byMember.get(String(row.extension ?? row.ext ?? '')) || byMember.get(String(row.user_id ?? '')) || null;
+    return { ...row, team_id: team?.id ?? null, team_name: team?.name ?? '' };
+  });
+  return teamId ? tagged.filter(row => row.team_id === teamId) : tagged;
+}
+
+/**
+ * Split tagged rows into teams, by team name with unassigned agents last,
+ * each with a subtotal row.
+ * @param {object[]} rows - from applyTeams()
+ * @param {(rows: object[]) => object} summarize - subtotal of a team's rows
+ * @returns {{id: string|null, name: string, rows: object[], subtotal: object}[]}
+ */
+export function groupByTeam(rows, summarize) {
+  const groups = new Map();
+  for (const row of rows) {
+    if (!groups.has(row.team_id)) groups.set(row.team_id, { id: row.team_id, name: row.team_name || 'No team', rows: [] });
+    groups.get(row.team_id).rows.push(row);
+  }
+  return [...groups.values()]
+    .sort((a, b) => (a.id === null) - (b.id === null) || a.name.localeCompare(b.name))
+    .map(group => ({ ...group, subtotal: { ...summarize(group.rows), team_id: group.id, team_name: group.name, subtotal: true } }));
+}
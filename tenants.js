@@ -0,0 +1,157 @@
+// tenants.js
+// Tenant registry: which PBX each dashboard account talks to and how.
+//
+// Loaded from TENANTS_FILE (default tenants.json, see tenants.example.json).
+// Each entry:
+//   { id, name, domain, baseUrl, accountIdHeader, timeZone, dayCutoff, logo,
+//     credentials: { usernameEnv, passwordEnv } }
+// `credentials` only names the env vars holding the login, so the registry
+// itself never contains secrets. `logo` is a PNG/JPEG path (relative to the
+// project) used on exported reports. `dayCutoff` ("HH:MM", default
+// BUSINESS_DAY_CUTOFF or 00:00) is when the tenant's business day starts, so
+// a 22:00–06:00 night shift can be reported as one day. The file is re-read
+// when it changes.
+//
+// Without a registry file a single tenant is built from the legacy env vars
+// (DEFAULT_TENANT, TENANT, BASE_URL, ACCOUNT_ID_HEADER, API_USERNAME,
+// API_PASSWORD, REPORT_TIME_ZONE) so existing setups keep working.
+
+import fs from 'fs';
+import path from 'path';
+import { defaultTimeZone, isValidTimeZone, parseDayCutoff } from './timeZone.js';
+
+let cache = null; // { file, mtimeMs, registry }
+
+function registryFile() {
+  return process.env.TENANTS_FILE || path.join(process.cwd(), 'tenants.json');
+}
+
+/**
+ * Single tenant described by the legacy env vars.
+ * @returns {{default: string, tenants: object[]}}
+ */
+function registryFromEnv() {
+  const id = process.env.DEFAULT_TENANT || 'mcint';
+  return {
+    default: id,
+    tenants: [{
+      id,
+      domain: process.env.TENANT,
+      baseUrl: process.env.BASE_URL,
+      accountIdHeader: process.env.ACCOUNT_ID_HEADER,
+      credentials: { usernameEnv: 'API_USERNAME', passwordEnv: 'API_PASSWORD' }
+    }]
+  };
+}
+
+/**
+ * Fill defaults and reject entries the rest of the app cannot use.
+ * @param {object} entry - raw registry entry
+ * @param {string} source - file name, for error messages
+ * @returns {object}
+ */
+function normalizeTenant(entry, source) {
+  if (!entry?.id) throw new Error(`${source}: every tenant needs an id`);
+  if (!entry.baseUrl) throw new Error(`${source}: tenant ${entry.id} has no baseUrl`);
+  const timeZone = entry.timeZone || defaultTimeZone();
+  if (!isValidTimeZone(timeZone)) throw new Error(`${source}: tenant ${entry.id} has invalid time zone ${timeZone}`);
+  const dayCutoff = entry.dayCutoff || process.env.BUSINESS_DAY_CUTOFF || '00:00';
+  try {
+    parseDayCutoff(dayCutoff);
+  } catch (err) {
+    throw new Error(`${source}: tenant ${entry.id}: ${err.message}`);
+  }
+
+  return {
+    id: entry.id,
+    name: entry.name || entry.id,
+    domain: entry.domain || entry.id,
+    baseUrl: entry.baseUrl.replace(/\/+$/, ''),
+    accountIdHeader: entry.accountIdHeader || entry.id,
+    timeZone,
+    dayCutoff,
+    logo: entry.logo || null,
+    credentials: {
+      usernameEnv: entry.credentials?.usernameEnv || 'API_USERNAME',
+      passwordEnv: entry.credentials?.passwordEnv || 'API_PASSWORD'
+    }
+  };
+}
+
+/**
+ * Current registry, re-read when the file's mtime changes.
+ * @returns {{default: string, tenants: Map<string, object>}}
+ */
+function loadRegistry() {
+  const file = registryFile();
+  let stat = null;
+  try {
+    stat = fs.statSync(file);
+  } catch {
+    // No registry file: fall back to env
+  }
+
+  if (cache && cache.file === file && cache.mtimeMs === (stat?.mtimeMs ?? null)) {
+    return cache.registry;
+  }
+
+  const raw = stat ? JSON.parse(fs.readFileSync(file, 'utf8')) : registryFromEnv();
+  const source = stat ? path.basename(file) : 'environment';
+  const tenants = new Map();
+  for (const entry of raw.tenants || []) {
+    const tenant = normalizeTenant(entry, source);
+    if (tenants.has(tenant.id)) throw new Error(`${source}: duplicate tenant id ${tenant.id}`);
+    tenants.set(tenant.id, tenant);
+  }
+  if (tenants.size === 0) throw new Error(`${source}: no tenants configured`);
+
+  const registry = { default: raw.default || tenants.keys().next().value, tenants };
+  cache = { file, mtimeMs: stat?.mtimeMs ?? null, registry };
+  return registry;
+}
+
+/**
+ * Id of the tenant used when a request does not name one.
+ * @returns {string}
+ */
+export function defaultTenantId() {
+  return loadRegistry().default;
+}
+
+/**
+ * Look up a tenant by id.
+ * @param {string} [id] - tenant id; the default tenant when omitted
+ * @returns {object} - normalised registry entry
+ * @throws {RangeError} when the tenant is not in the registry
+ */
+export function getTenant(id) {
+  const registry = loadRegistry();
+  const tenant = registry.tenants.get(id || registry.default);
+  if (!tenant) throw new RangeError(`Unknown tenant: ${id}`);
+  return tenant;
+}
+
+/**
+ * Tenants for the picker – ids, names, zones and day cutoffs only, never credentials.
+ * @returns {{id: string, name: string, timeZone: string, dayCutoff: string}[]}
+ */
+export function listTenants() {
+  return Array.from(loadRegistry().tenants.values())
+    .map(({ id, name, timeZone, dayCutoff }) => ({ id, name, timeZone, dayCutoff }));
+}
+
+/**
+ * Resolve the login referenced by a tenant's `credentials`.
+ * @param {object} tenant - entry from getTenant()
+ * @returns {{username: string, password: string}}
+ * @throws {Error} when the referenced env vars are not set
+ */
+export function getTenantCredentials(tenant) {
+  const { usernameEnv, passwordEnv } = tenant.credentials;
+  const username = process.env[usernameEnv];
+  const password = process.env[passwordEnv];
+  if (!username || !password) {
+    throw new Error(`Credentials for tenant ${tenant.id} are not set (${usernameEnv} / ${passwordEnv})`);
+  }
+  return { username, password };
+}
@@ -0,0 +1,64 @@
+// Supervisor scoping (access.js): which tenants and agents a user may see,
+// applied to the report rows themselves (buildAgentReport in reports.js).
+
+import assert from 'node:assert/strict';
+import { after, before, describe, it } from 'node:test';
+import { agentFilter, ForbiddenError, normalizeAccess, tenantFor } from '../access.js';
+import { buildAgentReport, buildLoginLogoffReport } from '../reports.js';
+import { createTeam } from '../teams.js';
+import { AGENTS, startMockPbx, useTempData } from './helpers.js';
+
+useTempData();
+
+const NOW = 1751450400; // 2025-07-02T10:00:00Z
+
+describe('access scope', () => {
+  let pbx;
+  let supervisor;
+  before(async () => {
+    // The tenant registry keeps the base URL it first sees
+    pbx = await startMockPbx({ anchor: NOW });
+    createTeam('mcint', { name: 'Floor A', members: ['1007'] });
+    supervisor = { username: 'lead', ...normalizeAccess({ role: 'supervisor', teams: ['floor-a'], agents: [AGENTS[1009]] }) };
+  });
+  after(() => pbx.close());
+
+  it('lets a supervisor see their team and extra agents only', () => {
+    const allow = agentFilter(supervisor, 'mcint');
+    assert.equal(allow({ extension: '1007' }), true);
+    assert.equal(allow({ ext: '1009', user_id: AGENTS[1009] }), true);
+    assert.equal(allow({ extension: '1008', user_id: AGENTS[1008] }), false);
+    assert.equal(allow({ agent: '1007' }), true);
+  });
+
+  it('does not scope admins, anonymous requests or users without teams or agents', () => {
+    assert.equal(agentFilter({ role: 'admin', teams: ['floor-a'], agents: [] }, 'mcint'), null);
+    assert.equal(agentFilter(undefined, 'mcint'), null);
+    assert.equal(agentFilter({ role: 'viewer', ...normalizeAccess({ role: 'viewer' }) }, 'mcint'), null);
+  });
+
+  it('refuses tenants outside the user scope', () => {
+    assert.equal(tenantFor(supervisor, 'mcint').id, 'mcint');
+    assert.throws(() => tenantFor({ role: 'viewer', tenants: ['elsewhere'], teams: [], agents: [] }, 'mcint'), ForbiddenError);
+    assert.throws(() => normalizeAccess({ role: 'owner' }), RangeError);
+  });
+
+  it('returns only the rows in scope from the reports', async () => {
+    const range = { startDate: (NOW - 86400) * 1000, endDate: NOW * 1000, timeZone: 'UTC' };
+    const allow = agentFilter(supervisor, 'mcint');
+
+    const everyone = await buildAgentReport('mcint', range);
+    assert.deepEqual(everyone.map(r => r.extension).sort(), ['1007', '1008', '1009']);
+
+    const scoped = await buildAgentReport('mcint', { ...range, allow });
+    assert.deepEqual(scoped.map(r => r.extension).sort(), ['1007', '1009']);
+    assert.equal(scoped.find(r => r.extension === '1007').first_login_timestamp, NOW - 32400);
+    assert.deepEqual(scoped.identityIssues, []);
+
+    const team = await buildAgentReport('mcint', { ...range, team: 'floor-a' });
+    assert.deepEqual(team.map(r => r.extension), ['1007']);
+
+    const logins = await buildLoginLogoffReport('mcint', { startDate: NOW - 86400, endDate: NOW, timeZone: 'UTC', allow });
+    assert.deepEqual(logins.map(r => r.ext).sort(), ['1007', '1009']);
+  });
+});
@@ -0,0 +1,68 @@
+// Planned shifts against login sessions (computeAdherence in adherence.js).
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { computeAdherence } from '../adherence.js';
+
+const at = (date, time) => Date.parse(`${date}T${time}:00Z`) / 1000;
+const session = (date, login, logoff) => ({ loginTimestamp: at(date, login), logoffTimestamp: logoff ? at(date, logoff) : null });
+const shift = (date, agent = '1007') => ({ agent, date, start: '09:00', end: '17:00', breakMinutes: 60 });
+
+const opts = {
+  rangeStart: at('2025-07-01', '00:00'),
+  rangeEnd: at('2025-07-08', '00:00'),
+  sessionsFrom: at('2025-07-01', '00:00'),
+  now: at('2025-07-06', '12:00'),
+  timeZone: 'UTC'
+};
+
+const WEEK = ['01', '02', '03', '04', '05', '06', '07'].map(d => `2025-07-${d}`);
+
+const prashant = {
+  user_id: 'u1007',
+  username: 'Prashant Rajput',
+  ext: '1007',
+  sessions: [
+    session('2025-07-01', '09:02', '17:00'), // within the grace period
+    session('2025-07-02', '09:20', '17:00'),
+    session('2025-07-03', '09:00', '16:00'),
+    session('2025-07-04', '09:30', '16:30'),
+    session('2025-07-05', '18:00', '19:00'), // after the shift: missed, and an hour unscheduled
+    session('2025-07-06', '09:00', null)
+  ]
+};
+
+describe('computeAdherence', () => {
+  it('gives each shift its status', () => {
+    const [row] = computeAdherence(WEEK.map(d => shift(d)), [prashant], opts);
+
+    assert.deepEqual(row.shifts.map(s => s.status), ['ok', 'late', 'early', 'late_and_early', 'missed', 'in_progress', 'upcoming']);
+    assert.deepEqual(row.shifts.map(s => s.adherence), [100, 100, 100, 100, 0, null, null]);
+    assert.equal(row.shifts[1].lateSeconds, 1200);
+    assert.equal(row.shifts[2].earlySeconds, 3600);
+    assert.equal(row.shifts[5].firstLogin, '06/07/2025, 09:00:00');
+  });
+
+  it('totals finished shifts only and counts work outside shifts as unscheduled', () => {
+    const [row] = computeAdherence(WEEK.map(d => shift(d)), [prashant], opts);
+
+    assert.equal(row.scheduledShifts, 5);
+    assert.equal(row.missedShifts, 1);
+    assert.equal(row.lateLogins, 2);
+    assert.equal(row.earlyLogoffs, 2);
+    assert.equal(row.unscheduledSeconds, 3600);
+    assert.equal(row.adherence, 80);
+  });
+
+  it('lists agents without shifts and shifts without a known agent', () => {
+    const rows = computeAdherence([shift('2025-07-01', 'Nobody')], [prashant], opts);
+    const byAgent = Object.fromEntries(rows.map(r => [r.agent, r]));
+
+    assert.equal(byAgent.Nobody.missedShifts, 1);
+    assert.equal(byAgent.Nobody.adherence, 0);
+    assert.equal(byAgent['Prashant Rajput'].scheduledShifts, 0);
+    assert.equal(byAgent['Prashant Rajput'].adherence, null);
+    // Every session is unscheduled, the open one up to now
+    assert.equal(byAgent['Prashant Rajput'].unscheduledSeconds, 28680 + 27600 + 25200 + 25200 + 3600 + 10800);
+  });
+});
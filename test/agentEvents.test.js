@@ -0,0 +1,82 @@
+// Windowed event fetching against the mock PBX: de-duplication of events on
+// window boundaries and the `truncated` flag (fetchAgentEvents in agentEvents.js).
+
+import assert from 'node:assert/strict';
+import { after, afterEach, before, describe, it } from 'node:test';
+import { eventKey, fetchAgentEvents } from '../agentEvents.js';
+import { startMockPbx, useTempData } from './helpers.js';
+
+useTempData();
+
+const NOW = 1751450400; // 2025-07-02T10:00:00Z
+const LIMITS = ['EVENTS_WINDOW', 'EVENTS_CONCURRENCY', 'EVENTS_MAX_PAGES', 'EVENTS_MAX_RECORDS'];
+
+describe('fetchAgentEvents', () => {
+  let pbx;
+  before(async () => {
+    pbx = await startMockPbx({ anchor: NOW });
+  });
+  after(() => pbx.close());
+  afterEach(() => {
+    for (const name of LIMITS) delete process.env[name];
+  });
+
+  const fetchAll = opts => fetchAgentEvents('mcint', { startDate: NOW - 82800, endDate: NOW, filterResults: false, ...opts });
+
+  it('fetches a range in one window', async () => {
+    const events = await fetchAll();
+    assert.equal(events.length, 26);
+    assert.equal(events.truncated, undefined);
+  });
+
+  it('drops the copy of an event fetched by two windows', async () => {
+    // Hourly windows from NOW-23h put boundaries on the events at NOW-9h, -8h, -4h and -3h
+    process.env.EVENTS_WINDOW = '1h';
+    const events = await fetchAll();
+    assert.equal(events.length, 26);
+    assert.equal(new Set(events.map(eventKey)).size, 26);
+    assert.ok(events.some(e => e.Timestamp === NOW - 14400));
+    assert.deepEqual(events.map(e => e.Timestamp), events.map(e => e.Timestamp).sort((a, b) => a - b));
+    assert.equal(events.truncated, undefined);
+  });
+
+  it('flags the result when the record limit cuts it off', async () => {
+    process.env.EVENTS_MAX_RECORDS = '10';
+    const events = await fetchAll();
+    assert.equal(events.length, 10);
+    assert.equal(events.truncated, true);
+  });
+
+  it('flags the result when the page limit cuts a window off', async () => {
+    process.env.EVENTS_WINDOW = '1d';
+    process.env.EVENTS_MAX_PAGES = '1';
+    const events = await fetchAll({ pageSize: 5 });
+    assert.equal(events.length, 5);
+    assert.equal(events.truncated, true);
+  });
+
+  it('starts no window once the record limit is reached', async () => {
+    let requests = 0;
+    const count = req => {
+      if (req.url.includes('/activity/events')) requests++;
+    };
+    pbx.server.on('request', count);
+    try {
+      Object.assign(process.env, { EVENTS_WINDOW: '1h', EVENTS_CONCURRENCY: '1', EVENTS_MAX_RECORDS: '3' });
+      const events = await fetchAll();
+      assert.equal(events.length, 3);
+      assert.equal(events.truncated, true);
+      // 23 hourly windows; the fixture events start in the 15th
+      assert.ok(requests < 23, `${requests} requests`);
+    } finally {
+      pbx.server.off('request', count);
+    }
+  });
+
+  it('falls back to the defaults for limits that are not numbers', async () => {
+    Object.assign(process.env, { EVENTS_WINDOW: '6hourz', EVENTS_CONCURRENCY: 'many', EVENTS_MAX_PAGES: 'x', EVENTS_MAX_RECORDS: '1e3' });
+    const events = await fetchAll();
+    assert.equal(events.length, 26);
+    assert.equal(events.truncated, undefined);
+  });
+});
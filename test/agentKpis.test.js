@@ -0,0 +1,83 @@
+// Contact-centre KPIs (public/agentKpis.js): per-agent values, and totals
+// whose KPIs are recomputed from the summed stats, with no division by zero.
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { computeKpis, KPI_FIELDS, summarizeAgents } from '../public/agentKpis.js';
+
+const BUSY = {
+  name: 'Prashant Rajput', extension: '1007',
+  total_calls: 20, answered_calls: 16, talked_time: 4800, hold_time: 300, wrap_up_time: 900, idle_time: 2000,
+  registered_time: 28800, on_call_time: 5100, not_available_time: 1800,
+  not_available_detailed_report: { Lunch: 1800 }
+};
+const QUIET = {
+  name: 'Ayesha Khan', extension: '1008',
+  total_calls: 2, answered_calls: 1, talked_time: 120, hold_time: 0, wrap_up_time: 60, idle_time: 14000,
+  registered_time: 14400, on_call_time: 120, not_available_time: '600',
+  not_available_detailed_report: { Lunch: 300, Training: '300' }
+};
+
+describe('computeKpis', () => {
+  it('derives the KPIs of one agent', () => {
+    assert.deepEqual(computeKpis(BUSY), {
+      occupancy: 75, // 6000 handled / (6000 + 2000 idle)
+      utilization: 20.8, // 6000 / 28800
+      avg_handle_time: 375, // 6000 / 16
+      answer_rate: 80,
+      avg_wrap_time: 56 // 900 / 16, rounded
+    });
+  });
+
+  it('leaves a KPI null when its denominator is zero', () => {
+    assert.deepEqual(computeKpis({}), Object.fromEntries(KPI_FIELDS.map(k => [k, null])));
+    const noCalls = computeKpis({ registered_time: 3600, idle_time: 3600 });
+    assert.equal(noCalls.answer_rate, null);
+    assert.equal(noCalls.avg_handle_time, null);
+    assert.equal(noCalls.occupancy, 0);
+    assert.equal(noCalls.utilization, 0);
+  });
+});
+
+describe('summarizeAgents', () => {
+  it('sums the stats and merges the custom states', () => {
+    const totals = summarizeAgents([BUSY, QUIET]);
+    assert.equal(totals.name, 'Total (2 agents)');
+    assert.equal(totals.extension, '');
+    assert.equal(totals.total_calls, 22);
+    assert.equal(totals.answered_calls, 17);
+    assert.equal(totals.registered_time, 43200);
+    assert.equal(totals.not_available_time, 2400);
+    assert.deepEqual(totals.not_available_detailed_report, { Lunch: 2100, Training: 300 });
+  });
+
+  it('recomputes the KPIs from the sums instead of averaging them', () => {
+    const totals = summarizeAgents([BUSY, QUIET]);
+    const handled = 6000 + 180;
+    assert.equal(totals.answer_rate, 77.3); // 17 / 22; the agents' mean would be 65
+    assert.equal(totals.occupancy, 27.9); // 6180 / (6180 + 16000)
+    assert.equal(totals.utilization, 14.3); // 6180 / 43200
+    assert.equal(totals.avg_handle_time, Math.round(handled / 17));
+    assert.equal(totals.avg_wrap_time, Math.round(960 / 17));
+  });
+
+  it('gives null KPIs, not NaN, when nothing was logged or answered', () => {
+    const totals = summarizeAgents([]);
+    assert.equal(totals.name, 'Total (0 agents)');
+    assert.equal(totals.total_calls, 0);
+    for (const key of KPI_FIELDS) assert.equal(totals[key], null, key);
+
+    const idle = summarizeAgents([{ registered_time: 3600, idle_time: 3600, total_calls: 0, answered_calls: 0 }]);
+    assert.equal(idle.name, 'Total (1 agent)');
+    assert.equal(idle.answer_rate, null);
+    assert.equal(idle.avg_handle_time, null);
+    assert.equal(idle.avg_wrap_time, null);
+    assert.equal(idle.occupancy, 0);
+  });
+
+  it('treats missing and non-numeric stats as zero', () => {
+    const totals = summarizeAgents([{ total_calls: 'n/a', answered_calls: null }, { total_calls: '4', answered_calls: 2 }]);
+    assert.equal(totals.total_calls, 4);
+    assert.equal(totals.answer_rate, 50);
+  });
+});
@@ -0,0 +1,92 @@
+// API keys (apiKeys.js): hashed secrets, revocation and rotation, and the
+// tenant and route scope a key is held to on the report routes.
+
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { after, before, describe, it } from 'node:test';
+import { apiKeyUser, createApiKey, revokeApiKey, rotateApiKey } from '../apiKeys.js';
+import { listen, startMockPbx, useTempData } from './helpers.js';
+
+useTempData();
+
+const NOW = 1751450400; // 2025-07-02T10:00:00Z
+const RANGE = `start=${new Date((NOW - 86400) * 1000).toISOString()}&end=${new Date(NOW * 1000).toISOString()}`;
+
+describe('API keys', () => {
+  let pbx;
+  let server;
+  before(async () => {
+    pbx = await startMockPbx({ anchor: NOW });
+    fs.writeFileSync(process.env.TENANTS_FILE, JSON.stringify({
+      default: 'mcint',
+      tenants: [{ id: 'mcint', baseUrl: pbx.url, timeZone: 'UTC' }, { id: 'other', baseUrl: pbx.url, timeZone: 'UTC' }]
+    }));
+    const { app } = await import('../server.js');
+    server = await listen(app);
+  });
+  after(async () => {
+    await server.close();
+    await pbx.close();
+  });
+
+  const get = (path, key) => fetch(`${server.url}${path}`, { headers: { 'X-API-Key': key } });
+
+  it('stores only a hash of the secret', () => {
+    const { key, id } = createApiKey({ name: 'hashed' });
+    const stored = JSON.parse(fs.readFileSync(process.env.API_KEYS_FILE, 'utf8'))[id];
+    assert.equal(stored.secretHash.length, 44); // base64 SHA-256
+    assert.ok(!fs.readFileSync(process.env.API_KEYS_FILE, 'utf8').includes(key.split('.')[1]));
+    assert.equal(apiKeyUser(key, '/api/agents').user.role, 'supervisor');
+  });
+
+  it('refuses unknown, malformed and wrong-secret keys', async () => {
+    const { key } = createApiKey({ name: 'real' });
+    const wrongSecret = `${key.slice(0, -4)}AAAA`;
+    for (const value of ['uar_0123456789abcdef.' + 'x'.repeat(43), 'not-a-key', wrongSecret]) {
+      assert.equal(apiKeyUser(value, '/api/agents').user, null);
+      const res = await get('/api/agents', value);
+      assert.equal(res.status, 401);
+      assert.equal((await res.json()).error, 'Invalid, revoked or expired API key');
+    }
+  });
+
+  it('stops a revoked key and the old secret of a rotated one', async () => {
+    const revoked = createApiKey({ name: 'revoked' });
+    revokeApiKey(revoked.id);
+    assert.equal((await get(`/api/agents?${RANGE}`, revoked.key)).status, 401);
+
+    const rotated = createApiKey({ name: 'rotated' });
+    const { key } = rotateApiKey(rotated.id);
+    assert.equal((await get(`/api/agents?${RANGE}`, rotated.key)).status, 401);
+    assert.equal((await get(`/api/agents?${RANGE}`, key)).status, 200);
+  });
+
+  it('holds a key to its tenants', async () => {
+    const { key } = createApiKey({ name: 'one tenant', tenants: ['mcint'] });
+    const allowed = await get(`/api/agents?account=mcint&${RANGE}`, key);
+    assert.equal(allowed.status, 200);
+    assert.equal((await allowed.json()).data.length, 3);
+
+    const res = await get(`/api/agents?account=other&${RANGE}`, key);
+    assert.equal(res.status, 403);
+    assert.equal((await res.json()).code, 'forbidden');
+  });
+
+  it('holds a key to its routes and never lets it reach admin routes', async () => {
+    const agentsOnly = createApiKey({ name: 'agents only', routes: ['agents'] });
+    assert.equal((await get(`/api/events?${RANGE}`, agentsOnly.key)).status, 403);
+
+    const everything = createApiKey({ name: 'all reports' });
+    for (const path of ['/api/users', '/api/keys', '/api/schedules', '/api/admin/endpoints', '/api/identities', '/api/me']) {
+      const res = await get(path, everything.key);
+      assert.equal(res.status, 403, path);
+      assert.equal((await res.json()).error, 'API key not valid for this route');
+    }
+    const create = await fetch(`${server.url}/api/keys`, {
+      method: 'POST',
+      headers: { 'X-API-Key': everything.key, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name: 'escalated' })
+    });
+    assert.equal(create.status, 403);
+  });
+});
@@ -0,0 +1,97 @@
+// Request checks against the API description (apiValidation.js): parameter
+// conversion, missing and malformed input, report ranges that end before
+// they start, and the one error shape every failure shares.
+
+import assert from 'node:assert/strict';
+import { after, before, describe, it } from 'node:test';
+import { createSession, createUser, SESSION_COOKIE } from '../auth.js';
+import { listen, startMockPbx, useTempData } from './helpers.js';
+
+useTempData();
+
+const NOW = 1751450400; // 2025-07-02T10:00:00Z
+const iso = seconds => new Date(seconds * 1000).toISOString();
+
+describe('request validation', () => {
+  let pbx;
+  let server;
+  let cookie;
+  before(async () => {
+    pbx = await startMockPbx({ anchor: NOW });
+    await createUser('alice', 'correct-horse', { role: 'admin' });
+    cookie = `${SESSION_COOKIE}=${createSession('alice').token}`;
+    const { app } = await import('../server.js');
+    server = await listen(app);
+  });
+  after(async () => {
+    await server.close();
+    await pbx.close();
+  });
+
+  const request = (path, init = {}) => fetch(`${server.url}${path}`, { ...init, headers: { Cookie: cookie, ...init.headers } });
+  const invalid = async (res, details) => {
+    assert.equal(res.status, 400);
+    const summary = details.map(d => `${d.in}${d.name ? `.${d.name}` : ''} ${d.message}`).join('; ');
+    assert.deepEqual(await res.json(), {
+      error: `Invalid request: ${summary}`,
+      code: 'invalid_request',
+      requestId: res.headers.get('x-request-id'),
+      details
+    });
+  };
+
+  it('converts query parameters to their declared types', async () => {
+    const res = await request(`/api/events?startDate=${NOW - 86400}&endDate=${NOW}&tz=UTC&refresh=true`);
+    assert.equal(res.status, 200);
+    const body = await res.json();
+    assert.equal(body.timeZone, 'UTC');
+    assert.equal(body.data.length, 3);
+  });
+
+  it('lists every missing and malformed parameter', async () => {
+    await invalid(await request('/api/events?startDate=yesterday'), [
+      { in: 'query', name: 'endDate', message: 'is required' },
+      { in: 'query', name: 'startDate', message: 'must be integer' }
+    ]);
+    await invalid(await request(`/api/agents?start=not-a-date&end=${iso(NOW)}`), [
+      { in: 'query', name: 'start', message: 'must match format "date-time"' }
+    ]);
+    await invalid(await request(`/api/events/export?format=pdf&startDate=${NOW - 3600}&endDate=${NOW}`), [
+      { in: 'query', name: 'format', message: 'must be one of: csv, json, ndjson, xlsx' }
+    ]);
+  });
+
+  it('rejects a range that does not end after it starts', async () => {
+    await invalid(await request(`/api/agents?start=${iso(NOW)}&end=${iso(NOW)}`), [
+      { in: 'query', name: 'end', message: 'must be after start' }
+    ]);
+    await invalid(await request(`/api/agents/export?format=csv&start=${iso(NOW)}&end=${iso(NOW - 3600)}`), [
+      { in: 'query', name: 'end', message: 'must be after start' }
+    ]);
+    await invalid(await request(`/api/events?startDate=${NOW}&endDate=${NOW - 3600}`), [
+      { in: 'query', name: 'endDate', message: 'must be after startDate' }
+    ]);
+  });
+
+  it('checks JSON bodies', async () => {
+    const res = await request('/api/users', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username: 'bob' })
+    });
+    assert.equal(res.status, 400);
+    const { code, details } = await res.json();
+    assert.equal(code, 'invalid_request');
+    assert.ok(details.length && details.every(d => d.in === 'body'));
+  });
+
+  it('answers unknown routes with the same error shape', async () => {
+    const res = await request('/api/no-such-route?x=1');
+    assert.equal(res.status, 404);
+    assert.deepEqual(await res.json(), {
+      error: 'No such route: GET /api/no-such-route',
+      code: 'not_found',
+      requestId: res.headers.get('x-request-id')
+    });
+  });
+});
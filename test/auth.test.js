@@ -0,0 +1,113 @@
+// Dashboard login (auth.js): password checks, the lockout, session cookies
+// and what requireSession() lets through without one.
+
+import assert from 'node:assert/strict';
+import { after, before, describe, it } from 'node:test';
+import { authenticate, createSession, createUser, getSessionUser, SESSION_COOKIE } from '../auth.js';
+import { listen, useTempData } from './helpers.js';
+
+useTempData();
+
+const PASSWORD = 'correct-horse';
+
+describe('auth', () => {
+  let server;
+  before(async () => {
+    await createUser('alice', PASSWORD, { role: 'admin' });
+    await createUser('bob', PASSWORD, { role: 'viewer' });
+    const { app } = await import('../server.js');
+    server = await listen(app);
+  });
+  after(() => server.close());
+
+  const request = (path, { cookie, ...init } = {}) => fetch(`${server.url}${path}`, {
+    redirect: 'manual',
+    ...init,
+    headers: { ...(cookie && { Cookie: `${SESSION_COOKIE}=${cookie}` }), ...init.headers }
+  });
+  const login = (username, password) => request('/api/login', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username, password })
+  });
+
+  it('refuses a wrong password and an unknown user alike', async () => {
+    assert.equal(await authenticate('alice', 'wrong-password', '10.0.0.1'), null);
+    assert.equal(await authenticate('nobody', PASSWORD, '10.0.0.1'), null);
+
+    const res = await login('alice', 'wrong-password');
+    assert.equal(res.status, 401);
+    assert.equal(res.headers.get('set-cookie'), null);
+    assert.equal((await res.json()).error, 'Invalid username or password');
+  });
+
+  it('logs in and returns the user without the password hash', async () => {
+    const res = await login('alice', PASSWORD);
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('set-cookie'), new RegExp(`^${SESSION_COOKIE}=[\\w-]+; Path=/; HttpOnly; SameSite=Lax`));
+    const user = await res.json();
+    assert.equal(user.username, 'alice');
+    assert.equal(user.passwordHash, undefined);
+  });
+
+  it('locks a user out of one address after too many wrong passwords', async () => {
+    process.env.LOGIN_MAX_ATTEMPTS = '3';
+    try {
+      for (let i = 0; i < 3; i++) assert.equal(await authenticate('bob', 'wrong-password', '10.0.0.2'), null);
+      await assert.rejects(authenticate('bob', PASSWORD, '10.0.0.2'), { locked: true });
+      // Other addresses are not affected
+      assert.equal((await authenticate('bob', PASSWORD, '10.0.0.3')).username, 'bob');
+    } finally {
+      delete process.env.LOGIN_MAX_ATTEMPTS;
+    }
+  });
+
+  it('answers 429 while the lockout lasts', async () => {
+    process.env.LOGIN_MAX_ATTEMPTS = '2';
+    try {
+      await login('bob', 'wrong-password');
+      await login('bob', 'wrong-password');
+      const res = await login('bob', PASSWORD);
+      assert.equal(res.status, 429);
+      assert.equal((await res.json()).code, 'too_many_requests');
+    } finally {
+      delete process.env.LOGIN_MAX_ATTEMPTS;
+    }
+  });
+
+  it('accepts a live session cookie only', async () => {
+    const { token } = createSession('alice');
+    assert.equal((await request('/api/me', { cookie: token })).status, 200);
+
+    const forged = await request('/api/me', { cookie: `${token.slice(0, -2)}xx` });
+    assert.equal(forged.status, 401);
+
+    process.env.SESSION_TTL = '1ms';
+    const expired = createSession('alice');
+    delete process.env.SESSION_TTL;
+    await new Promise(resolve => setTimeout(resolve, 5));
+    assert.equal(getSessionUser(expired.token), null);
+    assert.equal((await request('/api/me', { cookie: expired.token })).status, 401);
+  });
+
+  it('answers 401 on /api routes without a session', async () => {
+    for (const path of ['/api/me', '/api/agents', '/api/users', '/api/no-such-route']) {
+      const res = await request(path);
+      assert.equal(res.status, 401, path);
+      assert.deepEqual(await res.json(), { error: 'Login required', code: 'unauthorized', requestId: res.headers.get('x-request-id') });
+    }
+    assert.equal((await request('/api/schedules', { method: 'POST' })).status, 401);
+  });
+
+  it('serves only the login page and its assets without a session', async () => {
+    assert.equal((await request('/login.html')).status, 200);
+    assert.equal((await request('/uploads/no-such-logo.png')).status, 404);
+
+    const page = await request('/', { headers: { Accept: 'text/html' } });
+    assert.equal(page.status, 302);
+    assert.equal(page.headers.get('location'), '/login.html?next=%2F');
+    assert.equal((await request('/index.html', { headers: { Accept: 'text/html' } })).status, 302);
+    assert.equal((await request('/api/docs', { headers: { Accept: 'text/html' } })).status, 302);
+    assert.equal((await request('/script.js', { headers: { Accept: 'application/javascript' } })).status, 401);
+  });
+});
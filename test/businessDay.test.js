@@ -0,0 +1,48 @@
+// Business days with a cutoff after midnight (timeZone.js) and the daily
+// login/logoff rows built on them (getDailyLoginLogoff in agentEvents.js).
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { getDailyLoginLogoff } from '../agentEvents.js';
+import { businessDay, businessDayStart, parseDayCutoff } from '../timeZone.js';
+
+const at = iso => Date.parse(iso) / 1000;
+const event = (state, Timestamp) => ({
+  event: 'agent_not_avail_state', enabled: true, user_id: 'u1', ext: '2001', username: 'Night Agent', state, Timestamp
+});
+
+describe('business days', () => {
+  it('parses the cutoff', () => {
+    assert.equal(parseDayCutoff('06:00'), 360);
+    assert.equal(parseDayCutoff(''), 0);
+    assert.throws(() => parseDayCutoff('25:00'), RangeError);
+  });
+
+  it('counts the hours before the cutoff as the previous day', () => {
+    assert.deepEqual(businessDay(new Date('2025-07-02T05:59:00Z'), 'UTC', 360), { year: 2025, month: 7, day: 1 });
+    assert.deepEqual(businessDay(new Date('2025-07-02T06:00:00Z'), 'UTC', 360), { year: 2025, month: 7, day: 2 });
+    // 00:30 UTC is 06:00 in Kolkata
+    assert.deepEqual(businessDay(new Date('2025-07-02T00:30:00Z'), 'Asia/Kolkata', 360), { year: 2025, month: 7, day: 2 });
+    assert.equal(businessDayStart({ year: 2025, month: 7, day: 2 }, 'Asia/Kolkata', 360).toISOString(), '2025-07-02T00:30:00.000Z');
+  });
+
+  it('keeps a night shift in the row of the day it started', () => {
+    const events = [
+      event('Login', at('2025-07-01T22:00:00Z')),
+      event('Logoff', at('2025-07-02T02:00:00Z')),
+      event('Login', at('2025-07-02T02:30:00Z')),
+      event('Logoff', at('2025-07-02T06:00:00Z')),
+      event('Login', at('2025-07-02T22:00:00Z')),
+      event('Logoff', at('2025-07-03T06:00:00Z'))
+    ];
+    const range = { start: at('2025-07-01T06:00:00Z'), end: at('2025-07-03T05:59:59Z') };
+    const daily = opts => getDailyLoginLogoff(events, { range, rangeEnd: range.end, timeZone: 'UTC', ...opts });
+
+    assert.deepEqual(daily({ dayCutoff: 360 }).map(r => [r.date, r.sessionCount, r.loggedInSeconds, r.firstLoginTimestamp, r.lastLogoffTimestamp]), [
+      ['2025-07-01', 2, 27000, at('2025-07-01T22:00:00Z'), at('2025-07-02T06:00:00Z')],
+      ['2025-07-02', 1, 28800, at('2025-07-02T22:00:00Z'), at('2025-07-03T06:00:00Z')]
+    ]);
+    // Without the cutoff the 02:30 login starts a row of its own
+    assert.deepEqual(daily({ dayCutoff: 0 }).map(r => [r.date, r.sessionCount]), [['2025-07-01', 1], ['2025-07-02', 2]]);
+  });
+});
@@ -0,0 +1,115 @@
+// Local event history (eventStore.js): merged coverage, the gaps still to
+// download, re-downloaded events replacing stored ones, bounded reads, and
+// loadAgentEvents() going upstream only for what is missing.
+
+import assert from 'node:assert/strict';
+import path from 'node:path';
+import { after, before, describe, it } from 'node:test';
+import { EventStore, loadAgentEvents } from '../eventStore.js';
+import { startMockPbx, useTempData } from './helpers.js';
+
+const dir = useTempData();
+
+const NOW = 1751450400; // 2025-07-02T10:00:00Z
+
+describe('EventStore', () => {
+  const store = new EventStore({ file: path.join(dir, 'unit.db') });
+  after(() => store.close());
+
+  it('merges overlapping and adjacent coverage', () => {
+    store.markCovered('t1', 'events', 100, 199);
+    store.markCovered('t1', 'events', 300, 399);
+    store.markCovered('t1', 'events', 200, 249); // adjacent to the first
+    store.markCovered('t1', 'events', 380, 450); // overlaps the second
+    store.markCovered('t2', 'events', 0, 1000);
+
+    const { coverage } = store.summary().find(s => s.tenant === 't1');
+    assert.deepEqual(coverage, [{ kind: 'events', start: 100, end: 249 }, { kind: 'events', start: 300, end: 450 }]);
+
+    store.markCovered('t1', 'events', 250, 299); // closes the hole
+    assert.deepEqual(store.summary().find(s => s.tenant === 't1').coverage, [{ kind: 'events', start: 100, end: 450 }]);
+  });
+
+  it('lists the gaps of a range in order, per tenant and kind', () => {
+    store.markCovered('t3', 'events', 100, 199);
+    store.markCovered('t3', 'events', 300, 399);
+
+    assert.deepEqual(store.missingRanges('t3', 'events', 0, 500), [[0, 99], [200, 299], [400, 500]]);
+    assert.deepEqual(store.missingRanges('t3', 'events', 120, 180), []);
+    assert.deepEqual(store.missingRanges('t3', 'events', 150, 350), [[200, 299]]);
+    assert.deepEqual(store.missingRanges('t3', 'events', 199, 300), [[200, 299]]);
+    assert.deepEqual(store.missingRanges('t3', 'stats', 120, 180), [[120, 180]]);
+    assert.deepEqual(store.missingRanges('t4', 'events', 120, 180), [[120, 180]]);
+  });
+
+  it('keeps one copy of an event and replaces it when downloaded again', () => {
+    const event = { user_id: 'u1', ext: '1001', Timestamp: 500, event: 'Login', state: 'Available', enabled: true, username: 'Old Name' };
+    assert.equal(store.saveEvents('t5', [event, { ...event }]), 1);
+    assert.equal(store.saveEvents('t5', [event]), 0);
+    assert.equal(store.saveEvents('t5', [{ ...event, username: 'New Name' }]), 1);
+
+    const stored = store.readEvents('t5', 0, 1000);
+    assert.equal(stored.length, 1);
+    assert.equal(stored[0].username, 'New Name');
+  });
+
+  it('reads at most `limit` events and flags the rest', () => {
+    const events = Array.from({ length: 5 }, (_, i) => ({ user_id: 'u1', ext: '1001', Timestamp: 600 + i, event: 'State', state: 'Busy', enabled: true }));
+    store.saveEvents('t6', events);
+
+    const page = store.readEvents('t6', 0, 1000, { limit: 3 });
+    assert.deepEqual(page.map(e => e.Timestamp), [600, 601, 602]);
+    assert.equal(page.truncated, true);
+    assert.equal(store.readEvents('t6', 0, 1000, { limit: 5 }).truncated, undefined);
+
+    process.env.EVENTS_MAX_RECORDS = '2';
+    try {
+      assert.equal(store.readEvents('t6', 0, 1000).length, 2);
+    } finally {
+      delete process.env.EVENTS_MAX_RECORDS;
+    }
+  });
+});
+
+describe('loadAgentEvents', () => {
+  let pbx;
+  let requests = 0;
+  before(async () => {
+    process.env.EVENT_STORE = 'sqlite';
+    process.env.EVENT_STORE_FILE = path.join(dir, 'events.db');
+    pbx = await startMockPbx({ anchor: NOW });
+    pbx.server.on('request', req => {
+      if (req.url.includes('/activity/events')) requests++;
+    });
+  });
+  after(() => pbx.close());
+
+  it('downloads only the parts of a range that are not stored', async () => {
+    const first = await loadAgentEvents('mcint', { startDate: NOW - 43200, endDate: NOW });
+    const afterFirst = requests;
+    assert.ok(afterFirst > 0);
+
+    const again = await loadAgentEvents('mcint', { startDate: NOW - 43200, endDate: NOW });
+    assert.equal(requests, afterFirst);
+    assert.deepEqual(again, first);
+
+    // Widening the range fetches only the new part
+    const wider = await loadAgentEvents('mcint', { startDate: NOW - 86400, endDate: NOW });
+    assert.ok(requests > afterFirst);
+    assert.equal(wider.length, 26);
+    assert.deepEqual(wider.filter(e => e.Timestamp >= NOW - 43200), first);
+  });
+
+  it('marks the result truncated when the store holds more than EVENTS_MAX_RECORDS', async () => {
+    process.env.EVENTS_MAX_RECORDS = '10';
+    try {
+      const before = requests;
+      const events = await loadAgentEvents('mcint', { startDate: NOW - 86400, endDate: NOW });
+      assert.equal(requests, before);
+      assert.equal(events.length, 10);
+      assert.equal(events.truncated, true);
+    } finally {
+      delete process.env.EVENTS_MAX_RECORDS;
+    }
+  });
+});
@@ -0,0 +1,107 @@
+// helpers.js
+// Shared set-up for the node:test suite (npm test): scratch data files so no
+// test touches data/, and an in-process mock PBX (mockPbx.js) serving the
+// fixtures in fixtures/mock-pbx. The fixture events are re-anchored to a
+// fixed time so expectations don't drift with the clock.
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createMockPbx } from '../mockPbx.js';
+
+// Removed when the test file's process exits
+function tempDir(prefix) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+  process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures', 'mock-pbx');
+
+export const MOCK_USERNAME = 'mock@example.com';
+export const MOCK_PASSWORD = 'mock-password';
+// user_ids of the fixture agents, by extension
+export const AGENTS = {
+  1007: '8f6a60f07d8b09cb2c28431917fc5a66',
+  1008: '3c1d9e7b52a04f6c8d0e1f2a3b4c5d6e',
+  1009: 'b7e2c4a91f3d4e5f8a6b7c8d9e0f1a2b'
+};
+
+/**
+ * Point every data file at a fresh temporary directory and configure the
+ * single env-var tenant `mcint`. Call before the first report or store call;
+ * the modules read these at call time.
+ * @returns {string} - the directory
+ */
+export function useTempData() {
+  const dir = tempDir('uar-test-');
+  Object.assign(process.env, {
+    LOG_LEVEL: process.env.LOG_LEVEL || 'silent',
+    TENANTS_FILE: path.join(dir, 'tenants.json'),
+    TEAMS_FILE: path.join(dir, 'teams.json'),
+    IDENTITIES_FILE: path.join(dir, 'identities.json'),
+    ROSTER_FILE: path.join(dir, 'roster.json'),
+    SCHEDULES_FILE: path.join(dir, 'schedules.json'),
+    USERS_FILE: path.join(dir, 'users.json'),
+    API_KEYS_FILE: path.join(dir, 'api-keys.json'),
+    REPORTS_DIR: path.join(dir, 'reports'),
+    EVENT_STORE: 'off',
+    TOKEN_CACHE: 'memory',
+    SCHEDULER: 'off',
+    DEFAULT_TENANT: 'mcint',
+    BASE_URL: process.env.BASE_URL || 'http://127.0.0.1:9',
+    API_USERNAME: MOCK_USERNAME,
+    API_PASSWORD: MOCK_PASSWORD
+  });
+  return dir;
+}
+
+/**
+ * The fixture activity events with their offsets resolved against `anchor`.
+ * @param {number} anchor - unix seconds
+ * @returns {object[]}
+ */
+export function fixtureEvents(anchor) {
+  const { events } = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, 'activity-events.json'), 'utf8'));
+  return events
+    .map(({ offset, ...event }) => ({ ...event, Timestamp: event.Timestamp ?? anchor + offset }))
+    .sort((a, b) => a.Timestamp - b.Timestamp);
+}
+
+/**
+ * Start the mock PBX on a free port with the fixture events anchored at
+ * `anchor`, and point BASE_URL at it.
+ * @param {{anchor: number, faults?: object[]}} opts
+ * @returns {Promise<{app: object, url: string, close: () => Promise<void>}>}
+ */
+export async function startMockPbx({ anchor, faults = [] }) {
+  const fixturesDir = tempDir('uar-fixtures-');
+  for (const name of fs.readdirSync(FIXTURES_DIR)) fs.copyFileSync(path.join(FIXTURES_DIR, name), path.join(fixturesDir, name));
+  const eventsFile = path.join(fixturesDir, 'activity-events.json');
+  fs.writeFileSync(eventsFile, JSON.stringify({ ...JSON.parse(fs.readFileSync(eventsFile, 'utf8')), anchor }));
+
+  const pbx = await listen(createMockPbx({ fixturesDir, faults }));
+  process.env.BASE_URL = pbx.url;
+  return pbx;
+}
+
+/**
+ * Serve an Express app on a free local port.
+ * @param {import('express').Express} app
+ * @returns {Promise<{app: object, server: import('http').Server, url: string, close: () => Promise<void>}>}
+ */
+export async function listen(app) {
+  const server = await new Promise(resolve => {
+    const s = app.listen(0, '127.0.0.1', () => resolve(s));
+  });
+  return {
+    app,
+    server,
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(() => resolve());
+    })
+  };
+}
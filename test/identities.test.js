@@ -0,0 +1,85 @@
+// Tying stats rows to users through their extension and name history
+// (identities.js): reused extensions, shared names and rows that claim the
+// same user are reported instead of merged.
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { matchAgents, recordIdentities, resolveIdentity } from '../identities.js';
+import { useTempData } from './helpers.js';
+
+useTempData();
+
+const at = iso => Date.parse(iso) / 1000;
+const JUNE = { start: at('2025-06-01T00:00:00Z'), end: at('2025-06-30T23:59:59Z') };
+const JULY = { start: at('2025-07-01T00:00:00Z'), end: at('2025-07-31T23:59:59Z') };
+
+describe('resolveIdentity', () => {
+  it('resolves a reused extension to its holder at the time', () => {
+    recordIdentities('mcint', [
+      { user_id: 'u-a', ext: '2001', name: 'Old Holder', ts: at('2025-06-02T09:00:00Z') },
+      { user_id: 'u-a', ext: '2001', name: 'Old Holder', ts: at('2025-06-20T09:00:00Z') },
+      { user_id: 'u-b', ext: '2001', name: 'New Holder', ts: at('2025-07-03T09:00:00Z') }
+    ]);
+
+    assert.deepEqual(resolveIdentity('mcint', { extension: '2001' }, JUNE), { match: 'extension', user_id: 'u-a', candidates: ['u-a'] });
+    assert.deepEqual(resolveIdentity('mcint', { extension: '2001' }, JULY), { match: 'extension', user_id: 'u-b', candidates: ['u-b'] });
+    const both = resolveIdentity('mcint', { extension: '2001' }, { start: JUNE.start, end: JULY.end });
+    assert.equal(both.match, 'ambiguous');
+    assert.deepEqual(both.candidates.sort(), ['u-a', 'u-b']);
+  });
+
+  it('reports a name shared by two users as ambiguous', () => {
+    recordIdentities('mcint', [
+      { user_id: 'u-c', ext: '2002', name: 'Sam Lee', ts: at('2025-07-02T09:00:00Z') },
+      { user_id: 'u-d', ext: '2003', name: 'sam lee', ts: at('2025-07-02T09:00:00Z') }
+    ]);
+
+    const result = resolveIdentity('mcint', { name: 'Sam Lee' }, JULY);
+    assert.equal(result.match, 'ambiguous');
+    assert.equal(result.user_id, null);
+    assert.deepEqual(result.candidates.sort(), ['u-c', 'u-d']);
+    // The extension is tried first and settles it
+    assert.equal(resolveIdentity('mcint', { name: 'Sam Lee', extension: '2003' }, JULY).user_id, 'u-d');
+    assert.equal(resolveIdentity('mcint', { user_id: 'u-x', name: 'Sam Lee' }, JULY).match, 'user_id');
+    assert.equal(resolveIdentity('mcint', { extension: '9999', name: 'Nobody' }, JULY).match, 'unmatched');
+  });
+});
+
+describe('matchAgents', () => {
+  it('flags stats rows claiming the same user and events nobody claims', () => {
+    recordIdentities('mcint', [{ user_id: 'u-e', ext: '4001', name: 'Maya Iyer', ts: at('2025-07-02T09:00:00Z') }]);
+    const statusRows = [
+      { name: 'Maya Iyer', extension: '4999' },
+      { name: 'M. Iyer', extension: '4001' },
+      { user_id: 'u-f', name: 'Dev Shah', extension: '4002' }
+    ];
+    const loginRows = [
+      { user_id: 'u-f', ext: '4002', username: 'Dev Shah', firstLoginTimestamp: at('2025-07-02T09:00:00Z'), lastLogoffTimestamp: at('2025-07-02T17:00:00Z') },
+      { user_id: 'u-f', ext: '4012', username: 'Dev Shah', firstLoginTimestamp: at('2025-07-09T08:00:00Z'), lastLogoffTimestamp: at('2025-07-09T18:00:00Z') },
+      { user_id: 'u-g', ext: '4003', username: 'Unknown', firstLoginTimestamp: at('2025-07-02T10:00:00Z'), lastLogoffTimestamp: null }
+    ];
+
+    const { matches, issues } = matchAgents('mcint', statusRows, loginRows, JULY);
+
+    assert.deepEqual(matches.map(m => [m.match, m.user_id]), [['ambiguous', null], ['ambiguous', null], ['user_id', 'u-f']]);
+    // A user who changed extension has the earliest login and latest logoff of both
+    assert.equal(matches[2].login.firstLoginTimestamp, at('2025-07-02T09:00:00Z'));
+    assert.equal(matches[2].login.lastLogoffTimestamp, at('2025-07-09T18:00:00Z'));
+    assert.deepEqual(issues.map(i => [i.source, i.issue, i.user_id, i.ext]), [
+      ['status', 'ambiguous', null, '4999'],
+      ['status', 'ambiguous', null, '4001'],
+      ['events', 'unmatched', 'u-g', '4003']
+    ]);
+    assert.deepEqual(issues[0].candidates, ['u-e']);
+  });
+
+  it('flags a matched stats row without login events, unless the events failed to load', () => {
+    const statusRows = [{ user_id: 'u-h', name: 'Ana Roy', extension: '4004' }];
+
+    const { matches, issues } = matchAgents('mcint', statusRows, [], JULY);
+    assert.deepEqual(matches, [{ match: 'user_id', user_id: 'u-h', login: null }]);
+    assert.deepEqual(issues, [{ source: 'status', issue: 'no_events', user_id: 'u-h', ext: '4004', name: 'Ana Roy', candidates: ['u-h'] }]);
+
+    assert.deepEqual(matchAgents('mcint', statusRows, null, JULY).issues, []);
+  });
+});
@@ -0,0 +1,76 @@
+// The mock PBX itself (mockPbx.js): fixture logins, token checks, paging,
+// rotating refresh tokens and injected faults.
+
+import assert from 'node:assert/strict';
+import { after, afterEach, before, describe, it } from 'node:test';
+import { MOCK_PASSWORD, MOCK_USERNAME, startMockPbx } from './helpers.js';
+
+const NOW = 1751450400; // 2025-07-02T10:00:00Z
+const EVENTS_PATH = '/api/v2/reports/callcenter/agents/activity/events';
+const STATS_PATH = '/api/v2/reports/callcenter/agents/stats';
+
+describe('mock PBX', () => {
+  let pbx;
+  before(async () => {
+    pbx = await startMockPbx({ anchor: NOW });
+  });
+  after(() => pbx.close());
+  afterEach(() => fetch(`${pbx.url}/__mock/faults`, { method: 'DELETE' }));
+
+  const post = (path, body) => fetch(`${pbx.url}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  const login = async () => (await post('/api/v2/login', { username: MOCK_USERNAME, password: MOCK_PASSWORD })).json();
+  const get = (path, token) => fetch(`${pbx.url}${path}`, { headers: { Authorization: `Bearer ${token}` } });
+
+  it('logs in with the fixture user only', async () => {
+    const { accessToken, refreshToken, expiresIn } = await login();
+    assert.match(accessToken, /^mock-access-/);
+    assert.match(refreshToken, /^mock-refresh-/);
+    assert.equal(expiresIn, 3600);
+    assert.equal((await post('/api/v2/login', { username: MOCK_USERNAME, password: 'wrong' })).status, 401);
+  });
+
+  it('pages events within the range and rejects unknown tokens', async () => {
+    const { accessToken } = await login();
+    const first = await get(`${EVENTS_PATH}?startDate=${NOW - 86400}&endDate=${NOW}&pageSize=20`, accessToken);
+    assert.equal(first.headers.get('x-next-start-key'), '20');
+    assert.equal((await first.json()).length, 20);
+    const second = await get(`${EVENTS_PATH}?startDate=${NOW - 86400}&endDate=${NOW}&pageSize=20&startKey=20`, accessToken);
+    assert.equal(second.headers.get('x-next-start-key'), null);
+    assert.equal((await second.json()).length, 6);
+
+    const bounded = await (await get(`${EVENTS_PATH}?startDate=${NOW - 14400}&endDate=${NOW - 14400}`, accessToken)).json();
+    assert.ok(bounded.length && bounded.every(e => e.Timestamp === NOW - 14400));
+    assert.equal((await get(`${STATS_PATH}`, 'mock-access-unknown')).status, 401);
+  });
+
+  it('pages the stats with next_start_key', async () => {
+    const { accessToken } = await login();
+    const page = await (await get(STATS_PATH, accessToken)).json();
+    assert.equal(page.data.length, 2);
+    assert.equal(page.next_start_key, '2');
+  });
+
+  it('rotates refresh tokens and revokes access tokens on demand', async () => {
+    const { accessToken, refreshToken } = await login();
+    await fetch(`${pbx.url}/__mock/tokens`, { method: 'DELETE' });
+    assert.equal((await get(STATS_PATH, accessToken)).status, 401);
+
+    const refreshed = await post('/api/v2/config/login/refresh', { refreshToken });
+    assert.equal(refreshed.status, 200);
+    assert.equal((await get(STATS_PATH, (await refreshed.json()).accessToken)).status, 200);
+    assert.equal((await post('/api/v2/config/login/refresh', { refreshToken })).status, 401);
+  });
+
+  it('injects a fault for the given number of requests', async () => {
+    const { accessToken } = await login();
+    await post('/__mock/faults', { route: 'events', status: 503, count: 2 });
+    const url = `${EVENTS_PATH}?startDate=${NOW - 3600}&endDate=${NOW}`;
+    assert.equal((await get(url, accessToken)).status, 503);
+    assert.equal((await get(url, accessToken)).status, 503);
+    assert.equal((await get(url, accessToken)).status, 200);
+  });
+});
@@ -0,0 +1,76 @@
+// Branded PDFs (pdfExport.js): a valid document with the column headers and
+// the totals row, and only the reports that have a PDF layout.
+
+import assert from 'node:assert/strict';
+import PDFDocument from 'pdfkit';
+import { after, before, describe, it } from 'node:test';
+import { buildAgentPdf, buildLoginLogoffPdf, generateReportPdf } from '../pdfExport.js';
+import { getTenant } from '../tenants.js';
+import { useTempData } from './helpers.js';
+
+useTempData();
+
+const ROWS = [
+  { name: 'Prashant Rajput', extension: '1007', total_calls: 10, answered_calls: 8, registered_time: 28800, talked_time: 3600, hold_time: 0, wrap_up_time: 400, idle_time: 4000, not_available_time: 1800 },
+  { name: 'Ayesha Khan', extension: '1008', total_calls: 0, answered_calls: 0, registered_time: 0, talked_time: 0, hold_time: 0, wrap_up_time: 0, idle_time: 0, not_available_time: 0 }
+];
+
+// The finished file of a document
+const render = async build => {
+  const chunks = [];
+  const doc = build();
+  for await (const chunk of doc) chunks.push(chunk);
+  return Buffer.concat(chunks);
+};
+
+describe('pdfExport', () => {
+  const meta = { timeZone: 'UTC', startDate: Date.parse('2025-07-02T00:00:00Z'), endDate: Date.parse('2025-07-02T23:59:59Z') };
+  // Every string drawn with text(), since the content streams are compressed
+  let texts;
+  const text = PDFDocument.prototype.text;
+  before(() => {
+    meta.tenant = getTenant('mcint');
+    PDFDocument.prototype.text = function (value, ...rest) {
+      texts.push(String(value));
+      return text.call(this, value, ...rest);
+    };
+  });
+  after(() => {
+    PDFDocument.prototype.text = text;
+  });
+
+  it('draws the agent status table with its totals row', async () => {
+    texts = [];
+    const pdf = await render(() => buildAgentPdf(ROWS, meta));
+    assert.equal(pdf.subarray(0, 5).toString(), '%PDF-');
+    assert.match(pdf.subarray(-8).toString(), /%%EOF/);
+
+    for (const header of ['Name', 'Ext', 'Calls', 'Answered', 'Ans. %', 'AHT', 'Occ.', 'Util.', 'First Login']) assert.ok(texts.includes(header), header);
+    assert.ok(texts.includes('Agent Status Report'));
+    // Totals: summed stats, KPIs recomputed from the sums
+    const totals = texts.indexOf('Total (2 agents)');
+    assert.ok(totals > 0);
+    assert.deepEqual(texts.slice(totals + 1, totals + 6), ['', '10', '8', '80.0%', '8:00:00']);
+    assert.ok(texts.includes('Page 1 of 1'));
+  });
+
+  it('draws the login/logoff table with counts in the totals row', async () => {
+    texts = [];
+    const rows = [
+      { username: 'Rahul Mehta', ext: '1009', firstLoginTime: '02/07/2025, 08:00:00', lastLogoffTime: '' },
+      { username: 'Ayesha Khan', ext: '1008', firstLoginTime: '02/07/2025, 09:00:00', lastLogoffTime: '02/07/2025, 17:00:00' }
+    ];
+    const pdf = await render(() => buildLoginLogoffPdf(rows, meta));
+    assert.equal(pdf.subarray(0, 5).toString(), '%PDF-');
+    assert.ok(['Agent Name', 'Extension', 'First Login Time', 'Last LogOff Time'].every(h => texts.includes(h)));
+    // Sorted by name
+    assert.ok(texts.indexOf('Ayesha Khan') < texts.indexOf('Rahul Mehta'));
+    const totals = texts.indexOf('Total: 2 agents');
+    assert.deepEqual(texts.slice(totals, totals + 4), ['Total: 2 agents', '', '2 logged in', '1 logged off']);
+  });
+
+  it('rejects reports without a PDF layout before fetching anything', async () => {
+    await assert.rejects(generateReportPdf('daily', 'mcint', meta), { name: 'RangeError', message: /Unknown report: daily/ });
+    await assert.rejects(generateReportPdf('sessions', 'mcint', meta), RangeError);
+  });
+});
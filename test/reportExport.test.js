@@ -0,0 +1,117 @@
+// File exports (reportExport.js) in every format: the shared column headers,
+// the totals row of CSV and XLSX, typed values in JSON and NDJSON, and team
+// subtotals when grouped.
+
+import assert from 'node:assert/strict';
+import ExcelJS from 'exceljs';
+import { describe, it } from 'node:test';
+import { AGENT_COLUMNS, EVENT_COLUMNS } from '../public/reportColumns.js';
+import { renderExport } from '../reportExport.js';
+
+const AGENTS = [
+  {
+    name: 'Prashant Rajput', extension: '1007', team_id: 'a', team_name: 'Floor A',
+    registered_time: 28800, first_login_time: '02/07/2025, 10:00:00', first_login_timestamp: 1751450400,
+    last_logoff_time: '02/07/2025, 18:00:00', last_logoff_timestamp: 1751479200,
+    not_available_time: 1800, wrap_up_time: 400, hold_time: 0, talked_time: 3600, idle_time: 4000,
+    total_calls: 10, answered_calls: 8, answer_rate: 80, avg_handle_time: 500, avg_wrap_time: 50,
+    occupancy: 50, utilization: 13.9, not_available_detailed_report: { Lunch: 1800 }
+  },
+  {
+    name: 'Ayesha Khan', extension: '1008', team_id: 'b', team_name: 'Floor B',
+    registered_time: 3600, first_login_time: '', first_login_timestamp: null, last_logoff_time: '', last_logoff_timestamp: null,
+    not_available_time: 0, wrap_up_time: 0, hold_time: 0, talked_time: 0, idle_time: 3600,
+    total_calls: 0, answered_calls: 0, answer_rate: null, avg_handle_time: null, avg_wrap_time: null,
+    occupancy: 0, utilization: 0, not_available_detailed_report: {}
+  }
+];
+const LOGINS = [
+  { username: 'Rahul Mehta', ext: '1009', firstLoginTime: '02/07/2025, 08:00:00', firstLoginTimestamp: 1751443200, lastLogoffTime: '', lastLogoffTimestamp: null }
+];
+const META = { tenant: 'mcint', timeZone: 'UTC', startDate: Date.parse('2025-07-02T00:00:00Z'), endDate: Date.parse('2025-07-02T23:59:59Z') };
+
+const lines = body => body.split('\n');
+
+describe('renderExport', () => {
+  it('writes CSV with the table headers and the totals row', async () => {
+    const { body, contentType } = await renderExport('agents', AGENTS, 'csv', META);
+    assert.equal(contentType, 'text/csv; charset=utf-8');
+    const [header, first, second, totals, ...rest] = lines(body);
+    assert.equal(header, AGENT_COLUMNS.map(c => c.label).join(','));
+    assert.equal(first, 'Prashant Rajput,1007,08:00:00,"02/07/2025, 10:00:00","02/07/2025, 18:00:00",00:30:00,00:06:40,00:00:00,10,8,80.0%,00:08:20,00:00:50,50.0%,13.9%,Lunch: 00:30:00');
+    assert.equal(second, 'Ayesha Khan,1008,01:00:00,,,00:00:00,00:00:00,00:00:00,0,0,,,,0.0%,0.0%,');
+    // Summed stats; KPIs recomputed from the sums, not averaged per agent
+    assert.equal(totals, 'Total (2 agents),,09:00:00,,,00:30:00,00:06:40,00:00:00,10,8,80.0%,00:08:20,00:00:50,34.5%,12.3%,Lunch: 00:30:00');
+    assert.deepEqual(rest, []);
+
+    assert.equal((await renderExport('agents', [], 'csv', META)).body, AGENT_COLUMNS.map(c => c.label).join(','));
+    assert.equal(lines((await renderExport('events', LOGINS, 'csv', META)).body).length, 2); // no totals row
+  });
+
+  it('adds a Team column and team subtotals to grouped CSV', async () => {
+    const { body } = await renderExport('agents', AGENTS, 'csv', { ...META, groupBy: 'team' });
+    const names = lines(body).map(line => line.split(',').slice(0, 2).join(','));
+    assert.deepEqual(names, [
+      'Team,Name',
+      'Floor A,Prashant Rajput',
+      'Floor A,Total (1 agent)',
+      'Floor B,Ayesha Khan',
+      'Floor B,Total (1 agent)',
+      'All teams,Total (2 agents)'
+    ]);
+  });
+
+  it('writes JSON records of typed values, one per agent', async () => {
+    const { body, contentType } = await renderExport('agents', AGENTS, 'json', META);
+    assert.equal(contentType, 'application/json; charset=utf-8');
+    const records = JSON.parse(body);
+    assert.equal(records.length, 2);
+    assert.deepEqual(records[0], {
+      name: 'Prashant Rajput', extension: '1007', registered_time: 28800,
+      first_login_time: '02/07/2025, 10:00:00', first_login_timestamp: 1751450400,
+      last_logoff_time: '02/07/2025, 18:00:00', last_logoff_timestamp: 1751479200,
+      not_available_time: 1800, wrap_up_time: 400, hold_time: 0, total_calls: 10, answered_calls: 8,
+      answer_rate: 80, avg_handle_time: 500, avg_wrap_time: 50, occupancy: 50, utilization: 13.9,
+      not_available_detailed_report: { Lunch: 1800 }
+    });
+    assert.equal(records[1].answer_rate, null);
+    assert.equal(records[1].first_login_time, null);
+    assert.equal(records[1].first_login_timestamp, null);
+  });
+
+  it('writes NDJSON with the same records, one per line', async () => {
+    const { body, contentType } = await renderExport('events', LOGINS, 'ndjson', META);
+    assert.equal(contentType, 'application/x-ndjson; charset=utf-8');
+    assert.ok(body.endsWith('\n'));
+    const records = body.trimEnd().split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(records, [{
+      username: 'Rahul Mehta', ext: '1009',
+      firstLoginTime: '02/07/2025, 08:00:00', firstLoginTimestamp: 1751443200,
+      lastLogoffTime: null, lastLogoffTimestamp: null
+    }]);
+    assert.deepEqual(JSON.parse((await renderExport('events', LOGINS, 'json', META)).body), records);
+  });
+
+  it('writes XLSX with the headers and a totals row', async () => {
+    const load = async report => {
+      const workbook = new ExcelJS.Workbook();
+      await workbook.xlsx.load((await renderExport(report, report === 'agents' ? AGENTS : LOGINS, 'xlsx', META)).body);
+      return workbook.worksheets[0];
+    };
+
+    const agents = await load('agents');
+    assert.equal(agents.name, 'Agent Summary');
+    assert.equal(agents.getRow(4).getCell(1).value, 'Total (2 agents)');
+
+    const logins = await load('events');
+    assert.equal(logins.name, 'Agent Login-Logoff');
+    assert.deepEqual(logins.getRow(1).values.slice(1), EVENT_COLUMNS.map(c => c.label));
+    assert.deepEqual(logins.getRow(2).values.slice(1), ['Rahul Mehta', '1009', '02/07/2025, 08:00:00', '']);
+    assert.equal(logins.getRow(3).getCell(1).value, 'Total');
+  });
+
+  it('rejects unknown formats and reports', async () => {
+    await assert.rejects(renderExport('agents', AGENTS, 'pdf', META), { name: 'RangeError', message: /Unknown format: pdf/ });
+    await assert.rejects(renderExport('sessions', [], 'csv', META), { name: 'RangeError', message: /Unknown report: sessions/ });
+  });
+});
@@ -0,0 +1,60 @@
+// Roster upload and removal routes (roster.js behind /api/roster): shifts are
+// stored per registered tenant, and an unknown `account` is refused before
+// anything is parsed or written.
+
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { after, before, describe, it } from 'node:test';
+import { createSession, createUser, SESSION_COOKIE } from '../auth.js';
+import { listShifts } from '../roster.js';
+import { listen, useTempData } from './helpers.js';
+
+useTempData();
+
+const CSV = 'agent,date,shift_start,shift_end,breaks\n1007,2025-07-01,09:00,17:00,60\n1008,2025-07-02,10:00,18:00,30\n';
+
+describe('/api/roster', () => {
+  let server;
+  let cookie;
+  before(async () => {
+    await createUser('alice', 'correct-horse', { role: 'admin' });
+    cookie = `${SESSION_COOKIE}=${createSession('alice').token}`;
+    const { app } = await import('../server.js');
+    server = await listen(app);
+  });
+  after(() => server.close());
+
+  const request = (path, { method = 'GET', body } = {}) => fetch(`${server.url}${path}`, {
+    method,
+    headers: { Cookie: cookie, ...(body != null && { 'Content-Type': 'text/csv' }) },
+    body
+  });
+
+  it('saves and removes shifts of the tenant asked for', async () => {
+    const saved = await request('/api/roster?account=mcint', { method: 'PUT', body: CSV });
+    assert.equal(saved.status, 200);
+    assert.deepEqual(await saved.json(), { saved: 2, dates: ['2025-07-01', '2025-07-02'] });
+    assert.equal(listShifts('mcint').length, 2);
+
+    const removed = await request('/api/roster?account=mcint&from=2025-07-02', { method: 'DELETE' });
+    assert.deepEqual(await removed.json(), { removed: 1 });
+    assert.deepEqual(listShifts('mcint').map(s => s.date), ['2025-07-01']);
+  });
+
+  it('refuses an unknown account without writing anything', async () => {
+    const stored = fs.readFileSync(process.env.ROSTER_FILE, 'utf8');
+
+    const put = await request('/api/roster?account=nope', { method: 'PUT', body: CSV });
+    assert.equal(put.status, 400);
+    assert.equal((await put.json()).error, 'Unknown tenant: nope');
+    // The account is checked before the upload is parsed
+    const garbled = await request('/api/roster?account=nope', { method: 'PUT', body: 'not,a,roster' });
+    assert.equal((await garbled.json()).error, 'Unknown tenant: nope');
+
+    const del = await request('/api/roster?account=nope', { method: 'DELETE' });
+    assert.equal(del.status, 400);
+    assert.deepEqual(await del.json(), { error: 'Unknown tenant: nope', code: 'invalid_request', requestId: del.headers.get('x-request-id') });
+
+    assert.equal(fs.readFileSync(process.env.ROSTER_FILE, 'utf8'), stored);
+  });
+});
@@ -0,0 +1,102 @@
+// Cron parsing, report periods and job definitions of scheduled jobs
+// (scheduler.js).
+
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { describe, it } from 'node:test';
+import { createSchedule, cronMatches, listSchedules, nextCronRun, parseCron, reportPeriod, updateSchedule } from '../scheduler.js';
+import { zonedParts } from '../timeZone.js';
+import { useTempData } from './helpers.js';
+
+useTempData();
+
+const iso = ms => new Date(ms).toISOString();
+const period = ({ startDate, endDate }) => [iso(startDate), iso(endDate)];
+
+describe('parseCron', () => {
+  it('expands ranges, lists and steps', () => {
+    const cron = parseCron('*/15 8-10 1,15 * 1-5');
+    assert.deepEqual([...cron.minute], [0, 15, 30, 45]);
+    assert.deepEqual([...cron.hour], [8, 9, 10]);
+    assert.deepEqual([...cron.day], [1, 15]);
+    assert.equal(cron.month.size, 12);
+    assert.deepEqual([...cron.weekday], [1, 2, 3, 4, 5]);
+  });
+
+  it('accepts aliases and 7 for Sunday', () => {
+    assert.deepEqual(parseCron('@daily'), parseCron('0 0 * * *'));
+    assert.ok(parseCron('0 6 * * 7').weekday.has(0));
+  });
+
+  it('rejects malformed expressions', () => {
+    for (const expression of ['', '* * * *', '60 * * * *', '0 24 * * *', '0 0 0 * *', '5-1 * * * *', '*/0 * * * *', 'x * * * *']) {
+      assert.throws(() => parseCron(expression), RangeError, expression);
+    }
+  });
+});
+
+describe('cronMatches and nextCronRun', () => {
+  it('fires on either day field when both are restricted', () => {
+    const cron = parseCron('0 6 1 * 1');
+    assert.ok(cronMatches(cron, zonedParts(Date.parse('2025-07-01T06:00:00Z'), 'UTC'))); // the 1st, a Tuesday
+    assert.ok(cronMatches(cron, zonedParts(Date.parse('2025-07-07T06:00:00Z'), 'UTC'))); // a Monday
+    assert.ok(!cronMatches(cron, zonedParts(Date.parse('2025-07-08T06:00:00Z'), 'UTC')));
+    assert.ok(!cronMatches(cron, zonedParts(Date.parse('2025-07-07T06:01:00Z'), 'UTC')));
+  });
+
+  it('finds the next run in the job zone', () => {
+    const cron = parseCron('30 6 * * 1-5');
+    // Friday 2025-07-04 07:00 in Kolkata: next is Monday 06:30 IST
+    assert.equal(iso(nextCronRun(cron, 'Asia/Kolkata', new Date('2025-07-04T01:30:00Z'))), '2025-07-07T01:00:00.000Z');
+    assert.equal(iso(nextCronRun(cron, 'Asia/Kolkata', new Date('2025-07-04T00:59:00Z'))), '2025-07-04T01:00:00.000Z');
+  });
+});
+
+describe('reportPeriod', () => {
+  const now = new Date('2025-07-02T10:00:00Z'); // a Wednesday
+
+  it('covers whole days in the job zone', () => {
+    assert.deepEqual(period(reportPeriod('yesterday', 'UTC', now)), ['2025-07-01T00:00:00.000Z', '2025-07-01T23:59:59.000Z']);
+    assert.deepEqual(period(reportPeriod('yesterday', 'Asia/Kolkata', now)), ['2025-06-30T18:30:00.000Z', '2025-07-01T18:29:59.000Z']);
+    assert.deepEqual(period(reportPeriod('today', 'UTC', now)), ['2025-07-02T00:00:00.000Z', '2025-07-02T10:00:00.000Z']);
+  });
+
+  it('runs weeks Monday to Sunday and months across the year end', () => {
+    assert.deepEqual(period(reportPeriod('lastWeek', 'UTC', now)), ['2025-06-23T00:00:00.000Z', '2025-06-29T23:59:59.000Z']);
+    assert.deepEqual(period(reportPeriod('last7days', 'UTC', now)), ['2025-06-25T00:00:00.000Z', '2025-07-01T23:59:59.000Z']);
+    assert.deepEqual(period(reportPeriod('lastMonth', 'UTC', now)), ['2025-06-01T00:00:00.000Z', '2025-06-30T23:59:59.000Z']);
+    assert.deepEqual(period(reportPeriod('lastMonth', 'UTC', new Date('2025-01-15T12:00:00Z'))), ['2024-12-01T00:00:00.000Z', '2024-12-31T23:59:59.000Z']);
+  });
+
+  it('starts days at the business-day cutoff', () => {
+    // 03:00 with a 06:00 cutoff is still the business day of the 1st
+    const early = new Date('2025-07-02T03:00:00Z');
+    assert.deepEqual(period(reportPeriod('yesterday', 'UTC', early, 360)), ['2025-06-30T06:00:00.000Z', '2025-07-01T05:59:59.000Z']);
+    assert.deepEqual(period(reportPeriod('today', 'UTC', early, 360)), ['2025-07-01T06:00:00.000Z', '2025-07-02T03:00:00.000Z']);
+  });
+
+  it('rejects unknown periods', () => {
+    assert.throws(() => reportPeriod('fortnight', 'UTC', now), RangeError);
+  });
+});
+
+describe('schedule definitions', () => {
+  const job = { cron: '5 0 * * *', report: 'agents', tenant: 'mcint', period: 'yesterday' };
+
+  it('takes only a boolean enabled', () => {
+    // Loaded before anything is saved: a hand-edited "false" pauses the job
+    fs.writeFileSync(process.env.SCHEDULES_FILE, JSON.stringify({ jobs: [{ ...job, id: 'edited', enabled: 'false' }] }));
+    const [edited] = listSchedules();
+    assert.equal(edited.enabled, false);
+    assert.equal(edited.nextRunAt, null);
+
+    for (const enabled of ['false', 'true', 0, 1]) {
+      assert.throws(() => createSchedule({ ...job, enabled }), { name: 'RangeError', message: 'enabled must be true or false' });
+    }
+    const created = createSchedule(job);
+    assert.equal(created.enabled, true);
+    assert.ok(created.nextRunAt);
+    assert.throws(() => updateSchedule(created.id, { enabled: 'no' }), RangeError);
+    assert.equal(updateSchedule(created.id, { enabled: false }).nextRunAt, null);
+  });
+});
@@ -0,0 +1,71 @@
+// Login/logoff pairing into sessions (getAgentSessions in agentEvents.js).
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { getAgentSessions } from '../agentEvents.js';
+import { AGENTS, fixtureEvents, useTempData } from './helpers.js';
+
+useTempData();
+
+const NOW = 1751450400; // 2025-07-02T10:00:00Z
+const byExt = agents => Object.fromEntries(agents.map(a => [a.ext, a]));
+
+const event = (state, Timestamp, extra = {}) => ({
+  event: 'agent_not_avail_state', enabled: true, user_id: 'u1', ext: '2001', username: 'Test Agent', state, Timestamp, ...extra
+});
+
+describe('getAgentSessions', () => {
+  it('pairs the fixture logins with their logoffs and leaves unclosed ones open', () => {
+    const agents = byExt(getAgentSessions(fixtureEvents(NOW), { rangeEnd: NOW, timeZone: 'UTC' }));
+
+    assert.equal(agents['1007'].user_id, AGENTS[1007]);
+    assert.deepEqual(agents['1007'].sessions.map(s => [s.loginTimestamp, s.logoffTimestamp, s.duration, s.open]), [
+      [NOW - 32400, NOW - 14400, 18000, false],
+      [NOW - 10800, null, 10800, true]
+    ]);
+    assert.equal(agents['1007'].totalLoggedInSeconds, 28800);
+    assert.equal(agents['1007'].hasOpenSession, true);
+
+    assert.equal(agents['1008'].sessionCount, 1);
+    assert.equal(agents['1008'].sessions[0].duration, 23400);
+    assert.equal(agents['1008'].hasOpenSession, false);
+
+    assert.equal(agents['1009'].sessions[0].open, true);
+    assert.equal(agents['1009'].sessions[0].duration, 1800);
+    assert.equal(agents['1009'].sessions[0].loginTime, '02/07/2025, 09:30:00');
+  });
+
+  it('keeps the first of duplicate logins and ignores a repeated logoff', () => {
+    const [agent] = getAgentSessions([
+      event('Login', 100),
+      event('Login', 150),
+      event('Logoff', 400),
+      event('Logoff', 400)
+    ], { rangeEnd: 1000, timeZone: 'UTC' });
+
+    assert.equal(agent.sessionCount, 1);
+    assert.equal(agent.sessions[0].loginTimestamp, 100);
+    assert.equal(agent.sessions[0].duration, 300);
+  });
+
+  it('reports a logoff without a login as a session with no start', () => {
+    const [agent] = getAgentSessions([event('Logoff', 200), event('Login', 300), event('Logoff', 500)], { rangeEnd: 1000, timeZone: 'UTC' });
+
+    assert.deepEqual(agent.sessions.map(s => [s.loginTimestamp, s.logoffTimestamp, s.duration, s.missingLogin]), [
+      [null, 200, null, true],
+      [300, 500, 200, false]
+    ]);
+    assert.equal(agent.totalLoggedInSeconds, 200);
+  });
+
+  it('counts an open session up to the range end and skips disabled events', () => {
+    const [agent] = getAgentSessions([
+      event('Login', 100),
+      event('Logoff', 200, { enabled: false })
+    ], { rangeEnd: 700, timeZone: 'UTC' });
+
+    assert.equal(agent.sessions.length, 1);
+    assert.equal(agent.sessions[0].open, true);
+    assert.equal(agent.sessions[0].duration, 600);
+  });
+});
@@ -0,0 +1,68 @@
+// Team routes (teams.js behind /api/teams): teams are kept per registered
+// tenant, and writes for an unknown `account` are refused without touching
+// the stored teams.
+
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { after, before, describe, it } from 'node:test';
+import { createSession, createUser, SESSION_COOKIE } from '../auth.js';
+import { listTeams } from '../teams.js';
+import { listen, useTempData } from './helpers.js';
+
+useTempData();
+
+describe('/api/teams', () => {
+  let server;
+  let cookie;
+  before(async () => {
+    fs.writeFileSync(process.env.TENANTS_FILE, JSON.stringify({
+      default: 'mcint',
+      tenants: [{ id: 'mcint', baseUrl: 'http://127.0.0.1:9' }, { id: 'other', baseUrl: 'http://127.0.0.1:9' }]
+    }));
+    await createUser('alice', 'correct-horse', { role: 'admin' });
+    cookie = `${SESSION_COOKIE}=${createSession('alice').token}`;
+    const { app } = await import('../server.js');
+    server = await listen(app);
+  });
+  after(() => server.close());
+
+  const request = (path, { method = 'GET', body } = {}) => fetch(`${server.url}${path}`, {
+    method,
+    headers: { Cookie: cookie, ...(body && { 'Content-Type': 'application/json' }) },
+    body: body && JSON.stringify(body)
+  });
+
+  it('creates, changes and removes a team in the tenant asked for', async () => {
+    const created = await request('/api/teams?account=other', { method: 'POST', body: { name: 'Support', members: ['1007'] } });
+    assert.equal(created.status, 201);
+    assert.equal((await created.json()).id, 'support');
+    assert.deepEqual(listTeams('other').map(t => t.id), ['support']);
+    assert.deepEqual(listTeams('mcint'), []);
+
+    const updated = await request('/api/teams/support?account=other', { method: 'PUT', body: { members: ['1007', '1008'] } });
+    assert.deepEqual((await updated.json()).members, ['1007', '1008']);
+    // The same id in another tenant is a different (missing) team
+    assert.equal((await request('/api/teams/support?account=mcint', { method: 'DELETE' })).status, 404);
+
+    assert.equal((await request('/api/teams/support?account=other', { method: 'DELETE' })).status, 204);
+    assert.deepEqual(listTeams('other'), []);
+  });
+
+  it('refuses writes for an unknown account without changing anything', async () => {
+    await request('/api/teams?account=mcint', { method: 'POST', body: { name: 'Floor A' } });
+    const stored = fs.readFileSync(process.env.TEAMS_FILE, 'utf8');
+
+    for (const [path, method, body] of [
+      ['/api/teams?account=nope', 'POST', { name: 'Floor B' }],
+      ['/api/teams/floor-a?account=nope', 'PUT', { name: 'Renamed' }],
+      ['/api/teams/floor-a?account=nope', 'DELETE']
+    ]) {
+      const res = await request(path, { method, body });
+      assert.equal(res.status, 400, `${method} ${path}`);
+      const { error, code } = await res.json();
+      assert.equal(error, 'Unknown tenant: nope');
+      assert.equal(code, 'invalid_request');
+    }
+    assert.equal(fs.readFileSync(process.env.TEAMS_FILE, 'utf8'), stored);
+  });
+});
@@ -0,0 +1,115 @@
+// Token cache backends (tokenCache.js): the encrypted file cache under
+// parallel writes and with a damaged file, and the Redis client against a
+// server that misbehaves.
+
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import net from 'node:net';
+import path from 'node:path';
+import { describe, it } from 'node:test';
+import { FileTokenCache, RedisTokenCache } from '../tokenCache.js';
+import { useTempData } from './helpers.js';
+
+const dir = useTempData();
+
+describe('FileTokenCache', () => {
+  it('keeps every token when sets overlap', async () => {
+    const file = path.join(dir, 'parallel', 'tokens.enc');
+    const cache = new FileTokenCache({ file, secret: 'test-secret' });
+    await Promise.all(Array.from({ length: 20 }, (_, i) => cache.set(`uar:t${i}:portal`, { token: i }, 60000)));
+
+    const reread = new FileTokenCache({ file, secret: 'test-secret' });
+    for (let i = 0; i < 20; i++) assert.deepEqual(await reread.get(`uar:t${i}:portal`), { token: i });
+    assert.deepEqual(fs.readdirSync(path.dirname(file)), ['tokens.enc']);
+    assert.ok(!fs.readFileSync(file, 'utf8').includes('token'));
+  });
+
+  it('starts empty from a truncated, non-JSON or foreign file', async () => {
+    const file = path.join(dir, 'damaged.enc');
+    const cache = new FileTokenCache({ file, secret: 'test-secret' });
+    await cache.set('uar:t:portal', 'abc', 60000);
+    const written = fs.readFileSync(file, 'utf8');
+
+    for (const content of [written.slice(0, 20), 'not json', '{}']) {
+      fs.writeFileSync(file, content);
+      assert.equal(await cache.get('uar:t:portal'), null);
+    }
+    fs.writeFileSync(file, written);
+    assert.equal(await new FileTokenCache({ file, secret: 'other-secret' }).get('uar:t:portal'), null);
+
+    fs.writeFileSync(file, 'not json');
+    await cache.set('uar:t:portal', 'def', 60000);
+    assert.equal(await cache.get('uar:t:portal'), 'def');
+  });
+
+  it('drops expired tokens', async () => {
+    const cache = new FileTokenCache({ file: path.join(dir, 'expiry.enc'), secret: 'test-secret' });
+    await cache.set('uar:t:portal', 'abc', 1);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    assert.equal(await cache.get('uar:t:portal'), null);
+  });
+});
+
+describe('RedisTokenCache', () => {
+  // A Redis stand-in that answers each command with `reply(command)`, or not at all
+  const fakeRedis = async reply => {
+    const sockets = new Set();
+    const server = net.createServer(socket => {
+      sockets.add(socket);
+      socket.on('data', chunk => {
+        const answer = reply(chunk.toString());
+        if (answer != null) socket.write(answer);
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+      url: `redis://127.0.0.1:${server.address().port}`,
+      close: () => new Promise(resolve => {
+        sockets.forEach(s => s.destroy());
+        server.close(resolve);
+      })
+    };
+  };
+
+  it('stores and reads JSON values', async () => {
+    const values = new Map();
+    const redis = await fakeRedis(command => {
+      const parts = command.split('\r\n');
+      if (parts[2] === 'SET') {
+        values.set(parts[4], parts[6]);
+        return '+OK\r\n';
+      }
+      const value = values.get(parts[4]);
+      return value == null ? '$-1\r\n' : `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+    });
+    const cache = new RedisTokenCache({ url: redis.url, timeoutMs: 1000 });
+    try {
+      await cache.set('uar:t:portal', { token: 'abc' }, 60000);
+      assert.deepEqual(await cache.get('uar:t:portal'), { token: 'abc' });
+      assert.equal(await cache.get('uar:t:missing'), null);
+    } finally {
+      cache.socket.destroy();
+      await redis.close();
+    }
+  });
+
+  it('fails the pending command on a reply it cannot parse', async () => {
+    const redis = await fakeRedis(() => '*1\r\n$1\r\nx\r\n');
+    const cache = new RedisTokenCache({ url: redis.url, timeoutMs: 1000 });
+    try {
+      await assert.rejects(cache.get('uar:t:portal'), /Unsupported Redis reply type/);
+    } finally {
+      await redis.close();
+    }
+  });
+
+  it('gives up on a server that does not answer', async () => {
+    const redis = await fakeRedis(() => null);
+    const cache = new RedisTokenCache({ url: redis.url, timeoutMs: 100 });
+    try {
+      await assert.rejects(cache.get('uar:t:portal'), /did not answer within 100 ms/);
+    } finally {
+      await redis.close();
+    }
+  });
+});
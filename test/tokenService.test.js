@@ -0,0 +1,71 @@
+// Upstream logins (tokenService.js) against the mock PBX, whose refresh
+// tokens are single-use: concurrent callers share one refresh or login, and
+// a 401 is retried once with a new token.
+
+import assert from 'node:assert/strict';
+import axios from 'axios';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import { getPortalToken, getToken, invalidateToken, withAuthRetry } from '../tokenService.js';
+import { startMockPbx, useTempData } from './helpers.js';
+
+useTempData();
+
+const STATS_PATH = '/api/v2/reports/callcenter/agents/stats';
+
+describe('tokenService', () => {
+  let pbx;
+  let calls;
+  before(async () => {
+    pbx = await startMockPbx({ anchor: 'now' });
+    pbx.server.on('request', req => {
+      if (req.url.includes('/refresh')) calls.refresh++;
+      else if (req.url.includes('/login') || req.url.includes('/agents-status-activity')) calls.login++;
+    });
+  });
+  after(() => pbx.close());
+  beforeEach(() => {
+    calls = { login: 0, refresh: 0 };
+  });
+
+  const revokeAccessTokens = () => fetch(`${pbx.url}/__mock/tokens`, { method: 'DELETE' });
+  const getStats = token => axios.get(`${pbx.url}${STATS_PATH}`, { headers: { Authorization: `Bearer ${token}` } });
+
+  it('logs in once for concurrent callers', async () => {
+    const tokens = await Promise.all(Array.from({ length: 8 }, () => getPortalToken('mcint')));
+    assert.equal(new Set(tokens).size, 1);
+    assert.equal(calls.login, 1);
+    assert.equal(await getPortalToken('mcint'), tokens[0]);
+    assert.equal(calls.login, 1);
+  });
+
+  it('refreshes an expired token once for concurrent callers', async () => {
+    await getPortalToken('mcint');
+    await invalidateToken('mcint');
+    calls = { login: 0, refresh: 0 };
+
+    const tokens = await Promise.all(Array.from({ length: 8 }, () => getPortalToken('mcint')));
+    assert.equal(new Set(tokens).size, 1);
+    assert.deepEqual(calls, { login: 0, refresh: 1 });
+  });
+
+  it('renews once when parallel requests all get a 401', async () => {
+    await getPortalToken('mcint');
+    await revokeAccessTokens();
+    calls = { login: 0, refresh: 0 };
+
+    const responses = await Promise.all(Array.from({ length: 6 }, () => withAuthRetry('mcint', getStats)));
+    assert.ok(responses.every(res => res.status === 200));
+    assert.deepEqual(calls, { login: 0, refresh: 1 });
+  });
+
+  it('retries legacy-token requests on a 401 too', async () => {
+    const first = await getToken('mcint');
+    await revokeAccessTokens();
+    calls = { login: 0, refresh: 0 };
+
+    const res = await withAuthRetry('mcint', getStats, { kind: 'legacy' });
+    assert.equal(res.status, 200);
+    assert.notEqual(await getToken('mcint'), first);
+    assert.deepEqual(calls, { login: 0, refresh: 1 });
+  });
+});
@@ -0,0 +1,92 @@
+// Agent status workbook (xlsxExport.js), read back with ExcelJS: sheets and
+// headers, durations as Excel times, and totals rows whose KPIs come from the
+// summed stats.
+
+import assert from 'node:assert/strict';
+import ExcelJS from 'exceljs';
+import { describe, it } from 'node:test';
+import { groupReport } from '../reports.js';
+import { buildAgentWorkbook, excelDate } from '../xlsxExport.js';
+
+const ROWS = [
+  {
+    name: 'Prashant Rajput', extension: '1007', team_id: 'a', team_name: 'Floor A',
+    total_calls: 10, answered_calls: 8, registered_time: 28800, on_call_time: 4000, talked_time: 3600, idle_time: 4000,
+    not_available_time: 1800, wrap_up_time: 400, hold_time: 0, answer_rate: 80, avg_handle_time: 500, avg_wrap_time: 50,
+    occupancy: 50, utilization: 13.9, not_available_detailed_report: { Lunch: 1800 },
+    first_login_timestamp: 1751443200, last_logoff_timestamp: 1751472000
+  },
+  {
+    name: 'Ayesha Khan', extension: '1008', team_id: 'b', team_name: 'Floor B',
+    total_calls: 0, answered_calls: 0, registered_time: 3600, on_call_time: 0, talked_time: 0, idle_time: 3600,
+    not_available_time: 0, wrap_up_time: 0, hold_time: 0, answer_rate: null, avg_handle_time: null, avg_wrap_time: null,
+    occupancy: 0, utilization: 0, not_available_detailed_report: {},
+    first_login_timestamp: null, last_logoff_timestamp: null
+  }
+];
+const META = { tenant: 'mcint', timeZone: 'Asia/Kolkata', startDate: Date.parse('2025-07-02T00:00:00Z'), endDate: Date.parse('2025-07-02T23:59:59Z') };
+
+// ExcelJS reads cells with a time format back as dates counted from 1899-12-30
+const excelTime = seconds => new Date(Date.UTC(1899, 11, 30) + seconds * 1000);
+
+const readBack = async workbook => {
+  const copy = new ExcelJS.Workbook();
+  await copy.xlsx.load(await workbook.xlsx.writeBuffer());
+  return copy;
+};
+const rowValues = (sheet, n) => sheet.getRow(n).values.slice(1);
+const byHeader = sheet => {
+  const headers = rowValues(sheet, 1);
+  return n => Object.fromEntries(headers.map((h, i) => [h, sheet.getRow(n).getCell(i + 1).value]));
+};
+
+describe('buildAgentWorkbook', () => {
+  it('writes the three sheets with typed cells and a totals row', async () => {
+    const workbook = await readBack(buildAgentWorkbook(ROWS, META));
+    assert.deepEqual(workbook.worksheets.map(s => s.name), ['Agent Summary', 'Custom States', 'Login-Logoff']);
+
+    const summary = workbook.getWorksheet('Agent Summary');
+    assert.deepEqual(rowValues(summary, 1).slice(0, 5), ['Name', 'Extension', 'Total Calls', 'Answered Calls', 'Login Time']);
+    const row = byHeader(summary);
+    const first = row(2);
+    assert.equal(first['Total Calls'], 10);
+    assert.deepEqual(first['Login Time'], excelTime(28800));
+    assert.equal(first['Answer Rate'], 0.8);
+    assert.equal(summary.getRow(2).getCell(5).numFmt, '[h]:mm:ss');
+    assert.equal(row(3)['Answer Rate'], null);
+
+    const totals = row(4);
+    assert.equal(totals.Name, 'Total (2 agents)');
+    assert.deepEqual(totals['Total Calls'], { formula: 'SUM(C2:C3)', result: 10 });
+    assert.deepEqual(totals['Login Time'], { formula: 'SUM(E2:E3)', result: excelTime(32400) });
+    // KPIs of the summed stats, not the average of the agents' KPIs
+    assert.equal(totals['Answer Rate'], 0.8);
+    assert.equal(totals.Occupancy, 0.345); // 4000 / 11600, not the agents' mean of 25%
+
+    const custom = workbook.getWorksheet('Custom States');
+    assert.deepEqual(rowValues(custom, 1), ['Name', 'Extension', 'Lunch', 'Not Available Time']);
+    assert.deepEqual(rowValues(custom, 3).slice(2), [excelTime(0), excelTime(0)]);
+
+    const logins = byHeader(workbook.getWorksheet('Login-Logoff'));
+    assert.deepEqual(logins(2)['First Login'], excelDate(1751443200, 'Asia/Kolkata'));
+    assert.equal(logins(3)['First Login'], null);
+  });
+
+  it('adds a Team column with per-team subtotals when grouped', async () => {
+    const workbook = await readBack(buildAgentWorkbook(ROWS, { ...META, groups: groupReport('agents', ROWS) }));
+    const summary = workbook.getWorksheet('Agent Summary');
+    assert.deepEqual(rowValues(summary, 1).slice(0, 2), ['Team', 'Name']);
+    const row = byHeader(summary);
+    // Floor A, its subtotal, Floor B, its subtotal, then the total over both
+    assert.equal(row(2).Team, 'Floor A');
+    assert.equal(row(3)['Total Calls'].formula, 'SUBTOTAL(9,D2:D2)');
+    assert.equal(row(5)['Total Calls'].formula, 'SUBTOTAL(9,D4:D4)');
+    assert.equal(row(6).Team, 'All teams');
+    assert.deepEqual(row(6)['Total Calls'], { formula: 'SUBTOTAL(9,D2:D5)', result: 10 });
+  });
+
+  it('writes only the header rows for an empty report', async () => {
+    const workbook = await readBack(buildAgentWorkbook([], META));
+    assert.equal(workbook.getWorksheet('Agent Summary').rowCount, 1);
+  });
+});
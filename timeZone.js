@@ -0,0 +1,173 @@
+// timeZone.js
+// Reporting time zone helpers shared by every server-side formatter.
+//
+// The zone is chosen per request (`tz` query param) and falls back to the
+// tenant default from REPORT_TIME_ZONE (Asia/Kolkata when unset).
+
+const formatters = new Map();
+
+/**
+ * Tenant default zone. Read lazily so values loaded by dotenv are honoured.
+ * @returns {string}
+ */
+export function defaultTimeZone() {
+  return process.env.REPORT_TIME_ZONE || 'Asia/Kolkata';
+}
+
+/**
+ * Get (and memoise) a 24h Intl formatter for the given zone.
+ * @param {string} timeZone - IANA zone name
+ * @returns {Intl.DateTimeFormat}
+ */
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-GB', {
+      timeZone,
+      day: '2-digit',
+      month: '2-digit',
+      year: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hourCycle: 'h23'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Check whether a string is an IANA time zone the runtime understands.
+ * @param {string} timeZone - e.g. `Europe/London`
+ * @returns {boolean}
+ */
+export function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Resolve the zone to report in: the requested one, else the tenant default.
+ * @param {string} [timeZone] - requested IANA zone
+ * @returns {string} - a valid IANA zone
+ * @throws {RangeError} when a zone is given but is not valid
+ */
+export function resolveTimeZone(timeZone) {
+  if (!timeZone) return defaultTimeZone();
+  if (!isValidTimeZone(timeZone)) throw new RangeError(`Invalid time zone: ${timeZone}`);
+  return timeZone;
+}
+
+/**
+ * List every IANA zone supported by the runtime (for the UI zone picker).
+ * @returns {string[]}
+ */
+export function listTimeZones() {
+  return typeof Intl.supportedValuesOf === 'function'
+    ? Intl.supportedValuesOf('timeZone')
+    : [defaultTimeZone(), 'UTC'];
+}
+
+/**
+ * Convert Unix timestamp to dd/mm/yyyy, hh:mm:ss in the given zone
+ * @param {number} timestamp - Unix timestamp in seconds
+ * @param {string} [timeZone] - IANA zone, defaults to the tenant default
+ * @returns {string} - Formatted date string
+ */
+export function formatTimestamp(timestamp, timeZone = defaultTimeZone()) {
+  const parts = Object.fromEntries(
+    getFormatter(timeZone).formatToParts(new Date(timestamp * 1000)).map(p => [p.type, p.value])
+  );
+  return `${parts.day}/${parts.month}/${parts.year}, ${parts.hour}:${parts.minute}:${parts.second}`;
+}
+
+/**
+ * Wall-clock parts of a moment in the given zone.
+ * @param {Date|number} date - Date or epoch ms
+ * @param {string} [timeZone] - IANA zone, defaults to the tenant default
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number, weekday: number}}
+ *   month is 1-12, weekday is 0 (Sunday) – 6
+ */
+export function zonedParts(date, timeZone = defaultTimeZone()) {
+  const parts = Object.fromEntries(
+    getFormatter(timeZone).formatToParts(new Date(date)).map(p => [p.type, Number(p.value)])
+  );
+  const { year, month, day, hour, minute, second } = parts;
+  return { year, month, day, hour, minute, second, weekday: new Date(Date.UTC(year, month - 1, day)).getUTCDay() };
+}
+
+/**
+ * Turn a wall-clock time in the given zone into a Date. Out-of-range fields
+ * roll over (day 0 is the last day of the previous month, and so on).
+ * @param {{year: number, month: number, day?: number, hour?: number, minute?: number, second?: number}} parts
+ * @param {string} [timeZone] - IANA zone, defaults to the tenant default
+ * @returns {Date}
+ */
+export function zonedTimeToDate({ year, month, day = 1, hour = 0, minute = 0, second = 0 }, timeZone = defaultTimeZone()) {
+  const wall = Date.UTC(year, month - 1, day, hour, minute, second);
+  const offsetAt = ms => {
+    const p = zonedParts(ms, timeZone);
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(ms / 1000) * 1000;
+  };
+  // Two passes so times next to a DST change land on the right offset
+  const guess = wall - offsetAt(wall);
+  return new Date(wall - offsetAt(guess));
+}
+
+/**
+ * Calendar date of a moment in the given zone, as YYYY-MM-DD (for file names).
+ * With a cutoff, the date of the business day the moment belongs to.
+ * @param {Date|number} date - Date or epoch ms
+ * @param {string} [timeZone] - IANA zone, defaults to the tenant default
+ * @param {number} [cutoffMinutes] - business-day cutoff from parseDayCutoff()
+ * @returns {string}
+ */
+export function formatIsoDate(date, timeZone = defaultTimeZone(), cutoffMinutes = 0) {
+  const { year, month, day } = businessDay(date, timeZone, cutoffMinutes);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Parse a business-day cutoff ("HH:MM") into minutes after midnight.
+ * @param {string|number} [value] - "06:00", or minutes; empty means midnight
+ * @returns {number}
+ * @throws {RangeError} when the value is not a time of day
+ */
+export function parseDayCutoff(value) {
+  if (value == null || value === '') return 0;
+  if (typeof value === 'number' && Number.isInteger(value) && value >= 0 && value < 1440) return value;
+  const match = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(String(value).trim());
+  if (!match) throw new RangeError(`Invalid day cutoff: ${value} (expected HH:MM)`);
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+/**
+ * Business day a moment belongs to: its calendar date in the zone, or the
+ * day before when the wall-clock time is earlier than the cutoff (with a
+ * 06:00 cutoff, 02:00 on the 3rd still belongs to the 2nd).
+ * @param {Date|number} date - Date or epoch ms
+ * @param {string} [timeZone] - IANA zone, defaults to the tenant default
+ * @param {number} [cutoffMinutes] - from parseDayCutoff()
+ * @returns {{year: number, month: number, day: number}}
+ */
+export function businessDay(date, timeZone = defaultTimeZone(), cutoffMinutes = 0) {
+  const { year, month, day, hour, minute } = zonedParts(date, timeZone);
+  const calendar = new Date(Date.UTC(year, month - 1, hour * 60 + minute < cutoffMinutes ? day - 1 : day));
+  return { year: calendar.getUTCFullYear(), month: calendar.getUTCMonth() + 1, day: calendar.getUTCDate() };
+}
+
+/**
+ * Moment a business day starts: the cutoff time on that date in the zone.
+ * Days roll over like zonedTimeToDate (day 0 is the previous month's last day).
+ * @param {{year: number, month: number, day: number}} day
+ * @param {string} [timeZone] - IANA zone, defaults to the tenant default
+ * @param {number} [cutoffMinutes] - from parseDayCutoff()
+ * @returns {Date}
+ */
+export function businessDayStart({ year, month, day }, timeZone = defaultTimeZone(), cutoffMinutes = 0) {
+  return zonedTimeToDate({ year, month, day, hour: Math.floor(cutoffMinutes / 60), minute: cutoffMinutes % 60 }, timeZone);
+}
@@ -0,0 +1,338 @@
+// tokenCache.js
+// Pluggable cache for upstream tokens so restarts and extra server instances
+// reuse existing logins instead of logging in again.
+//
+// Backends (selected with TOKEN_CACHE):
+//   memory – in-process Map (default)
+//   file   – JSON file encrypted at rest with AES-256-GCM
+//            (TOKEN_CACHE_FILE, TOKEN_CACHE_SECRET)
+//   redis  – any Redis-protocol server (REDIS_URL, e.g. redis://:pass@localhost:6379/0);
+//            REDIS_TIMEOUT (default 5s) bounds the connect and each reply
+//
+// Every backend stores values with a TTL and keys are namespaced per tenant:
+// `${TOKEN_CACHE_PREFIX}:${tenant}:${kind}`.
+
+import crypto from 'crypto';
+import fs from 'fs';
+import ms from 'ms';
+import net from 'net';
+import path from 'path';
+import { createLogger } from './logger.js';
+
+const log = createLogger({ module: 'tokenCache' });
+
+/**
+ * Build the cache key for a tenant's token.
+ * @param {string} tenant - tenant / domain, e.g. `mc_int`.
+ * @param {string} kind   - token flavour, e.g. `portal` or `legacy`.
+ * @returns {string}
+ */
+export function tokenKey(tenant, kind) {
+  return `${process.env.TOKEN_CACHE_PREFIX || 'uar'}:${tenant}:${kind}`;
+}
+
+/**
+ * In-process cache. Lost on restart; not shared between instances.
+ */
+export class MemoryTokenCache {
+  constructor() {
+    this.entries = new Map(); // key -> { value, expiresAt }
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry.value;
+  }
+
+  async set(key, value, ttlMs) {
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+}
+
+/**
+ * File-backed cache, encrypted at rest. The file is re-read on every access so
+ * several instances on the same host share tokens. Changes made by this
+ * process are applied one at a time, so parallel logins don't drop each
+ * other's tokens.
+ */
+export class FileTokenCache {
+  /**
+   * @param {object} opts
+   * @param {string} opts.file   – path of the encrypted cache file.
+   * @param {string} opts.secret – passphrase the AES key is derived from.
+   */
+  constructor({ file, secret }) {
+    if (!secret) throw new Error('TOKEN_CACHE_SECRET is required for the file token cache');
+    this.file = file;
+    this.key = crypto.scryptSync(secret, 'token-cache', 32);
+    this.writes = Promise.resolve(); // tail of the queued read-modify-writes
+  }
+
+  async read() {
+    let text;
+    try {
+      text = await fs.promises.readFile(this.file, 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') return {};
+      throw err;
+    }
+    try {
+      const raw = JSON.parse(text);
+      const decipher = crypto.createDecipheriv('aes-256-gcm', this.key, Buffer.from(raw.iv, 'base64'));
+      decipher.setAuthTag(Buffer.from(raw.tag, 'base64'));
+      const plain = Buffer.concat([decipher.update(Buffer.from(raw.data, 'base64')), decipher.final()]);
+      return JSON.parse(plain.toString('utf8'));
+    } catch {
+      // Wrong secret, truncated or corrupted file: start from an empty cache
+      log.warn('could not read token cache; ignoring it', { file: this.file });
+      return {};
+    }
+  }
+
+  async write(entries) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.key, iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(entries), 'utf8'), cipher.final()]);
+    const payload = JSON.stringify({
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64')
+    });
+
+    // Write-then-rename so a reader never sees a half-written file; the temp
+    // name is unique so other writers (and instances) never share it
+    await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+    const tmp = `${this.file}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+    try {
+      await fs.promises.writeFile(tmp, payload, { mode: 0o600 });
+      await fs.promises.rename(tmp, this.file);
+    } catch (err) {
+      await fs.promises.rm(tmp, { force: true });
+      throw err;
+    }
+  }
+
+  /**
+   * Read the entries, let `change` modify them and write them back, after
+   * every change queued before it.
+   * @param {(entries: object) => boolean} change - returns false when there is nothing to write
+   * @returns {Promise<void>}
+   */
+  update(change) {
+    const run = this.writes.then(async () => {
+      const entries = await this.read();
+      if (change(entries) !== false) await this.write(entries);
+    });
+    this.writes = run.catch(() => {});
+    return run;
+  }
+
+  async get(key) {
+    const entry = (await this.read())[key];
+    if (!entry || entry.expiresAt <= Date.now()) return null;
+    return entry.value;
+  }
+
+  async set(key, value, ttlMs) {
+    await this.update(entries => {
+      const now = Date.now();
+      // Drop expired entries while we are rewriting the file anyway
+      for (const [k, entry] of Object.entries(entries)) {
+        if (entry.expiresAt <= now) delete entries[k];
+      }
+      entries[key] = { value, expiresAt: now + ttlMs };
+    });
+  }
+
+  async delete(key) {
+    await this.update(entries => {
+      if (!(key in entries)) return false;
+      delete entries[key];
+    });
+  }
+}
+
+/**
+ * Redis-protocol (RESP2) cache. Speaks just enough of the protocol for
+ * AUTH/SELECT/GET/SET PX/DEL to avoid a new dependency.
+ */
+export class RedisTokenCache {
+  /**
+   * @param {object} opts
+   * @param {string} opts.url         – redis://[:password@]host[:port][/db]
+   * @param {number} [opts.timeoutMs] – connect / reply timeout
+   */
+  constructor({ url, timeoutMs = 5000 }) {
+    this.url = new URL(url);
+    this.timeoutMs = timeoutMs;
+    this.socket = null;
+    this.pending = [];   // callbacks awaiting replies, in order
+    this.buffer = Buffer.alloc(0);
+    this.ready = null;
+  }
+
+  connect() {
+    if (this.ready) return this.ready;
+
+    this.ready = new Promise((resolve, reject) => {
+      const socket = net.createConnection({
+        host: this.url.hostname || 'localhost',
+        port: Number(this.url.port) || 6379
+      });
+      socket.once('connect', resolve);
+      socket.once('error', reject);
+      // A server that stops answering must not hang every token lookup; an
+      // idle connection with nothing outstanding is fine
+      socket.setTimeout(this.timeoutMs);
+      socket.on('timeout', () => {
+        if (!socket.connecting && !this.pending.length) return;
+        socket.destroy(new Error(`Redis did not answer within ${this.timeoutMs} ms`));
+      });
+      socket.on('data', chunk => this.onData(chunk));
+      socket.on('error', err => this.failPending(err));
+      socket.on('close', () => {
+        this.failPending(new Error('Redis connection closed'));
+        this.ready = null;
+      });
+      this.socket = socket;
+    }).then(async () => {
+      if (this.url.password) {
+        const user = decodeURIComponent(this.url.username);
+        const password = decodeURIComponent(this.url.password);
+        await this.send(user ? ['AUTH', user, password] : ['AUTH', password]);
+      }
+      const db = this.url.pathname.replace('/', '');
+      if (db) await this.send(['SELECT', db]);
+    });
+
+    // Allow a later call to reconnect when this attempt fails
+    this.ready.catch(() => { this.ready = null; });
+    return this.ready;
+  }
+
+  failPending(err) {
+    const pending = this.pending;
+    this.pending = [];
+    pending.forEach(({ reject }) => reject(err));
+  }
+
+  send(args) {
+    const payload = `*${args.length}\r\n` + args
+      .map(a => `$${Buffer.byteLength(String(a))}\r\n${a}\r\n`)
+      .join('');
+    return new Promise((resolve, reject) => {
+      this.pending.push({ resolve, reject });
+      this.socket.write(payload);
+    });
+  }
+
+  async command(args) {
+    await this.connect();
+    return this.send(args);
+  }
+
+  onData(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+    while (this.buffer.length) {
+      let parsed;
+      try {
+        parsed = this.parseReply(this.buffer);
+      } catch (err) {
+        // The stream can't be followed past a reply we don't understand:
+        // fail what is waiting and start over on a new connection
+        log.warn('unexpected Redis reply; reconnecting', { error: err.message });
+        this.buffer = Buffer.alloc(0);
+        this.failPending(err);
+        this.socket.destroy();
+        return;
+      }
+      if (!parsed) return; // wait for more data
+      this.buffer = this.buffer.subarray(parsed.length);
+      const { resolve, reject } = this.pending.shift() || {};
+      if (parsed.error) reject?.(new Error(parsed.error));
+      else resolve?.(parsed.value);
+    }
+  }
+
+  /**
+   * Parse one RESP reply from the start of the buffer.
+   * @returns {{value?: any, error?: string, length: number}|null} null when incomplete.
+   * @throws {Error} for a reply type other than simple string, error, integer or bulk string
+   */
+  parseReply(buf) {
+    const lineEnd = buf.indexOf('\r\n');
+    if (lineEnd === -1) return null;
+    const type = String.fromCharCode(buf[0]);
+    const line = buf.toString('utf8', 1, lineEnd);
+
+    switch (type) {
+      case '+': return { value: line, length: lineEnd + 2 };
+      case '-': return { error: line, length: lineEnd + 2 };
+      case ':': return { value: Number(line), length: lineEnd + 2 };
+      case '$': {
+        const size = Number(line);
+        if (size === -1) return { value: null, length: lineEnd + 2 };
+        const end = lineEnd + 2 + size;
+        if (buf.length < end + 2) return null;
+        return { value: buf.toString('utf8', lineEnd + 2, end), length: end + 2 };
+      }
+      default:
+        throw new Error(`Unsupported Redis reply type: ${type}`);
+    }
+  }
+
+  async get(key) {
+    const raw = await this.command(['GET', key]);
+    return raw == null ? null : JSON.parse(raw);
+  }
+
+  async set(key, value, ttlMs) {
+    await this.command(['SET', key, JSON.stringify(value), 'PX', Math.max(1, Math.ceil(ttlMs))]);
+  }
+
+  async delete(key) {
+    await this.command(['DEL', key]);
+  }
+}
+
+let instance = null;
+
+/**
+ * Get the process-wide token cache, created from env config on first use.
+ * @returns {MemoryTokenCache|FileTokenCache|RedisTokenCache}
+ */
+export function getTokenCache() {
+  if (instance) return instance;
+
+  const backend = (process.env.TOKEN_CACHE || 'memory').toLowerCase();
+  switch (backend) {
+    case 'memory':
+      instance = new MemoryTokenCache();
+      break;
+    case 'file':
+      instance = new FileTokenCache({
+        file: process.env.TOKEN_CACHE_FILE || path.join(process.cwd(), '.cache', 'tokens.enc'),
+        secret: process.env.TOKEN_CACHE_SECRET
+      });
+      break;
+    case 'redis':
+      instance = new RedisTokenCache({
+        url: process.env.REDIS_URL || 'redis://localhost:6379',
+        timeoutMs: ms(process.env.REDIS_TIMEOUT || '5s')
+      });
+      break;
+    default:
+      throw new Error(`Unknown TOKEN_CACHE backend: ${backend} (expected memory, file or redis)`);
+  }
+  log.info('token cache ready', { backend });
+  return instance;
+}
@@ -2,38 +2,153 @@
 import axios from 'axios';
 import ms from 'ms';
 import https from 'https';
+import { getTokenCache, tokenKey } from './tokenCache.js';
+import { createLogger, getRequestId } from './logger.js';
+import { getTenant, getTenantCredentials } from './tenants.js';
+
+const log = createLogger({ module: 'tokenService' });
 
-const cache = new Map();        // In prod use Redis
 const MAX_RETRIES = 3;
 
 // Optional: accept self-signed certificates in dev; set NODE_TLS_REJECT_UNAUTHORIZED=1 in prod
 const httpsAgent = new https.Agent({ rejectUnauthorized: false });
 
-// Cache structure: Map<tenant, {access, refresh, expiresAt}>
+// Forward the dashboard request ID to the PBX so both sides' logs can be correlated
+axios.interceptors.request.use(config => {
+  const requestId = getRequestId();
+  if (requestId) config.headers['X-Request-ID'] = requestId;
+  return config;
+});
+
+// Cache entry: {access, refresh, expiresAt, refreshExpiresAt} under tokenKey(tenantId, 'legacy' | 'portal').
+// Base URL, login domain and credentials come from the tenant registry.
 
 /**
- * Fetch an access token using the legacy call center login endpoint.
- * Falls back to the cached token until two minutes before expiry.
+ * When the refresh token stops being useful. The login responses rarely say,
+ * so REFRESH_TOKEN_TTL (default 1d) applies unless `refreshExpiresIn` is given.
+ * @param {object} data - login / refresh response body
+ * @returns {number} - epoch ms
+ */
+function refreshExpiry(data) {
+  const refreshExpiresIn = data.refreshExpiresIn || data.refresh_expires_in;
+  return refreshExpiresIn
+    ? Date.now() + refreshExpiresIn * 1000
+    : Date.now() + ms(process.env.REFRESH_TOKEN_TTL || '1d');
+}
+
+/**
+ * Store a token entry, keeping it for as long as either token is usable.
+ * @param {string} key   - cache key from tokenKey()
+ * @param {object} entry - {access, refresh, expiresAt, refreshExpiresAt}
+ */
+async function storeToken(key, entry) {
+  const keepUntil = Math.max(entry.expiresAt, entry.refresh ? entry.refreshExpiresAt ?? 0 : 0);
+  const ttl = keepUntil - Date.now();
+  if (ttl <= 0) return getTokenCache().delete(key);
+  await getTokenCache().set(key, entry, ttl);
+}
+
+/**
+ * Exchange a refresh token for a new access token.
+ * Returns `null` instead of throwing so callers can fall back to a full login.
  *
- * @param {string} tenant - tenant / domain, e.g. `mc_int`.
- * @returns {Promise<string>} access token (JWT)
+ * @param {object} tenant       - registry entry from getTenant().
+ * @param {string} refreshToken - refresh token from a previous login.
+ * @returns {Promise<{access: string, refresh: string, expiresAt: number, refreshExpiresAt: number}|null>}
  */
-export async function getToken(tenant) {
-  const now = Date.now();
-  const cached = cache.get(tenant);
-  if (cached && now < cached.expiresAt - ms('2m')) return cached.access;
+async function refreshAccessToken(tenant, refreshToken) {
+  const url = `${tenant.baseUrl}${process.env.REFRESH_ENDPOINT || '/api/v2/config/login/refresh'}`;
+  try {
+    const { data } = await axios.post(
+      url,
+      { domain: tenant.domain, refreshToken, refresh_token: refreshToken },
+      { timeout: 5000, httpsAgent, headers: { Accept: 'application/json' } }
+    );
+
+    const access = data.accessToken || data.access_token;
+    if (!access) throw new Error('No access token in refresh response');
+
+    const expiresIn = data.expiresIn || data.expires_in;
+    log.info('token refreshed', { tenant: tenant.id });
+    return {
+      access,
+      // Some back-ends rotate the refresh token, others keep the old one valid
+      refresh: data.refreshToken || data.refresh_token || refreshToken,
+      expiresAt: expiresIn ? Date.now() + expiresIn * 1000 : Date.now() + ms('1h'),
+      refreshExpiresAt: refreshExpiry(data)
+    };
+  } catch (err) {
+    log.warn('token refresh failed; falling back to full login', { tenant: tenant.id, status: err.response?.status, error: err.message });
+    return null;
+  }
+}
 
+// Renewals under way, by cache key: concurrent callers (parallel event
+// windows, several 401s at once) wait for the same refresh or login instead
+// of each spending the refresh token, which rotating back-ends accept once
+const renewals = new Map(); // key -> Promise<string>
+
+/**
+ * The cached access token while it has more than two minutes left, else null.
+ * @param {string} key - cache key from tokenKey()
+ * @returns {Promise<string|null>}
+ */
+async function freshToken(key) {
+  const cached = await getTokenCache().get(key);
+  return cached && Date.now() < cached.expiresAt - ms('2m') ? cached.access : null;
+}
+
+/**
+ * A fresh access token for `key`: the cached one, else one renewal shared by
+ * every caller that asks while it runs. A renewal prefers the refresh token
+ * and falls back to `login`.
+ * @param {object} tenant - registry entry from getTenant()
+ * @param {string} key    - cache key from tokenKey()
+ * @param {(tenant: object, key: string) => Promise<string>} login - full login storing the token
+ * @returns {Promise<string>}
+ */
+async function tokenFor(tenant, key, login) {
+  const cached = await freshToken(key);
+  if (cached) return cached;
+  if (renewals.has(key)) return renewals.get(key);
+
+  const renewal = (async () => {
+    // Another instance may have renewed it through a shared cache meanwhile
+    const entry = await getTokenCache().get(key);
+    if (entry && Date.now() < entry.expiresAt - ms('2m')) return entry.access;
+    if (entry?.refresh) {
+      const refreshed = await refreshAccessToken(tenant, entry.refresh);
+      if (refreshed) {
+        await storeToken(key, refreshed);
+        return refreshed.access;
+      }
+    }
+    return login(tenant, key);
+  })().finally(() => renewals.delete(key));
+  renewals.set(key, renewal);
+  return renewal;
+}
+
+/**
+ * Log in with the legacy call center login endpoint and cache the token.
+ * @param {object} tenant
+ * @param {string} key
+ * @returns {Promise<string>}
+ */
+async function legacyLogin(tenant, key) {
+  const { username, password } = getTenantCredentials(tenant);
   for (let i = 0, delay = 1000; i < MAX_RETRIES; i++, delay *= 2) {
     try {
       const {data} = await axios.post(
-        `${process.env.BASE_URL}/portal/callcenter/reports/agents-status-activity`,
-        { username: process.env.API_USERNAME, password: process.env.API_PASSWORD, domain: tenant },
+        `${tenant.baseUrl}/portal/callcenter/reports/agents-status-activity`,
+        { username, password, domain: tenant.domain },
         { timeout: 5000, httpsAgent, headers: { Accept: 'application/json' } }   // ensure JSON
       );
-      cache.set(tenant, {
+      await storeToken(key, {
         access: data.access_token,
         refresh: data.refresh_token,
-        expiresAt: now + ms('1h')   // adjust to real TTL
+        expiresAt: Date.now() + ms('1h'),   // adjust to real TTL
+        refreshExpiresAt: refreshExpiry(data)
       });
       return data.access_token;
     } catch (err) {
@@ -44,27 +159,22 @@ export async function getToken(tenant) {
 }
 
 /**
- * Fetch an access token using the modern portal login endpoint that the web
- * UI employs. This token is accepted by the new `/api/v2/reports/...` routes.
- * Falls back to the cached token until two minutes before expiry.
- *
- * @param {string} tenant - tenant / domain, e.g. `mc_int`.
- * @returns {Promise<string>} access token (JWT)
+ * Log in with the portal login endpoints and cache the token.
+ * @param {object} tenant
+ * @param {string} key
+ * @returns {Promise<string>}
  */
-export async function getPortalToken(tenant) {
-  const now = Date.now();
-  const cached = cache.get(`portal:${tenant}`);
-  if (cached && now < cached.expiresAt - ms('2m')) return cached.access;
-
+async function portalLogin(tenant, key) {
   // Back-off loop across candidate endpoints / payloads
-  const base = process.env.BASE_URL;
+  const base = tenant.baseUrl;
+  const body = { domain: tenant.domain, ...getTenantCredentials(tenant) };
   const candidates = [
     // OAuth login path used by the portal UI (works on modern installs)
-    { url: `${base}/api/v2/config/login/oauth`, body: { domain: tenant, username: process.env.API_USERNAME, password: process.env.API_PASSWORD } },
+    { url: `${base}/api/v2/config/login/oauth`, body },
     // v2 login using domain (fallback for older back-ends)
-    { url: `${base}/api/v2/login`, body: { domain: tenant, username: process.env.API_USERNAME, password: process.env.API_PASSWORD } },
+    { url: `${base}/api/v2/login`, body },
     // very old legacy login path
-    { url: `${base}/api/login`, body: { domain: tenant, username: process.env.API_USERNAME, password: process.env.API_PASSWORD } },
+    { url: `${base}/api/login`, body },
   ];
 
   for (const { url, body } of candidates) {
@@ -82,22 +192,85 @@ export async function getPortalToken(tenant) {
         const refresh = data.refreshToken || data.refresh_token;
         const expiresAt = data.expiresIn ? Date.now() + data.expiresIn * 1000 : Date.now() + ms('1h');
 
-        cache.set(`portal:${tenant}`, { access, refresh, expiresAt });
-        console.log(`✅ Portal login succeeded at ${url}`);
+        await storeToken(key, { access, refresh, expiresAt, refreshExpiresAt: refreshExpiry(data) });
+        log.info('portal login succeeded', { tenant: tenant.id, url });
         return access;
       } catch (err) {
         if (attempt === MAX_RETRIES - 1) {
           // try next candidate endpoint
-          if (process.env.DEBUG) {
-            console.warn(`Login failed at ${url}: ${err.response?.status || err.message}`);
-          }
+          log.debug('portal login failed', { tenant: tenant.id, url, status: err.response?.status, error: err.message });
         } else {
           await new Promise(r => setTimeout(r, delay));
         }
       }
     }
   }
-  throw new Error('All portal login attempts failed – check credentials/endpoints');
+  throw new Error(`All portal login attempts failed for tenant ${tenant.id} – check credentials/endpoints`);
+}
+
+/**
+ * Fetch an access token using the legacy call center login endpoint.
+ * Falls back to the cached token until two minutes before expiry.
+ *
+ * @param {string} tenantId - tenant id from the registry, e.g. `mcint`.
+ * @returns {Promise<string>} access token (JWT)
+ */
+export async function getToken(tenantId) {
+  const tenant = getTenant(tenantId);
+  return tokenFor(tenant, tokenKey(tenant.id, 'legacy'), legacyLogin);
+}
+
+/**
+ * Fetch an access token using the modern portal login endpoint that the web
+ * UI employs. This token is accepted by the new `/api/v2/reports/...` routes.
+ * Falls back to the cached token until two minutes before expiry.
+ *
+ * @param {string} tenantId - tenant id from the registry, e.g. `mcint`.
+ * @returns {Promise<string>} access token (JWT)
+ */
+export async function getPortalToken(tenantId) {
+  const tenant = getTenant(tenantId);
+  return tokenFor(tenant, tokenKey(tenant.id, 'portal'), portalLogin);
+}
+
+/**
+ * Mark a cached access token as expired, keeping the refresh token so the
+ * next call can refresh instead of logging in again. With `rejected`, only
+ * that token is expired: when a concurrent caller already replaced it, the
+ * replacement stays.
+ *
+ * @param {string} tenantId            - tenant id from the registry, e.g. `mcint`.
+ * @param {object} [opts]
+ * @param {'portal'|'legacy'} [opts.kind] - which token (default portal)
+ * @param {string} [opts.rejected]       - the token the upstream refused
+ */
+export async function invalidateToken(tenantId, { kind = 'portal', rejected } = {}) {
+  const key = tokenKey(getTenant(tenantId).id, kind);
+  const cached = await getTokenCache().get(key);
+  if (cached && (rejected === undefined || cached.access === rejected)) await storeToken(key, { ...cached, expiresAt: 0 });
+}
+
+/**
+ * Run an upstream request with a token, re-authenticating once when the
+ * upstream answers 401 (token revoked or expired early).
+ *
+ * @template T
+ * @param {string} tenantId                     - tenant id from the registry, e.g. `mcint`.
+ * @param {(token: string) => Promise<T>} request - performs the call with the given token.
+ * @param {{kind?: 'portal'|'legacy'}} [opts]   - which login the request needs (default portal)
+ * @returns {Promise<T>}
+ */
+export async function withAuthRetry(tenantId, request, { kind = 'portal' } = {}) {
+  const getTokenFor = kind === 'legacy' ? getToken : getPortalToken;
+  const token = await getTokenFor(tenantId);
+  try {
+    return await request(token);
+  } catch (err) {
+    if (err.response?.status !== 401) throw err;
+    log.warn('upstream returned 401; re-authenticating', { tenant: tenantId, kind });
+    await invalidateToken(tenantId, { kind, rejected: token });
+    return request(await getTokenFor(tenantId));
+  }
 }
 
 export { httpsAgent };
\ No newline at end of file
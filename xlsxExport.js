@@ -0,0 +1,265 @@
+// xlsxExport.js
+// Excel workbook for the agent status report, the one every agent status
+// .xlsx download gets (dashboard, export route, CLI):
+//   Agent Summary  – call counts, time totals and KPIs per agent, with a
+//                    Team column and per-team subtotals when grouped by team
+//   Custom States  – one column per not-available state
+//   Login-Logoff   – first login / last logoff per agent
+// Durations are written as Excel time values (fractions of a day) with a
+// [h]:mm:ss format, so SUM and pivot tables work on them; login/logoff
+// times are real dates in the report's time zone. KPIs (public/agentKpis.js)
+// are not additive, so their totals cell holds the KPI of the summed stats.
+
+import ExcelJS from 'exceljs';
+import { zonedParts } from './timeZone.js';
+import { KPI_FIELDS, summarizeAgents } from './public/agentKpis.js';
+import { formatColumnValue } from './public/reportColumns.js';
+
+const DURATION_FORMAT = '[h]:mm:ss';
+const DATE_FORMAT = 'dd/mm/yyyy hh:mm:ss';
+const PERCENT_FORMAT = '0.0%';
+
+const SUMMARY_COLUMNS = [
+  { key: 'name', header: 'Name', width: 24 },
+  { key: 'extension', header: 'Extension', width: 12 },
+  { key: 'total_calls', header: 'Total Calls', width: 12, total: true },
+  { key: 'answered_calls', header: 'Answered Calls', width: 15, total: true },
+  { key: 'registered_time', header: 'Login Time', duration: true },
+  { key: 'on_call_time', header: 'On Call Time', duration: true },
+  { key: 'talked_time', header: 'Talked Time', duration: true },
+  { key: 'idle_time', header: 'Idle Time', duration: true },
+  { key: 'not_available_time', header: 'Not Available Time', duration: true },
+  { key: 'wrap_up_time', header: 'Wrap Up Time', duration: true },
+  { key: 'hold_time', header: 'Hold Time', duration: true },
+  { key: 'answer_rate', header: 'Answer Rate', percent: true, kpi: true },
+  { key: 'avg_handle_time', header: 'Avg Handle Time', width: 16, duration: true, kpi: true },
+  { key: 'avg_wrap_time', header: 'Avg Wrap / Call', width: 16, duration: true, kpi: true },
+  { key: 'occupancy', header: 'Occupancy', percent: true, kpi: true },
+  { key: 'utilization', header: 'Utilization', percent: true, kpi: true }
+];
+const TEAM_COLUMN = { key: 'team_name', header: 'Team', width: 20 };
+
+/**
+ * Seconds as an Excel time value (fraction of a day).
+ * @param {number|string} seconds
+ * @returns {number|null}
+ */
+export function excelDuration(seconds) {
+  if (seconds == null || seconds === '') return null;
+  const value = Number(seconds);
+  return Number.isFinite(value) ? value / 86400 : null;
+}
+
+/**
+ * Value of a cell in a sheet column: Excel times for durations, fractions
+ * for percentages, numbers for counts, else the column's `render` text.
+ * @param {{duration?: boolean, percent?: boolean, total?: boolean, render?: Function}} column
+ * @param {*} value
+ * @returns {*}
+ */
+function cellValue(column, value) {
+  if (column.duration) return excelDuration(value);
+  if (column.percent) return value == null ? null : Number(value) / 100;
+  if (column.total) return Number(value) || 0;
+  return column.render ? column.render(value) : value ?? '';
+}
+
+/**
+ * Unix timestamp as a Date whose UTC fields are the wall-clock time in the
+ * given zone – Excel dates have no zone, so this is what the reader expects.
+ * @param {number} timestamp - unix seconds
+ * @param {string} timeZone
+ * @returns {Date|null}
+ */
+export function excelDate(timestamp, timeZone) {
+  if (timestamp == null) return null;
+  const p = zonedParts(timestamp * 1000, timeZone);
+  return new Date(Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second));
+}
+
+/**
+ * Add a sheet with a bold, frozen, filterable header row.
+ * @param {ExcelJS.Workbook} workbook
+ * @param {string} name
+ * @param {{key: string, header: string, width?: number, duration?: boolean, date?: boolean, percent?: boolean}[]} columns
+ * @returns {ExcelJS.Worksheet}
+ */
+function addSheet(workbook, name, columns) {
+  const sheet = workbook.addWorksheet(name, { views: [{ state: 'frozen', ySplit: 1 }] });
+  sheet.columns = columns.map(c => ({
+    key: c.key,
+    header: c.header,
+    width: c.width || (c.date ? 20 : 14),
+    style: c.duration ? { numFmt: DURATION_FORMAT } : c.date ? { numFmt: DATE_FORMAT } : c.percent ? { numFmt: PERCENT_FORMAT } : {}
+  }));
+  sheet.getRow(1).font = { bold: true };
+  sheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: columns.length } };
+  return sheet;
+}
+
+/**
+ * Append a bold row summing the duration / total columns over sheet rows
+ * `from`–`to`. KPI columns take their value from `summary` instead, and so
+ * do text columns when given one. Team subtotals and the total below them
+ * use SUBTOTAL(9, …), which leaves nested SUBTOTAL cells out of the total.
+ * @param {ExcelJS.Worksheet} sheet
+ * @param {object[]} columns - as passed to addSheet()
+ * @param {object} range
+ * @param {number} range.from          - first sheet row
+ * @param {number} range.to            - last sheet row
+ * @param {object} [range.summary]     - from summarizeAgents() or a team subtotal
+ * @param {Set<number>} [range.skip]   - subtotal rows inside the range
+ * @param {boolean} [range.nested]     - this is a subtotal inside a larger total
+ */
+function addSummaryRow(sheet, columns, { from, to, summary = null, skip = new Set(), nested = false }) {
+  const row = sheet.addRow({});
+  columns.forEach((c, i) => {
+    const cell = row.getCell(i + 1);
+    if (c.kpi || (!c.duration && !c.total)) {
+      if (summary) cell.value = cellValue(c, summary[c.key]);
+      return;
+    }
+    const letter = sheet.getColumn(i + 1).letter;
+    const values = sheet.getColumn(i + 1).values.filter((v, r) => r >= from && r <= to && !skip.has(r));
+    cell.value = {
+      formula: nested || skip.size ? `SUBTOTAL(9,${letter}${from}:${letter}${to})` : `SUM(${letter}${from}:${letter}${to})`,
+      result: values.reduce((sum, v) => sum + (typeof v === 'number' ? v : 0), 0)
+    };
+  });
+  if (!summary) row.getCell(1).value = 'Total';
+  row.font = { bold: true };
+  return row;
+}
+
+/**
+ * Append a bold totals row below `dataRows` rows of data.
+ * @param {ExcelJS.Worksheet} sheet
+ * @param {object[]} columns - as passed to addSheet()
+ * @param {number} dataRows  - number of data rows below the header
+ * @param {object} [summary] - from summarizeAgents()
+ */
+function addTotalsRow(sheet, columns, dataRows, summary = null) {
+  if (!dataRows) return;
+  addSummaryRow(sheet, columns, { from: 2, to: dataRows + 1, summary });
+}
+
+/**
+ * Build the workbook for an agent status report.
+ * @param {object[]} rows - from buildAgentReport()
+ * @param {object} meta
+ * @param {string} meta.tenant    - tenant id
+ * @param {string} meta.timeZone  - IANA zone the report is in
+ * @param {number} meta.startDate - unix ms
+ * @param {number} meta.endDate   - unix ms
+ * @param {object[]} [meta.groups] - from groupReport('agents', rows), for per-team subtotals
+ * @returns {ExcelJS.Workbook}
+ */
+export function buildAgentWorkbook(rows, { tenant, timeZone, startDate, endDate, groups = null }) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'Agents Status & Activity';
+  workbook.created = new Date();
+  workbook.title = `Agent status – ${tenant}`;
+  workbook.subject = `${new Date(startDate).toISOString()} – ${new Date(endDate).toISOString()} (${timeZone})`;
+
+  const summaryColumns = groups ? [TEAM_COLUMN, ...SUMMARY_COLUMNS] : SUMMARY_COLUMNS;
+  const summary = addSheet(workbook, 'Agent Summary', summaryColumns);
+  const addAgentRow = r => summary.addRow(Object.fromEntries(summaryColumns.map(c => [c.key, cellValue(c, r[c.key])])));
+  if (groups) {
+    const subtotalRows = new Set();
+    for (const group of groups) {
+      const from = summary.rowCount + 1;
+      group.rows.forEach(addAgentRow);
+      addSummaryRow(summary, summaryColumns, { from, to: summary.rowCount, summary: group.subtotal, nested: true });
+      subtotalRows.add(summary.rowCount);
+    }
+    if (rows.length) {
+      addSummaryRow(summary, summaryColumns, { from: 2, to: summary.rowCount, summary: { ...summarizeAgents(rows), team_name: 'All teams' }, skip: subtotalRows });
+    }
+  } else {
+    rows.forEach(addAgentRow);
+    addTotalsRow(summary, summaryColumns, rows.length, summarizeAgents(rows));
+  }
+
+  // One column per custom state seen for any agent
+  const states = [...new Set(rows.flatMap(r => Object.keys(r.not_available_detailed_report || {})))].sort();
+  const stateColumns = [
+    { key: 'name', header: 'Name', width: 24 },
+    { key: 'extension', header: 'Extension', width: 12 },
+    ...states.map((state, i) => ({ key: `state_${i}`, header: state, duration: true })),
+    { key: 'not_available_time', header: 'Not Available Time', duration: true }
+  ];
+  const custom = addSheet(workbook, 'Custom States', stateColumns);
+  rows.forEach(r => {
+    const breakdown = r.not_available_detailed_report || {};
+    custom.addRow({
+      name: r.name ?? '',
+      extension: r.extension ?? '',
+      ...Object.fromEntries(states.map((state, i) => [`state_${i}`, excelDuration(breakdown[state] ?? 0)])),
+      not_available_time: excelDuration(r.not_available_time)
+    });
+  });
+  addTotalsRow(custom, stateColumns, rows.length);
+
+  const loginColumns = [
+    { key: 'name', header: 'Name', width: 24 },
+    { key: 'extension', header: 'Extension', width: 12 },
+    { key: 'first_login', header: 'First Login', date: true },
+    { key: 'last_logoff', header: 'Last LogOff', date: true }
+  ];
+  const logins = addSheet(workbook, 'Login-Logoff', loginColumns);
+  rows.forEach(r => {
+    logins.addRow({
+      name: r.name ?? '',
+      extension: r.extension ?? '',
+      first_login: excelDate(r.first_login_timestamp, timeZone),
+      last_logoff: excelDate(r.last_logoff_timestamp, timeZone)
+    });
+  });
+
+  return workbook;
+}
+
+/**
+ * Single-sheet workbook of a report in its shared column layout (see
+ * public/reportColumns.js); durations stay Excel time values. Rows flagged
+ * `subtotal` (team subtotals) close the group of rows above them.
+ * @param {object[]} rows
+ * @param {{key: string, label: string, type: string}[]} columns
+ * @param {object} meta
+ * @param {string} meta.title     - sheet and workbook title
+ * @param {object} [meta.summary] - footer values for KPI columns (summarizeAgents())
+ * @returns {ExcelJS.Workbook}
+ */
+export function buildTableWorkbook(rows, columns, { title, summary }) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'Agents Status & Activity';
+  workbook.created = new Date();
+  workbook.title = title;
+
+  const sheetColumns = columns.map(c => ({
+    key: c.key,
+    header: c.label,
+    duration: c.type === 'duration',
+    percent: c.type === 'percent',
+    total: c.type === 'number',
+    kpi: KPI_FIELDS.includes(c.key),
+    render: value => formatColumnValue(value, c),
+    width: c.type === 'states' ? 40 : 20
+  }));
+  const sheet = addSheet(workbook, title.slice(0, 31), sheetColumns);
+  const subtotalRows = new Set();
+  let groupStart = 2;
+  rows.forEach(r => {
+    if (r.subtotal) {
+      addSummaryRow(sheet, sheetColumns, { from: groupStart, to: sheet.rowCount, summary: r, nested: true });
+      subtotalRows.add(sheet.rowCount);
+      groupStart = sheet.rowCount + 1;
+      return;
+    }
+    sheet.addRow(Object.fromEntries(sheetColumns.map(c => [c.key, cellValue(c, r[c.key])])));
+  });
+  if (sheet.rowCount > 1) {
+    addSummaryRow(sheet, sheetColumns, { from: 2, to: sheet.rowCount, summary, skip: subtotalRows });
+  }
+  return workbook;
+}